@@ -0,0 +1,45 @@
+/**
+ * Tests for per-aquifer trend and stress analysis
+ */
+import { describe, test, expect } from '@jest/globals';
+import { analyzeStationGroups, describeStations } from '../../utils/aquiferGroups.js';
+import { createMockQuarterlyHistory } from './testHelpers.js';
+
+const station = (stationCode, wellType, wellAquiferType, distance, readings) => ({
+  stationCode, name: stationCode, wellType, wellDepth: null, wellAquiferType, distance, history: readings,
+});
+
+describe('Aquifer groups', () => {
+  const stations = new Map([
+    ['dug1', station('dug1', 'Dug Well', 'Unconfined', 2, createMockQuarterlyHistory(8, 0))],
+    ['dug2', station('dug2', 'Dug Well', 'Unconfined', 1, createMockQuarterlyHistory(9, 0))],
+    ['piezo', station('piezo', 'Piezometer', 'Confined', 5, createMockQuarterlyHistory(60, 1.2))],
+  ]);
+
+  test('each aquifer gets its own trend and stress category', () => {
+    const { groupBy, groups } = analyzeStationGroups(stations, { groupBy: 'aquifer' });
+    expect(groupBy).toBe('aquifer');
+    expect(groups.map((g) => g.key)).toEqual(['unconfined', 'confined']);
+
+    const [unconfined, confined] = groups;
+    expect(unconfined.stations.map((s) => s.stationCode)).toEqual(['dug2', 'dug1']);
+    expect(unconfined.trend.direction).toBe('stable');
+    expect(unconfined.stress.category).toBe('Safe');
+    expect(confined.trend.direction).toBe('declining');
+    expect(confined.trend.annualDeclineRate).toBeCloseTo(1.2, 1);
+    expect(confined.stress.category).toBe('Over-exploited');
+  });
+
+  test('groups too short for a trend say so', () => {
+    const short = new Map([['s', station('s', 'Bore Well', 'Confined', 1, createMockQuarterlyHistory(20, 0).slice(0, 2))]]);
+    const [group] = analyzeStationGroups(short, { groupBy: 'both' }).groups;
+    expect(group).toMatchObject({ key: 'confined|bore well', trend: null, stress: null });
+    expect(group.note).toMatch(/Fewer than 3/);
+  });
+
+  test('describeStations lists stations nearest first', () => {
+    expect(describeStations(stations).map((s) => [s.stationCode, s.readings])).toEqual([
+      ['dug2', 40], ['dug1', 40], ['piezo', 40],
+    ]);
+  });
+});
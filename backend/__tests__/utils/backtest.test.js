@@ -0,0 +1,84 @@
+/**
+ * Tests for rolling-origin backtesting
+ */
+import { describe, test, expect } from '@jest/globals';
+import { errorMetrics, rollingOriginBacktest, backtestHistory } from '../../utils/backtest.js';
+import { toMonthlySeries } from '../../utils/forecasting.js';
+
+// Quarterly WRIS-style readings: slow decline plus a monsoon cycle
+const quarterlyHistory = (years) => {
+  const history = [];
+  for (let y = 0; y < years; y++) {
+    for (const month of [1, 5, 8, 11]) {
+      history.push({
+        date: `${2014 + y}-${String(month).padStart(2, '0')}-10`,
+        waterLevel: 20 + 0.4 * y + 2 * Math.sin((2 * Math.PI * (month - 8)) / 12),
+      });
+    }
+  }
+  return history;
+};
+
+describe('errorMetrics', () => {
+  test('computes MAE, RMSE, MAPE and bias', () => {
+    const metrics = errorMetrics([
+      { forecast: 11, actual: 10 },
+      { forecast: 9, actual: 10 },
+      { forecast: 13, actual: 10 },
+    ]);
+
+    expect(metrics.n).toBe(3);
+    expect(metrics.mae).toBeCloseTo(5 / 3, 3);
+    expect(metrics.rmse).toBeCloseTo(Math.sqrt(11 / 3), 3);
+    expect(metrics.mape).toBeCloseTo(16.67, 2);
+    expect(metrics.bias).toBeCloseTo(1, 3);
+  });
+
+  test('returns null without pairs and skips zero actuals in MAPE', () => {
+    expect(errorMetrics([])).toBeNull();
+    expect(errorMetrics([{ forecast: 1, actual: 0 }]).mape).toBeNull();
+  });
+});
+
+describe('rollingOriginBacktest', () => {
+  const series = toMonthlySeries(quarterlyHistory(10));
+
+  test('uses annual origins after the minimum training window', () => {
+    const result = rollingOriginBacktest(series, { horizonsYears: [1, 3], minTrainMonths: 36 });
+
+    // Last origin leaves one year for the 1-year horizon
+    expect(result.origins).toBe(6);
+    expect(result.models.linear.byHorizon[1].n).toBeGreaterThan(result.models.linear.byHorizon[3].n);
+  });
+
+  test('ranks a seasonal model ahead of linear on seasonal data', () => {
+    const result = rollingOriginBacktest(series);
+
+    expect(['stl', 'holt-winters']).toContain(result.bestModel);
+    expect(result.ranking.indexOf('linear')).toBeGreaterThan(0);
+  });
+
+  test('evaluates only the requested models', () => {
+    const result = rollingOriginBacktest(series, { models: ['linear'] });
+    expect(Object.keys(result.models)).toEqual(['linear']);
+    expect(result.bestModel).toBe('linear');
+  });
+});
+
+describe('backtestHistory', () => {
+  test('produces a readable report', () => {
+    const result = backtestHistory(quarterlyHistory(8));
+
+    expect(result.dataRange).toEqual({ start: '2014-01', end: '2021-11' });
+    expect(result.report[0]).toMatch(/Rolling-origin backtest over \d+ origins/);
+    expect(result.report[result.report.length - 1]).toMatch(/Most accurate overall/);
+  });
+
+  test('explains when the record is too short', () => {
+    const result = backtestHistory(quarterlyHistory(2));
+
+    expect(result.origins).toBe(0);
+    expect(result.bestModel).toBeNull();
+    expect(result.report[0]).toMatch(/Not enough history/);
+  });
+});
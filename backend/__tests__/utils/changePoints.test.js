@@ -0,0 +1,64 @@
+/**
+ * Tests for regime-shift (change-point) detection
+ */
+import { describe, test, expect } from '@jest/globals';
+import { detectChangePoints, peltSegments, deseasonalize } from '../../utils/changePoints.js';
+
+// Quarterly readings with a seasonal swing; the trend steepens from `breakYear` on
+function history({ years = 10, breakYear = null, before = 0.1, after = 1 } = {}) {
+  const out = [];
+  for (let y = 0; y < years; y++) {
+    for (const m of [0, 4, 7, 10]) {
+      const t = y + m / 12;
+      const seasonal = m === 7 ? -1.5 : m === 10 ? -0.8 : 0;
+      const trend = breakYear === null || t < breakYear
+        ? before * t
+        : before * breakYear + after * (t - breakYear);
+      const noise = ((y * 7 + m) % 5 - 2) * 0.05;
+      out.push({
+        date: new Date(Date.UTC(2014 + y, m, 15)).toISOString().split('T')[0],
+        waterLevel: 10 + trend + seasonal + noise,
+      });
+    }
+  }
+  return out;
+}
+
+describe('Change points', () => {
+  test('peltSegments splits a clear step', () => {
+    const x = Array.from({ length: 20 }, (_, i) => i);
+    const y = x.map((i) => (i < 10 ? 0 : 5));
+    expect(peltSegments(x, y, { penalty: 1, minPoints: 4 })).toEqual([[0, 10], [10, 20]]);
+  });
+
+  test('deseasonalize removes a repeating monthly offset', () => {
+    const x = [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5];
+    const months = [1, 7, 7, 1, 1, 7, 7, 1];
+    const y = [10, 8, 8, 10, 10, 8, 8, 10];
+    const adjusted = deseasonalize(x, y, months);
+    expect(Math.max(...adjusted) - Math.min(...adjusted)).toBeLessThan(0.01);
+  });
+
+  test('detects the year a decline accelerates', () => {
+    const result = detectChangePoints(history({ breakYear: 5 }));
+    expect(result.breakpoints).toHaveLength(1);
+    expect(result.breakpoints[0].date.slice(0, 4)).toBe('2019');
+    expect(result.breakpoints[0].slopeChange).toBeGreaterThan(0.5);
+    const last = result.segments[result.segments.length - 1];
+    expect(last.slope).toBeCloseTo(1, 0);
+    expect(result.note).toBeNull();
+  });
+
+  test('a single steady trend has no breakpoints', () => {
+    const result = detectChangePoints(history());
+    expect(result.breakpoints).toEqual([]);
+    expect(result.segments).toHaveLength(1);
+    expect(result.note).toMatch(/No regime shift/);
+  });
+
+  test('short records are not segmented', () => {
+    const result = detectChangePoints(history({ years: 3 }));
+    expect(result.segments).toEqual([]);
+    expect(result.note).toMatch(/at least 16 readings/);
+  });
+});
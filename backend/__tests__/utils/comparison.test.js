@@ -0,0 +1,107 @@
+/**
+ * Tests for multi-site comparison
+ */
+import { describe, test, expect } from '@jest/globals';
+import { alignSeries, analyzeSite, rankSites, resolveSite } from '../../utils/comparison.js';
+import { analyzeLocation } from '../../utils/locationAnalysis.js';
+import { createMockQuarterlyHistory } from './testHelpers.js';
+
+// A station km kilometres north of the sites below
+const at = (km) => ({ latitude: 26.9 + km / 111.195, longitude: 75.8, distance: km });
+
+const result = (label, category, slope, level, forecast) => ({
+  label,
+  stress: { category },
+  trend: { theilSenSlope: slope },
+  currentLevel: level,
+  forecast: { predictions: [{ predictedLevel: forecast }] },
+});
+
+describe('Site comparison', () => {
+  test('resolveSite accepts districts case-insensitively and reports unknown ones', () => {
+    expect(resolveSite({ state: 'rajasthan', district: 'JAIPUR' }, 0)).toMatchObject({
+      kind: 'district',
+      district: 'Jaipur',
+      state: 'Rajasthan',
+      label: 'Jaipur, Rajasthan',
+    });
+    expect(resolveSite({ state: 'Rajasthan', district: 'Atlantis', label: 'X' }, 1)).toEqual({
+      label: 'X',
+      error: 'District not found',
+    });
+  });
+
+  test('analyzeSite runs trend, stress and forecast on the nearest station', () => {
+    const stations = new Map([
+      ['far', { stationCode: 'far', name: 'far', ...at(9), wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(5, 0) }],
+      ['near', { stationCode: 'near', name: 'near', ...at(1), wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(10, 1) }],
+    ]);
+    const site = { label: 'Borewell A', kind: 'point', district: 'Jaipur', state: 'Rajasthan', latitude: 26.9, longitude: 75.8 };
+    const analysed = analyzeSite(site, stations, { date: '2024-01-01' });
+
+    expect(analysed.source).toBe('nearest station');
+    expect(analysed.station.stationCode).toBe('near');
+    expect(analysed.trend.direction).toBe('declining');
+    expect(analysed.trend.theilSenSlope).toBeCloseTo(1, 1);
+    expect(analysed.stress.category).toBe('Over-exploited');
+    expect(analysed.forecast.predictions.length).toBeGreaterThan(0);
+  });
+
+  test('analyzeSite reports the trend and forecast of the water-level analysis', () => {
+    const stations = new Map([
+      ['a', { stationCode: 'a', name: 'a', ...at(1), wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(12, 0.4) }],
+      ['b', { stationCode: 'b', name: 'b', ...at(3), wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(20, -0.2) }],
+    ]);
+    const site = { label: 'P', kind: 'point', district: 'Jaipur', state: 'Rajasthan', latitude: 26.9, longitude: 75.8 };
+    const analysed = analyzeSite(site, stations, { date: '2024-01-01', model: 'auto' });
+    const report = analyzeLocation(stations, { latitude: 26.9, longitude: 75.8, state: 'Rajasthan', district: 'Jaipur', date: '2024-01-01', model: 'auto' });
+
+    expect(analysed.trend.annualDeclineRate).toBeCloseTo(report.trend.slope, 3);
+    expect(analysed.stress.category).toBe(report.stressAnalysis.category);
+    expect(analysed.forecast).toEqual(report.predictions.futureWaterLevels);
+  });
+
+  test('analyzeSite averages the aquifer of the station nearest a district centre', () => {
+    const stations = new Map([
+      ['a', { stationCode: 'a', ...at(1), wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(10, 0) }],
+      ['b', { stationCode: 'b', ...at(2), wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(20, 0) }],
+      ['c', { stationCode: 'c', ...at(3), wellAquiferType: 'Confined', history: createMockQuarterlyHistory(90, 0) }],
+    ]);
+    const site = { label: 'D', kind: 'district', district: 'Jaipur', state: 'Rajasthan', latitude: 26.9, longitude: 75.8 };
+    const analysed = analyzeSite(site, stations, { date: '2024-01-01' });
+
+    expect(analysed.source).toBe('district average');
+    expect(analysed.station).toBeNull();
+    // Mean of a and b; the confined well c is left out
+    expect(analysed.currentLevel).toBeCloseTo(15, 0);
+  });
+
+  test('analyzeSite reports short histories instead of failing', () => {
+    const stations = new Map([['s', { stationCode: 's', ...at(1), history: createMockQuarterlyHistory(5, 0).slice(0, 2) }]]);
+    const site = { label: 'S', kind: 'point', district: 'Jaipur', state: 'Rajasthan', latitude: 26.9, longitude: 75.8 };
+    expect(analyzeSite(site, stations, { date: '2024-01-01' }).error).toMatch(/at least 3 readings/);
+  });
+
+  test('alignSeries puts annual means on one axis with gaps as null', () => {
+    const aligned = alignSeries([
+      { label: 'a', history: [{ date: '2020-01-01', waterLevel: 4 }, { date: '2020-06-01', waterLevel: 6 }] },
+      { label: 'b', history: [{ date: '2021-03-01', waterLevel: 9 }] },
+    ]);
+    expect(aligned.years).toEqual([2020, 2021]);
+    expect(aligned.series).toEqual([
+      { label: 'a', values: [5, null] },
+      { label: 'b', values: [null, 9] },
+    ]);
+  });
+
+  test('rankSites orders by the chosen criterion and breaks ties with the next', () => {
+    const results = [
+      result('deep', 'Safe', 0.1, 40, 41),
+      result('falling', 'Critical', 1.2, 8, 14),
+      result('shallow', 'Safe', 0.1, 6, 7),
+    ];
+    expect(rankSites(results, 'stress').map((r) => r.label)).toEqual(['shallow', 'deep', 'falling']);
+    expect(rankSites(results, 'depth').map((r) => r.label)).toEqual(['shallow', 'falling', 'deep']);
+    expect(rankSites(results, 'forecast')[0]).toMatchObject({ rank: 1, label: 'shallow', forecastLevel: 7 });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Tests for the groundwater data-source layer
+ */
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getDataSource, resetDataSources, normalizeRecord } from '../../utils/dataSources/index.js';
+import { createFixtureDataSource, parseCsv, toSlug } from '../../utils/dataSources/fixture.js';
+import { buildWrisUrl, isLastPage, createWrisDataSource } from '../../utils/dataSources/wris.js';
+import { circuitBreaker } from '../../utils/circuitBreaker.js';
+
+
+describe('normalizeRecord', () => {
+  test('normalises a WRIS row', () => {
+    const { valid, record } = normalizeRecord({
+      stationCode: 'W01',
+      stationName: 'Sanganer',
+      latitude: '26.82',
+      longitude: '75.79',
+      wellDepth: '30',
+      dataValue: '21.40',
+      dataTime: '2019-05-10T12:00:00',
+    });
+
+    expect(valid).toBe(true);
+    expect(record).toEqual({
+      stationCode: 'W01',
+      stationName: 'Sanganer',
+      latitude: 26.82,
+      longitude: 75.79,
+      wellType: 'Unknown',
+      wellDepth: 30,
+      wellAquiferType: 'Unknown',
+      date: '2019-05-10',
+      waterLevel: 21.4,
+    });
+  });
+
+  test('accepts alternate field names from older dumps', () => {
+    const { valid, record } = normalizeRecord({
+      station_code: 'X9',
+      lat: 12.5,
+      Longitude: 77.1,
+      waterLevel: 8,
+      DataTime: '2022-02-02',
+    });
+    expect(valid).toBe(true);
+    expect(record.stationCode).toBe('X9');
+    expect(record.date).toBe('2022-02-02');
+  });
+
+  test('reports why a row was rejected', () => {
+    const base = { stationCode: 'W1', latitude: 1, longitude: 1, dataValue: 5, dataTime: '2020-01-01' };
+    expect(normalizeRecord(null).reason).toBe('invalidRow');
+    expect(normalizeRecord({ ...base, stationCode: undefined }).reason).toBe('invalidRow');
+    expect(normalizeRecord({ ...base, dataValue: 'NA' }).reason).toBe('invalidWaterLevel');
+    expect(normalizeRecord({ ...base, latitude: '' }).reason).toBe('invalidCoords');
+    expect(normalizeRecord({ ...base, dataTime: 'garbage' }).reason).toBe('invalidDate');
+  });
+});
+
+describe('buildWrisUrl', () => {
+  test('encodes state and district and uses one page size', () => {
+    const url = buildWrisUrl({
+      state: 'Tamil Nadu',
+      district: 'Chennai',
+      start: new Date('2015-01-01'),
+      end: new Date('2025-01-01'),
+    });
+    expect(url).toContain('stateName=Tamil%20Nadu');
+    expect(url).toContain('districtName=Chennai');
+    expect(url).toContain('startdate=2015-01-01');
+    expect(url).toContain('enddate=2025-01-01');
+    expect(url).toContain('size=10000');
+  });
+});
+
+describe('WRIS pagination', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    circuitBreaker.reset();
+  });
+
+  const row = (i) => ({ stationCode: `W${i}`, dataValue: '10', latitude: '26.9', longitude: '75.8', dataTime: '2020-01-01' });
+
+  // Serves `total` rows in pages of the requested size
+  const mockWris = (total) => {
+    global.fetch = jest.fn(async (url) => {
+      const params = new URL(url).searchParams;
+      const page = Number(params.get('page'));
+      const size = Number(params.get('size'));
+      const count = Math.max(0, Math.min(size, total - page * size));
+      return { ok: true, status: 200, json: async () => ({ data: Array.from({ length: count }, (_, i) => row(page * size + i)) }) };
+    });
+  };
+
+  const params = { state: 'Rajasthan', district: 'Jaipur', start: new Date('2015-01-01'), end: new Date('2025-01-01') };
+
+  test('isLastPage uses totalPages when WRIS reports it, else a short page', () => {
+    expect(isLastPage({ data: [1, 2], totalPages: 3 }, 1, 2)).toBe(false);
+    expect(isLastPage({ data: [1, 2], totalPages: 3 }, 2, 2)).toBe(true);
+    expect(isLastPage({ data: [1, 2] }, 0, 2)).toBe(false);
+    expect(isLastPage({ data: [1] }, 0, 2)).toBe(true);
+    expect(isLastPage({ data: [] }, 0, 2)).toBe(true);
+  });
+
+  test('follows pages until a short page and accumulates rows', async () => {
+    mockWris(5);
+    const result = await createWrisDataSource().fetchDistrict(params, { pageSize: 2 });
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ pages: 3, rows: 5, truncated: false });
+    expect(result.data.map((r) => r.stationCode)).toEqual(['W0', 'W1', 'W2', 'W3', 'W4']);
+  });
+
+  test('streams pages to onPage without accumulating', async () => {
+    mockWris(4);
+    const seen = [];
+    const result = await createWrisDataSource().fetchDistrict(params, {
+      pageSize: 2,
+      onPage: (rows, { page }) => seen.push([page, rows.length]),
+    });
+
+    // An exact multiple needs one empty page to confirm the end
+    expect(seen).toEqual([[0, 2], [1, 2], [2, 0]]);
+    expect(result.data).toEqual([]);
+    expect(result.rows).toBe(4);
+  });
+
+  test('keeps a separate circuit per caller', async () => {
+    mockWris(1);
+    const execute = jest.spyOn(circuitBreaker, 'execute');
+    try {
+      await createWrisDataSource().fetchDistrict(params);
+      await createWrisDataSource().fetchDistrict(params, { circuit: 'wris-ingestion' });
+      expect(execute.mock.calls.map(([key]) => key)).toEqual(['wris-api', 'wris-ingestion']);
+    } finally {
+      execute.mockRestore();
+    }
+  });
+
+  test('does not fall back once pages have been delivered', async () => {
+    let calls = 0;
+    global.fetch = jest.fn(async () => {
+      calls++;
+      if (calls > 1) return { ok: false, status: 500 };
+      return { ok: true, status: 200, json: async () => ({ data: [row(0), row(1)] }) };
+    });
+    const fallback = jest.fn(async () => ({ data: [] }));
+
+    await expect(
+      createWrisDataSource().fetchDistrict(params, { pageSize: 2, onPage: () => {}, fallback })
+    ).rejects.toThrow('status 500');
+    expect(fallback).not.toHaveBeenCalled();
+  });
+});
+
+describe('fixture data source', () => {
+  const source = createFixtureDataSource();
+
+  test('is never persisted to the observation store', () => {
+    expect(source.persistable).toBe(false);
+  });
+
+  test('reads JSON dumps and filters by date range', async () => {
+    const all = await source.fetchDistrict({ state: 'Rajasthan', district: 'Jaipur' });
+    expect(all.data).toHaveLength(5);
+
+    const ranged = await source.fetchDistrict({
+      state: 'Rajasthan',
+      district: 'Jaipur',
+      start: new Date('2020-01-01'),
+      end: new Date('2020-12-31'),
+    });
+    expect(ranged.data.map((r) => r.dataTime.slice(0, 10))).toEqual(['2020-05-08', '2020-05-08']);
+  });
+
+  test('filters on the date the normaliser reads, whatever the field is called', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'wris-fixture-'));
+    try {
+      await mkdir(path.join(dir, 'rajasthan'));
+      const row = { stationCode: 'W1', dataValue: '10', latitude: '26.9', longitude: '75.8' };
+      await writeFile(path.join(dir, 'rajasthan', 'jaipur.json'), JSON.stringify([
+        { ...row, DataTime: '2018-05-01T00:00:00' },
+        { ...row, timestamp: '2020-05-01' },
+        { ...row, datatime: '2022-05-01' },
+      ]));
+      const { data } = await createFixtureDataSource({ dir }).fetchDistrict({
+        state: 'Rajasthan',
+        district: 'Jaipur',
+        start: new Date('2019-01-01'),
+        end: new Date('2021-01-01'),
+      });
+      expect(data).toEqual([{ ...row, timestamp: '2020-05-01' }]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reads CSV dumps through the same normaliser', async () => {
+    const { data } = await source.fetchDistrict({ state: 'Tamil Nadu', district: 'Chennai' });
+    const records = data.map((row) => normalizeRecord(row)).filter((r) => r.valid).map((r) => r.record);
+
+    expect(records).toHaveLength(3);
+    expect(records[0].stationName).toBe('Adyar, South');
+    expect(records[2].wellAquiferType).toBe('Confined');
+  });
+
+  test('serves a recording as one page', async () => {
+    const pages = [];
+    const result = await source.fetchDistrict({ state: 'Rajasthan', district: 'Jaipur' }, { onPage: (rows) => pages.push(rows.length) });
+    expect(pages).toEqual([5]);
+    expect(result).toMatchObject({ data: [], pages: 1, rows: 5 });
+  });
+
+  test('throws a descriptive error for a missing fixture', async () => {
+    await expect(source.fetchDistrict({ state: 'Punjab', district: 'Ludhiana' })).rejects.toThrow('No fixture found for Ludhiana, Punjab');
+  });
+});
+
+describe('fixture helpers', () => {
+  test('toSlug matches the district file naming', () => {
+    expect(toSlug('Uttar Pradesh')).toBe('uttar-pradesh');
+    expect(toSlug('Sri Potti Sriramulu Nellore')).toBe('sri-potti-sriramulu-nellore');
+  });
+
+  test('parseCsv handles quoted commas and escaped quotes', () => {
+    expect(parseCsv('a,b\n"x, y","say ""hi"""\n')).toEqual([{ a: 'x, y', b: 'say "hi"' }]);
+  });
+});
+
+describe('getDataSource', () => {
+  const original = process.env.GROUNDWATER_DATA_SOURCE;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.GROUNDWATER_DATA_SOURCE;
+    else process.env.GROUNDWATER_DATA_SOURCE = original;
+    resetDataSources();
+  });
+
+  test('defaults to WRIS', () => {
+    delete process.env.GROUNDWATER_DATA_SOURCE;
+    expect(getDataSource().name).toBe('wris');
+    expect(getDataSource().persistable).toBe(true);
+  });
+
+  test('switches to the fixture source from the environment', () => {
+    process.env.GROUNDWATER_DATA_SOURCE = 'fixture';
+    expect(getDataSource().name).toBe('fixture');
+  });
+
+  test('rejects unknown sources', () => {
+    process.env.GROUNDWATER_DATA_SOURCE = 'ftp';
+    expect(() => getDataSource()).toThrow('Unknown GROUNDWATER_DATA_SOURCE');
+  });
+});
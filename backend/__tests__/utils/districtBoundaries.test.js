@@ -0,0 +1,81 @@
+/**
+ * Tests for district boundary polygons and point-in-polygon lookup
+ */
+import { describe, test, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import {
+  buildBoundaryIndex,
+  findDistrictByPoint,
+  getDistrictBoundary,
+  pointInGeometry,
+  pointInRing
+} from '../../utils/districtBoundaries.js';
+
+const square = (minLon, minLat, maxLon, maxLat) => [
+  [minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat],
+];
+
+const feature = (properties, coordinates, type = 'Polygon') => ({
+  type: 'Feature',
+  properties,
+  geometry: { type, coordinates },
+});
+
+// Jaipur and Dausa meet at 76°E, west of the midpoint between their centroids
+const index = buildBoundaryIndex({
+  type: 'FeatureCollection',
+  features: [
+    feature({ DISTRICT: 'JAIPUR', ST_NM: 'Rajasthan' }, [square(75, 26.3, 76, 27.5)]),
+    feature({ district: 'Dausa', state: 'rajasthan' }, [square(76, 26.3, 76.8, 27.3)]),
+    feature({ NAME_2: 'Atlantis', NAME_1: 'Nowhere' }, [square(0, 0, 1, 1)]),
+  ],
+});
+
+describe('District boundaries', () => {
+  test('pointInRing uses ray casting', () => {
+    const ring = square(0, 0, 2, 2);
+    expect(pointInRing(1, 1, ring)).toBe(true);
+    expect(pointInRing(3, 1, ring)).toBe(false);
+  });
+
+  test('pointInGeometry excludes holes and covers every MultiPolygon part', () => {
+    const withHole = { type: 'Polygon', coordinates: [square(0, 0, 4, 4), square(1, 1, 2, 2)] };
+    expect(pointInGeometry(0.5, 0.5, withHole)).toBe(true);
+    expect(pointInGeometry(1.5, 1.5, withHole)).toBe(false);
+
+    const parts = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], [square(5, 5, 6, 6)]] };
+    expect(pointInGeometry(5.5, 5.5, parts)).toBe(true);
+    expect(pointInGeometry(3, 3, parts)).toBe(false);
+  });
+
+  test('buildBoundaryIndex matches features to canonical district names', () => {
+    expect(index.entries.map((e) => e.district.name)).toEqual(['Jaipur', 'Dausa']);
+    expect(index.unmatched).toEqual(['Atlantis, Nowhere']);
+  });
+
+  test('findDistrictByPoint returns the containing district, not the nearest centroid', () => {
+    // 76.05°E is nearer Jaipur's centroid but inside Dausa
+    expect(findDistrictByPoint(26.9, 76.05, index)).toMatchObject({ name: 'Dausa', state: 'Rajasthan' });
+    expect(findDistrictByPoint(26.9, 75.5, index)).toMatchObject({ name: 'Jaipur' });
+    expect(findDistrictByPoint(20, 80, index)).toBeNull();
+  });
+
+  test('matches names in the DataMeet and GADM spellings', () => {
+    const sample = JSON.parse(readFileSync(new URL('../../data/fixtures/district-boundaries-sample.geojson', import.meta.url), 'utf8'));
+    const real = buildBoundaryIndex(sample);
+
+    // "MEDCHAL MALKAJGIRI, TELANGANA" is Medchal-Malkajgiri; Hyderabad on a pre-2014 map is not in Andhra Pradesh
+    expect(real.entries.map((e) => e.district.name)).toEqual(['Medchal-Malkajgiri', 'Hyderabad', 'Chennai']);
+    expect(real.unmatched).toEqual(['HYDERABAD, Andhra Pradesh']);
+    expect(findDistrictByPoint(17.6, 78.5, real)).toMatchObject({ name: 'Medchal-Malkajgiri', state: 'Telangana' });
+    expect(findDistrictByPoint(17.39, 78.48, real)).toMatchObject({ name: 'Hyderabad' });
+    expect(findDistrictByPoint(13.11, 80.34, real)).toMatchObject({ name: 'Chennai', state: 'Tamil Nadu' });
+  });
+
+  test('getDistrictBoundary returns a GeoJSON Feature', () => {
+    const boundary = getDistrictBoundary('Dausa', 'Rajasthan', index);
+    expect(boundary).toMatchObject({ type: 'Feature', bbox: [76, 26.3, 76.8, 27.3], properties: { district: 'Dausa' } });
+    expect(boundary.geometry.type).toBe('Polygon');
+    expect(getDistrictBoundary('Ajmer', 'Rajasthan', index)).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for whole-district summary statistics
+ */
+import { describe, test, expect } from '@jest/globals';
+import { districtCategory, quantile, summarizeDistrict } from '../../utils/districtSummary.js';
+import { createMockQuarterlyHistory } from './testHelpers.js';
+
+const stations = (...specs) =>
+  new Map(specs.map(([code, start, rate, readings], i) => [
+    code,
+    { stationCode: code, name: code, wellType: 'Dug Well', wellAquiferType: 'Unconfined', distance: i, history: readings ?? createMockQuarterlyHistory(start, rate) },
+  ]));
+
+describe('District summary', () => {
+  test('quantile interpolates between sorted values', () => {
+    expect(quantile([1, 2, 3, 4, 5], 0.25)).toBe(2);
+    expect(quantile([0, 10], 0.75)).toBe(7.5);
+  });
+
+  test('districtCategory takes the median station category', () => {
+    expect(districtCategory(['Safe', 'Critical', 'Over-exploited'])).toBe('Critical');
+    expect(districtCategory(['Safe', 'Semi-critical', null])).toBe('Semi-critical');
+    expect(districtCategory([null])).toBeNull();
+  });
+
+  test('covers every station with depths, trends and stress', () => {
+    const summary = summarizeDistrict(stations(
+      ['flat', 4, 0],
+      ['slow', 12, 0.3],
+      ['fast', 30, 1.5],
+      ['short', 50, 0, createMockQuarterlyHistory(50, 0).slice(0, 2)]
+    ));
+
+    expect(summary.stationCount).toBe(4);
+    expect(summary.currentDepth.median).toBeCloseTo(29.85, 2);
+    expect(summary.currentDepth.bands.map((b) => b.stations)).toEqual([1, 0, 1, 0, 2]);
+    expect(summary.trends).toMatchObject({ stationsWithTrend: 3, declining: 2, stable: 1 });
+    expect(summary.trends.decliningShare).toBeCloseTo(0.667, 3);
+
+    // Steepest decline first; stations without a trend last
+    expect(summary.stations.map((s) => s.stationCode)).toEqual(['fast', 'slow', 'flat', 'short']);
+    expect(summary.stations[0].slope).toBeCloseTo(1.5, 1);
+    expect(summary.stations[3]).toMatchObject({ slope: null, category: null, readings: 2 });
+
+    expect(summary.stress.stationsAssessed).toBe(3);
+    expect(summary.stress.category).toBe(districtCategory(summary.stations.map((s) => s.category)));
+  });
+});
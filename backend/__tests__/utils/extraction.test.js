@@ -0,0 +1,90 @@
+/**
+ * Tests for stage of groundwater extraction estimates
+ */
+import { describe, test, expect } from '@jest/globals';
+import example from '../../data/extraction-inputs.example.json' with { type: 'json' };
+import {
+  computeRechargePattern,
+  computeStageOfExtraction,
+  estimateAnnualRecharge,
+  extractionCategory,
+  getExtractionInputs,
+} from '../../utils/extraction.js';
+
+const INPUTS = {
+  state: 'Test',
+  district: 'Sample',
+  specificYield: 0.1,
+  rechargeAreaHa: 1000,
+  annualDraftHam: 200,
+  monsoonDraftHam: 50,
+  nonMonsoonRechargeHam: 30,
+  naturalDischargeFraction: 0.1,
+};
+
+function pattern(rises) {
+  return rises.map((rise, i) => ({
+    year: 2020 + i,
+    preMonsoonDepth: '12.00',
+    postMonsoonDepth: (12 - rise).toFixed(2),
+    rechargeAmount: rise.toFixed(2),
+  }));
+}
+
+describe('Stage of Groundwater Extraction', () => {
+  test('computeRechargePattern pairs pre- and post-monsoon means per year', () => {
+    const result = computeRechargePattern([
+      { date: '2021-04-10', waterLevel: 14 },
+      { date: '2021-05-10', waterLevel: 16 },
+      { date: '2021-11-10', waterLevel: 11 },
+      { date: '2022-04-10', waterLevel: 15 }, // no post-monsoon reading
+    ]);
+    expect(result).toEqual([
+      { year: 2021, preMonsoonDepth: '15.00', postMonsoonDepth: '11.00', rechargeAmount: '4.00' },
+    ]);
+  });
+
+  test('recharge follows h × Sy × A plus monsoon draft', () => {
+    // 2 m × 0.1 × 1000 ha = 200 ham, + 50 ham monsoon draft
+    const recharge = estimateAnnualRecharge(pattern([2, 2]), INPUTS);
+    expect(recharge.monsoonRechargeHam).toBe(250);
+    expect(recharge.annualRechargeHam).toBe(280);
+  });
+
+  test('a post-monsoon fall contributes no fluctuation recharge', () => {
+    const recharge = estimateAnnualRecharge(pattern([-1]), INPUTS);
+    expect(recharge.fluctuationM).toBe(0);
+    expect(recharge.monsoonRechargeHam).toBe(50);
+  });
+
+  test('stage of extraction is draft over extractable resource', () => {
+    const result = computeStageOfExtraction(pattern([2]), INPUTS);
+    // Extractable = 280 × 0.9 = 252 ham; 200 / 252 = 79.4%
+    expect(result.extractableResourceHam).toBe(252);
+    expect(result.stageOfExtraction).toBeCloseTo(79.4, 1);
+    expect(result.category).toBe('Semi-critical');
+  });
+
+  test('categories follow the GEC-2015 bands', () => {
+    expect(extractionCategory(65)).toBe('Safe');
+    expect(extractionCategory(70)).toBe('Safe');
+    expect(extractionCategory(85)).toBe('Semi-critical');
+    expect(extractionCategory(95)).toBe('Critical');
+    expect(extractionCategory(140)).toBe('Over-exploited');
+  });
+
+  test('no pre/post pair leaves the stage undefined', () => {
+    const result = computeStageOfExtraction([], INPUTS);
+    expect(result.stageOfExtraction).toBeNull();
+    expect(result.note).toMatch(/cannot be estimated/);
+  });
+
+  test('district inputs are looked up case-insensitively', () => {
+    expect(getExtractionInputs('rajasthan', 'JAIPUR', example.districts)).toMatchObject({ district: 'Jaipur' });
+    expect(getExtractionInputs('Rajasthan', 'Nowhere', example.districts)).toBeNull();
+  });
+
+  test('no district has inputs until assessed values are added', () => {
+    expect(getExtractionInputs('Rajasthan', 'Jaipur')).toBeNull();
+  });
+});
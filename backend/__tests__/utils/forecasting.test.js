@@ -0,0 +1,160 @@
+/**
+ * Tests for the forecasting model registry
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  toMonthlySeries,
+  fitModel,
+  eligibleModels,
+  stepsAhead,
+} from '../../utils/forecasting.js';
+import { selectModelByBacktest } from '../../utils/backtest.js';
+import { computeFutureWaterLevels } from '../../utils/predictions.js';
+
+// Monthly hydrograph: slow decline plus a monsoon cycle
+const seasonalLevel = (t) => 10 + 0.05 * t + 2 * Math.sin((2 * Math.PI * t) / 12);
+
+const monthlyHistory = (months) =>
+  Array.from({ length: months }, (_, t) => {
+    const year = 2015 + Math.floor(t / 12);
+    const month = String((t % 12) + 1).padStart(2, '0');
+    return { date: `${year}-${month}-15`, waterLevel: seasonalLevel(t) };
+  });
+
+describe('toMonthlySeries', () => {
+  test('averages readings per month and fills gaps linearly', () => {
+    const series = toMonthlySeries([
+      { date: '2020-01-10', waterLevel: 10 },
+      { date: '2020-01-20', waterLevel: 12 },
+      { date: '2020-04-05', waterLevel: 14 },
+    ]);
+
+    expect(series.start).toBe('2020-01');
+    expect(series.values).toEqual([11, 12, 13, 14]);
+    expect(series.observed).toEqual([true, false, false, true]);
+  });
+
+  test('keeps only the latest segment after a long gap', () => {
+    const series = toMonthlySeries([
+      { date: '2005-01-15', waterLevel: 5 },
+      { date: '2020-01-15', waterLevel: 10 },
+      { date: '2020-02-15', waterLevel: 11 },
+    ]);
+    expect(series.start).toBe('2020-01');
+    expect(series.values).toEqual([10, 11]);
+  });
+});
+
+describe('forecast models', () => {
+  const series = toMonthlySeries(monthlyHistory(72));
+
+  test('seasonal models only become eligible with two years of data', () => {
+    expect(eligibleModels(12)).toEqual(['linear', 'damped-trend']);
+    expect(eligibleModels(24)).toEqual(['linear', 'holt-winters', 'stl', 'damped-trend']);
+  });
+
+  test.each(['holt-winters', 'stl'])('%s follows the seasonal cycle', (name) => {
+    const forecast = fitModel(name, series.values);
+    for (const h of [1, 4, 7, 12]) {
+      expect(forecast(h)).toBeCloseTo(seasonalLevel(71 + h), 0);
+    }
+  });
+
+  test('linear model extrapolates the average trend', () => {
+    const forecast = fitModel('linear', [1, 2, 3, 4]);
+    expect(forecast(2)).toBeCloseTo(6);
+  });
+
+  test('damped trend grows less than the linear trend over long horizons', () => {
+    const values = Array.from({ length: 24 }, (_, t) => 10 + 0.2 * t);
+    const damped = fitModel('damped-trend', values);
+    const linear = fitModel('linear', values);
+    expect(damped(60)).toBeLessThan(linear(60));
+    expect(damped(60)).toBeGreaterThan(values[values.length - 1]);
+  });
+
+  test('rejects unknown models and short series', () => {
+    expect(() => fitModel('arima', series.values)).toThrow('Unknown forecast model');
+    expect(() => fitModel('stl', series.values.slice(0, 10))).toThrow('at least 24 months');
+  });
+
+  test('backtest prefers a seasonal model on seasonal data', () => {
+    const { model, scores } = selectModelByBacktest(series);
+    expect(['holt-winters', 'stl']).toContain(model);
+    expect(scores[model]).toBeLessThan(scores.linear);
+  });
+
+  test.each(['linear', 'holt-winters', 'stl', 'damped-trend'])('%s reports its errors and their growth with horizon', (name) => {
+    const forecast = fitModel(name, series.values);
+    expect(forecast.residuals).toHaveLength(series.values.length);
+    expect(forecast.residuals.filter((e) => e !== null).length).toBeGreaterThan(24);
+    expect(forecast.errorGrowth(1)).toBeGreaterThanOrEqual(1);
+    expect(forecast.errorGrowth(24)).toBeGreaterThan(forecast.errorGrowth(1));
+  });
+
+  test('stepsAhead counts months from the end of the series', () => {
+    expect(stepsAhead(series, new Date('2021-01-15'))).toBe(1);
+    expect(stepsAhead(series, new Date('2022-01-15'))).toBe(13);
+  });
+});
+
+describe('computeFutureWaterLevels model option', () => {
+  const history = monthlyHistory(72);
+  const baseDate = new Date('2021-01-15');
+
+  test('defaults to the linear model', () => {
+    const result = computeFutureWaterLevels(history, 0.6, 13.6, baseDate);
+    expect(result.model).toBe('linear');
+    expect(result.predictions[0].predictedLevel).toBeCloseTo(14.2);
+  });
+
+  test('reports the model chosen by auto', () => {
+    const result = computeFutureWaterLevels(history, 0.6, 13.6, baseDate, { model: 'auto' });
+    expect(['holt-winters', 'stl']).toContain(result.model);
+    expect(result.requestedModel).toBe('auto');
+    expect(result.modelSelection.scores).toHaveProperty('linear');
+    expect(result.predictions).toHaveLength(4);
+  });
+
+  test('falls back to linear when the record is too short', () => {
+    const result = computeFutureWaterLevels(history.slice(0, 6), 0.1, 10, baseDate, { model: 'holt-winters' });
+    expect(result.model).toBe('linear');
+    expect(result.requestedModel).toBe('holt-winters');
+    expect(result.note).toMatch(/needs 24 months/);
+  });
+
+  test('rejects unknown models', () => {
+    expect(() => computeFutureWaterLevels(history, 0.6, 13.6, baseDate, { model: 'prophet' })).toThrow('Invalid model');
+  });
+
+  test('attaches prediction intervals at the requested levels', () => {
+    const result = computeFutureWaterLevels(history, 0.6, 13.6, baseDate, { intervals: [80, 95] });
+    const [oneYear, , , fiveYear] = result.predictions;
+
+    expect(oneYear.intervals.map((i) => i.level)).toEqual([80, 95]);
+    for (const { lower, upper } of oneYear.intervals) {
+      expect(lower).toBeLessThan(oneYear.predictedLevel);
+      expect(upper).toBeGreaterThan(oneYear.predictedLevel);
+    }
+    // 95% band wider than 80%, and further horizons wider than nearer ones
+    const width = (p, i) => p.intervals[i].upper - p.intervals[i].lower;
+    expect(width(oneYear, 1)).toBeGreaterThan(width(oneYear, 0));
+    expect(width(fiveYear, 1)).toBeGreaterThan(width(oneYear, 1));
+    expect(result.intervalMethod).toMatch(/standard error/);
+  });
+
+  test('takes intervals from the errors of the model that made the forecast', () => {
+    const linear = computeFutureWaterLevels(history, 0.6, 13.6, baseDate, { intervals: [95] });
+    const seasonal = computeFutureWaterLevels(history, 0.6, 13.6, baseDate, { model: 'holt-winters', intervals: [95] });
+    const width = (p) => p.intervals[0].upper - p.intervals[0].lower;
+
+    expect(seasonal.intervalMethod).toMatch(/^Holt-Winters .* in-sample error/);
+    // The seasonal model explains the monsoon swing the trend line leaves in its residuals
+    expect(width(seasonal.predictions[0])).toBeLessThan(width(linear.predictions[0]));
+    expect(width(seasonal.predictions[3])).toBeGreaterThan(width(seasonal.predictions[0]));
+    for (const p of seasonal.predictions) {
+      expect(p.intervals[0].lower).toBeLessThanOrEqual(p.predictedLevel);
+      expect(p.intervals[0].upper).toBeGreaterThanOrEqual(p.predictedLevel);
+    }
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests for the background ingestion job that do not need a live database
+ */
+import { describe, test, expect } from '@jest/globals';
+import { runIngestion, getIngestionStatus, isIngestionRunning } from '../../utils/ingestion.js';
+import { ALL_DISTRICTS, DISTRICTS_BY_STATE } from '../../data/districts/index.js';
+
+describe('runIngestion', () => {
+  test('refuses to run without a MongoDB connection', async () => {
+    await expect(runIngestion({ state: 'Rajasthan' })).rejects.toThrow('requires a MongoDB connection');
+    expect(isIngestionRunning()).toBe(false);
+  });
+});
+
+describe('getIngestionStatus', () => {
+  test('reports scheduler config and expected district count', async () => {
+    const status = await getIngestionStatus();
+
+    expect(status.running).toBe(false);
+    expect(status.run).toBeNull();
+    expect(status.scheduler.enabled).toBe(false);
+    expect(status.scheduler.concurrency).toBeGreaterThan(0);
+    expect(status.summary.districts).toBe(ALL_DISTRICTS.length);
+    expect(status.districts).toEqual([]);
+  });
+
+  test('scopes the expected district count to one state', async () => {
+    const status = await getIngestionStatus({ state: 'Punjab' });
+    expect(status.summary.districts).toBe(DISTRICTS_BY_STATE.Punjab.length);
+  });
+});
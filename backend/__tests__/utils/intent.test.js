@@ -0,0 +1,70 @@
+/**
+ * Tests for chat district/state resolution
+ */
+import { describe, test, expect } from '@jest/globals';
+import { analyzeIntent } from '../../utils/helpers/intent.js';
+import { resolveDistrict, getCoordsFromDistrict } from '../../utils/helpers/geo.js';
+
+describe('resolveDistrict', () => {
+  test('resolves a unique district to its own state', () => {
+    expect(resolveDistrict('Chennai').district).toEqual({ name: 'Chennai', state: 'Tamil Nadu' });
+  });
+
+  test('leaves namesake districts unresolved without a hint', () => {
+    const { district, candidates } = resolveDistrict('Pratapgarh');
+    expect(district).toBeNull();
+    expect(candidates.map((d) => d.state).sort()).toEqual(['Rajasthan', 'Uttar Pradesh']);
+  });
+
+  test('uses the state hint to pick between namesakes', () => {
+    expect(resolveDistrict('Pratapgarh', { state: 'uttar pradesh' }).district.state).toBe('Uttar Pradesh');
+  });
+
+  test('uses proximity to pick between namesakes', () => {
+    // Near Lucknow
+    expect(resolveDistrict('Pratapgarh', { lat: 26.85, lon: 80.95 }).district.state).toBe('Uttar Pradesh');
+    // Near Udaipur
+    expect(resolveDistrict('Pratapgarh', { lat: 24.58, lon: 73.71 }).district.state).toBe('Rajasthan');
+  });
+
+  test('returns no candidates for unknown names', () => {
+    expect(resolveDistrict('Atlantis')).toEqual({ district: null, candidates: [] });
+  });
+
+  test('getCoordsFromDistrict respects the state', () => {
+    const up = getCoordsFromDistrict('Pratapgarh', 'Uttar Pradesh');
+    const rj = getCoordsFromDistrict('Pratapgarh', 'Rajasthan');
+    expect(up).not.toEqual(rj);
+  });
+});
+
+describe('analyzeIntent district inference', () => {
+  test('matches whole district names only', () => {
+    const analysis = analyzeIntent('groundwater level in Prayagraj', null, null, null, null);
+    expect(analysis.inferredDistrict).toBe('Prayagraj');
+    expect(analysis.inferredState).toBe('Uttar Pradesh');
+  });
+
+  test('infers the state of an unambiguous district', () => {
+    const analysis = analyzeIntent('water level trend in Jaipur', null, null, null, null);
+    expect(analysis.inferredDistrict).toBe('Jaipur');
+    expect(analysis.inferredState).toBe('Rajasthan');
+  });
+
+  test('reports candidates for an ambiguous district', () => {
+    const analysis = analyzeIntent('water level in Pratapgarh', null, null, null, null);
+    expect(analysis.inferredState).toBeNull();
+    expect(analysis.districtCandidates).toHaveLength(2);
+  });
+
+  test('uses a state mentioned in the message', () => {
+    const analysis = analyzeIntent('water level in Pratapgarh, Uttar Pradesh', null, null, null, null);
+    expect(analysis.mentionedState).toBe('Uttar Pradesh');
+    expect(analysis.inferredState).toBe('Uttar Pradesh');
+  });
+
+  test('uses the state sent by the client', () => {
+    const analysis = analyzeIntent('water level in Pratapgarh', null, null, null, null, 'Rajasthan');
+    expect(analysis.inferredState).toBe('Rajasthan');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for multi-station spatial interpolation
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  idwWeights,
+  fitVariogram,
+  variogramValue,
+  krigingWeights,
+  estimationVariance,
+  clampWeights,
+  interpolateHistory,
+  interpolateAtPoint,
+} from '../../utils/interpolation.js';
+import { haversine } from '../../utils/geo.js';
+
+const TARGET = { latitude: 26.9, longitude: 75.8 };
+
+const station = (stationCode, latitude, longitude, levels) => ({
+  stationCode,
+  name: `Station ${stationCode}`,
+  latitude,
+  longitude,
+  distance: haversine(TARGET.latitude, TARGET.longitude, latitude, longitude),
+  history: levels.map((waterLevel, i) => ({ date: `${2018 + i}-05-10`, waterLevel })),
+});
+
+describe('idwWeights', () => {
+  test('weights sum to one and favour closer stations', () => {
+    const weights = idwWeights([1, 2, 4]);
+    expect(weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    expect(weights[0]).toBeGreaterThan(weights[1]);
+    expect(weights[1]).toBeGreaterThan(weights[2]);
+    // Power 2: half the distance, four times the weight
+    expect(weights[0] / weights[1]).toBeCloseTo(4);
+  });
+
+  test('a station on the point takes all the weight', () => {
+    expect(idwWeights([0, 3, 5])).toEqual([1, 0, 0]);
+  });
+});
+
+describe('variogram', () => {
+  test('fitted model is zero at the origin and bounded by the sill', () => {
+    const points = [
+      { latitude: 26.8, longitude: 75.7, value: 10 },
+      { latitude: 26.9, longitude: 75.9, value: 12 },
+      { latitude: 27.0, longitude: 75.8, value: 15 },
+      { latitude: 27.1, longitude: 75.6, value: 18 },
+    ];
+    const model = fitVariogram(points);
+
+    expect(model.pairs).toBe(6);
+    expect(model.nugget).toBeGreaterThanOrEqual(0);
+    expect(model.sill).toBeGreaterThanOrEqual(model.nugget);
+    expect(variogramValue(model, 0)).toBe(0);
+    expect(variogramValue(model, 1e6)).toBeCloseTo(model.sill);
+  });
+});
+
+describe('krigingWeights', () => {
+  test('weights sum to one and reproduce a station value at its location', () => {
+    const points = [
+      { latitude: 26.8, longitude: 75.7, value: 10 },
+      { latitude: 26.9, longitude: 75.9, value: 12 },
+      { latitude: 27.0, longitude: 75.8, value: 15 },
+    ];
+    const model = { nugget: 0, sill: 5, range: 30 };
+    const { weights, variance } = krigingWeights(points, points[1], model);
+
+    expect(weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    expect(weights[1]).toBeCloseTo(1);
+    expect(variance).toBeCloseTo(0);
+  });
+
+  test('returns null for co-located stations', () => {
+    const points = [
+      { latitude: 26.8, longitude: 75.7 },
+      { latitude: 26.8, longitude: 75.7 },
+    ];
+    expect(krigingWeights(points, TARGET, { nugget: 0, sill: 1, range: 10 })).toBeNull();
+  });
+});
+
+describe('estimationVariance', () => {
+  const points = [
+    { latitude: 26.92, longitude: 75.8 },
+    { latitude: 26.8, longitude: 75.8 },
+    { latitude: 27.2, longitude: 75.9 },
+  ];
+  const model = { model: 'exponential', nugget: 0.5, sill: 10, range: 30 };
+
+  test('matches the kriging variance for the kriging weights', () => {
+    const { weights, variance } = krigingWeights(points, TARGET, model);
+    expect(estimationVariance(points, TARGET, model, weights)).toBeCloseTo(variance, 6);
+  });
+
+  test('is larger for any other weights', () => {
+    const { variance } = krigingWeights(points, TARGET, model);
+    expect(estimationVariance(points, TARGET, model, [1 / 3, 1 / 3, 1 / 3])).toBeGreaterThan(variance);
+  });
+});
+
+describe('clampWeights', () => {
+  test('drops negative weights and renormalises the rest', () => {
+    const weights = clampWeights([0.8, 0.4, -0.2]);
+    expect(weights[0]).toBeCloseTo(2 / 3);
+    expect(weights[1]).toBeCloseTo(1 / 3);
+    expect(weights[2]).toBe(0);
+  });
+
+  test('returns null when no positive weight is left', () => {
+    expect(clampWeights([-0.5, 0, -1e-3])).toBeNull();
+  });
+});
+
+describe('interpolateHistory', () => {
+  test('renormalises weights over the stations reporting each month', () => {
+    const a = { history: [{ date: '2020-05-01', waterLevel: 10 }, { date: '2021-05-01', waterLevel: 10 }] };
+    const b = { history: [{ date: '2020-05-20', waterLevel: 20 }] };
+    const series = interpolateHistory([a, b], [0.75, 0.25]);
+
+    expect(series).toEqual([
+      { date: '2020-05-15', waterLevel: 12.5 },
+      { date: '2021-05-15', waterLevel: 10 },
+    ]);
+  });
+
+  test('ignores negative weights instead of dividing by a vanishing sum', () => {
+    const a = { history: [{ date: '2020-05-01', waterLevel: 10 }] };
+    const b = { history: [{ date: '2020-05-01', waterLevel: 20 }, { date: '2020-11-01', waterLevel: 30 }] };
+    expect(interpolateHistory([a, b], [1.0001, -0.0001])).toEqual([{ date: '2020-05-15', waterLevel: 10 }]);
+  });
+
+  test('skips months covered only by low-weight stations', () => {
+    const a = { history: [{ date: '2020-05-01', waterLevel: 10 }] };
+    const b = { history: [{ date: '2020-11-01', waterLevel: 20 }] };
+    expect(interpolateHistory([a, b], [0.9, 0.1]).map((h) => h.date)).toEqual(['2020-05-15']);
+  });
+});
+
+describe('interpolateAtPoint', () => {
+  const stations = [
+    station('A', 26.92, 75.8, [10, 11, 12]),
+    station('B', 26.8, 75.8, [20, 21, 22]),
+    station('C', 27.2, 75.9, [30, 31, 32]),
+    station('D', 26.9, 75.81, [5]), // Too little history to contribute
+  ];
+
+  test('IDW estimate lies between station values and lists weights', () => {
+    const result = interpolateAtPoint(stations, { ...TARGET, method: 'idw', k: 5 });
+
+    expect(result.method).toBe('idw');
+    expect(result.k).toBe(3);
+    expect(result.stations.map((s) => s.stationCode)).toEqual(['A', 'B', 'C']);
+    expect(result.estimate).toBeGreaterThan(12);
+    expect(result.estimate).toBeLessThan(32);
+    expect(result.uncertainty).toBeGreaterThan(0);
+    expect(result.history).toHaveLength(3);
+  });
+
+  test('kriging reports a variogram and a non-negative uncertainty', () => {
+    const result = interpolateAtPoint(stations, { ...TARGET, method: 'kriging', k: 3 });
+
+    expect(result.method).toBe('kriging');
+    expect(result.variogram.model).toBe('exponential');
+    expect(result.stations.reduce((sum, s) => sum + s.weight, 0)).toBeCloseTo(1);
+    expect(result.uncertainty).toBeGreaterThanOrEqual(0);
+  });
+
+  test('estimates for one common month instead of mixing latest readings', () => {
+    const dated = (code, latitude, longitude, years) => ({
+      ...station(code, latitude, longitude, []),
+      history: years.map((year, i) => ({ date: `${year}-05-10`, waterLevel: 10 * (i + 1) })),
+    });
+    // B stopped reporting a year before the others
+    const lagging = [
+      dated('A', 26.92, 75.8, [2020, 2021, 2022]),
+      dated('B', 26.8, 75.8, [2019, 2020, 2021]),
+      dated('C', 27.2, 75.9, [2020, 2021, 2022]),
+    ];
+    const result = interpolateAtPoint(lagging, { ...TARGET, method: 'idw' });
+
+    expect(result.asOf).toBe('2022-05-15');
+    expect(result.estimate).toBeCloseTo(30);
+    expect(result.stations.map((s) => s.level)).toEqual([30, null, 30]);
+    expect(result.coverage).toBeGreaterThanOrEqual(0.5);
+    expect(result.coverage).toBeLessThan(1);
+  });
+
+  test('kriging sets screened stations\' negative weights to zero', () => {
+    // A smooth field sampled by a station next to the point and one just behind it
+    const smooth = (code, latitude, longitude) =>
+      station(code, latitude, longitude, [0, 1, 2].map((i) => 10 + (latitude - 26.9) * 10 + (longitude - 75.8) * 5 + i));
+    const screened = [
+      smooth('A', 26.9, 75.81),
+      smooth('B', 26.9, 75.83),
+      smooth('C', 27.5, 75.8),
+      smooth('D', 26.3, 75.8),
+      smooth('E', 26.9, 76.4),
+    ];
+    const result = interpolateAtPoint(screened, { ...TARGET, method: 'kriging', k: 5 });
+
+    expect(result.method).toBe('kriging');
+    expect(result.note).toMatch(/Negative kriging weights/);
+    expect(result.stations.find((s) => s.stationCode === 'B').weight).toBe(0);
+    expect(result.stations.reduce((sum, s) => sum + s.weight, 0)).toBeCloseTo(1);
+    // Uncertainty comes from the clamped weights actually used
+    const weights = result.stations.map((s) => s.weight);
+    expect(result.uncertainty).toBeCloseTo(Math.sqrt(estimationVariance(result.stations, TARGET, result.variogram, weights)), 6);
+  });
+
+  test('returns null with fewer than two usable stations', () => {
+    expect(interpolateAtPoint([stations[0], stations[3]], { ...TARGET, method: 'idw' })).toBeNull();
+  });
+});
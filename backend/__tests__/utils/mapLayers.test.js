@@ -0,0 +1,77 @@
+/**
+ * Tests for GeoJSON map layers
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  clusterFeatures,
+  districtsInBbox,
+  MAP_CONFIG,
+  summarizeDistrictLayer,
+  zoomForBbox
+} from '../../utils/mapLayers.js';
+import { indexStations } from '../../utils/spatialIndex.js';
+import { createMockQuarterlyHistory } from './testHelpers.js';
+
+const point = (id, lon, lat, properties) => ({
+  type: 'Feature',
+  id,
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties,
+});
+
+describe('Map layers', () => {
+  test('zoomForBbox grows as the extent shrinks', () => {
+    expect(zoomForBbox([68, 6, 98, 38])).toBe(3);
+    expect(zoomForBbox([75.5, 26.5, 76.2, 27.2])).toBe(9);
+    expect(zoomForBbox([75.8, 26.9, 75.8, 26.9])).toBe(MAP_CONFIG.MAX_ZOOM);
+  });
+
+  test('districtsInBbox picks districts by centroid, nearest to the centre first', () => {
+    const districts = districtsInBbox([75.5, 26.6, 76.1, 27.2]);
+    expect(districts[0]).toMatchObject({ name: 'Jaipur', state: 'Rajasthan' });
+    expect(districtsInBbox([75.5, 26.6, 76.1, 27.2], 0.5).length).toBeGreaterThan(districts.length);
+  });
+
+  test('districtsInBbox can add the districts of indexed stations in view', () => {
+    // An Ajmer well inside the view, far from Ajmer's centroid
+    indexStations([{ stationCode: 'AJ1', latitude: 26.7, longitude: 75.55 }], { state: 'Rajasthan', district: 'ajmer' });
+    const bbox = [75.5, 26.6, 76.1, 27.2];
+    expect(districtsInBbox(bbox).map((d) => d.name)).not.toContain('Ajmer');
+    expect(districtsInBbox(bbox, 0, { withStations: true }).map((d) => d.name)).toContain('Ajmer');
+  });
+
+  test('summarizeDistrictLayer adds coordinates to the station rows', () => {
+    const stations = new Map([
+      ['A', { stationCode: 'A', name: 'A', latitude: 26.9, longitude: 75.8, wellType: 'Dug Well', wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(20, 0.8) }],
+      ['B', { stationCode: 'B', name: 'B', latitude: 26.8, longitude: 75.7, wellType: 'Dug Well', wellAquiferType: 'Unconfined', history: createMockQuarterlyHistory(30, 0.6) }],
+    ]);
+    const layer = summarizeDistrictLayer({ name: 'Jaipur', state: 'Rajasthan' }, stations);
+    expect(layer.stationCount).toBe(2);
+    expect(layer.trend).toBe('declining');
+    expect(layer.latestDate).toBe('2023-11-10');
+    expect(layer.stations.find((s) => s.stationCode === 'B')).toMatchObject({ latitude: 26.8, longitude: 75.7 });
+  });
+
+  test('clusterFeatures merges nearby points and keeps lone ones', () => {
+    const features = [
+      point('A', 75.80, 26.90, { latestLevel: 20, trend: 'declining', category: 'Critical' }),
+      point('B', 75.81, 26.91, { latestLevel: 30, trend: 'stable', category: 'Safe' }),
+      point('C', 80.00, 20.00, { latestLevel: 10, trend: 'rising', category: null }),
+    ];
+    const clustered = clusterFeatures(features, 5);
+    expect(clustered).toHaveLength(2);
+    const cluster = clustered.find((f) => f.properties.cluster);
+    expect(cluster.properties).toMatchObject({ pointCount: 2, assessed: 2, latestLevel: 25, declining: 1 });
+    expect(cluster.properties.categoryCounts).toMatchObject({ Safe: 1, Critical: 1 });
+    expect(cluster.geometry.coordinates[0]).toBeCloseTo(75.805, 5);
+    expect(clustered.find((f) => f.id === 'C')).toBe(features[2]);
+  });
+
+  test('clusterFeatures separates points at high zoom', () => {
+    const features = [
+      point('A', 75.80, 26.90, { latestLevel: 20, category: 'Safe' }),
+      point('B', 75.81, 26.91, { latestLevel: 30, category: 'Safe' }),
+    ];
+    expect(clusterFeatures(features, 12)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for the MongoDB observation store helpers that do not need a live database
+ */
+import { describe, test, expect, jest } from '@jest/globals';
+import DistrictSync from '../../models/DistrictSync.js';
+import {
+  parseWrisRecord,
+  computeMissingRanges,
+  isStoreAvailable,
+  buildStationQuery,
+  syncDistrictObservations
+} from '../../utils/observationStore.js';
+
+const day = (s) => new Date(`${s}T00:00:00.000Z`);
+const iso = (d) => d.toISOString().split('T')[0];
+
+describe('parseWrisRecord', () => {
+  test('parses a valid WRIS row into station and observation', () => {
+    const parsed = parseWrisRecord({
+      stationCode: 'W123',
+      stationName: 'Sanganer',
+      latitude: '26.8',
+      longitude: '75.8',
+      wellType: 'Dug Well',
+      wellDepth: '25.5',
+      dataValue: '12.34',
+      dataTime: '2020-05-14T12:00:00',
+    });
+
+    expect(parsed.station).toMatchObject({
+      stationCode: 'W123',
+      latitude: 26.8,
+      longitude: 75.8,
+      wellDepth: 25.5,
+      wellAquiferType: 'Unknown',
+    });
+    expect(parsed.observation.waterLevel).toBe(12.34);
+    expect(iso(parsed.observation.date)).toBe('2020-05-14');
+  });
+
+  test('rejects rows with missing or non-numeric values', () => {
+    expect(parseWrisRecord(null)).toBeNull();
+    expect(parseWrisRecord({ stationCode: 'W1', dataTime: '2020-01-01', dataValue: 'NA', latitude: 1, longitude: 1 })).toBeNull();
+    expect(parseWrisRecord({ stationCode: 'W1', dataTime: '2020-01-01', dataValue: 5, latitude: null, longitude: 1 })).toBeNull();
+    expect(parseWrisRecord({ dataTime: '2020-01-01', dataValue: 5, latitude: 1, longitude: 1 })).toBeNull();
+  });
+});
+
+describe('computeMissingRanges', () => {
+  const now = day('2024-06-01');
+
+  test('returns the full window when nothing is stored', () => {
+    const ranges = computeMissingRanges(null, day('2014-06-01'), day('2024-06-01'), now);
+    expect(ranges).toHaveLength(1);
+    expect(iso(ranges[0].start)).toBe('2014-06-01');
+    expect(iso(ranges[0].end)).toBe('2024-06-01');
+  });
+
+  test('only fetches the uncovered tail for a recently synced district', () => {
+    const coverage = { syncedFrom: day('2014-01-01'), syncedTo: day('2024-03-01'), lastSyncedAt: day('2024-05-31') };
+    const ranges = computeMissingRanges(coverage, day('2014-06-01'), day('2024-06-01'), now);
+    expect(ranges).toHaveLength(1);
+    expect(iso(ranges[0].start)).toBe('2024-03-02');
+    expect(iso(ranges[0].end)).toBe('2024-06-01');
+  });
+
+  test('returns nothing when the window is fully covered and fresh', () => {
+    const coverage = { syncedFrom: day('2010-01-01'), syncedTo: day('2024-06-01'), lastSyncedAt: now };
+    expect(computeMissingRanges(coverage, day('2014-06-01'), day('2024-06-01'), now)).toEqual([]);
+  });
+
+  test('re-fetches the recent tail once coverage is stale', () => {
+    const coverage = { syncedFrom: day('2010-01-01'), syncedTo: day('2024-06-01'), lastSyncedAt: day('2024-05-01') };
+    const ranges = computeMissingRanges(coverage, day('2014-06-01'), day('2024-06-01'), now);
+    expect(ranges).toHaveLength(1);
+    expect(ranges[0].start < day('2024-06-01')).toBe(true);
+    expect(iso(ranges[0].end)).toBe('2024-06-01');
+  });
+
+  test('fills the gap back to existing coverage so it stays contiguous', () => {
+    const coverage = { syncedFrom: day('2018-01-01'), syncedTo: day('2020-01-01'), lastSyncedAt: now };
+    const ranges = computeMissingRanges(coverage, day('2010-01-01'), day('2024-06-01'), now);
+    expect(ranges.map((r) => [iso(r.start), iso(r.end)])).toEqual([
+      ['2010-01-01', '2017-12-31'],
+      ['2020-01-02', '2024-06-01'],
+    ]);
+  });
+
+  test('treats a district with only a failed attempt as unsynced', () => {
+    const coverage = { lastStatus: 'failed', lastAttemptAt: now, lastError: 'status 500' };
+    const ranges = computeMissingRanges(coverage, day('2015-01-01'), day('2024-06-01'), now);
+    expect(ranges.map((r) => [iso(r.start), iso(r.end)])).toEqual([['2015-01-01', '2024-06-01']]);
+  });
+
+  test('never requests dates in the future', () => {
+    const ranges = computeMissingRanges(null, day('2020-01-01'), day('2030-01-01'), now);
+    expect(iso(ranges[0].end)).toBe('2024-06-01');
+  });
+});
+
+describe('syncDistrictObservations', () => {
+  test('retries a district after its first sync failed', async () => {
+    // In-memory DistrictSync document for one district
+    let stored = null;
+    const findOne = jest.spyOn(DistrictSync, 'findOne').mockImplementation(() => ({ lean: async () => stored }));
+    const updateOne = jest.spyOn(DistrictSync, 'updateOne').mockImplementation(async (_, update) => {
+      stored = { ...stored, ...update.$set };
+      if (update.$min) stored.syncedFrom = update.$min.syncedFrom;
+      if (update.$max) stored.syncedTo = update.$max.syncedTo;
+    });
+    const fetchRange = jest.fn()
+      .mockRejectedValueOnce(new Error('status 500'))
+      .mockResolvedValueOnce({ data: [], pages: 1, rows: 0 });
+    const params = { state: 'Rajasthan', district: 'Jaipur', start: day('2015-01-01'), end: day('2024-06-01'), fetchRange };
+
+    try {
+      const failed = await syncDistrictObservations(params);
+      expect(failed.error.message).toBe('status 500');
+      expect(stored).toMatchObject({ lastStatus: 'failed' });
+
+      const retried = await syncDistrictObservations(params);
+      expect(fetchRange).toHaveBeenCalledTimes(2);
+      expect(retried.error).toBeNull();
+      expect(retried.fetchedRanges).toHaveLength(1);
+      expect(iso(stored.syncedFrom)).toBe('2015-01-01');
+    } finally {
+      findOne.mockRestore();
+      updateOne.mockRestore();
+    }
+  });
+});
+
+describe('buildStationQuery', () => {
+  test('matches state and district as whole names, ignoring case', () => {
+    const { state, district } = buildStationQuery({ state: 'tamil nadu', district: 'CHENNAI' });
+    expect(state.test('Tamil Nadu')).toBe(true);
+    expect(district.test('Chennai')).toBe(true);
+    expect(district.test('Chennai North')).toBe(false);
+  });
+
+  test('escapes regex characters in names', () => {
+    const { district } = buildStationQuery({ district: 'Y.S.R. (Kadapa)' });
+    expect(district.test('y.s.r. (kadapa)')).toBe(true);
+    expect(district.test('YxSxRx (Kadapa)')).toBe(false);
+  });
+
+  test('adds a bbox range and leaves missing filters out', () => {
+    expect(buildStationQuery({ bbox: [75, 26, 76, 27] })).toEqual({
+      longitude: { $gte: 75, $lte: 76 },
+      latitude: { $gte: 26, $lte: 27 },
+    });
+  });
+});
+
+describe('isStoreAvailable', () => {
+  test('is false without a MongoDB connection', () => {
+    expect(isStoreAvailable()).toBe(false);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for outlier detection on station histories
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  hampelFilter,
+  madZScores,
+  detectJumps,
+  detectOutliers,
+} from '../../utils/outliers.js';
+
+// Quarterly readings with a monsoon swing around 12 m
+function seasonalHistory(years = 5) {
+  const history = [];
+  for (let y = 0; y < years; y++) {
+    [1, 4, 7, 10].forEach((month, q) => {
+      history.push({
+        date: `${2015 + y}-${String(month).padStart(2, '0')}-15`,
+        waterLevel: 12 + [0.8, 1.5, -0.6, -1.2][q] + 0.1 * y,
+      });
+    });
+  }
+  return history;
+}
+
+describe('Outlier Detection', () => {
+  test('each detector flags an isolated spike', () => {
+    const values = seasonalHistory().map((h) => h.waterLevel);
+    values[9] = 350;
+
+    expect(hampelFilter(values)[9]).not.toBeNull();
+    expect(madZScores(values)[9]).not.toBeNull();
+    expect(detectJumps(values)[9]).not.toBeNull();
+  });
+
+  test('a lasting level shift is not a jump', () => {
+    const values = [10, 10.2, 10.1, 10.3, 20, 20.1, 20.2, 20.1, 20.3];
+    expect(detectJumps(values).every((v) => v === null)).toBe(true);
+  });
+
+  test('excludes a mistyped reading and keeps the rest', () => {
+    const history = seasonalHistory();
+    history[9] = { ...history[9], waterLevel: 350 };
+
+    const result = detectOutliers(history);
+
+    expect(result.clean).toHaveLength(history.length - 1);
+    expect(result.excluded).toHaveLength(1);
+    expect(result.excluded[0].date).toBe(history[9].date);
+    expect(result.excluded[0].reasons).toEqual(expect.arrayContaining(['hampel', 'mad', 'jump']));
+    expect(result.summary).toMatchObject({ mode: 'exclude', checked: history.length, excluded: 1 });
+  });
+
+  test('leaves a clean seasonal record alone', () => {
+    const result = detectOutliers(seasonalHistory());
+    expect(result.excluded).toHaveLength(0);
+    expect(result.clean).toHaveLength(20);
+  });
+
+  test('flag mode reports without removing', () => {
+    const history = seasonalHistory();
+    history[9] = { ...history[9], waterLevel: 350 };
+
+    const result = detectOutliers(history, { mode: 'flag' });
+
+    expect(result.clean).toHaveLength(history.length);
+    expect(result.flagged.length).toBeGreaterThan(0);
+    expect(result.flagged.every((f) => f.excluded === false)).toBe(true);
+  });
+
+  test('off mode and short records skip detection', () => {
+    const history = seasonalHistory();
+    history[9] = { ...history[9], waterLevel: 350 };
+
+    expect(detectOutliers(history, { mode: 'off' }).flagged).toHaveLength(0);
+    const short = detectOutliers(history.slice(0, 3));
+    expect(short.clean).toHaveLength(3);
+    expect(short.summary.note).toMatch(/skipped/);
+  });
+});
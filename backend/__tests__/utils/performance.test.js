@@ -0,0 +1,44 @@
+/**
+ * Tests for the performance utilities
+ */
+import { describe, test, expect } from '@jest/globals';
+import { batchProcess } from '../../utils/performance.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('batchProcess', () => {
+  test('keeps item order whatever order the calls finish in', async () => {
+    const results = await batchProcess([30, 5, 20, 1], 2, async (ms, i) => {
+      await delay(ms);
+      return `${i}:${ms}`;
+    });
+    expect(results).toEqual(['0:30', '1:5', '2:20', '3:1']);
+  });
+
+  test('never runs more than the concurrency limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    await batchProcess(Array.from({ length: 10 }, (_, i) => i), 3, async (i) => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(i % 3);
+      running--;
+    });
+    expect(peak).toBe(3);
+  });
+
+  test('starts the next item as soon as a slot frees up', async () => {
+    const events = [];
+    await batchProcess(['slow', 'fast', 'next'], 2, async (item) => {
+      events.push(`start ${item}`);
+      await delay(item === 'slow' ? 50 : 1);
+      events.push(`end ${item}`);
+    });
+    // Fixed batches of two would hold "next" back until "slow" finished
+    expect(events.indexOf('start next')).toBeLessThan(events.indexOf('end slow'));
+  });
+
+  test('handles an empty list', async () => {
+    expect(await batchProcess([], 4, async () => 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for rainfall import parsing and rainfall-recharge analysis
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseRainfallCsv,
+  monsoonRainfallByYear,
+  analyzeRainfallRecharge,
+  rainfallClass,
+} from '../../utils/rainfall.js';
+import { summarizeRainfallForChat } from '../../utils/helpers/chat.js';
+
+const HEADER = 'STATE_UT_NAME,DISTRICT,YEAR,JAN,FEB,MAR,APR,MAY,JUN,JUL,AUG,SEP,OCT,NOV,DEC,ANNUAL';
+
+// Recharge tracks rainfall at 0.5 m per 100 mm, except 2019 which falls 1 m short
+function scenario() {
+  const rain = { 2015: 500, 2016: 700, 2017: 400, 2018: 650, 2019: 600, 2020: 450, 2021: 550 };
+  const rainfall = Object.entries(rain).map(([year, rainfallMm]) => ({ year: Number(year), rainfallMm }));
+  const rechargePattern = rainfall.map(({ year, rainfallMm }) => ({
+    year,
+    rechargeAmount: (rainfallMm * 0.005 - (year === 2019 ? 1 : 0)).toFixed(2),
+  }));
+  return { rainfall, rechargePattern };
+}
+
+describe('Rainfall', () => {
+  test('parseRainfallCsv maps IMD rows onto known districts', () => {
+    const csv = [
+      HEADER,
+      'RAJASTHAN,JAIPUR,2020,1.2,0,3,NA,10,60,200,180,70,5,0,2,531.2',
+      'RAJASTHAN,NOWHERE,2020,0,0,0,0,0,0,0,0,0,0,0,0,0',
+      '"RAJASTHAN","JAIPUR",abc,0,0,0,0,0,0,0,0,0,0,0,0,0',
+    ].join('\n');
+
+    const { records, skipped } = parseRainfallCsv(csv);
+
+    expect(records).toHaveLength(11); // April is NA
+    expect(records[0]).toEqual({ state: 'Rajasthan', district: 'Jaipur', year: 2020, month: 1, rainfallMm: 1.2 });
+    expect(skipped.map((s) => s.line)).toEqual([3, 4]);
+  });
+
+  test('parseRainfallCsv rejects a header without month columns', () => {
+    expect(() => parseRainfallCsv('STATE,DISTRICT,YEAR,ANNUAL\n')).toThrow('missing column');
+  });
+
+  test('monsoonRainfallByYear sums June-September and drops incomplete years', () => {
+    const records = [
+      ...[6, 7, 8, 9].map((month) => ({ year: 2020, month, rainfallMm: 100 })),
+      { year: 2020, month: 1, rainfallMm: 50 },
+      ...[6, 7, 8].map((month) => ({ year: 2021, month, rainfallMm: 100 })),
+    ];
+    expect(monsoonRainfallByYear(records)).toEqual([{ year: 2020, rainfallMm: 400 }]);
+  });
+
+  test('rainfallClass follows IMD departure bands', () => {
+    expect(rainfallClass(-65)).toBe('large deficient');
+    expect(rainfallClass(-25)).toBe('deficient');
+    expect(rainfallClass(5)).toBe('normal');
+    expect(rainfallClass(30)).toBe('excess');
+  });
+
+  test('analyzeRainfallRecharge correlates and flags the underperforming year', () => {
+    const { rainfall, rechargePattern } = scenario();
+
+    const result = analyzeRainfallRecharge(rechargePattern, rainfall);
+
+    expect(result.correlation.lagYears).toBe(0);
+    expect(result.correlation.r).toBeGreaterThan(0.5);
+    expect(result.underperformingYears.map((y) => y.year)).toEqual([2019]);
+    expect(result.underperformingYears[0].likelyCause).toMatch(/over-pumping/);
+    expect(result.lags).toHaveLength(2);
+  });
+
+  test('analyzeRainfallRecharge needs enough paired years', () => {
+    const { rainfall, rechargePattern } = scenario();
+    const result = analyzeRainfallRecharge(rechargePattern.slice(0, 2), rainfall);
+    expect(result.correlation).toBeNull();
+    expect(result.note).toMatch(/Fewer than/);
+  });
+
+  test('summarizeRainfallForChat gives citable lines', () => {
+    const { rainfall, rechargePattern } = scenario();
+    const summary = summarizeRainfallForChat({ source: 'IMD', ...analyzeRainfallRecharge(rechargePattern, rainfall) });
+    expect(summary.correlation).toMatch(/^r = /);
+    expect(summary.underperformingYears[0]).toMatch(/^2019/);
+  });
+});
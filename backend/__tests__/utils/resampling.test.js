@@ -0,0 +1,69 @@
+/**
+ * Tests for monthly resampling and gap filling
+ */
+import { describe, test, expect } from '@jest/globals';
+import { resampleMonthly, resampledHistory } from '../../utils/resampling.js';
+
+// Monthly readings with a 3 m monsoon rise in August-October, skipping the given months
+function monthlyHistory(years, skip = []) {
+  const history = [];
+  for (let y = 0; y < years; y++) {
+    for (let m = 0; m < 12; m++) {
+      const key = `${2018 + y}-${String(m + 1).padStart(2, '0')}`;
+      if (skip.includes(key)) continue;
+      history.push({ date: `${key}-10`, waterLevel: 10 + (m >= 7 && m <= 9 ? -3 : 0) });
+    }
+  }
+  return history;
+}
+
+describe('Monthly resampling', () => {
+  test('averages readings in the same month and fills gaps linearly', () => {
+    const result = resampleMonthly([
+      { date: '2020-01-05', waterLevel: 10 },
+      { date: '2020-01-25', waterLevel: 12 },
+      { date: '2020-04-10', waterLevel: 14 },
+    ]);
+    expect(result.series.map((p) => p.waterLevel)).toEqual([11, 12, 13, 14]);
+    expect(result.series.map((p) => p.status)).toEqual(['observed', 'imputed', 'imputed', 'observed']);
+    expect(result.summary).toEqual({ observed: 2, imputed: 2, missing: 0, months: 4 });
+  });
+
+  test('gaps longer than maxGapMonths are left missing', () => {
+    const result = resampleMonthly([
+      { date: '2020-01-10', waterLevel: 10 },
+      { date: '2020-12-10', waterLevel: 12 },
+    ], { maxGapMonths: 6 });
+    expect(result.summary.missing).toBe(10);
+    expect(result.series[1].waterLevel).toBeNull();
+    expect(result.note).toMatch(/longer than 6 months/);
+  });
+
+  test('method none regularises without imputing', () => {
+    const result = resampleMonthly(monthlyHistory(2, ['2018-03']), { method: 'none' });
+    expect(result.summary).toMatchObject({ imputed: 0, missing: 1 });
+  });
+
+  test('climatology keeps the monsoon rise a straight line would cut through', () => {
+    // July-September missing: a straight line from June (10 m) to October (7 m) misses the August low
+    const gap = monthlyHistory(4, ['2021-07', '2021-08', '2021-09']);
+    expect(resampleMonthly(gap, { method: 'climatology' }).series.find((p) => p.month === '2021-08').waterLevel).toBe(7);
+    expect(resampleMonthly(gap, { method: 'linear' }).series.find((p) => p.month === '2021-08').waterLevel).toBeCloseTo(8.5, 1);
+  });
+
+  test('resampledHistory keeps observed and imputed points with a flag', () => {
+    const history = resampledHistory(resampleMonthly([
+      { date: '2020-01-10', waterLevel: 10 },
+      { date: '2020-03-10', waterLevel: 12 },
+    ]));
+    expect(history).toEqual([
+      { date: '2020-01-15', waterLevel: 10, imputed: false },
+      { date: '2020-02-15', waterLevel: 11, imputed: true },
+      { date: '2020-03-15', waterLevel: 12, imputed: false },
+    ]);
+  });
+
+  test('rejects unknown methods', () => {
+    expect(() => resampleMonthly([], { method: 'spline' })).toThrow('Unknown gap-fill method');
+  });
+});
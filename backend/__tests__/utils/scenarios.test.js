@@ -0,0 +1,94 @@
+/**
+ * Tests for what-if intervention scenarios
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  meanDrySeasonFall,
+  interventionSlopeChange,
+  runScenario,
+} from '../../utils/scenarios.js';
+
+// Monthly readings deepening 0.5 m/year with a 2 m monsoon rise each year
+function decliningHistory(years = 6) {
+  const history = [];
+  for (let y = 0; y < years; y++) {
+    for (let m = 0; m < 12; m++) {
+      const seasonal = m >= 9 ? -2 : 0;
+      history.push({
+        date: new Date(Date.UTC(2018 + y, m, 15)).toISOString().split('T')[0],
+        waterLevel: 10 + 0.5 * (y + m / 12) + seasonal,
+      });
+    }
+  }
+  return history;
+}
+
+const PATTERN = [
+  { year: 2020, preMonsoonDepth: '12.00', postMonsoonDepth: '10.00', rechargeAmount: '2.00' },
+  { year: 2021, preMonsoonDepth: '13.00', postMonsoonDepth: '11.00', rechargeAmount: '2.00' },
+];
+
+describe('Scenarios', () => {
+  test('meanDrySeasonFall measures post-monsoon to next pre-monsoon', () => {
+    expect(meanDrySeasonFall(PATTERN)).toBe(3);
+    expect(meanDrySeasonFall(PATTERN.slice(0, 1))).toBeNull();
+  });
+
+  test('cutting extraction uses district draft as head when inputs exist', () => {
+    const inputs = { annualDraftHam: 200, specificYield: 0.1, rechargeAreaHa: 1000 };
+    // 200 / (0.1 × 1000) = 2 m/year of head; a 25% cut takes 0.5 off the trend
+    const { slopeChange, components } = interventionSlopeChange(
+      { extractionChangePct: -25 },
+      { rechargePattern: PATTERN, extractionInputs: inputs }
+    );
+    expect(slopeChange).toBe(-0.5);
+    expect(components[0].basis).toMatch(/District draft/);
+  });
+
+  test('without inputs extraction falls back to the dry-season fall', () => {
+    const { slopeChange } = interventionSlopeChange({ extractionChangePct: -10 }, { rechargePattern: PATTERN });
+    expect(slopeChange).toBe(-0.3);
+  });
+
+  test('recharge and additional recharge both lower the trend', () => {
+    const { slopeChange, components } = interventionSlopeChange(
+      { rechargeChangePct: 50, additionalRechargeM: 0.2 },
+      { rechargePattern: PATTERN }
+    );
+    expect(components.map((c) => c.slopeChange)).toEqual([-1, -0.2]);
+    expect(slopeChange).toBe(-1.2);
+  });
+
+  test('interventions that cannot be applied are noted', () => {
+    const { slopeChange, notes } = interventionSlopeChange({ extractionChangePct: -10, rechargeChangePct: 20 });
+    expect(slopeChange).toBe(0);
+    expect(notes).toHaveLength(2);
+  });
+
+  test('runScenario compares baseline and scenario trajectories', () => {
+    const result = runScenario(decliningHistory(), {
+      date: '2024-01-01',
+      interventions: { additionalRechargeM: 0.8 },
+      category: 'Semi-critical',
+    });
+
+    expect(result.baseline.slope).toBeGreaterThan(0);
+    expect(result.scenario.slope).toBeCloseTo(result.baseline.slope - 0.8, 3);
+    expect(result.effect.trendReversed).toBe(true);
+    expect(result.scenario.futureWaterLevels.slopeOffset).toBe(-0.8);
+    expect(result.effect.levelDifference[0].difference).toBeCloseTo(-0.8, 1);
+    expect(result.effect.levelDifference[2].difference).toBeCloseTo(-2.4, 1);
+    expect(result.effect.stressTransition.scenarioYears).toBeNull();
+    expect(result.effect.stressTransition.scenarioMessage).toMatch(/rising/);
+  });
+
+  test('runScenario reports a missing category instead of failing', () => {
+    const result = runScenario(decliningHistory(), { date: '2024-01-01', interventions: { additionalRechargeM: 0.1 } });
+    expect(result.baseline.stressCategoryTransition.error).toMatch(/No stress category/);
+  });
+
+  test('runScenario needs at least 3 readings', () => {
+    expect(() => runScenario(decliningHistory().slice(0, 2), { date: '2024-01-01', interventions: {} }))
+      .toThrow('at least 3');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for per-region season calendars
+ */
+import { describe, test, expect } from '@jest/globals';
+import { getSeasonCalendar, classifySeason, DEFAULT_SEASON_CALENDAR } from '../../utils/seasonCalendar.js';
+import { computeRechargePattern } from '../../utils/extraction.js';
+import { annualSeasonSeries } from '../../utils/stressAssessment.js';
+import { predictSeasonalLevels } from '../../utils/predictions.js';
+
+const NORTHEAST = getSeasonCalendar('Tamil Nadu', 'Chennai');
+
+// North-east monsoon years: dry in August, recharged by January of the next year
+function northeastHistory(years = 5) {
+  const history = [];
+  for (let y = 0; y < years; y++) {
+    history.push({ date: `${2018 + y}-08-15`, waterLevel: 12 + 0.2 * y });
+    history.push({ date: `${2019 + y}-01-15`, waterLevel: 9 + 0.2 * y });
+  }
+  return history;
+}
+
+describe('Season Calendars', () => {
+  test('states, districts and the default resolve to their calendars', () => {
+    expect(NORTHEAST).toMatchObject({ id: 'northeast', appliedBy: 'state', monsoonMonths: [10, 11, 12] });
+    expect(getSeasonCalendar('andhra pradesh', 'NELLORE')).toMatchObject({ id: 'northeast', appliedBy: 'district' });
+    expect(getSeasonCalendar('Andhra Pradesh', 'Kurnool')).toBe(DEFAULT_SEASON_CALENDAR);
+    expect(getSeasonCalendar('Rajasthan', 'Jaipur')).toMatchObject({ id: 'southwest', appliedBy: 'default' });
+  });
+
+  test('classifySeason puts following-year post-monsoon readings in the monsoon year', () => {
+    expect(classifySeason(2021, 8, NORTHEAST)).toEqual({ season: 'preMonsoon', year: 2021 });
+    expect(classifySeason(2022, 1, NORTHEAST)).toEqual({ season: 'postMonsoon', year: 2021 });
+    expect(classifySeason(2021, 11, NORTHEAST)).toBeNull();
+    expect(classifySeason(2021, 11)).toEqual({ season: 'postMonsoon', year: 2021 });
+  });
+
+  test('recharge pairs August with the following January', () => {
+    const pattern = computeRechargePattern(northeastHistory(2), { calendar: NORTHEAST });
+    expect(pattern).toEqual([
+      { year: 2018, preMonsoonDepth: '12.00', postMonsoonDepth: '9.00', rechargeAmount: '3.00' },
+      { year: 2019, preMonsoonDepth: '12.20', postMonsoonDepth: '9.20', rechargeAmount: '3.00' },
+    ]);
+    // The south-west calendar finds no pre/post pair in the same records
+    expect(computeRechargePattern(northeastHistory(2))).toEqual([]);
+  });
+
+  test('stress series use monsoon years', () => {
+    const series = annualSeasonSeries(northeastHistory(3), 'postMonsoon', NORTHEAST);
+    expect(series.map((s) => s.year)).toEqual([2018, 2019, 2020]);
+  });
+
+  test('seasonal predictions follow the calendar months and year rollover', () => {
+    const result = predictSeasonalLevels(northeastHistory(), new Date('2023-08-20'), 0.2, { calendar: NORTHEAST });
+    expect(result.calendar).toBe('northeast');
+    expect(result.currentSeason).toBe('pre-monsoon');
+    expect(result.nextSeason.period).toBe('January-March 2024');
+    expect(result.followingSeason.period).toBe('July-September 2024');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the Standardized Groundwater Level Index and drought events
+ */
+import { describe, test, expect } from '@jest/globals';
+import { computeSgi, detectDroughtEvents, analyzeSgi, averageSgi, sgiClass } from '../../utils/sgi.js';
+
+// Quarterly readings; every station-year has the same seasonal shape offset by depth
+function history(depthByYear, base = 10) {
+  const readings = [];
+  for (const [year, offset] of Object.entries(depthByYear)) {
+    for (const [month, seasonal] of [['01', 1], ['05', 2], ['08', 0], ['11', -1]]) {
+      readings.push({ date: `${year}-${month}-15`, waterLevel: base + seasonal + offset });
+    }
+  }
+  return readings;
+}
+
+const YEARS = { 2015: 0, 2016: 0.2, 2017: -0.1, 2018: 0.1, 2019: 0.3, 2020: 1.5, 2021: 2 };
+
+describe('SGI', () => {
+  test('sgiClass follows the McKee bands', () => {
+    expect(sgiClass(-2.3)).toBe('extreme drought');
+    expect(sgiClass(-1.2)).toBe('moderate drought');
+    expect(sgiClass(-1)).toBe('near normal');
+    expect(sgiClass(0.4)).toBe('near normal');
+    expect(sgiClass(1.7)).toBe('very wet');
+  });
+
+  test('deepest years get the lowest index for each calendar month', () => {
+    const { series } = computeSgi(history(YEARS));
+    const may = series.filter((p) => p.month.endsWith('-05'));
+    expect(may).toHaveLength(7);
+    expect(may.at(-1).sgi).toBeLessThan(-1);
+    expect(may.find((p) => p.month === '2017-05').sgi).toBeGreaterThan(1);
+    // Normal scores are symmetric around zero
+    expect(may.reduce((sum, p) => sum + p.sgi, 0)).toBeCloseTo(0, 6);
+  });
+
+  test('wells of different depths with the same anomalies get the same index', () => {
+    const shallow = computeSgi(history(YEARS, 5)).series.map((p) => p.sgi);
+    const deep = computeSgi(history(YEARS, 60)).series.map((p) => p.sgi);
+    expect(deep).toEqual(shallow);
+  });
+
+  test('months with too few years are not standardized', () => {
+    const { series, unstandardizedMonths } = computeSgi([
+      ...history(YEARS),
+      { date: '2021-03-10', waterLevel: 12 },
+    ]);
+    expect(series.some((p) => p.month === '2021-03')).toBe(false);
+    expect(unstandardizedMonths).toEqual([3]);
+  });
+
+  test('drought events have onset, duration and severity', () => {
+    const series = [
+      { month: '2020-01', sgi: 0.2, class: 'near normal' },
+      { month: '2020-05', sgi: -1.2, class: 'moderate drought' },
+      { month: '2020-08', sgi: -1.8, class: 'severe drought' },
+      { month: '2020-11', sgi: -0.5, class: 'near normal' },
+      { month: '2021-01', sgi: -1.1, class: 'moderate drought' },
+    ];
+
+    const events = detectDroughtEvents(series);
+
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({ onset: '2020-05', end: '2020-08', durationMonths: 4, readings: 2, peakClass: 'severe drought', ongoing: false });
+    expect(events[0].severity).toBeCloseTo(1.0, 6);
+    expect(events[1]).toMatchObject({ onset: '2021-01', ongoing: true });
+  });
+
+  test('a long gap between readings splits a drought run', () => {
+    const events = detectDroughtEvents([
+      { month: '2020-01', sgi: -1.5, class: 'severe drought' },
+      { month: '2020-11', sgi: -1.5, class: 'severe drought' },
+    ]);
+    expect(events).toHaveLength(2);
+  });
+
+  test('analyzeSgi reports the current drought', () => {
+    const result = analyzeSgi(history(YEARS));
+    expect(result.summary.inDrought).toBe(true);
+    // Only the deepest year of seven falls below -1
+    expect(result.summary.longestEvent).toMatchObject({ onset: '2021-01', durationMonths: 11, ongoing: true });
+    expect(result.note).toBeNull();
+  });
+
+  test('analyzeSgi explains a record too short to standardize', () => {
+    const result = analyzeSgi(history({ 2020: 0, 2021: 1 }));
+    expect(result.series).toEqual([]);
+    expect(result.summary.latest).toBeNull();
+    expect(result.note).toMatch(/cannot be computed/);
+  });
+
+  test('averageSgi standardizes each station before combining', () => {
+    // A deep, stable well beside a shallow well in drought: averaging raw depths would
+    // follow the deep well, the standardized average follows both
+    const shallow = computeSgi(history(YEARS)).series;
+    const deep = computeSgi(history({ 2015: 0, 2016: 0.1, 2017: -0.1, 2018: 0.2, 2019: -0.2, 2020: 0, 2021: 0.1 }, 60)).series;
+    const result = averageSgi([shallow, deep]);
+
+    const may2021 = result.series.find((p) => p.month === '2021-05');
+    const expected = (shallow.find((p) => p.month === '2021-05').sgi + deep.find((p) => p.month === '2021-05').sgi) / 2;
+    expect(may2021).toMatchObject({ stations: 2 });
+    expect(may2021.sgi).toBeCloseTo(expected, 3);
+    expect(result.summary.readings).toBe(result.series.length);
+    expect(result.note).toBeNull();
+  });
+
+  test('averageSgi uses whichever stations are standardized each month', () => {
+    const result = averageSgi([
+      [{ month: '2020-01', sgi: -2 }],
+      [{ month: '2020-01', sgi: 0 }, { month: '2020-04', sgi: -1.2 }],
+    ]);
+    expect(result.series).toEqual([
+      { month: '2020-01', sgi: -1, class: 'near normal', stations: 2 },
+      { month: '2020-04', sgi: -1.2, class: 'moderate drought', stations: 1 },
+    ]);
+    expect(result.summary.inDrought).toBe(true);
+    expect(averageSgi([]).note).toMatch(/cannot be computed/);
+  });
+});
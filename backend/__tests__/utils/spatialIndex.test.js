@@ -0,0 +1,128 @@
+/**
+ * Tests for the grid spatial index, the station index and the geo helpers routed through it
+ */
+import { describe, test, expect } from '@jest/globals';
+import fc from 'fast-check';
+import { createSpatialIndex, districtIndex, indexStations, nearestOfStations, stationIndex } from '../../utils/spatialIndex.js';
+import { haversine } from '../../utils/geo.js';
+import {
+  findDistrictMention,
+  findDistrictsByName,
+  findDistrictsInBbox,
+  findNearestDistricts,
+  getDistrict
+} from '../../utils/helpers/geo.js';
+import { ALL_DISTRICTS } from '../../data/districts/index.js';
+
+// Points over India, and query points a little beyond it
+const pointArb = fc.record({
+  lat: fc.double({ min: 6, max: 37, noNaN: true }),
+  lon: fc.double({ min: 68, max: 97, noNaN: true }),
+});
+const queryArb = fc.record({
+  lat: fc.double({ min: 0, max: 45, noNaN: true }),
+  lon: fc.double({ min: 60, max: 105, noNaN: true }),
+});
+
+function indexOf(points) {
+  const index = createSpatialIndex();
+  points.forEach((p, i) => index.insert({ id: i, ...p }, p.lat, p.lon));
+  return index;
+}
+
+const bruteForce = (points, q) =>
+  points.map((p, i) => ({ id: i, distance: haversine(q.lat, q.lon, p.lat, p.lon) })).sort((a, b) => a.distance - b.distance);
+
+describe('Spatial index', () => {
+  test('nearest matches a brute-force scan', () => {
+    fc.assert(
+      fc.property(fc.array(pointArb, { minLength: 1, maxLength: 60 }), queryArb, fc.integer({ min: 1, max: 5 }), (points, q, k) => {
+        const expected = bruteForce(points, q).slice(0, k).map((r) => r.distance);
+        const actual = indexOf(points).nearest(q.lat, q.lon, k).map((r) => r.distance);
+        expect(actual).toHaveLength(expected.length);
+        actual.forEach((d, i) => expect(d).toBeCloseTo(expected[i], 9));
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  test('withinRadius matches a brute-force scan', () => {
+    fc.assert(
+      fc.property(fc.array(pointArb, { maxLength: 60 }), queryArb, fc.double({ min: 1, max: 800, noNaN: true }), (points, q, radius) => {
+        const expected = bruteForce(points, q).filter((r) => r.distance <= radius).map((r) => r.id).sort();
+        const actual = indexOf(points).withinRadius(q.lat, q.lon, radius).map((r) => r.item.id).sort();
+        expect(actual).toEqual(expected);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  test('insert replaces an item with the same id and remove drops it', () => {
+    const index = createSpatialIndex({ id: (s) => s.code });
+    index.insert({ code: 'A' }, 26.9, 75.8);
+    index.insert({ code: 'A', moved: true }, 12.97, 77.59);
+    expect(index.size).toBe(1);
+    expect(index.nearest(13, 77.6)[0].item.moved).toBe(true);
+    expect(index.withinBbox([75, 26, 76, 27])).toEqual([]);
+    expect(index.remove('A')).toBe(true);
+    expect(index.nearest(13, 77.6)).toEqual([]);
+    expect(index.insert({ code: 'B' }, NaN, 77)).toBe(false);
+  });
+
+  test('nearest honours the filter and maximum distance', () => {
+    const index = indexOf([{ lat: 26.9, lon: 75.8 }, { lat: 26.9, lon: 75.9 }]);
+    expect(index.nearest(26.9, 75.8, 1, { filter: (p) => p.id === 1 })[0].item.id).toBe(1);
+    expect(index.nearest(20, 80, 1, { maxDistanceKm: 100 })).toEqual([]);
+  });
+});
+
+describe('Station index', () => {
+  const station = (stationCode, latitude, longitude, readings) => ({ stationCode, latitude, longitude, readings });
+
+  test('nearestOfStations ranks only the given stations and indexes new ones', () => {
+    const outside = station('SI-out', 26.9, 75.8, 10);
+    nearestOfStations([outside], 26.9, 75.8);
+    const set = [station('SI-far', 27.2, 75.8, 10), station('SI-near', 27.0, 75.8, 1)];
+
+    expect(nearestOfStations(set, 26.9, 75.8, { k: 2 }).map((s) => s.stationCode)).toEqual(['SI-near', 'SI-far']);
+    expect(nearestOfStations(set, 26.9, 75.8, { filter: (s) => s.readings >= 5 })).toEqual([set[0]]);
+    expect(stationIndex.get('SI-near')).toMatchObject({ latitude: 27.0, longitude: 75.8 });
+  });
+
+  test('nearestOfStations follows a station to new coordinates and keeps its district', () => {
+    indexStations([station('SI-moved', 26.9, 75.8)], { state: 'Rajasthan', district: 'Jaipur' });
+    const moved = station('SI-moved', 12.97, 77.59);
+
+    expect(nearestOfStations([moved], 13, 77.6)).toEqual([moved]);
+    expect(stationIndex.get('SI-moved')).toMatchObject({ latitude: 12.97, district: 'Jaipur' });
+  });
+});
+
+describe('Geo helpers on the district index', () => {
+  test('the district index holds every district', () => {
+    expect(districtIndex.size).toBe(ALL_DISTRICTS.length);
+  });
+
+  test('getDistrict falls back to the nearest centroid', () => {
+    const [nearest] = bruteForce(ALL_DISTRICTS, { lat: 21.5, lon: 79.2 });
+    expect(getDistrict(21.5, 79.2)).toMatchObject({ name: ALL_DISTRICTS[nearest.id].name, method: 'centroid' });
+  });
+
+  test('findNearestDistricts and findDistrictsInBbox', () => {
+    const nearest = findNearestDistricts(26.91, 75.79, 3);
+    expect(nearest[0].name).toBe('Jaipur');
+    expect(nearest[1].distance).toBeGreaterThanOrEqual(nearest[0].distance);
+    expect(findDistrictsInBbox([75.7, 26.8, 75.9, 27]).map((d) => d.name)).toEqual(['Jaipur']);
+  });
+
+  test('findDistrictsByName ignores case and punctuation', () => {
+    expect(findDistrictsByName('medchal malkajgiri')[0].name).toBe('Medchal-Malkajgiri');
+    expect(findDistrictsByName('PRATAPGARH', 'Rajasthan')).toHaveLength(1);
+  });
+
+  test('findDistrictMention prefers the longest whole-word name', () => {
+    expect(findDistrictMention('levels in North East Delhi today').name).toBe('North East Delhi');
+    expect(findDistrictMention('Jaipur, Rajasthan').name).toBe('Jaipur');
+    expect(findDistrictMention('jaipurx')).toBeNull();
+  });
+});
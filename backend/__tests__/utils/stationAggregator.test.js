@@ -0,0 +1,49 @@
+/**
+ * Tests for incremental station map building
+ */
+import { describe, test, expect } from '@jest/globals';
+import { createStationAggregator } from '../../utils/stationAggregator.js';
+
+const row = (stationCode, dataTime, dataValue, latitude = '26.9', longitude = '75.8') => ({
+  stationCode,
+  stationName: `Station ${stationCode}`,
+  latitude,
+  longitude,
+  dataValue,
+  dataTime,
+});
+
+describe('createStationAggregator', () => {
+  test('merges rows for the same station across pages', () => {
+    const aggregator = createStationAggregator({ latitude: 26.9, longitude: 75.8 });
+    aggregator.addRows([row('W1', '2021-05-01', '12.0'), row('W2', '2021-05-01', '8.0')]);
+    aggregator.addRows([row('W1', '2020-05-01', '11.0')]);
+
+    const stations = aggregator.finish();
+    expect(stations.size).toBe(2);
+    expect(stations.get('W1').history.map((h) => h.date)).toEqual(['2020-05-01', '2021-05-01']);
+    expect(aggregator.rawRecords).toBe(3);
+    expect(aggregator.validRecords).toBe(3);
+  });
+
+  test('counts skipped rows by reason', () => {
+    const aggregator = createStationAggregator({ latitude: 26.9, longitude: 75.8 });
+    aggregator.addRows([
+      row('W1', '2021-05-01', 'n/a'),
+      row('W1', '2021-05-01', '5', 'x'),
+      row('W1', 'never', '5'),
+      {},
+    ]);
+
+    expect(aggregator.stations.size).toBe(0);
+    expect(aggregator.skippedRecords).toEqual({ invalidRow: 1, invalidWaterLevel: 1, invalidCoords: 1, invalidDate: 1 });
+  });
+
+  test('records distance from the query point', () => {
+    const aggregator = createStationAggregator({ latitude: 26.9, longitude: 75.8 });
+    aggregator.addRows([row('near', '2021-05-01', '1'), row('far', '2021-05-01', '1', '27.9', '75.8')]);
+
+    expect(aggregator.stations.get('near').distance).toBeCloseTo(0);
+    expect(aggregator.stations.get('far').distance).toBeGreaterThan(100);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for station-centric listing and analytics
+ */
+import { describe, test, expect } from '@jest/globals';
+import { analyzeStation, describeStation, inBbox, parseBbox } from '../../utils/stationAnalytics.js';
+import { createMockQuarterlyHistory } from './testHelpers.js';
+
+const station = (readings) => ({
+  stationCode: 'W1',
+  name: 'Well 1',
+  latitude: 26.9,
+  longitude: 75.8,
+  wellType: 'Dug Well',
+  wellDepth: 30,
+  wellAquiferType: 'Unconfined',
+  history: readings,
+});
+
+describe('Station analytics', () => {
+  test('parseBbox reads minLon,minLat,maxLon,maxLat', () => {
+    expect(parseBbox('75, 26, 76, 27.5')).toEqual([75, 26, 76, 27.5]);
+    expect(parseBbox('75,26,76')).toBeNull();
+    expect(parseBbox('76,26,75,27')).toBeNull();
+    expect(parseBbox('75,26,76,95')).toBeNull();
+    expect(parseBbox('a,b,c,d')).toBeNull();
+  });
+
+  test('inBbox includes the edges', () => {
+    const bbox = [75, 26, 76, 27];
+    expect(inBbox({ latitude: 26.5, longitude: 75.5 }, bbox)).toBe(true);
+    expect(inBbox({ latitude: 27, longitude: 76 }, bbox)).toBe(true);
+    expect(inBbox({ latitude: 27.1, longitude: 75.5 }, bbox)).toBe(false);
+  });
+
+  test('describeStation reports metadata and the observation span', () => {
+    const listing = describeStation(station(createMockQuarterlyHistory(20, 0.5)), { state: 'Rajasthan', district: 'Jaipur' });
+    expect(listing).toMatchObject({
+      stationCode: 'W1',
+      state: 'Rajasthan',
+      district: 'Jaipur',
+      wellDepth: 30,
+      records: 40,
+      firstObservation: '2014-01-10',
+      lastObservation: '2023-11-10',
+    });
+    expect(describeStation(station([]), {}).firstObservation).toBeNull();
+  });
+
+  test('analyzeStation runs trend, stress, recharge, SGI and change points', () => {
+    const result = analyzeStation(station(createMockQuarterlyHistory(20, 0.5)));
+    expect(result.trend.direction).toBe('declining');
+    expect(result.trend.slope).toBeGreaterThan(0);
+    expect(result.stress.category).not.toBeNull();
+    expect(result.rechargePattern.length).toBeGreaterThan(0);
+    expect(result.droughtIndex.summary).toBeDefined();
+    expect(result.changePoints).toHaveProperty('segments');
+    expect(result.outliers.checked).toBe(40);
+  });
+
+  test('analyzeStation leaves the trend unset for too few readings', () => {
+    const result = analyzeStation(station(createMockQuarterlyHistory(20, 0.5).slice(0, 2)));
+    expect(result.trend.slope).toBeNull();
+    expect(result.stress.category).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for station selection and district aggregation
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  selectNearestStation,
+  selectStationHistory,
+  aggregateDistrictHistory,
+  filterStations,
+  groupStations,
+  aquiferPeers,
+  normalizeStationType,
+} from '../../utils/stationHistory.js';
+
+const readings = (count, level) =>
+  Array.from({ length: count }, (_, i) => ({ date: `${2010 + i}-05-01`, waterLevel: level }));
+
+const stationMap = (...stations) => new Map(stations.map((s) => [s.stationCode, s]));
+
+// A station km kilometres north of POINT
+const POINT = { latitude: 26.9, longitude: 75.8 };
+const at = (km) => ({ latitude: POINT.latitude + km / 111.195, longitude: POINT.longitude, distance: km });
+
+describe('selectNearestStation', () => {
+  test('prefers the nearest station with enough readings', () => {
+    const stations = stationMap(
+      { stationCode: 'near', ...at(1), history: readings(3, 5) },
+      { stationCode: 'far', ...at(8), history: readings(12, 9) }
+    );
+    const { nearestStation, isFallback } = selectNearestStation(stations, POINT);
+    expect(nearestStation.stationCode).toBe('far');
+    expect(isFallback).toBe(false);
+  });
+
+  test('falls back to the nearest station when none has enough readings', () => {
+    const stations = stationMap(
+      { stationCode: 'far', ...at(8), history: readings(2, 9) },
+      { stationCode: 'near', ...at(1), history: readings(3, 5) }
+    );
+    const { nearestStation, isFallback } = selectNearestStation(stations, POINT);
+    expect(nearestStation.stationCode).toBe('near');
+    expect(isFallback).toBe(true);
+  });
+
+  test('ranks by distance from the given point', () => {
+    // Distances recorded from another load point disagree with the coordinates
+    const stations = stationMap(
+      { stationCode: 'north', ...at(2), distance: 9, history: readings(12, 5) },
+      { stationCode: 'south', ...at(-4), distance: 1, history: readings(12, 9) }
+    );
+    expect(selectNearestStation(stations, POINT).nearestStation.stationCode).toBe('north');
+    expect(selectNearestStation(stations, at(-3)).nearestStation.stationCode).toBe('south');
+  });
+
+  test('returns null without stations', () => {
+    expect(selectNearestStation(new Map(), POINT)).toBeNull();
+  });
+});
+
+describe('selectStationHistory', () => {
+  test('averages the district when the chosen station is too short', () => {
+    const stations = stationMap(
+      { stationCode: 'a', ...at(1), history: readings(2, 4) },
+      { stationCode: 'b', ...at(2), history: readings(3, 8) }
+    );
+    const { history, isFallback } = selectStationHistory(stations, POINT);
+    expect(isFallback).toBe(true);
+    expect(history.map((h) => h.waterLevel)).toEqual([6, 6, 8]);
+  });
+
+  test('does not average stations from another aquifer', () => {
+    const stations = stationMap(
+      { stationCode: 'a', ...at(1), wellAquiferType: 'Unconfined', history: readings(2, 4) },
+      { stationCode: 'b', ...at(2), wellAquiferType: 'unconfined', history: readings(3, 8) },
+      { stationCode: 'c', ...at(3), wellAquiferType: 'Confined', history: readings(3, 60) }
+    );
+    const { history } = selectStationHistory(stations, POINT);
+    expect(history.map((h) => h.waterLevel)).toEqual([6, 6, 8]);
+  });
+});
+
+describe('aggregateDistrictHistory', () => {
+  test('groups readings by date in order', () => {
+    const stations = stationMap(
+      { stationCode: 'a', history: [{ date: '2021-01-01', waterLevel: 2 }, { date: '2020-01-01', waterLevel: 1 }] },
+      { stationCode: 'b', history: [{ date: '2021-01-01', waterLevel: 4 }] }
+    );
+    expect(aggregateDistrictHistory(stations)).toEqual([
+      { date: '2020-01-01', waterLevel: 1 },
+      { date: '2021-01-01', waterLevel: 3 },
+    ]);
+  });
+});
+
+describe('station types', () => {
+  const stations = stationMap(
+    { stationCode: 'dug', wellType: 'Dug Well', wellAquiferType: 'Unconfined', distance: 1, history: [] },
+    { stationCode: 'piezo', wellType: 'Piezometer', wellAquiferType: 'Confined', distance: 2, history: [] },
+    { stationCode: 'bore', wellType: 'Bore Well', wellAquiferType: 'Semi-Confined', distance: 3, history: [] },
+    { stationCode: 'old', wellType: 'Dug Well', distance: 4, history: [] }
+  );
+
+  test('normalizeStationType ignores case, spacing and hyphens', () => {
+    expect(normalizeStationType(' Semi-Confined ')).toBe('semi confined');
+    expect(normalizeStationType(undefined)).toBe('unknown');
+  });
+
+  test('filterStations matches aquifer and well type', () => {
+    expect([...filterStations(stations, { aquifer: 'semi confined' }).keys()]).toEqual(['bore']);
+    expect([...filterStations(stations, { wellType: 'dug well' }).keys()]).toEqual(['dug', 'old']);
+    expect(filterStations(stations, {})).toBe(stations);
+  });
+
+  test('groupStations splits by aquifer, largest group first', () => {
+    const groups = groupStations(stations, 'aquifer');
+    expect(groups.map((g) => g.key)).toEqual(['confined', 'semi confined', 'unconfined', 'unknown']);
+    expect(groupStations(stations, 'wellType')[0]).toMatchObject({ key: 'dug well', aquiferType: null });
+  });
+
+  test('aquiferPeers keeps the same aquifer and stations of unknown aquifer', () => {
+    expect([...aquiferPeers(stations, stations.get('dug')).keys()]).toEqual(['dug', 'old']);
+    expect(aquiferPeers(stations, stations.get('old'))).toBe(stations);
+  });
+});
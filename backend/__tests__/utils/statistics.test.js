@@ -1,7 +1,20 @@
 /**
  * Tests for statistical utilities module
  */
-import { calculateRSquared, calculateStandardError } from '../../utils/statistics.js';
+import {
+  calculateRSquared,
+  calculateStandardError,
+  normalQuantile,
+  tQuantile,
+  calculatePredictionInterval,
+  calculateForecastInterval,
+  median,
+  medianAbsoluteDeviation,
+  theilSenSlope,
+  mannKendallTest,
+  pearsonCorrelation,
+  linearRegression
+} from '../../utils/statistics.js';
 
 describe('Statistical Utilities', () => {
   describe('calculateRSquared', () => {
@@ -123,4 +136,144 @@ describe('Statistical Utilities', () => {
       expect(se).toBeCloseTo(1, 5);
     });
   });
+
+  describe('normalQuantile and tQuantile', () => {
+    test('match tabulated quantiles', () => {
+      expect(normalQuantile(0.975)).toBeCloseTo(1.96, 2);
+      expect(normalQuantile(0.9)).toBeCloseTo(1.2816, 3);
+      expect(tQuantile(0.975, 1)).toBeCloseTo(12.706, 2);
+      expect(tQuantile(0.975, 2)).toBeCloseTo(4.303, 2);
+      expect(tQuantile(0.975, 5)).toBeCloseTo(2.571, 2);
+      expect(tQuantile(0.9, 10)).toBeCloseTo(1.372, 2);
+    });
+
+    test('approaches the normal quantile for large df', () => {
+      expect(tQuantile(0.975, 1000)).toBeCloseTo(normalQuantile(0.975), 2);
+    });
+
+    test('throws error for invalid inputs', () => {
+      expect(() => normalQuantile(1)).toThrow('Invalid probability');
+      expect(() => tQuantile(0.9, 0)).toThrow('Invalid degrees of freedom');
+    });
+  });
+
+  describe('calculatePredictionInterval', () => {
+    const x = [0, 1, 2, 3, 4];
+
+    test('is symmetric around the prediction', () => {
+      const { lower, upper } = calculatePredictionInterval({ predicted: 10, standardError: 1, x, x0: 5, level: 95 });
+      expect(10 - lower).toBeCloseTo(upper - 10, 10);
+    });
+
+    test('is wider at higher confidence levels', () => {
+      const narrow = calculatePredictionInterval({ predicted: 10, standardError: 1, x, x0: 5, level: 80 });
+      const wide = calculatePredictionInterval({ predicted: 10, standardError: 1, x, x0: 5, level: 95 });
+      expect(wide.upper - wide.lower).toBeGreaterThan(narrow.upper - narrow.lower);
+    });
+
+    test('widens with leverage further from the data', () => {
+      const near = calculatePredictionInterval({ predicted: 10, standardError: 1, x, x0: 2, level: 95 });
+      const far = calculatePredictionInterval({ predicted: 10, standardError: 1, x, x0: 10, level: 95 });
+      expect(far.upper - far.lower).toBeGreaterThan(near.upper - near.lower);
+    });
+
+    test('matches the textbook formula', () => {
+      // t(0.975, 3) = 3.182; leverage at x0 = 2 is 1/5
+      const { upper } = calculatePredictionInterval({ predicted: 0, standardError: 1, x, x0: 2, level: 95 });
+      expect(upper).toBeCloseTo(3.182 * Math.sqrt(1.2), 2);
+    });
+  });
+
+  describe('calculateForecastInterval', () => {
+    test('scales the residual RMS by the error growth', () => {
+      // RMS of [1, -1, 1, -1] is 1, on 3 df
+      const residuals = [1, -1, 1, -1];
+      const { lower, upper } = calculateForecastInterval({ predicted: 10, residuals, growth: 2, level: 95 });
+      expect(upper - 10).toBeCloseTo(tQuantile(0.975, 3) * 2, 10);
+      expect(10 - lower).toBeCloseTo(upper - 10, 10);
+    });
+
+    test('rejects too few residuals', () => {
+      expect(() => calculateForecastInterval({ predicted: 0, residuals: [1], growth: 1, level: 95 })).toThrow('at least 2 residuals');
+    });
+  });
+
+  describe('median and medianAbsoluteDeviation', () => {
+    test('handles odd and even lengths', () => {
+      expect(median([3, 1, 2])).toBe(2);
+      expect(median([4, 1, 3, 2])).toBe(2.5);
+    });
+
+    test('MAD is scaled to the standard deviation', () => {
+      // |x - 3| = [2, 1, 0, 1, 2] -> median 1
+      expect(medianAbsoluteDeviation([1, 2, 3, 4, 5])).toBeCloseTo(1.4826, 4);
+    });
+  });
+
+  describe('theilSenSlope', () => {
+    test('recovers an exact line', () => {
+      const { slope, intercept } = theilSenSlope([0, 1, 2, 3], [1, 3, 5, 7]);
+      expect(slope).toBe(2);
+      expect(intercept).toBe(1);
+    });
+
+    test('ignores a single wild reading', () => {
+      const x = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+      const y = x.map((xi) => 10 + 0.5 * xi);
+      y[5] = 350;
+      expect(theilSenSlope(x, y).slope).toBeCloseTo(0.5, 10);
+    });
+
+    test('throws error for mismatched arrays', () => {
+      expect(() => theilSenSlope([1, 2], [1])).toThrow('same length');
+    });
+  });
+
+  describe('mannKendallTest', () => {
+    test('detects a monotonic increase', () => {
+      const result = mannKendallTest([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      expect(result.s).toBe(45);
+      expect(result.tau).toBe(1);
+      expect(result.trend).toBe('increasing');
+      expect(result.significant).toBe(true);
+    });
+
+    test('detects a monotonic decrease', () => {
+      expect(mannKendallTest([10, 9, 8, 7, 6, 5, 4, 3, 2, 1]).trend).toBe('decreasing');
+    });
+
+    test('reports no trend for a flat series', () => {
+      const result = mannKendallTest([5, 5, 5, 5, 5]);
+      expect(result.s).toBe(0);
+      expect(result.trend).toBe('no trend');
+      expect(result.pValue).toBeCloseTo(1, 5);
+    });
+
+    test('throws error for fewer than 3 points', () => {
+      expect(() => mannKendallTest([1, 2])).toThrow('at least 3');
+    });
+  });
+
+  describe('pearsonCorrelation', () => {
+    test('is 1 and -1 for exact linear relations', () => {
+      expect(pearsonCorrelation([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1, 10);
+      expect(pearsonCorrelation([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1, 10);
+    });
+
+    test('returns 0 for a constant variable', () => {
+      expect(pearsonCorrelation([1, 2, 3], [5, 5, 5])).toBe(0);
+    });
+  });
+
+  describe('linearRegression', () => {
+    test('recovers slope and intercept of an exact line', () => {
+      const { slope, intercept } = linearRegression([0, 1, 2, 3], [1, 3, 5, 7]);
+      expect(slope).toBeCloseTo(2, 10);
+      expect(intercept).toBeCloseTo(1, 10);
+    });
+
+    test('gives a flat line when x does not vary', () => {
+      expect(linearRegression([2, 2, 2], [1, 2, 3])).toEqual({ slope: 0, intercept: 2 });
+    });
+  });
 });
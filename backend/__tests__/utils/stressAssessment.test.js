@@ -0,0 +1,81 @@
+/**
+ * Tests for CGWB-style stress categorisation
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  annualSeasonSeries,
+  assessStress,
+  resolveStressThresholds,
+  waterTableDirection,
+  STRESS_ASSESSMENT_DEFAULTS,
+} from '../../utils/stressAssessment.js';
+
+// One pre-monsoon (April) and one post-monsoon (November) reading per year
+function history({ years = 10, preRate = 0, postRate = 0, noise = 0.05 }) {
+  const readings = [];
+  for (let y = 0; y < years; y++) {
+    const wobble = y % 2 === 0 ? noise : -noise;
+    readings.push({ date: `${2014 + y}-04-15`, waterLevel: 15 + preRate * y + wobble });
+    readings.push({ date: `${2014 + y}-11-15`, waterLevel: 10 + postRate * y - wobble });
+  }
+  return readings;
+}
+
+describe('Stress Assessment', () => {
+  test('annualSeasonSeries averages each year within the season months', () => {
+    const series = annualSeasonSeries([
+      { date: '2020-03-01', waterLevel: 10 },
+      { date: '2020-05-01', waterLevel: 12 },
+      { date: '2020-08-01', waterLevel: 4 },
+      { date: '2021-04-01', waterLevel: 13 },
+    ], 'preMonsoon');
+
+    expect(series).toEqual([
+      { year: 2020, waterLevel: 11, readings: 2 },
+      { year: 2021, waterLevel: 13, readings: 1 },
+    ]);
+  });
+
+  test('no significant decline is Safe', () => {
+    const result = assessStress(history({}));
+    expect(result.category).toBe('Safe');
+    expect(result.seasons.preMonsoon.significantDecline).toBe(false);
+  });
+
+  test('decline in one season is Semi-critical', () => {
+    const result = assessStress(history({ preRate: 0.3 }));
+    expect(result.category).toBe('Semi-critical');
+    expect(result.seasons.preMonsoon.senSlope).toBeCloseTo(0.3, 1);
+  });
+
+  test('decline in both seasons is Critical, severe decline is Over-exploited', () => {
+    expect(assessStress(history({ preRate: 0.3, postRate: 0.3 })).category).toBe('Critical');
+    expect(assessStress(history({ preRate: 1.2, postRate: 1.5 })).category).toBe('Over-exploited');
+  });
+
+  test('a rising water table is never a decline', () => {
+    const result = assessStress(history({ preRate: -0.5, postRate: -0.5 }));
+    expect(result.category).toBe('Safe');
+    expect(result.seasons.postMonsoon.mannKendall.significant).toBe(true);
+  });
+
+  test('thresholds are configurable and returned', () => {
+    const result = assessStress(history({ preRate: 0.3 }), { thresholds: { significantDecline: 0.5 } });
+    expect(result.category).toBe('Safe');
+    expect(result.thresholds).toEqual({ ...STRESS_ASSESSMENT_DEFAULTS, significantDecline: 0.5 });
+    expect(() => resolveStressThresholds({ significantDecline: 2 })).toThrow('severeDecline');
+  });
+
+  test('short records are not categorised', () => {
+    const result = assessStress(history({ years: 3, preRate: 1 }));
+    expect(result.category).toBeNull();
+    expect(result.seasons.preMonsoon.assessable).toBe(false);
+    expect(result.note).toMatch(/Not enough years/);
+  });
+
+  test('waterTableDirection reads depth slopes the right way round', () => {
+    expect(waterTableDirection(0.4, true)).toBe('declining');
+    expect(waterTableDirection(-0.4, true)).toBe('rising');
+    expect(waterTableDirection(0.4, false)).toBe('stable');
+  });
+});
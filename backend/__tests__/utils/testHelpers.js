@@ -318,3 +318,23 @@ export function createMockRechargePattern(years = 5) {
   
   return pattern;
 }
+
+/**
+ * Create quarterly readings with a monsoon dip, changing linearly over time
+ * @param {number} start - Water level at the first reading
+ * @param {number} rate - Change in metres per year
+ * @param {number} years - Number of years, starting 2014
+ * @returns {Array} Readings as { date, waterLevel }
+ */
+export function createMockQuarterlyHistory(start, rate, years = 10) {
+  const out = [];
+  for (let y = 0; y < years; y++) {
+    for (const m of [0, 4, 7, 10]) {
+      out.push({
+        date: new Date(Date.UTC(2014 + y, m, 10)).toISOString().split('T')[0],
+        waterLevel: start + rate * (y + m / 12) + (m === 7 ? -1 : 0),
+      });
+    }
+  }
+  return out;
+}
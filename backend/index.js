@@ -10,10 +10,17 @@ import chat from "./routes/chat.js";
 import authRouter from "./routes/auth.js";
 import systemRouter from "./routes/system.js";
 import districtsRouter from "./routes/districts.js";
+import predictionsRouter from "./routes/predictions.js";
+import extractionRouter from "./routes/extraction.js";
+import scenariosRouter from "./routes/scenarios.js";
+import stationsRouter from "./routes/stations.js";
+import mapRouter from "./routes/map.js";
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
 import { requestTimer } from "./utils/performance.js";
 import { sanitizeInput, preventNoSQLInjection } from "./middleware/sanitize.js";
 import { validateEnv } from "./utils/validateEnv.js";
+import { startIngestionScheduler } from "./utils/ingestion.js";
+import { indexStoredStations } from "./utils/spatialIndex.js";
 
 dotenv.config({ path: ".env" });
 dotenv.config({ path: ".env.local" });
@@ -32,7 +39,13 @@ mongoose.connect(MONGODB_URI, {
   socketTimeoutMS: 45000,
   serverSelectionTimeoutMS: 5000,
 })
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    indexStoredStations().catch((err) => console.error("❌ Station index error:", err.message));
+    if (process.env.INGESTION_ENABLED === "true") {
+      startIngestionScheduler();
+    }
+  })
   .catch(err => console.error("❌ MongoDB connection error:", err));
 
 // Security middleware
@@ -119,6 +132,11 @@ app.use("/api", chat);
 app.use("/api/auth", authRouter);
 app.use("/api/system", systemRouter);
 app.use("/api/districts", districtsRouter);
+app.use("/api/predictions", predictionsRouter);
+app.use("/api/extraction", extractionRouter);
+app.use("/api/scenarios", scenariosRouter);
+app.use("/api/stations", stationsRouter);
+app.use("/api/map", mapRouter);
 
 // Error handlers (must be last)
 app.use(notFoundHandler);
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
 
 // Extract JWT from "Bearer <token>" format and verify
 export const authenticateToken = (req, res, next) => {
@@ -31,3 +32,17 @@ export const optionalAuth = (req, res, next) => {
   }
   next();
 };
+
+// Must run after authenticateToken; role is read from the database so demotions apply immediately
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?.userId).select('role');
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ error: 'Failed to verify permissions' });
+  }
+};
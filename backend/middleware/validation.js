@@ -1,4 +1,10 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import { STRESS_ASSESSMENT_DEFAULTS } from '../utils/stressAssessment.js';
+import { SCENARIO_INTERVENTIONS } from '../utils/scenarios.js';
+import { GAP_FILL_METHODS } from '../utils/resampling.js';
+import { STATION_GROUP_BY } from '../utils/stationHistory.js';
+import { COMPARISON_CONFIG, RANK_CRITERIA } from '../utils/comparison.js';
+import { MAP_CONFIG } from '../utils/mapLayers.js';
 
 // Validation middleware
 export const validate = (req, res, next) => {
@@ -23,6 +29,257 @@ export const waterLevelValidation = [
   body('date')
     .isISO8601()
     .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('interpolation')
+    .optional()
+    .isIn(['nearest', 'idw', 'kriging'])
+    .withMessage('Interpolation must be one of: nearest, idw, kriging'),
+  body('k')
+    .optional()
+    .isInt({ min: 2, max: 20 })
+    .withMessage('k must be an integer between 2 and 20'),
+  body('power')
+    .optional()
+    .isFloat({ min: 0.5, max: 5 })
+    .withMessage('Power must be between 0.5 and 5'),
+  body('model')
+    .optional()
+    .isIn(['linear', 'holt-winters', 'stl', 'damped-trend', 'auto'])
+    .withMessage('Model must be one of: linear, holt-winters, stl, damped-trend, auto'),
+  body('intervals')
+    .optional()
+    .isArray({ min: 1, max: 4 })
+    .withMessage('Intervals must be an array of 1-4 confidence levels'),
+  body('intervals.*')
+    .isFloat({ min: 50, max: 99.9 })
+    .withMessage('Each interval level must be between 50 and 99.9'),
+  body('outliers')
+    .optional()
+    .isIn(['exclude', 'flag', 'off'])
+    .withMessage('Outliers must be one of: exclude, flag, off'),
+  body('regime')
+    .optional()
+    .isIn(['all', 'recent'])
+    .withMessage('Regime must be one of: all, recent'),
+  body('gapFill')
+    .optional()
+    .isIn(GAP_FILL_METHODS)
+    .withMessage(`gapFill must be one of: ${GAP_FILL_METHODS.join(', ')}`),
+  body('maxGapMonths')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('maxGapMonths must be an integer between 1 and 24'),
+  body('forecastSeries')
+    .optional()
+    .isIn(['raw', 'monthly'])
+    .withMessage('forecastSeries must be one of: raw, monthly'),
+  body('aquifer')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('aquifer must be a type such as Unconfined or Confined'),
+  body('wellType')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('wellType must be a type such as Dug Well or Piezometer'),
+  body('groupBy')
+    .optional()
+    .isIn(STATION_GROUP_BY)
+    .withMessage(`groupBy must be one of: ${STATION_GROUP_BY.join(', ')}`),
+  body('stressThresholds')
+    .optional()
+    .isObject()
+    .withMessage('stressThresholds must be an object')
+    .custom((value) => {
+      const significant = value.significantDecline ?? STRESS_ASSESSMENT_DEFAULTS.significantDecline;
+      const severe = value.severeDecline ?? STRESS_ASSESSMENT_DEFAULTS.severeDecline;
+      return Number(severe) >= Number(significant);
+    })
+    .withMessage('stressThresholds.severeDecline must not be smaller than significantDecline'),
+  body('stressThresholds.alpha')
+    .optional()
+    .isFloat({ min: 0.001, max: 0.2 })
+    .withMessage('stressThresholds.alpha must be between 0.001 and 0.2'),
+  body('stressThresholds.significantDecline')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('stressThresholds.significantDecline must be between 0 and 5 m/year'),
+  body('stressThresholds.severeDecline')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('stressThresholds.severeDecline must be between 0 and 10 m/year'),
+  body('stressThresholds.minYears')
+    .optional()
+    .isInt({ min: 3, max: 30 })
+    .withMessage('stressThresholds.minYears must be an integer between 3 and 30'),
+];
+
+export const backtestValidation = [
+  body('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('lon')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('models')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Models must be a non-empty array'),
+  body('models.*')
+    .isIn(['linear', 'holt-winters', 'stl', 'damped-trend'])
+    .withMessage('Each model must be one of: linear, holt-winters, stl, damped-trend'),
+  body('horizons')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Horizons must be an array of 1-5 years'),
+  body('horizons.*')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Each horizon must be a whole number of years between 1 and 5'),
+  body('minTrainYears')
+    .optional()
+    .isInt({ min: 2, max: 10 })
+    .withMessage('minTrainYears must be between 2 and 10'),
+];
+
+export const scenarioValidation = [
+  body('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('lon')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('interventions')
+    .isObject()
+    .withMessage('interventions must be an object')
+    .custom((value) => SCENARIO_INTERVENTIONS.some((key) => Number(value[key] || 0) !== 0))
+    .withMessage(`interventions must set at least one of: ${SCENARIO_INTERVENTIONS.join(', ')}`),
+  body('interventions.extractionChangePct')
+    .optional()
+    .isFloat({ min: -100, max: 100 })
+    .withMessage('interventions.extractionChangePct must be between -100 and 100'),
+  body('interventions.rechargeChangePct')
+    .optional()
+    .isFloat({ min: -100, max: 300 })
+    .withMessage('interventions.rechargeChangePct must be between -100 and 300'),
+  body('interventions.additionalRechargeM')
+    .optional()
+    .isFloat({ min: -5, max: 5 })
+    .withMessage('interventions.additionalRechargeM must be between -5 and 5 m/year'),
+  body('model')
+    .optional()
+    .isIn(['linear', 'holt-winters', 'stl', 'damped-trend', 'auto'])
+    .withMessage('Model must be one of: linear, holt-winters, stl, damped-trend, auto'),
+  body('intervals')
+    .optional()
+    .isArray({ min: 1, max: 4 })
+    .withMessage('Intervals must be an array of 1-4 confidence levels'),
+  body('intervals.*')
+    .isFloat({ min: 50, max: 99.9 })
+    .withMessage('Each interval level must be between 50 and 99.9'),
+  body('save')
+    .optional()
+    .isBoolean()
+    .withMessage('save must be true or false'),
+];
+
+export const compareValidation = [
+  body('sites')
+    .isArray({ min: COMPARISON_CONFIG.MIN_SITES, max: COMPARISON_CONFIG.MAX_SITES })
+    .withMessage(`sites must be an array of ${COMPARISON_CONFIG.MIN_SITES}-${COMPARISON_CONFIG.MAX_SITES} points or districts`),
+  body('sites.*')
+    .custom((site) => {
+      if (site === null || typeof site !== 'object') return false;
+      if (site.lat !== undefined || site.lon !== undefined) {
+        const lat = Number(site.lat);
+        const lon = Number(site.lon);
+        return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+      }
+      return typeof site.state === 'string' && typeof site.district === 'string' && site.district.trim() !== '';
+    })
+    .withMessage('Each site needs lat and lon, or state and district'),
+  body('sites.*.label')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Site labels must be at most 100 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('model')
+    .optional()
+    .isIn(['linear', 'holt-winters', 'stl', 'damped-trend', 'auto'])
+    .withMessage('Model must be one of: linear, holt-winters, stl, damped-trend, auto'),
+  body('intervals')
+    .optional()
+    .isArray({ min: 1, max: 4 })
+    .withMessage('Intervals must be an array of 1-4 confidence levels'),
+  body('intervals.*')
+    .isFloat({ min: 50, max: 99.9 })
+    .withMessage('Each interval level must be between 50 and 99.9'),
+  body('rankBy')
+    .optional()
+    .isIn(Object.keys(RANK_CRITERIA))
+    .withMessage(`rankBy must be one of: ${Object.keys(RANK_CRITERIA).join(', ')}`),
+];
+
+export const stationListValidation = [
+  query('state')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('State must be a non-empty string'),
+  query('district')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('District must be a non-empty string'),
+  query('district')
+    .custom((district, { req }) => district === undefined || req.query.state !== undefined)
+    .withMessage('district needs state'),
+  query('bbox')
+    .optional()
+    .matches(/^\s*-?[\d.]+\s*(,\s*-?[\d.]+\s*){3}$/)
+    .withMessage('bbox must be minLon,minLat,maxLon,maxLat'),
+  query('state')
+    .custom((state, { req }) => state !== undefined || req.query.bbox !== undefined)
+    .withMessage('Pass state (optionally with district) or bbox'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('limit must be an integer between 1 and 1000'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer'),
+];
+
+export const mapLayerValidation = [
+  query('bbox')
+    .exists()
+    .withMessage('bbox is required')
+    .bail()
+    .matches(/^\s*-?[\d.]+\s*(,\s*-?[\d.]+\s*){3}$/)
+    .withMessage('bbox must be minLon,minLat,maxLon,maxLat'),
+  query('zoom')
+    .optional()
+    .isInt({ min: 0, max: MAP_CONFIG.MAX_ZOOM })
+    .withMessage(`zoom must be an integer between 0 and ${MAP_CONFIG.MAX_ZOOM}`),
 ];
 
 export const chatValidation = [
@@ -42,6 +299,14 @@ export const chatValidation = [
     .optional()
     .isString()
     .withMessage('Language must be a string'),
+  body('district')
+    .optional()
+    .isString()
+    .withMessage('District must be a string'),
+  body('state')
+    .optional()
+    .isString()
+    .withMessage('State must be a string'),
 ];
 
 export const registerValidation = [
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * Date range of WRIS data already copied into the Observation collection for a district
+ * Lets the water-levels route fetch only the missing part of the requested window,
+ * and records the outcome of the last sync for the ingestion status endpoint
+ */
+const districtSyncSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+  },
+  district: {
+    type: String,
+    required: true,
+  },
+  syncedFrom: Date,
+  syncedTo: Date,
+  lastSyncedAt: Date,
+  // Outcome of the most recent sync attempt (route or ingestion job)
+  lastAttemptAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed'],
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+}, {
+  timestamps: true,
+});
+
+districtSyncSchema.index({ state: 1, district: 1 }, { unique: true });
+
+export default mongoose.model('DistrictSync', districtSyncSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * Single WRIS water level reading (meters below ground level)
+ * Keyed by stationCode + date so repeated syncs upsert instead of duplicating
+ */
+const observationSchema = new mongoose.Schema({
+  stationCode: {
+    type: String,
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  waterLevel: {
+    type: Number,
+    required: true
+  },
+  // Denormalised from Station so district history loads with a single indexed query
+  state: {
+    type: String,
+    required: true,
+  },
+  district: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+observationSchema.index({ stationCode: 1, date: 1 }, { unique: true });
+observationSchema.index({ state: 1, district: 1, date: 1 });
+
+export default mongoose.model('Observation', observationSchema);
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * Monthly district rainfall (mm) imported from IMD-style CSV files
+ * Keyed by state + district + year + month so re-imports overwrite instead of duplicating
+ */
+const rainfallSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+  },
+  district: {
+    type: String,
+    required: true,
+  },
+  year: {
+    type: Number,
+    required: true,
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12,
+  },
+  rainfallMm: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  source: {
+    type: String,
+    default: 'IMD',
+  },
+}, {
+  timestamps: true,
+});
+
+rainfallSchema.index({ state: 1, district: 1, year: 1, month: 1 }, { unique: true });
+
+export default mongoose.model('Rainfall', rainfallSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * What-if scenario saved by a user from POST /api/scenarios
+ * Stores the request and the full result so saved runs can be compared later
+ * without re-fetching data that may have changed since
+ */
+const scenarioSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  location: {
+    lat: { type: Number, required: true },
+    lon: { type: Number, required: true },
+    district: String,
+    state: String,
+  },
+  date: {
+    type: String,
+    required: true,
+  },
+  interventions: {
+    extractionChangePct: { type: Number, default: 0 },
+    rechargeChangePct: { type: Number, default: 0 },
+    additionalRechargeM: { type: Number, default: 0 },
+  },
+  model: {
+    type: String,
+    default: 'linear',
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+scenarioSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('Scenario', scenarioSchema);
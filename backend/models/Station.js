@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * CGWB monitoring well metadata, one document per WRIS stationCode
+ * Observation history lives in the Observation collection
+ */
+const stationSchema = new mongoose.Schema({
+  stationCode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    required: true,
+  },
+  district: {
+    type: String,
+    required: true,
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  wellType: { type: String, default: 'Unknown' },
+  wellDepth: { type: Number, default: null },
+  wellAquiferType: { type: String, default: 'Unknown' },
+}, {
+  timestamps: true,
+});
+
+stationSchema.index({ state: 1, district: 1 });
+
+export default mongoose.model('Station', stationSchema);
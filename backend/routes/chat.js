@@ -3,13 +3,15 @@ import axios from "axios";
 import dotenv from "dotenv";
 import {
   getCoordsFromDistrict,
-  getDistrictFromCoords,
+  getDistrict,
+  resolveDistrict,
 } from "../utils/helpers/geo.js";
 import { analyzeIntent } from "../utils/helpers/intent.js";
 import {
   summarizeContextForChat,
   summarizeLocalForChat,
   summarizeWrisForChat,
+  summarizeRainfallForRows,
 } from "../utils/helpers/chat.js";
 import {
   fetchGroundwaterData,
@@ -75,11 +77,12 @@ router.post("/chat", chatValidation, validate, async (req, res) => {
       context,
       language,
       district: providedDistrict,
+      state: providedState,
     } = req.body;
     
     console.log("\n🤖 === CHAT REQUEST ===");
     console.log("📝 Message:", message);
-    console.log("📍 Location:", { lat, lon, district: providedDistrict });
+    console.log("📍 Location:", { lat, lon, district: providedDistrict, state: providedState });
     console.log("🌐 Language:", language);
     
     if (!message) return res.status(400).json({ error: "Message is required" });
@@ -99,16 +102,19 @@ router.post("/chat", chatValidation, validate, async (req, res) => {
       }
     }
 
-    // Precompute district from lat/lon for fallback
-    let precomputedDistrict = null;
-    if (
+    const hasCoords =
       lat !== undefined &&
       lon !== undefined &&
+      lat !== null &&
+      lon !== null &&
       !isNaN(Number(lat)) &&
-      !isNaN(Number(lon))
-    ) {
+      !isNaN(Number(lon));
+
+    // Precompute district (name + state) from lat/lon for fallback
+    let precomputedDistrict = null;
+    if (hasCoords) {
       try {
-        precomputedDistrict = getDistrictFromCoords(Number(lat), Number(lon));
+        precomputedDistrict = getDistrict(Number(lat), Number(lon));
       } catch (e) {
         precomputedDistrict = null;
       }
@@ -116,26 +122,47 @@ router.post("/chat", chatValidation, validate, async (req, res) => {
 
     let contextRelevant = false;
     // Analyze intent locally
-    const analysis = analyzeIntent(message, providedDistrict, lat, lon, date);
+    const analysis = analyzeIntent(message, providedDistrict, lat, lon, date, providedState);
     console.log("🔍 Intent Analysis:", {
       needsApiCall: analysis.needsApiCall,
       dataType: analysis.dataType,
       inferredDistrict: analysis.inferredDistrict,
+      inferredState: analysis.inferredState,
       missingFields: analysis.missingFields
     });
 
-    // Determine finalDistrict: providedDistrict > inferredDistrict > precomputedDistrict
-    let finalDistrict =
-      providedDistrict ||
-      analysis.inferredDistrict ||
-      precomputedDistrict ||
-      null;
+    // Resolve a state-aware district identity: providedDistrict > inferredDistrict > precomputedDistrict
+    // District names repeat across states, so the state comes from the client, the message,
+    // or proximity to lat/lon; if none of those settle it the user is asked to choose
+    let finalDistrictInfo = null;
+    let districtCandidates = [];
+    const requestedDistrict = providedDistrict || analysis.inferredDistrict;
+    if (requestedDistrict) {
+      const resolved = resolveDistrict(requestedDistrict, {
+        state: providedState || analysis.mentionedState,
+        lat: hasCoords ? Number(lat) : null,
+        lon: hasCoords ? Number(lon) : null,
+      });
+      finalDistrictInfo = resolved.district;
+      districtCandidates = resolved.candidates;
+      // Unknown to our database but the client told us the state: trust it
+      if (!finalDistrictInfo && districtCandidates.length === 0 && providedState) {
+        finalDistrictInfo = { name: requestedDistrict, state: providedState };
+      }
+    }
+    const districtAmbiguous = !finalDistrictInfo && districtCandidates.length > 1;
+    if (!finalDistrictInfo && !districtAmbiguous && precomputedDistrict) {
+      finalDistrictInfo = { name: precomputedDistrict.name, state: precomputedDistrict.state };
+    }
+
+    const finalDistrict = finalDistrictInfo?.name || null;
+    const finalState = finalDistrictInfo?.state || null;
 
     // Get coordinates from district if lat/lon not provided
     let effectiveLat = lat;
     let effectiveLon = lon;
     if (!effectiveLat || !effectiveLon) {
-      const coords = getCoordsFromDistrict(finalDistrict);
+      const coords = getCoordsFromDistrict(finalDistrict, finalState);
       if (coords) {
         effectiveLat = coords.lat;
         effectiveLon = coords.lon;
@@ -154,14 +181,25 @@ router.post("/chat", chatValidation, validate, async (req, res) => {
       effectiveContext = false; // not provided at all → default false
     }
 
-    if (effectiveContext && analysis.inferredDistrict) {
+    if (effectiveContext && analysis.inferredDistrict && finalDistrictInfo) {
       const contextDistrict = effectiveContext.userLocation
-        ? getDistrictFromCoords(
+        ? getDistrict(
             effectiveContext.userLocation.lat,
             effectiveContext.userLocation.lon
           )
         : null;
-      contextRelevant = contextDistrict === analysis.inferredDistrict;
+      contextRelevant =
+        contextDistrict?.name === finalDistrictInfo.name &&
+        contextDistrict?.state === finalDistrictInfo.state;
+    }
+
+    // Namesake districts in several states: ask instead of guessing the wrong WRIS query
+    if (districtAmbiguous) {
+      const options = districtCandidates.map((d) => `${d.name}, ${d.state}`).join(" or ");
+      console.warn(`Ambiguous district "${requestedDistrict}": ${options}`);
+      analysis.needsApiCall = false;
+      analysis.dataType = "knowledge";
+      analysis.processedMessage = `${message} (district "${requestedDistrict}" is ambiguous: ${options}; ask the user which state they mean)`;
     }
 
     // If WRIS or local is requested but no district, disable API call
@@ -205,20 +243,29 @@ router.post("/chat", chatValidation, validate, async (req, res) => {
           fetchPromises.push(
             fetchGroundwaterData({
               district: finalDistrict,
+              state: finalState,
               start: startDate,
               end: endDate,
-            }).then((rawWris) => ({
-              source: "wris",
-              data: summarizeWrisForChat(
+            }).then(async (rawWris) => {
+              const data = summarizeWrisForChat(
                 rawWris,
                 effectiveLat,
                 effectiveLon,
                 finalDistrict,
                 analysis.isLowest,
                 analysis.requestedRange === "monthly" ? "2025" : null
-              ),
-              rawCount: rawWris.data ? rawWris.data.length : 0,
-            }))
+              );
+              // Rainfall is optional context; a lookup failure must not fail the chat
+              data.rainfall = await summarizeRainfallForRows(rawWris.data, finalState, finalDistrict).catch((e) => {
+                console.warn("⚠️ Rainfall summary unavailable:", e.message);
+                return null;
+              });
+              return {
+                source: "wris",
+                data,
+                rawCount: rawWris.data ? rawWris.data.length : 0,
+              };
+            })
           );
         }
         if (analysis.dataType === "local" && finalDistrict) {
@@ -302,6 +349,7 @@ Content requirements:
 • If data is missing, explain what's needed
 • Add 2-3 actionable recommendations
 • Mention inferred districts or coordinates used
+• When rainfall data is present, cite it to say whether weak recharge followed a weak monsoon or points to over-pumping
 
 Keep tone professional yet warm. Be concise and scannable.
 `;
@@ -312,7 +360,12 @@ API summary (if any): ${
       apiSummary ? JSON.stringify(apiSummary, null, 2) : "none"
     }
 Missing fields: ${JSON.stringify(analysis.missingFields)}
-District used: ${finalDistrict || "none"}
+District used: ${finalDistrict ? `${finalDistrict}, ${finalState}` : "none"}
+Ambiguous district candidates: ${
+      districtAmbiguous
+        ? districtCandidates.map((d) => `${d.name}, ${d.state}`).join("; ")
+        : "none"
+    }
 Coordinates used: ${
       effectiveLat && effectiveLon
         ? `lat: ${effectiveLat}, lon: ${effectiveLon}`
@@ -368,6 +421,9 @@ Task: Provide a helpful answer to the user. If you could not fetch live data bec
         if (apiSummary.trend) {
           finalText += `📈 Trend: ${apiSummary.trend}\n`;
         }
+        if (apiSummary.rainfall?.correlation) {
+          finalText += `🌧️ Monsoon rainfall vs recharge: ${apiSummary.rainfall.correlation}\n`;
+        }
         finalText += `\n💡 For detailed analysis, please try again in a moment.`;
       } else {
         finalText = `I'm currently experiencing high demand. Here's what I can tell you:\n\n`;
@@ -385,6 +441,8 @@ Task: Provide a helpful answer to the user. If you could not fetch live data bec
         usedApi: !!analysis.needsApiCall && !contextRelevant,
         apiSummary: apiSummary || null,
         finalDistrict,
+        finalState,
+        districtCandidates: districtCandidates.length > 1 ? districtCandidates : [],
         effectiveLat,
         effectiveLon,
         analysisRaw: analysis,
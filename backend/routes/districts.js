@@ -1,6 +1,12 @@
 import { Router } from "express";
 import { ALL_DISTRICTS, DISTRICTS_BY_STATE, STATES, STATS } from "../data/districts/index.js";
-import { districtCache } from "../utils/cache.js";
+import { districtCache, wrisCache, generateCacheKey } from "../utils/cache.js";
+import { loadDistrictStations, MIN_STATION_POINTS } from "../utils/stationHistory.js";
+import { detectOutliers } from "../utils/outliers.js";
+import { analyzeSgi, averageSgi, SGI_CLASSES } from "../utils/sgi.js";
+import { summarizeDistrict } from "../utils/districtSummary.js";
+import { getSeasonCalendar } from "../utils/seasonCalendar.js";
+import { boundaryStats, getDistrictBoundary } from "../utils/districtBoundaries.js";
 
 const router = Router();
 
@@ -71,7 +77,8 @@ router.get("/stats", (req, res) => {
         'Madhya Pradesh', 'Karnataka', 'Tamil Nadu', 'Telangana',
         'Andhra Pradesh', 'Punjab', 'Haryana', 'Delhi'
       ],
-      coverage: "70%+ of India's groundwater depletion regions"
+      coverage: "70%+ of India's groundwater depletion regions",
+      boundaries: boundaryStats()
     };
     
     // Cache for 24 hours
@@ -87,4 +94,207 @@ router.get("/stats", (req, res) => {
   }
 });
 
+const SERVICE_UNAVAILABLE = {
+  error: "Service temporarily unavailable",
+  detail: "The water data service is experiencing issues. Please try again in a few moments.",
+};
+
+// State and district from the path (case-insensitive) and the ?date= end of the 10-year window
+function parseDistrictRequest(req) {
+  const date = req.query.date || new Date().toISOString().split("T")[0];
+  const endDate = new Date(date);
+  if (isNaN(endDate.getTime())) {
+    return { status: 400, error: "Invalid date", detail: "date must be YYYY-MM-DD" };
+  }
+
+  const state = STATES.find((s) => s.toLowerCase() === req.params.state.toLowerCase());
+  const centroid = state
+    ? DISTRICTS_BY_STATE[state].find((d) => d.name.toLowerCase() === req.params.district.toLowerCase())
+    : null;
+  if (!centroid) {
+    return {
+      status: 404,
+      error: "District not found",
+      detail: `${req.params.district}, ${req.params.state} is not in the district database`,
+    };
+  }
+  return { state, district: centroid.name, centroid, date, endDate };
+}
+
+// Every station of the district over the 10 years up to the request date
+function loadDistrictWindow({ state, district, centroid, endDate }) {
+  const startDate = new Date(endDate);
+  startDate.setFullYear(startDate.getFullYear() - 10);
+  return loadDistrictStations({
+    state,
+    district,
+    latitude: centroid.lat,
+    longitude: centroid.lon,
+    start: startDate,
+    end: endDate,
+  });
+}
+
+// District drought picture from the Standardized Groundwater Level Index of every station
+// GET /api/districts/:state/:district/sgi?date=YYYY-MM-DD
+router.get("/:state/:district/sgi", async (req, res) => {
+  try {
+    const request = parseDistrictRequest(req);
+    if (request.error) {
+      return res.status(request.status).json({ error: request.error, detail: request.detail });
+    }
+    const { state, district, date } = request;
+
+    const cacheKey = generateCacheKey("sgi", { state, district, date });
+    const cachedData = wrisCache.get(cacheKey);
+    if (cachedData) {
+      return res.json({ ...cachedData, cached: true });
+    }
+
+    let loaded;
+    try {
+      loaded = await loadDistrictWindow(request);
+    } catch (err) {
+      if (err.message.includes("Circuit breaker open")) {
+        return res.status(503).json(SERVICE_UNAVAILABLE);
+      }
+      throw err;
+    }
+
+    if (loaded.stations.size === 0) {
+      return res.status(404).json({ error: "No valid stations found" });
+    }
+
+    const stations = [];
+    const stationSeries = [];
+    for (const station of loaded.stations.values()) {
+      if (station.history.length < MIN_STATION_POINTS) continue;
+      const { series, summary } = analyzeSgi(detectOutliers(station.history).clean);
+      if (summary.readings === 0) continue;
+      stationSeries.push(series);
+      stations.push({
+        stationCode: station.stationCode,
+        stationName: station.name,
+        latest: summary.latest,
+        inDrought: summary.inDrought,
+        droughtShare: summary.droughtShare,
+        eventCount: summary.eventCount,
+        worstEvent: summary.worstEvent,
+      });
+    }
+
+    // Stations are standardized before they are averaged, so deep wells cannot swamp shallow ones
+    const districtSgi = averageSgi(stationSeries);
+    console.log(`🏜️ SGI for ${district}: ${stations.length}/${loaded.stations.size} stations standardized`);
+
+    // Latest class of each station, in severity order
+    const latestClasses = SGI_CLASSES.map(({ label }) => ({
+      class: label,
+      stations: stations.filter((s) => s.latest.class === label).length,
+    }));
+
+    const response = {
+      state,
+      district,
+      date,
+      threshold: districtSgi.threshold,
+      method: districtSgi.method,
+      districtAverage: {
+        series: districtSgi.series,
+        events: districtSgi.events,
+        summary: districtSgi.summary,
+        note: districtSgi.note,
+      },
+      stationsAssessed: stations.length,
+      stationsInDrought: stations.filter((s) => s.inDrought).length,
+      latestClasses,
+      stations,
+      storage: loaded.storage,
+    };
+
+    wrisCache.set(cacheKey, response);
+    res.json(response);
+  } catch (error) {
+    console.error("❌ District SGI error:", error.message);
+    res.status(500).json({
+      error: "Failed to compute district SGI",
+      detail: error.message,
+    });
+  }
+});
+
+// Whole-district statistics across every station: depths, trends and stress
+// GET /api/districts/:state/:district/summary?date=YYYY-MM-DD
+router.get("/:state/:district/summary", async (req, res) => {
+  try {
+    const request = parseDistrictRequest(req);
+    if (request.error) {
+      return res.status(request.status).json({ error: request.error, detail: request.detail });
+    }
+    const { state, district, date } = request;
+
+    const cacheKey = generateCacheKey("district-summary", { state, district, date });
+    const cachedData = wrisCache.get(cacheKey);
+    if (cachedData) {
+      return res.json({ ...cachedData, cached: true });
+    }
+
+    let loaded;
+    try {
+      loaded = await loadDistrictWindow(request);
+    } catch (err) {
+      if (err.message.includes("Circuit breaker open")) {
+        return res.status(503).json(SERVICE_UNAVAILABLE);
+      }
+      throw err;
+    }
+
+    if (loaded.stations.size === 0) {
+      return res.status(404).json({ error: "No valid stations found" });
+    }
+
+    const seasonCalendar = getSeasonCalendar(state, district);
+    const summary = summarizeDistrict(loaded.stations, { calendar: seasonCalendar });
+    console.log(`🗺️ District summary for ${district}: ${summary.stationCount} stations, ${summary.trends.declining} declining, category ${summary.stress.category}`);
+
+    const response = {
+      state,
+      district,
+      date,
+      seasonCalendar: seasonCalendar.id,
+      ...summary,
+      storage: loaded.storage,
+    };
+
+    wrisCache.set(cacheKey, response);
+    res.json(response);
+  } catch (error) {
+    console.error("❌ District summary error:", error.message);
+    res.status(500).json({
+      error: "Failed to compute district summary",
+      detail: error.message,
+    });
+  }
+});
+
+// District boundary polygon as a GeoJSON Feature
+// GET /api/districts/:state/:district/boundary
+router.get("/:state/:district/boundary", (req, res) => {
+  const request = parseDistrictRequest(req);
+  if (request.error) {
+    return res.status(request.status).json({ error: request.error, detail: request.detail });
+  }
+
+  const boundary = getDistrictBoundary(request.district, request.state);
+  if (!boundary) {
+    return res.status(404).json({
+      error: "Boundary not available",
+      detail: boundaryStats().loaded
+        ? `The boundary file has no polygon for ${request.district}, ${request.state}`
+        : "No district boundary file is loaded (set DISTRICT_BOUNDARIES_FILE)",
+    });
+  }
+  res.type("application/geo+json").json(boundary);
+});
+
 export default router;
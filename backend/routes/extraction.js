@@ -0,0 +1,111 @@
+import { Router } from "express";
+import { wrisCache, generateCacheKey } from "../utils/cache.js";
+import { DISTRICTS_BY_STATE } from "../data/districts/index.js";
+import { loadDistrictStations, aggregateDistrictHistory } from "../utils/stationHistory.js";
+import { detectOutliers } from "../utils/outliers.js";
+import {
+  listExtractionInputs,
+  getExtractionInputs,
+  computeRechargePattern,
+  computeStageOfExtraction,
+} from "../utils/extraction.js";
+import { getSeasonCalendar } from "../utils/seasonCalendar.js";
+
+const router = Router();
+
+const HISTORY_YEARS = 10;
+
+// Districts with specific yield and draft inputs
+// GET /api/extraction
+router.get("/", (req, res) => {
+  const districts = listExtractionInputs().map((d) => ({
+    state: d.state,
+    district: d.district,
+    assessmentYear: d.assessmentYear ?? null,
+    source: d.source ?? null,
+  }));
+  res.json({ total: districts.length, districts });
+});
+
+// Stage of groundwater extraction for a district, from the district-average recharge series
+// GET /api/extraction/:state/:district?date=YYYY-MM-DD
+router.get("/:state/:district", async (req, res) => {
+  try {
+    const { state, district } = req.params;
+    const date = req.query.date || new Date().toISOString().split("T")[0];
+
+    const inputs = getExtractionInputs(state, district);
+    if (!inputs) {
+      return res.status(404).json({
+        error: "No extraction inputs for district",
+        detail: `Add ${district}, ${state} to data/extraction-inputs.json to estimate its stage of extraction`,
+      });
+    }
+
+    const endDate = new Date(date);
+    if (isNaN(endDate.getTime())) {
+      return res.status(400).json({ error: "Invalid date", detail: "date must be YYYY-MM-DD" });
+    }
+
+    const cacheKey = generateCacheKey("extraction", { state: inputs.state, district: inputs.district, date });
+    const cachedData = wrisCache.get(cacheKey);
+    if (cachedData) {
+      return res.json({ ...cachedData, cached: true });
+    }
+
+    // Station distances are measured from the district centroid
+    const centroid = (DISTRICTS_BY_STATE[inputs.state] || []).find((d) => d.name === inputs.district);
+
+    const startDate = new Date(endDate);
+    startDate.setFullYear(startDate.getFullYear() - HISTORY_YEARS);
+
+    let loaded;
+    try {
+      loaded = await loadDistrictStations({
+        state: inputs.state,
+        district: inputs.district,
+        latitude: centroid?.lat,
+        longitude: centroid?.lon,
+        start: startDate,
+        end: endDate,
+      });
+    } catch (err) {
+      if (err.message.includes("Circuit breaker open")) {
+        return res.status(503).json({
+          error: "Service temporarily unavailable",
+          detail: "The water data service is experiencing issues. Please try again in a few moments.",
+        });
+      }
+      throw err;
+    }
+
+    if (loaded.stations.size === 0) {
+      return res.status(404).json({ error: "No valid stations found" });
+    }
+
+    const history = detectOutliers(aggregateDistrictHistory(loaded.stations)).clean;
+    const seasonCalendar = getSeasonCalendar(inputs.state, inputs.district);
+    const rechargePattern = computeRechargePattern(history, { calendar: seasonCalendar });
+    console.log(`💧 Estimating stage of extraction for ${inputs.district} from ${rechargePattern.length} pre/post pairs`);
+
+    const response = {
+      ...computeStageOfExtraction(rechargePattern, inputs),
+      rechargeSource: "district average",
+      seasonCalendar,
+      stations: loaded.stations.size,
+      rechargePattern,
+      storage: loaded.storage,
+    };
+
+    wrisCache.set(cacheKey, response);
+    res.json(response);
+  } catch (error) {
+    console.error("❌ Extraction estimate error:", error.message);
+    res.status(500).json({
+      error: "Failed to estimate stage of extraction",
+      detail: error.message,
+    });
+  }
+});
+
+export default router;
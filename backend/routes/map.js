@@ -0,0 +1,50 @@
+import { Router } from "express";
+import { parseBbox } from "../utils/stationAnalytics.js";
+import { buildDistrictLayer, buildStationLayer } from "../utils/mapLayers.js";
+import { mapLayerValidation, validate } from "../middleware/validation.js";
+
+const router = Router();
+
+const SERVICE_UNAVAILABLE = {
+  error: "Service temporarily unavailable",
+  detail: "The water data service is experiencing issues. Please try again in a few moments.",
+};
+
+// Serve a GeoJSON layer for ?bbox=&zoom=
+function layerHandler(name, build) {
+  return async (req, res) => {
+    try {
+      const bbox = parseBbox(req.query.bbox);
+      if (!bbox) {
+        return res.status(400).json({ error: "Invalid bbox", detail: "bbox must be minLon,minLat,maxLon,maxLat" });
+      }
+      const zoom = req.query.zoom !== undefined ? parseInt(req.query.zoom, 10) : undefined;
+
+      const layer = await build(bbox, { zoom });
+      const { districtsAssessed, districtsFailed } = layer.meta;
+      if (districtsAssessed === 0 && districtsFailed.length > 0 &&
+          districtsFailed.every((f) => f.error.includes("Circuit breaker open"))) {
+        return res.status(503).json(SERVICE_UNAVAILABLE);
+      }
+
+      console.log(`🗺️ Map ${name}: ${layer.features.length} features at zoom ${layer.meta.zoom}, ${layer.meta.districtsPending.length} districts pending`);
+      res.type("application/geo+json").json(layer);
+    } catch (error) {
+      console.error(`❌ Map ${name} error:`, error.message);
+      res.status(500).json({
+        error: `Failed to build ${name} layer`,
+        detail: error.message,
+      });
+    }
+  };
+}
+
+// Stations in view with latest level, trend and stress category; clustered below zoom 10
+// GET /api/map/stations?bbox=minLon,minLat,maxLon,maxLat&zoom=
+router.get("/stations", mapLayerValidation, validate, layerHandler("stations", buildStationLayer));
+
+// Districts in view at their centroids; clustered below zoom 6
+// GET /api/map/districts?bbox=minLon,minLat,maxLon,maxLat&zoom=
+router.get("/districts", mapLayerValidation, validate, layerHandler("districts", buildDistrictLayer));
+
+export default router;
@@ -0,0 +1,114 @@
+import { Router } from "express";
+import { getDistrict } from "../utils/helpers/geo.js";
+import { wrisCache, generateCacheKey } from "../utils/cache.js";
+import { backtestValidation, validate } from "../middleware/validation.js";
+import { loadDistrictStations, selectStationHistory } from "../utils/stationHistory.js";
+import { backtestHistory, BACKTEST_DEFAULTS } from "../utils/backtest.js";
+import { FORECAST_MODELS } from "../utils/forecasting.js";
+
+const router = Router();
+
+// Rolling-origin accuracy of the forecasting models at a location
+// POST /api/predictions/backtest { lat, lon, date?, models?, horizons?, minTrainYears? }
+router.post("/backtest", backtestValidation, validate, async (req, res) => {
+  try {
+    const {
+      lat,
+      lon,
+      date = new Date().toISOString().split("T")[0],
+      models = Object.keys(FORECAST_MODELS),
+      horizons = BACKTEST_DEFAULTS.HORIZON_YEARS,
+      minTrainYears = BACKTEST_DEFAULTS.MIN_TRAIN_YEARS,
+    } = req.body;
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    const horizonsYears = [...new Set(horizons.map(Number))].sort((a, b) => a - b);
+    const uniqueModels = [...new Set(models)];
+
+    const cacheKey = generateCacheKey("backtest", {
+      lat: latitude,
+      lon: longitude,
+      date,
+      models: uniqueModels.join(","),
+      horizons: horizonsYears.join(","),
+      minTrainYears,
+    });
+    const cachedData = wrisCache.get(cacheKey);
+    if (cachedData) {
+      return res.json({ ...cachedData, cached: true });
+    }
+
+    const districtInfo = getDistrict(latitude, longitude);
+    if (!districtInfo || districtInfo.name === "Unknown") {
+      return res
+        .status(400)
+        .json({ error: "Unable to determine district from coordinates" });
+    }
+    const { name: district, state } = districtInfo;
+
+    const endDate = new Date(date);
+    const startDate = new Date(endDate);
+    startDate.setFullYear(startDate.getFullYear() - 10);
+
+    let loaded;
+    try {
+      loaded = await loadDistrictStations({
+        state,
+        district,
+        latitude,
+        longitude,
+        start: startDate,
+        end: endDate,
+      });
+    } catch (err) {
+      if (err.message.includes("Circuit breaker open")) {
+        return res.status(503).json({
+          error: "Service temporarily unavailable",
+          detail: "The water data service is experiencing issues. Please try again in a few moments.",
+        });
+      }
+      throw err;
+    }
+
+    const selection = selectStationHistory(loaded.stations, { latitude, longitude });
+    if (!selection) {
+      return res.status(404).json({ error: "No valid stations found" });
+    }
+
+    console.log(`🧪 Backtesting ${uniqueModels.length} models for ${district} (${selection.history.length} readings)`);
+    const result = backtestHistory(selection.history, {
+      models: uniqueModels,
+      horizonsYears,
+      minTrainYears: Number(minTrainYears),
+    });
+
+    const response = {
+      location: { lat: latitude, lon: longitude, district, state, date },
+      station: {
+        stationCode: selection.nearestStation.stationCode,
+        stationName: selection.nearestStation.name,
+        distanceKm: selection.nearestStation.distance.toFixed(2),
+        readings: selection.history.length,
+        note: selection.isFallback
+          ? "Using district-level aggregation due to insufficient data at nearest station"
+          : null,
+      },
+      metricsUnit: "meters (MAPE in %)",
+      ...result,
+      recommendedModel: result.bestModel,
+      storage: loaded.storage,
+    };
+
+    wrisCache.set(cacheKey, response);
+    res.json(response);
+  } catch (error) {
+    console.error("❌ Backtest error:", error.message);
+    res.status(500).json({
+      error: "Failed to run backtest",
+      detail: error.message,
+    });
+  }
+});
+
+export default router;
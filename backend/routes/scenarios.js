@@ -0,0 +1,243 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import Scenario from "../models/Scenario.js";
+import { getDistrict } from "../utils/helpers/geo.js";
+import { authenticateToken, optionalAuth } from "../middleware/auth.js";
+import { scenarioValidation, validate } from "../middleware/validation.js";
+import { loadDistrictStations, selectStationHistory } from "../utils/stationHistory.js";
+import { detectOutliers } from "../utils/outliers.js";
+import { computeRechargePattern, getExtractionInputs } from "../utils/extraction.js";
+import { assessStress } from "../utils/stressAssessment.js";
+import { runScenario, SCENARIO_INTERVENTIONS } from "../utils/scenarios.js";
+import { getSeasonCalendar } from "../utils/seasonCalendar.js";
+
+const router = Router();
+
+const MAX_COMPARE = 5;
+
+// Saved scenarios are listed without their full result
+const SUMMARY_FIELDS = "name location date interventions model result.effect.slopeChange result.effect.trendReversed createdAt";
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+// Baseline vs what-if forecast for pumping and recharge interventions at a location
+// POST /api/scenarios { lat, lon, date?, interventions, model?, intervals?, name?, save? }
+router.post("/", optionalAuth, scenarioValidation, validate, async (req, res) => {
+  try {
+    const {
+      lat,
+      lon,
+      date = new Date().toISOString().split("T")[0],
+      model = "linear",
+      intervals,
+      name,
+      save = false,
+    } = req.body;
+
+    if (save && !req.user) {
+      return res.status(401).json({ error: "Access token required", detail: "Sign in to save scenarios" });
+    }
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    const interventions = Object.fromEntries(
+      SCENARIO_INTERVENTIONS.map((key) => [key, Number(req.body.interventions[key] || 0)])
+    );
+
+    const districtInfo = getDistrict(latitude, longitude);
+    if (!districtInfo || districtInfo.name === "Unknown") {
+      return res
+        .status(400)
+        .json({ error: "Unable to determine district from coordinates" });
+    }
+    const { name: district, state } = districtInfo;
+
+    const endDate = new Date(date);
+    const startDate = new Date(endDate);
+    startDate.setFullYear(startDate.getFullYear() - 10);
+
+    let loaded;
+    try {
+      loaded = await loadDistrictStations({
+        state,
+        district,
+        latitude,
+        longitude,
+        start: startDate,
+        end: endDate,
+      });
+    } catch (err) {
+      if (err.message.includes("Circuit breaker open")) {
+        return res.status(503).json({
+          error: "Service temporarily unavailable",
+          detail: "The water data service is experiencing issues. Please try again in a few moments.",
+        });
+      }
+      throw err;
+    }
+
+    const selection = selectStationHistory(loaded.stations, { latitude, longitude });
+    if (!selection) {
+      return res.status(404).json({ error: "No valid stations found" });
+    }
+
+    const history = detectOutliers(selection.history).clean;
+    if (history.length < 3) {
+      return res.status(422).json({
+        error: "Insufficient data for scenario",
+        detail: `Need at least 3 readings, found ${history.length}`,
+      });
+    }
+
+    const seasonCalendar = getSeasonCalendar(state, district);
+    const rechargePattern = computeRechargePattern(history, { calendar: seasonCalendar });
+    const extractionInputs = getExtractionInputs(state, district);
+    const { category } = assessStress(history, { calendar: seasonCalendar });
+
+    console.log(`🔮 Running scenario for ${district} (${Object.entries(interventions).filter(([, v]) => v !== 0).map(([k, v]) => `${k}=${v}`).join(", ")})`);
+    const result = runScenario(history, {
+      date,
+      interventions,
+      category,
+      currentWaterLevel: history[history.length - 1].waterLevel,
+      rechargePattern,
+      extractionInputs,
+      calendar: seasonCalendar,
+      model,
+      ...(intervals ? { intervals: intervals.map(Number) } : {}),
+    });
+
+    const response = {
+      location: { lat: latitude, lon: longitude, district, state },
+      date,
+      model,
+      station: selection.isFallback ? "district average" : selection.nearestStation.name,
+      category,
+      seasonCalendar,
+      extractionInputs: extractionInputs ? "district" : "dry-season fall",
+      ...result,
+    };
+
+    if (save) {
+      const saved = await Scenario.create({
+        user: req.user.userId,
+        name: name || `${district} scenario`,
+        location: response.location,
+        date,
+        interventions,
+        model,
+        result,
+      });
+      response.id = saved._id;
+      response.name = saved.name;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("❌ Scenario error:", error.message);
+    res.status(500).json({
+      error: "Failed to run scenario",
+      detail: error.message,
+    });
+  }
+});
+
+// Saved scenarios of the signed-in user, newest first
+// GET /api/scenarios
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const scenarios = await Scenario.find({ user: req.user.userId })
+      .select(SUMMARY_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ total: scenarios.length, scenarios });
+  } catch (error) {
+    console.error("❌ Scenario list error:", error.message);
+    res.status(500).json({ error: "Failed to list scenarios", detail: error.message });
+  }
+});
+
+// Side-by-side trajectories of saved scenarios
+// GET /api/scenarios/compare?ids=a,b
+router.get("/compare", authenticateToken, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || "").split(",").map((id) => id.trim()).filter(Boolean))];
+    if (ids.length < 2 || ids.length > MAX_COMPARE) {
+      return res.status(400).json({
+        error: "Invalid ids",
+        detail: `Pass 2-${MAX_COMPARE} comma-separated scenario ids`,
+      });
+    }
+    if (!ids.every(isValidId)) {
+      return res.status(400).json({ error: "Invalid ids", detail: "Each id must be a scenario id" });
+    }
+
+    const found = await Scenario.find({ _id: { $in: ids }, user: req.user.userId }).lean();
+    if (found.length !== ids.length) {
+      return res.status(404).json({ error: "Scenario not found" });
+    }
+
+    const byId = new Map(found.map((s) => [String(s._id), s]));
+    const scenarios = ids.map((id) => {
+      const s = byId.get(id);
+      return {
+        id,
+        name: s.name,
+        location: s.location,
+        date: s.date,
+        interventions: s.interventions,
+        slopeChange: s.result.effect.slopeChange,
+        trendReversed: s.result.effect.trendReversed,
+        scenarioSlope: s.result.scenario.slope,
+        yearsUntilTransition: s.result.effect.stressTransition.scenarioYears,
+        trajectory: s.result.scenario.futureWaterLevels.predictions.map((p) => ({
+          year: p.year,
+          predictedLevel: p.predictedLevel,
+        })),
+      };
+    });
+
+    res.json({ scenarios });
+  } catch (error) {
+    console.error("❌ Scenario compare error:", error.message);
+    res.status(500).json({ error: "Failed to compare scenarios", detail: error.message });
+  }
+});
+
+// GET /api/scenarios/:id
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ error: "Scenario not found" });
+    }
+    const scenario = await Scenario.findOne({ _id: req.params.id, user: req.user.userId }).lean();
+    if (!scenario) {
+      return res.status(404).json({ error: "Scenario not found" });
+    }
+    res.json(scenario);
+  } catch (error) {
+    console.error("❌ Scenario fetch error:", error.message);
+    res.status(500).json({ error: "Failed to fetch scenario", detail: error.message });
+  }
+});
+
+// DELETE /api/scenarios/:id
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ error: "Scenario not found" });
+    }
+    const deleted = await Scenario.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!deleted) {
+      return res.status(404).json({ error: "Scenario not found" });
+    }
+    res.json({ message: "Scenario deleted", id: req.params.id });
+  } catch (error) {
+    console.error("❌ Scenario delete error:", error.message);
+    res.status(500).json({ error: "Failed to delete scenario", detail: error.message });
+  }
+});
+
+export default router;
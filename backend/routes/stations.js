@@ -0,0 +1,208 @@
+import { Router } from "express";
+import { findDistrictsByName } from "../utils/helpers/geo.js";
+import { wrisCache, generateCacheKey } from "../utils/cache.js";
+import { isStoreAvailable, listStoredStations, loadStoredStation } from "../utils/observationStore.js";
+import { loadDistrictStations } from "../utils/stationHistory.js";
+import { analyzeStation, describeStation, inBbox, parseBbox } from "../utils/stationAnalytics.js";
+import { getSeasonCalendar } from "../utils/seasonCalendar.js";
+import { stationListValidation, validate } from "../middleware/validation.js";
+
+const router = Router();
+
+// Without the observation store, stations are read from the data source over this window
+const SOURCE_WINDOW_YEARS = 10;
+
+const SERVICE_UNAVAILABLE = {
+  error: "Service temporarily unavailable",
+  detail: "The water data service is experiencing issues. Please try again in a few moments.",
+};
+
+// Canonical { name, state, lat, lon } for case-insensitive names, or the error to send when
+// the name is unknown or, without a state, shared by districts in several states
+function findDistrict(state, district) {
+  const matches = findDistrictsByName(district, state);
+  if (matches.length === 1) return { match: matches[0] };
+  if (matches.length === 0) {
+    return {
+      status: 404,
+      body: {
+        error: "District not found",
+        detail: `${district}${state ? `, ${state}` : ""} is not in the district database`,
+      },
+    };
+  }
+  return {
+    status: 400,
+    body: {
+      error: "Ambiguous district",
+      detail: `${district} is the name of districts in ${matches.length} states; pass state to pick one`,
+      candidates: matches.map((d) => ({ district: d.name, state: d.state })),
+    },
+  };
+}
+
+// Stations of one district straight from the data source
+async function loadFromSource(match) {
+  const end = new Date();
+  const start = new Date(end);
+  start.setFullYear(start.getFullYear() - SOURCE_WINDOW_YEARS);
+  const loaded = await loadDistrictStations({
+    state: match.state,
+    district: match.name,
+    latitude: match.lat,
+    longitude: match.lon,
+    start,
+    end,
+  });
+  return loaded;
+}
+
+// Stations with metadata, record counts and observation dates
+// GET /api/stations?state=&district=&bbox=minLon,minLat,maxLon,maxLat&limit=&offset=
+router.get("/", stationListValidation, validate, async (req, res) => {
+  try {
+    const { state, district } = req.query;
+    const limit = parseInt(req.query.limit ?? "500", 10);
+    const offset = parseInt(req.query.offset ?? "0", 10);
+    const bbox = req.query.bbox ? parseBbox(req.query.bbox) : null;
+    if (req.query.bbox && !bbox) {
+      return res.status(400).json({ error: "Invalid bbox", detail: "bbox must be minLon,minLat,maxLon,maxLat" });
+    }
+
+    let match = null;
+    if (district) {
+      const found = findDistrict(state, district);
+      if (!found.match) return res.status(found.status).json(found.body);
+      match = found.match;
+    }
+
+    if (isStoreAvailable()) {
+      const result = await listStoredStations({
+        state: match ? match.state : state,
+        district: match?.name,
+        bbox,
+        limit,
+        offset,
+      });
+      return res.json({ ...result, limit, offset, source: "database" });
+    }
+
+    // Data sources are queried per district, so a district is needed without the store
+    if (!match) {
+      return res.status(400).json({
+        error: "District required",
+        detail: "Listing by state or bbox alone needs the observation store; pass state and district",
+      });
+    }
+
+    const cacheKey = generateCacheKey("stations", { state: match.state, district: match.name });
+    let listed = wrisCache.get(cacheKey);
+    if (!listed) {
+      let loaded;
+      try {
+        loaded = await loadFromSource(match);
+      } catch (err) {
+        if (err.message.includes("Circuit breaker open")) {
+          return res.status(503).json(SERVICE_UNAVAILABLE);
+        }
+        throw err;
+      }
+      listed = {
+        stations: Array.from(loaded.stations.values())
+          .map((station) => describeStation(station, { state: match.state, district: match.name }))
+          .sort((a, b) => a.stationCode.localeCompare(b.stationCode)),
+        source: loaded.storage.source,
+      };
+      wrisCache.set(cacheKey, listed);
+    }
+
+    const inBox = bbox ? listed.stations.filter((s) => inBbox(s, bbox)) : listed.stations;
+    res.json({
+      total: inBox.length,
+      stations: inBox.slice(offset, offset + limit),
+      limit,
+      offset,
+      source: listed.source,
+      window: `last ${SOURCE_WINDOW_YEARS} years`,
+    });
+  } catch (error) {
+    console.error("❌ Station list error:", error.message);
+    res.status(500).json({
+      error: "Failed to list stations",
+      detail: error.message,
+    });
+  }
+});
+
+// One well by its WRIS station code: metadata, full history and analytics
+// GET /api/stations/:code?state=&district=  (state and district are needed without the observation store)
+router.get("/:code", async (req, res) => {
+  try {
+    const code = req.params.code.trim();
+    const { state, district } = req.query;
+
+    const cacheKey = generateCacheKey("station", { code });
+    const cachedData = wrisCache.get(cacheKey);
+    if (cachedData) {
+      return res.json({ ...cachedData, cached: true });
+    }
+
+    let station = null;
+    let source = null;
+    if (isStoreAvailable()) {
+      station = await loadStoredStation(code);
+      source = "database";
+    }
+
+    if (!station && district) {
+      const { match, status, body } = findDistrict(state, district);
+      if (!match) return res.status(status).json(body);
+      let loaded;
+      try {
+        loaded = await loadFromSource(match);
+      } catch (err) {
+        if (err.message.includes("Circuit breaker open")) {
+          return res.status(503).json(SERVICE_UNAVAILABLE);
+        }
+        throw err;
+      }
+      const found = loaded.stations.get(code);
+      if (found) {
+        station = { ...found, state: match.state, district: match.name };
+        source = loaded.storage.source;
+      }
+    } else if (!station && !isStoreAvailable()) {
+      return res.status(400).json({
+        error: "District required",
+        detail: "Without the observation store, pass the station's state and district as query parameters",
+      });
+    }
+
+    if (!station) {
+      return res.status(404).json({ error: "Station not found", detail: `No station with code ${code}` });
+    }
+
+    const seasonCalendar = getSeasonCalendar(station.state, station.district);
+    console.log(`🔎 Station ${code}: ${station.history.length} readings`);
+
+    const response = {
+      station: describeStation(station, station),
+      url: `/api/stations/${encodeURIComponent(code)}`,
+      source,
+      seasonCalendar: seasonCalendar.id,
+      history: station.history,
+      analytics: analyzeStation(station, { calendar: seasonCalendar }),
+    };
+
+    wrisCache.set(cacheKey, response);
+    res.json(response);
+  } catch (error) {
+    console.error("❌ Station detail error:", error.message);
+    res.status(500).json({
+      error: "Failed to load station",
+      detail: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,11 @@
 import { Router } from "express";
 import { cache, wrisCache, districtCache, getCacheStats } from "../utils/cache.js";
 import { logMemoryUsage } from "../utils/performance.js";
+import { authenticateToken, requireAdmin } from "../middleware/auth.js";
+import { runIngestion, getIngestionStatus, isIngestionRunning } from "../utils/ingestion.js";
+import { isStoreAvailable } from "../utils/observationStore.js";
+import { importRainfallCsv } from "../utils/rainfall.js";
+import { STATES } from "../data/districts/index.js";
 
 const router = Router();
 
@@ -97,6 +102,72 @@ router.get("/metrics", async (req, res) => {
   });
 });
 
+// Ingestion progress and per-district sync status (admin only)
+// GET /api/system/ingestion?state=Rajasthan
+router.get("/ingestion", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { state } = req.query;
+    if (state && !STATES.includes(state)) {
+      return res.status(400).json({ error: "Invalid state", availableStates: STATES });
+    }
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      storeAvailable: isStoreAvailable(),
+      ...(await getIngestionStatus({ state })),
+    });
+  } catch (error) {
+    console.error("❌ Ingestion status error:", error);
+    res.status(500).json({ error: "Failed to fetch ingestion status", detail: error.message });
+  }
+});
+
+// Trigger a re-sync of one state's districts (admin only)
+// Runs in the background; poll GET /api/system/ingestion for progress
+router.post("/ingestion/sync", authenticateToken, requireAdmin, (req, res) => {
+  const { state } = req.body;
+
+  if (!state || !STATES.includes(state)) {
+    return res.status(400).json({ error: "A valid state is required", availableStates: STATES });
+  }
+  if (!isStoreAvailable()) {
+    return res.status(503).json({ error: "Observation store unavailable", detail: "MongoDB is not connected" });
+  }
+  if (isIngestionRunning()) {
+    return res.status(409).json({ error: "Ingestion is already running" });
+  }
+
+  runIngestion({ state }).catch((err) => console.error(`❌ Ingestion for ${state} failed:`, err.message));
+
+  res.status(202).json({
+    message: `Re-sync started for ${state}`,
+    state,
+    statusUrl: `/api/system/ingestion?state=${encodeURIComponent(state)}`,
+  });
+});
+
+// Import district monthly rainfall from an IMD-style CSV (admin only)
+// POST /api/system/rainfall/import { csv, source? }
+router.post("/rainfall/import", authenticateToken, requireAdmin, async (req, res) => {
+  const { csv, source = "IMD" } = req.body;
+
+  if (typeof csv !== "string" || csv.trim() === "") {
+    return res.status(400).json({ error: "csv is required", detail: "Send the CSV file content as a string" });
+  }
+  if (!isStoreAvailable()) {
+    return res.status(503).json({ error: "Observation store unavailable", detail: "MongoDB is not connected" });
+  }
+
+  try {
+    const result = await importRainfallCsv(csv, { source: String(source) });
+    res.json({ message: "Rainfall imported", source, ...result });
+  } catch (error) {
+    console.error("❌ Rainfall import error:", error.message);
+    const status = error.message.startsWith("CSV") ? 400 : 500;
+    res.status(status).json({ error: "Failed to import rainfall", detail: error.message });
+  }
+});
+
 // Helper function
 function calculateHitRate(stats) {
   const totalHits = stats.main.hits + stats.wris.hits + stats.district.hits;
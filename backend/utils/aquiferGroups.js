@@ -0,0 +1,98 @@
+/**
+ * Aquifer Groups
+ * Trend and stress per aquifer and/or well-type group of a district's stations.
+ * Shallow dug wells follow the monsoon closely while piezometers in confined
+ * aquifers respond to pumping over years, so each group gets its own average
+ * hydrograph, trend and CGWB stress category instead of one blended result.
+ */
+
+import { aggregateDistrictHistory, groupStations } from './stationHistory.js';
+import { detectOutliers } from './outliers.js';
+import { assessStress, resolveStressThresholds, waterTableDirection } from './stressAssessment.js';
+import { linearRegression, mannKendallTest, theilSenSlope } from './statistics.js';
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Stations of a group as listed in responses, nearest first
+ * @param {Map<string, Object>} stations - Group stations
+ * @returns {Array<Object>} [{ stationCode, name, wellType, wellDepth, wellAquiferType, distance, readings }]
+ */
+export function describeStations(stations) {
+  return Array.from(stations.values())
+    .sort((a, b) => a.distance - b.distance)
+    .map((s) => ({
+      stationCode: s.stationCode,
+      name: s.name,
+      wellType: s.wellType,
+      wellDepth: s.wellDepth,
+      wellAquiferType: s.wellAquiferType,
+      distance: round(s.distance, 2),
+      readings: s.history.length,
+    }));
+}
+
+/**
+ * Trend of a group's average hydrograph
+ * @param {Array<Object>} history - [{ date, waterLevel }] sorted by date
+ * @param {number} alpha - Mann-Kendall significance level
+ * @returns {Object} { direction, annualDeclineRate, theilSenSlope, mannKendall }
+ */
+function groupTrend(history, alpha) {
+  const first = new Date(history[0].date).getTime();
+  const x = history.map((h) => (new Date(h.date).getTime() - first) / YEAR_MS);
+  const y = history.map((h) => h.waterLevel);
+  const { slope } = linearRegression(x, y);
+  const theilSen = theilSenSlope(x, y);
+  const mannKendall = mannKendallTest(y, alpha);
+  return {
+    direction: waterTableDirection(theilSen.slope, mannKendall.significant),
+    annualDeclineRate: round(slope),
+    theilSenSlope: round(theilSen.slope),
+    mannKendall: {
+      trend: mannKendall.trend,
+      pValue: round(mannKendall.pValue, 4),
+      significant: mannKendall.significant,
+    },
+  };
+}
+
+/**
+ * Separate trend and stress results per aquifer and/or well-type group
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @param {Object} options - { groupBy, thresholds, calendar }
+ * @returns {Object} { groupBy, groups: [{ key, aquiferType, wellType, stations, readings, latestLevel, trend, stress, note }] }
+ */
+export function analyzeStationGroups(stations, { groupBy, thresholds, calendar } = {}) {
+  const { alpha } = resolveStressThresholds(thresholds);
+
+  const groups = groupStations(stations, groupBy).map((group) => {
+    const history = detectOutliers(aggregateDistrictHistory(group.stations)).clean;
+    const base = {
+      key: group.key,
+      aquiferType: group.aquiferType,
+      wellType: group.wellType,
+      stations: describeStations(group.stations),
+      readings: history.length,
+      latestLevel: history.length > 0 ? round(history[history.length - 1].waterLevel, 2) : null,
+    };
+    if (history.length < 3) {
+      return { ...base, trend: null, stress: null, note: 'Fewer than 3 readings; no trend or stress for this group' };
+    }
+
+    const stress = assessStress(history, { thresholds, calendar });
+    return {
+      ...base,
+      trend: groupTrend(history, alpha),
+      stress: { category: stress.category, basis: stress.basis, note: stress.note },
+      note: null,
+    };
+  });
+
+  return { groupBy, groups };
+}
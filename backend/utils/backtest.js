@@ -0,0 +1,199 @@
+/**
+ * Rolling-Origin Backtesting
+ * Replays history: fit each forecasting model on the record up to an origin,
+ * forecast h years ahead, compare with what was later observed, move the origin on.
+ * Drives both POST /api/predictions/backtest and the "auto" model selector.
+ */
+
+import {
+  FORECAST_MODELS,
+  DEFAULT_FORECAST_MODEL,
+  eligibleModels,
+  fitModel,
+  toMonthlySeries
+} from './forecasting.js';
+
+export const BACKTEST_DEFAULTS = {
+  HORIZON_YEARS: [1, 2, 3],
+  MIN_TRAIN_YEARS: 3,
+  ORIGIN_STEP_MONTHS: 12,
+  MATCH_WINDOW_MONTHS: 1 // An actual within ±1 month of the target counts as observed
+};
+
+// Auto selection wants more origins from shorter records than the report does
+const SELECTOR_OPTIONS = {
+  horizonsYears: [1, 2],
+  minTrainMonths: 24,
+  originStepMonths: 3
+};
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Summarise forecast errors
+ * @param {Array<{forecast: number, actual: number}>} pairs - Forecast/actual pairs
+ * @returns {Object|null} { n, mae, rmse, mape, bias } in metres (MAPE in %), or null without pairs
+ */
+export function errorMetrics(pairs) {
+  if (pairs.length === 0) return null;
+
+  const errors = pairs.map((p) => p.forecast - p.actual);
+  const withActual = pairs.filter((p) => p.actual !== 0);
+
+  return {
+    n: pairs.length,
+    mae: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length),
+    rmse: round(Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length)),
+    mape: withActual.length > 0
+      ? round((withActual.reduce((sum, p) => sum + Math.abs((p.forecast - p.actual) / p.actual), 0) / withActual.length) * 100, 2)
+      : null,
+    // Positive bias: forecasts deeper than observed
+    bias: round(errors.reduce((sum, e) => sum + e, 0) / errors.length),
+  };
+}
+
+function addMonths(month, count) {
+  const [year, m] = month.split('-').map(Number);
+  const index = year * 12 + (m - 1) + count;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+function observedNear(series, t) {
+  for (let offset = 0; offset <= BACKTEST_DEFAULTS.MATCH_WINDOW_MONTHS; offset++) {
+    for (const candidate of offset === 0 ? [t] : [t - offset, t + offset]) {
+      if (candidate >= 0 && candidate < series.values.length && series.observed[candidate]) {
+        return series.values[candidate];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Rolling-origin evaluation of forecasting models on a monthly series
+ * @param {Object} series - Monthly series from toMonthlySeries
+ * @param {Object} [options] - { models, horizonsYears, minTrainMonths, originStepMonths }
+ * @returns {Object} { origins, horizonsYears, models: { [name]: { overall, byHorizon } }, ranking, bestModel }
+ */
+export function rollingOriginBacktest(series, {
+  models = Object.keys(FORECAST_MODELS),
+  horizonsYears = BACKTEST_DEFAULTS.HORIZON_YEARS,
+  minTrainMonths = BACKTEST_DEFAULTS.MIN_TRAIN_YEARS * 12,
+  originStepMonths = BACKTEST_DEFAULTS.ORIGIN_STEP_MONTHS,
+} = {}) {
+  const n = series.values.length;
+  const minHorizon = Math.min(...horizonsYears) * 12;
+  const pairs = Object.fromEntries(models.map((m) => [m, Object.fromEntries(horizonsYears.map((h) => [h, []]))]));
+  const origins = [];
+
+  // Origins run backwards from the latest one that still has an actual for the shortest horizon
+  for (let origin = n - 1 - minHorizon; origin >= minTrainMonths - 1; origin -= originStepMonths) {
+    origins.unshift(origin);
+  }
+
+  for (const origin of origins) {
+    const train = series.values.slice(0, origin + 1);
+    const eligible = new Set(eligibleModels(train.length));
+
+    for (const model of models) {
+      if (!eligible.has(model)) continue;
+      const forecast = fitModel(model, train);
+
+      for (const years of horizonsYears) {
+        const actual = observedNear(series, origin + years * 12);
+        if (actual === null) continue;
+        const predicted = forecast(years * 12);
+        if (isFinite(predicted)) pairs[model][years].push({ forecast: predicted, actual });
+      }
+    }
+  }
+
+  const results = {};
+  for (const model of models) {
+    const all = horizonsYears.flatMap((h) => pairs[model][h]);
+    results[model] = {
+      overall: errorMetrics(all),
+      byHorizon: Object.fromEntries(horizonsYears.map((h) => [h, errorMetrics(pairs[model][h])])),
+    };
+  }
+
+  const ranking = models
+    .filter((m) => results[m].overall)
+    .sort((a, b) => results[a].overall.mae - results[b].overall.mae);
+
+  return {
+    origins: origins.length,
+    horizonsYears,
+    models: results,
+    ranking,
+    bestModel: ranking[0] || null,
+  };
+}
+
+/**
+ * Pick the forecasting model with the lowest rolling-origin MAE
+ * @param {Object} series - Monthly series from toMonthlySeries
+ * @returns {{model: string, scores: Object}} Chosen model and overall MAE per candidate
+ */
+export function selectModelByBacktest(series) {
+  const result = rollingOriginBacktest(series, SELECTOR_OPTIONS);
+  const scores = Object.fromEntries(result.ranking.map((m) => [m, result.models[m].overall.mae]));
+  return { model: result.bestModel || DEFAULT_FORECAST_MODEL, scores };
+}
+
+/**
+ * Backtest a raw history and produce a readable report
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {Object} [options] - { models, horizonsYears, minTrainYears }
+ * @returns {Object} Backtest result with dataRange, months and report lines
+ */
+export function backtestHistory(history, {
+  models = Object.keys(FORECAST_MODELS),
+  horizonsYears = BACKTEST_DEFAULTS.HORIZON_YEARS,
+  minTrainYears = BACKTEST_DEFAULTS.MIN_TRAIN_YEARS,
+} = {}) {
+  const series = toMonthlySeries(history);
+  const result = rollingOriginBacktest(series, {
+    models,
+    horizonsYears,
+    minTrainMonths: minTrainYears * 12,
+  });
+
+  const report = [];
+  if (result.origins === 0) {
+    report.push(
+      `Not enough history to backtest: ${series.values.length} months available, ` +
+      `need at least ${minTrainYears * 12 + Math.min(...horizonsYears) * 12}`
+    );
+  } else {
+    report.push(`Rolling-origin backtest over ${result.origins} origins, ${series.values.length} months of history`);
+    for (const model of result.ranking) {
+      const horizons = horizonsYears
+        .filter((h) => result.models[model].byHorizon[h])
+        .map((h) => {
+          const m = result.models[model].byHorizon[h];
+          return `${h}y MAE ${m.mae} m, bias ${m.bias >= 0 ? '+' : ''}${m.bias} m (n=${m.n})`;
+        });
+      report.push(`${FORECAST_MODELS[model].label}: ${horizons.join('; ')}`);
+    }
+    const skipped = models.filter((m) => !result.models[m].overall);
+    if (skipped.length > 0) {
+      report.push(`Not evaluated (record too short): ${skipped.join(', ')}`);
+    }
+    if (result.bestModel) {
+      report.push(`Most accurate overall: ${FORECAST_MODELS[result.bestModel].label}`);
+    }
+  }
+
+  return {
+    months: series.values.length,
+    dataRange: series.start
+      ? { start: series.start, end: addMonths(series.start, series.values.length - 1) }
+      : null,
+    ...result,
+    report,
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Change-Point Detection
+ * Finds regime shifts in a station hydrograph (a new borewell field, a canal coming
+ * online) so trends are not averaged across them. The series is split into segments,
+ * each with its own level and slope, using PELT (Killick et al. 2012) on a linear
+ * segment cost (residual sum of squares of a straight-line fit).
+ *
+ * The seasonal cycle is removed first (mean residual per calendar month from one
+ * whole-history trend), otherwise every monsoon would look like a regime change.
+ * The penalty per segment is PENALTY_MULTIPLIER × σ² × ln(n), a BIC-style choice with
+ * σ estimated robustly from successive differences.
+ */
+
+import { linearRegression, medianAbsoluteDeviation } from './statistics.js';
+
+export const CHANGE_POINT_CONFIG = {
+  MIN_SEGMENT_POINTS: 8, // Readings each regime needs for its own trend
+  MIN_SEGMENT_YEARS: 2, // Span each regime needs, so a dry season is not a regime
+  PENALTY_MULTIPLIER: 3, // Level, slope and change-point location per segment
+  MIN_SIGMA: 0.01 // m; floor on the noise estimate for very smooth series
+};
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Remove the mean seasonal cycle, keeping the trend and level
+ * @param {Array<number>} x - Years since the first reading
+ * @param {Array<number>} y - Water levels
+ * @param {Array<number>} months - Calendar month (1-12) of each reading
+ * @returns {Array<number>} Deseasonalized levels
+ */
+export function deseasonalize(x, y, months) {
+  const { slope, intercept } = linearRegression(x, y);
+  const sums = new Map();
+  x.forEach((xi, i) => {
+    const residual = y[i] - (intercept + slope * xi);
+    const entry = sums.get(months[i]) || { sum: 0, n: 0 };
+    entry.sum += residual;
+    entry.n += 1;
+    sums.set(months[i], entry);
+  });
+  return y.map((yi, i) => {
+    const { sum, n } = sums.get(months[i]);
+    // A month seen only once carries no seasonal information separate from noise
+    return n > 1 ? yi - sum / n : yi;
+  });
+}
+
+// Prefix sums give the straight-line RSS of any segment in O(1)
+function segmentCostFn(x, y) {
+  const n = x.length;
+  const sx = [0], sy = [0], sxx = [0], sxy = [0], syy = [0];
+  for (let i = 0; i < n; i++) {
+    sx.push(sx[i] + x[i]);
+    sy.push(sy[i] + y[i]);
+    sxx.push(sxx[i] + x[i] * x[i]);
+    sxy.push(sxy[i] + x[i] * y[i]);
+    syy.push(syy[i] + y[i] * y[i]);
+  }
+  // Points s..t-1
+  return (s, t) => {
+    const m = t - s;
+    const Sx = sx[t] - sx[s];
+    const Sy = sy[t] - sy[s];
+    const Sxx = sxx[t] - sxx[s] - (Sx * Sx) / m;
+    const Sxy = sxy[t] - sxy[s] - (Sx * Sy) / m;
+    const Syy = syy[t] - syy[s] - (Sy * Sy) / m;
+    const rss = Sxx > 0 ? Syy - (Sxy * Sxy) / Sxx : Syy;
+    return Math.max(rss, 0);
+  };
+}
+
+/**
+ * Optimal segmentation of (x, y) into straight-line segments with PELT
+ * @param {Array<number>} x - Sorted positions
+ * @param {Array<number>} y - Values
+ * @param {Object} options - { penalty, minPoints, minSpan }
+ * @returns {Array<[number, number]>} Segments as [start, end) index pairs
+ */
+export function peltSegments(x, y, { penalty, minPoints, minSpan = 0 }) {
+  const n = x.length;
+  if (n < minPoints) return [[0, n]];
+
+  const rss = segmentCostFn(x, y);
+  const cost = (s, t) => (t - s < minPoints || x[t - 1] - x[s] < minSpan ? Infinity : rss(s, t));
+
+  const F = new Array(n + 1).fill(Infinity);
+  const last = new Array(n + 1).fill(-1);
+  F[0] = -penalty;
+  let candidates = [0];
+
+  for (let t = minPoints; t <= n; t++) {
+    for (const s of candidates) {
+      const value = F[s] + cost(s, t) + penalty;
+      if (value < F[t]) {
+        F[t] = value;
+        last[t] = s;
+      }
+    }
+    // Prune starts that can never beat t; keep those still too close to t to be judged
+    candidates = candidates.filter((s) => {
+      const c = cost(s, t);
+      return c === Infinity || F[s] + c <= F[t];
+    });
+    if (F[t] < Infinity) candidates.push(t);
+  }
+
+  if (F[n] === Infinity) return [[0, n]];
+
+  const segments = [];
+  for (let t = n; t > 0; t = last[t]) {
+    segments.unshift([last[t], t]);
+  }
+  return segments;
+}
+
+/**
+ * Regime shifts in a history, with the trend of each regime
+ * @param {Array<Object>} history - [{ date, waterLevel }] sorted by date
+ * @param {Object} [options] - { minPoints, minYears, penaltyMultiplier }
+ * @returns {Object} { method, penalty, breakpoints, segments, note }
+ */
+export function detectChangePoints(history, {
+  minPoints = CHANGE_POINT_CONFIG.MIN_SEGMENT_POINTS,
+  minYears = CHANGE_POINT_CONFIG.MIN_SEGMENT_YEARS,
+  penaltyMultiplier = CHANGE_POINT_CONFIG.PENALTY_MULTIPLIER,
+} = {}) {
+  const method = 'PELT on deseasonalized levels with a straight-line (level and slope) segment cost';
+  if (history.length < 2 * minPoints) {
+    return {
+      method,
+      penalty: null,
+      breakpoints: [],
+      segments: [],
+      note: `Need at least ${2 * minPoints} readings to look for a regime shift (have ${history.length})`,
+    };
+  }
+
+  const first = new Date(history[0].date).getTime();
+  const x = history.map((h) => (new Date(h.date).getTime() - first) / YEAR_MS);
+  const y = history.map((h) => h.waterLevel);
+  const months = history.map((h) => new Date(h.date).getUTCMonth() + 1);
+  const adjusted = deseasonalize(x, y, months);
+
+  const diffs = adjusted.slice(1).map((v, i) => v - adjusted[i]);
+  const sigma = Math.max(medianAbsoluteDeviation(diffs) / Math.SQRT2, CHANGE_POINT_CONFIG.MIN_SIGMA);
+  const penalty = penaltyMultiplier * sigma * sigma * Math.log(history.length);
+
+  const bounds = peltSegments(x, adjusted, { penalty, minPoints, minSpan: minYears });
+
+  const segments = bounds.map(([s, t]) => {
+    const xs = x.slice(s, t);
+    const ys = adjusted.slice(s, t);
+    const fit = linearRegression(xs, ys);
+    const raw = y.slice(s, t);
+    return {
+      start: history[s].date,
+      end: history[t - 1].date,
+      startIndex: s,
+      points: t - s,
+      slope: round(fit.slope),
+      meanLevel: round(raw.reduce((a, b) => a + b, 0) / raw.length, 2),
+      // Kept for level shifts between neighbouring segments
+      fit,
+    };
+  });
+
+  const breakpoints = segments.slice(1).map((segment, i) => {
+    const previous = segments[i];
+    const xb = x[segment.startIndex];
+    return {
+      date: segment.start,
+      index: segment.startIndex,
+      // Depth below ground: positive shift is a sudden drop of the water table
+      levelShift: round((segment.fit.intercept + segment.fit.slope * xb) - (previous.fit.intercept + previous.fit.slope * xb), 2),
+      slopeChange: round(segment.fit.slope - previous.fit.slope),
+    };
+  });
+
+  return {
+    method,
+    penalty: round(penalty, 4),
+    breakpoints,
+    segments: segments.map(({ fit, ...segment }) => segment),
+    note: breakpoints.length === 0 ? 'No regime shift detected; one trend describes the whole record' : null,
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * Site Comparison
+ * Runs two to ten candidate sites (points or whole districts) through the analysis
+ * behind the water-level report (utils/locationAnalysis.js) - station history, outlier
+ * screening, CGWB stress category, trend and forecast - and lines the results up side
+ * by side with a ranking.
+ *
+ * Sites are analysed with bounded concurrency, and sites in the same district share
+ * one station load, so comparing neighbouring borewell locations costs one fetch.
+ */
+
+import { getDistrict, findDistrictsByName } from './helpers/geo.js';
+import { loadDistrictStations } from './stationHistory.js';
+import { analyzeLocation } from './locationAnalysis.js';
+import { batchProcess } from './performance.js';
+import { haversine } from './geo.js';
+import { STRESS_SEVERITY } from './districtSummary.js';
+
+export const COMPARISON_CONFIG = {
+  MIN_SITES: 2,
+  MAX_SITES: 10,
+  DEFAULT_CONCURRENCY: 3,
+  HISTORY_YEARS: 10,
+  MIN_READINGS: 3
+};
+
+// Lower is better for every criterion; ties fall through to the next one
+export const RANK_CRITERIA = {
+  stress: ['stress', 'trend', 'depth'],
+  trend: ['trend', 'stress', 'depth'],
+  depth: ['depth', 'stress', 'trend'],
+  forecast: ['forecast', 'stress', 'trend']
+};
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function getConcurrency() {
+  const value = parseInt(process.env.COMPARE_CONCURRENCY, 10);
+  return Number.isInteger(value) && value > 0 ? value : COMPARISON_CONFIG.DEFAULT_CONCURRENCY;
+}
+
+/**
+ * District, coordinates and label of a requested site
+ * @param {Object} site - { lat, lon, label } or { state, district, label }
+ * @param {number} index - Position in the request, for the default label
+ * @returns {Object} { label, kind, district, state, latitude, longitude } or { label, error }
+ */
+export function resolveSite(site, index) {
+  if (site.lat !== undefined && site.lon !== undefined) {
+    const latitude = parseFloat(site.lat);
+    const longitude = parseFloat(site.lon);
+    const info = getDistrict(latitude, longitude);
+    if (!info || info.name === 'Unknown') {
+      return { label: site.label || `Site ${index + 1}`, error: 'Unable to determine district from coordinates' };
+    }
+    return {
+      label: site.label || `${info.name} (${latitude.toFixed(3)}, ${longitude.toFixed(3)})`,
+      kind: 'point',
+      district: info.name,
+      state: info.state,
+      latitude,
+      longitude,
+    };
+  }
+
+  const [match] = findDistrictsByName(site.district, site.state);
+  if (!match) {
+    return { label: site.label || `${site.district}, ${site.state}`, error: 'District not found' };
+  }
+  return {
+    label: site.label || `${match.name}, ${match.state}`,
+    kind: 'district',
+    district: match.name,
+    state: match.state,
+    latitude: match.lat,
+    longitude: match.lon,
+  };
+}
+
+/**
+ * Trend, stress and forecast for one resolved site, from the same analysis as the
+ * water-level report: points use the nearest station (or the district average when it
+ * has too few readings), districts the average of the aquifer of the station nearest
+ * their centre
+ * @param {Object} site - From resolveSite
+ * @param {Map<string, Object>} stations - District stations, distances from the site
+ * @param {Object} options - { date, model, intervals }
+ * @returns {Object} Site result, or { label, error } when the history is too short
+ */
+export function analyzeSite(site, stations, { date, model = 'linear', intervals } = {}) {
+  const base = {
+    label: site.label,
+    location: { lat: site.latitude, lon: site.longitude, district: site.district, state: site.state },
+  };
+
+  const analysis = analyzeLocation(stations, {
+    latitude: site.latitude,
+    longitude: site.longitude,
+    state: site.state,
+    district: site.district,
+    date,
+    districtAverage: site.kind === 'district',
+    model,
+    intervals,
+  });
+  if (analysis.error) return { ...base, error: analysis.error };
+
+  const { history, nearestStation, isFallback, trend, stressAnalysis, predictions } = analysis;
+  if (history.length < COMPARISON_CONFIG.MIN_READINGS) {
+    return { ...base, error: `Need at least ${COMPARISON_CONFIG.MIN_READINGS} readings, found ${history.length}` };
+  }
+
+  const forecastError = predictions.errors.find((e) => e.affectedPredictions.includes('futureWaterLevels'));
+
+  return {
+    ...base,
+    source: analysis.source,
+    station: isFallback ? null : {
+      stationCode: nearestStation.stationCode,
+      name: nearestStation.name,
+      distanceKm: round(nearestStation.distance, 2),
+      wellType: nearestStation.wellType,
+      wellAquiferType: nearestStation.wellAquiferType,
+    },
+    aquifer: nearestStation.wellAquiferType,
+    readings: history.length,
+    history,
+    currentLevel: round(history[history.length - 1].waterLevel, 2),
+    latestDate: history[history.length - 1].date,
+    trend: {
+      // m/year of depth; positive is a falling water table
+      annualDeclineRate: round(trend.slope),
+      theilSenSlope: round(trend.theilSenSlope),
+      direction: stressAnalysis.trend,
+      significant: trend.significant,
+    },
+    stress: { category: stressAnalysis.category, note: stressAnalysis.categoryNote ?? null },
+    seasonCalendar: analysis.seasonCalendar.id,
+    forecast: predictions.futureWaterLevels ?? { error: forecastError ? forecastError.message : 'Forecast unavailable' },
+  };
+}
+
+/**
+ * Annual mean levels of every site on one shared axis
+ * Readings come on different dates per station, so years are the common unit
+ * @param {Array<Object>} results - Site results with history
+ * @returns {{years: Array<number>, series: Array<Object>}} [{ label, values }] with null for missing years
+ */
+export function alignSeries(results) {
+  const perSite = results.map((r) => {
+    const byYear = new Map();
+    for (const h of r.history) {
+      const year = new Date(h.date).getUTCFullYear();
+      if (!byYear.has(year)) byYear.set(year, []);
+      byYear.get(year).push(h.waterLevel);
+    }
+    return { label: r.label, byYear };
+  });
+  const years = [...new Set(perSite.flatMap((s) => [...s.byYear.keys()]))].sort((a, b) => a - b);
+  return {
+    years,
+    series: perSite.map(({ label, byYear }) => ({
+      label,
+      values: years.map((year) => {
+        const levels = byYear.get(year);
+        return levels ? round(levels.reduce((a, b) => a + b, 0) / levels.length, 2) : null;
+      }),
+    })),
+  };
+}
+
+// Sort keys; unknown values sort last
+function criterionValue(result, criterion) {
+  switch (criterion) {
+    case 'stress': {
+      const rank = STRESS_SEVERITY.indexOf(result.stress.category);
+      return rank === -1 ? Infinity : rank;
+    }
+    case 'trend':
+      return result.trend.theilSenSlope;
+    case 'depth':
+      return result.currentLevel;
+    case 'forecast': {
+      const predictions = result.forecast.predictions;
+      return predictions ? predictions[predictions.length - 1].predictedLevel : Infinity;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Rank sites from most to least favourable for groundwater
+ * @param {Array<Object>} results - Site results without errors
+ * @param {string} [rankBy] - stress, trend, depth or forecast
+ * @returns {Array<Object>} [{ rank, label, category, trend, currentLevel, forecastLevel }]
+ */
+export function rankSites(results, rankBy = 'stress') {
+  const criteria = RANK_CRITERIA[rankBy];
+  const ordered = [...results].sort((a, b) => {
+    for (const criterion of criteria) {
+      const diff = criterionValue(a, criterion) - criterionValue(b, criterion);
+      if (diff !== 0 && !isNaN(diff)) return diff;
+    }
+    return 0;
+  });
+  return ordered.map((r, i) => ({
+    rank: i + 1,
+    label: r.label,
+    category: r.stress.category,
+    trend: r.trend.theilSenSlope,
+    currentLevel: r.currentLevel,
+    forecastLevel: r.forecast.predictions ? r.forecast.predictions[r.forecast.predictions.length - 1].predictedLevel : null,
+  }));
+}
+
+// Station distances from this site; a shared district load was measured from another point
+function withDistances(stations, site) {
+  return new Map(Array.from(stations, ([code, station]) => [
+    code,
+    { ...station, distance: haversine(site.latitude, site.longitude, station.latitude, station.longitude) },
+  ]));
+}
+
+/**
+ * Compare sites through the shared pipeline
+ * @param {Array<Object>} sites - [{ lat, lon, label } | { state, district, label }]
+ * @param {Object} options - { date, model, intervals, rankBy, concurrency }
+ * @returns {Promise<Object>} { sites, alignedSeries, ranking, rankBy, failed }
+ */
+export async function compareSites(sites, {
+  date,
+  model = 'linear',
+  intervals,
+  rankBy = 'stress',
+  concurrency = getConcurrency(),
+} = {}) {
+  const resolved = sites.map(resolveSite);
+
+  const endDate = new Date(date);
+  const startDate = new Date(endDate);
+  startDate.setFullYear(startDate.getFullYear() - COMPARISON_CONFIG.HISTORY_YEARS);
+
+  // One load per district; station distances are recomputed per site below
+  const loads = new Map();
+  const loadDistrict = (site) => {
+    const key = `${site.state}|${site.district}`;
+    if (!loads.has(key)) {
+      loads.set(key, loadDistrictStations({
+        state: site.state,
+        district: site.district,
+        latitude: site.latitude,
+        longitude: site.longitude,
+        start: startDate,
+        end: endDate,
+      }));
+    }
+    return loads.get(key);
+  };
+
+  const results = await batchProcess(resolved, concurrency, async (site) => {
+    if (site.error) return { label: site.label, error: site.error };
+    try {
+      const { stations } = await loadDistrict(site);
+      if (stations.size === 0) return { label: site.label, error: 'No valid stations found' };
+      return analyzeSite(site, withDistances(stations, site), { date, model, intervals });
+    } catch (error) {
+      return { label: site.label, error: error.message };
+    }
+  });
+
+  const analysed = results.filter((r) => !r.error);
+  return {
+    rankBy,
+    sites: analysed.map(({ history, ...result }) => result),
+    failed: results.filter((r) => r.error),
+    alignedSeries: alignSeries(analysed),
+    ranking: rankSites(analysed, rankBy),
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * File-backed fixture adapter
+ * Serves recorded WRIS dumps from disk so the API and integration tests run offline.
+ *
+ * Layout: <dir>/<state-slug>/<district-slug>.json|.csv
+ *   e.g. data/fixtures/wris/rajasthan/jaipur.json
+ * JSON files hold either the WRIS response body ({ data: [...] }) or a bare array of rows.
+ * CSV files have a header row using WRIS field names (stationCode, dataValue, dataTime, ...).
+ */
+
+import { readFile, access } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { recordDate } from './normalize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, '../../data/fixtures/wris');
+
+/**
+ * Convert a state or district name to its fixture file name
+ * @param {string} name - e.g. "Uttar Pradesh"
+ * @returns {string} e.g. "uttar-pradesh"
+ */
+export function toSlug(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * Handles quoted fields with embedded commas and doubled quotes
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} Rows
+ */
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const splitLine = (line) => {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (inQuotes) {
+        if (ch === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          current += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        fields.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    fields.push(current.trim());
+    return fields;
+  };
+
+  const header = splitLine(lines[0]);
+  return lines.slice(1).map((line) => {
+    const values = splitLine(line);
+    return Object.fromEntries(header.map((key, i) => [key, values[i] ?? '']));
+  });
+}
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create the fixture data source
+ * @param {Object} [options] - { dir } fixture root directory
+ * @returns {Object} Data source ({ name, persistable, fetchDistrict })
+ */
+export function createFixtureDataSource({ dir = DEFAULT_FIXTURE_DIR } = {}) {
+  return {
+    name: 'fixture',
+    // Recorded dumps must never be mixed into the live observation store
+    persistable: false,
+
+    /**
+     * Read recorded rows for one district, limited to [start, end]
+     * A recording is served as a single page
+     * @param {Object} params - { state, district, start, end }
+     * @param {Object} [options] - { onPage } same contract as the WRIS source
+     * @returns {Promise<Object>} { data, pages, rows, truncated }
+     */
+    async fetchDistrict({ state, district, start, end }, { onPage = null } = {}) {
+      const base = path.join(dir, toSlug(state), toSlug(district));
+
+      let rows;
+      if (await exists(`${base}.json`)) {
+        const parsed = JSON.parse(await readFile(`${base}.json`, 'utf8'));
+        rows = Array.isArray(parsed) ? parsed : parsed.data || [];
+      } else if (await exists(`${base}.csv`)) {
+        rows = parseCsv(await readFile(`${base}.csv`, 'utf8'));
+      } else {
+        throw new Error(`No fixture found for ${district}, ${state} (looked for ${base}.json|.csv)`);
+      }
+
+      const from = start ? new Date(start).getTime() : -Infinity;
+      const to = end ? new Date(end).getTime() : Infinity;
+
+      // Undated rows pass through so the normaliser counts them as invalidDate
+      const data = rows.filter((row) => {
+        const date = recordDate(row);
+        if (!date) return true;
+        const time = Date.parse(date);
+        return time >= from && time <= to;
+      });
+
+      if (onPage) {
+        await onPage(data, { page: 0 });
+        return { data: [], pages: 1, rows: data.length, truncated: false };
+      }
+      return { data, pages: 1, rows: data.length, truncated: false };
+    },
+  };
+}
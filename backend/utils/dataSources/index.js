@@ -0,0 +1,49 @@
+/**
+ * Groundwater data source selection
+ *
+ * Every source implements the same interface:
+ *   name         - identifier reported in responses
+ *   persistable  - whether rows may be copied into the MongoDB observation store
+ *   fetchDistrict({ state, district, start, end }, { fallback, onPage })
+ *     => Promise<{ data: rawRows, pages, rows, truncated }>
+ *     With onPage(rows, { page }) rows are streamed page by page and data is left empty.
+ *
+ * GROUNDWATER_DATA_SOURCE picks the source: "wris" (default) or "fixture".
+ * GROUNDWATER_FIXTURE_DIR overrides the fixture root for the fixture source.
+ */
+
+import { createWrisDataSource } from './wris.js';
+import { createFixtureDataSource, DEFAULT_FIXTURE_DIR } from './fixture.js';
+
+export { normalizeRecord } from './normalize.js';
+
+const FACTORIES = {
+  wris: () => createWrisDataSource(),
+  fixture: () => createFixtureDataSource({ dir: process.env.GROUNDWATER_FIXTURE_DIR || DEFAULT_FIXTURE_DIR }),
+};
+
+const instances = new Map();
+
+/**
+ * Get the configured data source
+ * @returns {Object} Data source
+ */
+export function getDataSource() {
+  const name = (process.env.GROUNDWATER_DATA_SOURCE || 'wris').toLowerCase();
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown GROUNDWATER_DATA_SOURCE "${name}". Expected: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Drop cached instances so env changes take effect (for tests)
+ */
+export function resetDataSources() {
+  instances.clear();
+}
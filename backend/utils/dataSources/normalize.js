@@ -0,0 +1,81 @@
+/**
+ * Raw groundwater row normalisation
+ * Every data source returns WRIS-shaped rows; this is the one place they are
+ * turned into typed records so the water-level route, chat and store agree.
+ */
+
+// WRIS field names plus the variants seen in older dumps and CSV exports
+const FIELD_ALIASES = {
+  stationCode: ['stationCode', 'stationcode', 'station_code'],
+  stationName: ['stationName', 'stationname', 'station_name'],
+  latitude: ['latitude', 'lat', 'Latitude'],
+  longitude: ['longitude', 'lon', 'Longitude'],
+  dataValue: ['dataValue', 'waterLevel', 'datavalue'],
+  dataTime: ['dataTime', 'DataTime', 'timestamp', 'datatime'],
+  wellType: ['wellType', 'welltype', 'well_type'],
+  wellDepth: ['wellDepth', 'welldepth', 'well_depth'],
+  wellAquiferType: ['wellAquiferType', 'wellaquifertype', 'aquifer_type'],
+};
+
+function pick(row, field) {
+  for (const key of FIELD_ALIASES[field]) {
+    if (row[key] !== undefined && row[key] !== null && row[key] !== '') return row[key];
+  }
+  return null;
+}
+
+/**
+ * Observation date of a raw row, whichever date field it carries
+ * @param {Object} row - Raw WRIS (or fixture) row
+ * @returns {string|null} YYYY-MM-DD, or null when missing or unparseable
+ */
+export function recordDate(row) {
+  const dataTime = pick(row, 'dataTime');
+  const date = dataTime ? String(dataTime).split('T')[0] : null;
+  return date && !isNaN(Date.parse(date)) ? date : null;
+}
+
+/**
+ * Normalise one raw row
+ * @param {Object} row - Raw WRIS (or fixture) row
+ * @returns {{valid: boolean, record?: Object, reason?: string}} Parsed record or rejection reason
+ *   reason is one of: invalidRow, invalidWaterLevel, invalidCoords, invalidDate
+ */
+export function normalizeRecord(row) {
+  if (!row || typeof row !== 'object' || !pick(row, 'stationCode')) {
+    return { valid: false, reason: 'invalidRow' };
+  }
+
+  const waterLevel = parseFloat(pick(row, 'dataValue'));
+  if (isNaN(waterLevel)) {
+    return { valid: false, reason: 'invalidWaterLevel' };
+  }
+
+  const latitude = parseFloat(pick(row, 'latitude'));
+  const longitude = parseFloat(pick(row, 'longitude'));
+  if (isNaN(latitude) || isNaN(longitude)) {
+    return { valid: false, reason: 'invalidCoords' };
+  }
+
+  const date = recordDate(row);
+  if (!date) {
+    return { valid: false, reason: 'invalidDate' };
+  }
+
+  const wellDepth = parseFloat(pick(row, 'wellDepth'));
+
+  return {
+    valid: true,
+    record: {
+      stationCode: String(pick(row, 'stationCode')),
+      stationName: pick(row, 'stationName') || 'Unknown',
+      latitude,
+      longitude,
+      wellType: pick(row, 'wellType') || 'Unknown',
+      wellDepth: isNaN(wellDepth) ? null : wellDepth,
+      wellAquiferType: pick(row, 'wellAquiferType') || 'Unknown',
+      date,
+      waterLevel,
+    },
+  };
+}
@@ -0,0 +1,165 @@
+/**
+ * India-WRIS groundwater level adapter
+ * The only place the WRIS dataset URL is built
+ */
+
+import { circuitBreaker } from '../circuitBreaker.js';
+import { formatDate } from '../geo.js';
+
+const WRIS_CONFIG = {
+  BASE_URL: 'https://indiawris.gov.in/Dataset/Ground%20Water%20Level',
+  AGENCY: 'CGWB',
+  PAGE_SIZE: 10000,
+  MAX_PAGES: 100, // Safety cap: 1M rows is far beyond any district seen so far
+  TIMEOUT_MS: 90000, // WRIS routinely takes over a minute for large districts
+  MAX_RETRIES: 3,
+  RETRY_DELAY_MS: 1000,
+  CIRCUIT: 'wris-api' // Circuit breaker key for user-facing requests
+};
+
+/**
+ * Build the WRIS dataset URL for a district and date range
+ * @param {Object} params - { state, district, start, end, page, size }
+ * @returns {string} Request URL
+ */
+export function buildWrisUrl({ state, district, start, end, page = 0, size = WRIS_CONFIG.PAGE_SIZE }) {
+  const params = [
+    `stateName=${encodeURIComponent(state)}`,
+    `districtName=${encodeURIComponent(district)}`,
+    `agencyName=${WRIS_CONFIG.AGENCY}`,
+    `startdate=${formatDate(start)}`,
+    `enddate=${formatDate(end)}`,
+    'download=false',
+    `page=${page}`,
+    `size=${size}`,
+  ];
+  return `${WRIS_CONFIG.BASE_URL}?${params.join('&')}`;
+}
+
+async function requestWithRetry(url, district) {
+  for (let attempt = 0; attempt < WRIS_CONFIG.MAX_RETRIES; attempt++) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => {
+      controller.abort();
+      console.log(`⏱️ Request timeout for ${district}`);
+    }, WRIS_CONFIG.TIMEOUT_MS);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal,
+      });
+
+      // Back off exponentially when WRIS rate limits us
+      if (response.status === 429) {
+        await new Promise((resolve) => setTimeout(resolve, WRIS_CONFIG.RETRY_DELAY_MS * Math.pow(2, attempt)));
+        continue;
+      }
+
+      if (!response.ok) {
+        throw new Error(`API request failed with status ${response.status}`);
+      }
+
+      return await response.json();
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  throw new Error('WRIS API rate limit exceeded after retries');
+}
+
+/**
+ * Whether a WRIS page is the last one
+ * WRIS sometimes reports totalPages/last; otherwise a short page ends the dataset
+ * @param {Object} body - WRIS response body
+ * @param {number} page - Zero-based page index
+ * @param {number} size - Requested page size
+ * @returns {boolean} True when no further pages should be requested
+ */
+export function isLastPage(body, page, size) {
+  const rows = Array.isArray(body?.data) ? body.data.length : 0;
+  if (body?.last === true) return true;
+  if (Number.isInteger(body?.totalPages)) return page + 1 >= body.totalPages;
+  return rows < size;
+}
+
+/**
+ * Create the WRIS data source
+ * @returns {Object} Data source ({ name, persistable, fetchDistrict })
+ */
+export function createWrisDataSource() {
+  return {
+    name: 'wris',
+    // Live data: safe to copy into the observation store
+    persistable: true,
+
+    /**
+     * Fetch raw rows for one district through the circuit breaker, following
+     * WRIS pagination until the dataset is exhausted
+     * @param {Object} params - { state, district, start, end }
+     * @param {Object} [options] - { fallback, onPage, pageSize, circuit }
+     * @param {Function} [options.fallback] - Called when WRIS fails (or the circuit is open) before any page was delivered
+     * @param {Function} [options.onPage] - async (rows, { page }) => void; when given, rows are handed
+     *   over page by page and not accumulated, so the returned data is empty
+     * @param {string} [options.circuit] - Circuit breaker key, so background jobs cannot trip the one
+     *   user requests go through
+     * @returns {Promise<Object>} { data, pages, rows, truncated }
+     */
+    async fetchDistrict({ state, district, start, end }, {
+      fallback = null,
+      onPage = null,
+      pageSize = WRIS_CONFIG.PAGE_SIZE,
+      circuit = WRIS_CONFIG.CIRCUIT,
+    } = {}) {
+      let pagesDelivered = 0;
+
+      const fetchAllPages = async () => {
+        const data = [];
+        let rows = 0;
+        let page = 0;
+        let done = false;
+
+        while (!done && page < WRIS_CONFIG.MAX_PAGES) {
+          const url = buildWrisUrl({ state, district, start, end, page, size: pageSize });
+          const body = await requestWithRetry(url, district);
+          const pageRows = Array.isArray(body?.data) ? body.data : [];
+
+          rows += pageRows.length;
+          if (onPage) {
+            await onPage(pageRows, { page });
+          } else {
+            for (const row of pageRows) data.push(row);
+          }
+          pagesDelivered++;
+
+          done = isLastPage(body, page, pageSize);
+          page++;
+        }
+
+        const truncated = !done;
+        if (truncated) {
+          console.warn(`⚠️ WRIS pagination for ${district}, ${state} stopped at ${WRIS_CONFIG.MAX_PAGES} pages (${rows} rows)`);
+        } else if (page > 1) {
+          console.log(`📄 Read ${page} WRIS pages (${rows} rows) for ${district}`);
+        }
+
+        return { data, pages: page, rows, truncated };
+      };
+
+      // Rows from earlier pages have already been consumed, so a late failure
+      // must surface instead of mixing in fallback data
+      const guardedFallback = fallback
+        ? async () => {
+            if (pagesDelivered > 0) {
+              throw new Error(`WRIS failed after ${pagesDelivered} page(s) for ${district}`);
+            }
+            return fallback();
+          }
+        : null;
+
+      // Use circuit breaker to prevent cascade failures from WRIS API
+      return circuitBreaker.execute(circuit, fetchAllPages, guardedFallback);
+    },
+  };
+}
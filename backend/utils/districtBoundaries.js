@@ -0,0 +1,199 @@
+/**
+ * District Boundaries
+ * Exact point-in-polygon district lookup from a GeoJSON file of district boundary
+ * polygons. Nearest-centroid lookup picks the wrong district near borders, and with
+ * it the wrong WRIS query; a polygon test does not.
+ *
+ * The file is a FeatureCollection of Polygon or MultiPolygon features whose
+ * properties name the district and state (district/state, DISTRICT/ST_NM as in the
+ * DataMeet census maps, or NAME_2/NAME_1 as in GADM). Features are matched to the
+ * district database by name, ignoring case and punctuation, so lookups return
+ * canonical names; unmatched features are skipped. Without the file every lookup
+ * falls back to the nearest centroid.
+ *
+ * Polygons are indexed on a grid of GRID_CELL_DEG cells by bounding box, so a lookup
+ * tests only the few polygons whose box covers the point's cell.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ALL_DISTRICTS } from '../data/districts/index.js';
+import { normalizeName } from './geo.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BOUNDARY_CONFIG = {
+  DEFAULT_FILE: path.resolve(__dirname, '../data/district-boundaries.geojson'),
+  GRID_CELL_DEG: 0.5,
+  DISTRICT_KEYS: ['district', 'DISTRICT', 'dtname', 'NAME_2', 'district_name'],
+  STATE_KEYS: ['state', 'STATE', 'ST_NM', 'st_nm', 'NAME_1', 'state_name']
+};
+
+// Normalized as in the name lookups, so "MEDCHAL MALKAJGIRI" matches Medchal-Malkajgiri
+const nameKey = (state, district) => `${normalizeName(state)}|${normalizeName(district)}`;
+
+const DISTRICTS_BY_KEY = new Map(ALL_DISTRICTS.map((d) => [nameKey(d.state, d.name), d]));
+
+function firstProperty(properties, keys) {
+  for (const key of keys) {
+    if (typeof properties[key] === 'string' && properties[key].trim() !== '') return properties[key];
+  }
+  return null;
+}
+
+// Outer rings of a Polygon or MultiPolygon, for the bounding box
+function polygonsOf(geometry) {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function geometryBbox(geometry) {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  for (const polygon of polygonsOf(geometry)) {
+    for (const [lon, lat] of polygon[0]) {
+      if (lon < minLon) minLon = lon;
+      if (lon > maxLon) maxLon = lon;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    }
+  }
+  return [minLon, minLat, maxLon, maxLat];
+}
+
+/**
+ * Whether a point lies inside a linear ring (ray casting)
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {Array<Array<number>>} ring - [[lon, lat], ...]
+ * @returns {boolean} Inside
+ */
+export function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a Polygon or MultiPolygon, outside any holes
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} Inside
+ */
+export function pointInGeometry(lon, lat, geometry) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    pointInRing(lon, lat, outer) && !holes.some((hole) => pointInRing(lon, lat, hole))
+  );
+}
+
+const cellOf = (value) => Math.floor(value / BOUNDARY_CONFIG.GRID_CELL_DEG);
+
+/**
+ * Grid index of district polygons matched to the district database
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @returns {Object} { entries, grid: Map<cell, entries>, unmatched: Array<string> }
+ */
+export function buildBoundaryIndex(collection) {
+  const entries = [];
+  const unmatched = [];
+  for (const feature of collection?.features ?? []) {
+    const properties = feature.properties ?? {};
+    const districtName = firstProperty(properties, BOUNDARY_CONFIG.DISTRICT_KEYS);
+    const stateName = firstProperty(properties, BOUNDARY_CONFIG.STATE_KEYS);
+    const district = districtName && stateName ? DISTRICTS_BY_KEY.get(nameKey(stateName, districtName)) : null;
+    if (!district || polygonsOf(feature.geometry ?? {}).length === 0) {
+      unmatched.push(`${districtName ?? '?'}, ${stateName ?? '?'}`);
+      continue;
+    }
+    entries.push({ district, geometry: feature.geometry, bbox: geometryBbox(feature.geometry) });
+  }
+
+  const grid = new Map();
+  for (const entry of entries) {
+    const [minLon, minLat, maxLon, maxLat] = entry.bbox;
+    for (let x = cellOf(minLon); x <= cellOf(maxLon); x++) {
+      for (let y = cellOf(minLat); y <= cellOf(maxLat); y++) {
+        const key = `${x}:${y}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(entry);
+      }
+    }
+  }
+
+  return { entries, grid, unmatched };
+}
+
+function loadBoundaryFile(file) {
+  if (!existsSync(file)) {
+    console.log(`⚠️ No district boundaries at ${file}; districts resolve by nearest centroid`);
+    return { file: null, ...buildBoundaryIndex(null) };
+  }
+  try {
+    const index = buildBoundaryIndex(JSON.parse(readFileSync(file, 'utf8')));
+    console.log(`🗺️ District boundaries loaded: ${index.entries.length} polygons (${index.unmatched.length} unmatched)`);
+    return { file, ...index };
+  } catch (error) {
+    console.error(`❌ Failed to load district boundaries from ${file}:`, error.message);
+    return { file: null, ...buildBoundaryIndex(null) };
+  }
+}
+
+const boundaries = loadBoundaryFile(
+  process.env.DISTRICT_BOUNDARIES_FILE ? path.resolve(process.env.DISTRICT_BOUNDARIES_FILE) : BOUNDARY_CONFIG.DEFAULT_FILE
+);
+
+/**
+ * District whose polygon contains a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} [index] - From buildBoundaryIndex; defaults to the loaded file
+ * @returns {Object|null} District entry { name, state, lat, lon }, or null outside every polygon
+ */
+export function findDistrictByPoint(lat, lon, index = boundaries) {
+  const candidates = index.grid.get(`${cellOf(lon)}:${cellOf(lat)}`) ?? [];
+  for (const { district, geometry, bbox } of candidates) {
+    if (lon < bbox[0] || lat < bbox[1] || lon > bbox[2] || lat > bbox[3]) continue;
+    if (pointInGeometry(lon, lat, geometry)) return district;
+  }
+  return null;
+}
+
+/**
+ * Boundary polygon of a district as a GeoJSON Feature
+ * @param {string} district - Canonical district name
+ * @param {string} state - Canonical state name
+ * @param {Object} [index] - From buildBoundaryIndex; defaults to the loaded file
+ * @returns {Object|null} Feature, or null when no polygon was loaded for it
+ */
+export function getDistrictBoundary(district, state, index = boundaries) {
+  const entry = index.entries.find((e) => e.district.name === district && e.district.state === state);
+  if (!entry) return null;
+  return {
+    type: 'Feature',
+    id: `${state}/${district}`,
+    bbox: entry.bbox,
+    geometry: entry.geometry,
+    properties: { district, state, centroid: { lat: entry.district.lat, lon: entry.district.lon } },
+  };
+}
+
+/**
+ * Loaded boundary file and coverage
+ * @returns {Object} { loaded, file, polygons, unmatched }
+ */
+export function boundaryStats() {
+  return {
+    loaded: boundaries.file !== null,
+    file: boundaries.file,
+    polygons: boundaries.entries.length,
+    unmatched: boundaries.unmatched.length,
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * District Summary
+ * Whole-district picture from every station instead of one well: current depths and
+ * their spread, the trend of each station, how many are declining, and a district
+ * stress category taken from the station categories.
+ *
+ * The district category is the median station category in severity order
+ * (Safe < Semi-critical < Critical < Over-exploited), so a few deep piezometers
+ * cannot swing it the way they swing a per-date mean of levels.
+ */
+
+import { detectOutliers } from './outliers.js';
+import { assessStress, resolveStressThresholds, waterTableDirection } from './stressAssessment.js';
+import { mannKendallTest, median, theilSenSlope } from './statistics.js';
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+export const STRESS_SEVERITY = ['Safe', 'Semi-critical', 'Critical', 'Over-exploited'];
+
+// Depth to water bands (m below ground) for the distribution of current depths
+export const DEPTH_BANDS = [
+  { label: '0-5 m', max: 5 },
+  { label: '5-10 m', max: 10 },
+  { label: '10-20 m', max: 20 },
+  { label: '20-40 m', max: 40 },
+  { label: '>40 m', max: Infinity }
+];
+
+const MIN_TREND_POINTS = 3;
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Linear-interpolated quantile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} Quantile
+ */
+export function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Trend, current depth and stress category of one station
+ * @param {Object} station - Station from loadDistrictStations
+ * @param {Object} options - { thresholds, calendar }
+ * @returns {Object} Station row of the summary
+ */
+export function summarizeStation(station, { thresholds, calendar } = {}) {
+  const history = detectOutliers(station.history).clean;
+  const latest = history[history.length - 1] ?? null;
+  const row = {
+    stationCode: station.stationCode,
+    name: station.name,
+    wellType: station.wellType,
+    wellAquiferType: station.wellAquiferType,
+    readings: history.length,
+    currentDepth: latest ? round(latest.waterLevel, 2) : null,
+    latestDate: latest ? latest.date : null,
+    slope: null,
+    direction: null,
+    significant: null,
+    category: null,
+  };
+  if (history.length < MIN_TREND_POINTS) return row;
+
+  const first = new Date(history[0].date).getTime();
+  const x = history.map((h) => (new Date(h.date).getTime() - first) / YEAR_MS);
+  const y = history.map((h) => h.waterLevel);
+  const { slope } = theilSenSlope(x, y);
+  const { significant } = mannKendallTest(y, resolveStressThresholds(thresholds).alpha);
+
+  return {
+    ...row,
+    // Sen slope of depth below ground: positive is a falling water table
+    slope: round(slope),
+    direction: waterTableDirection(slope, significant),
+    significant,
+    category: assessStress(history, { thresholds, calendar }).category,
+  };
+}
+
+/**
+ * District category from station categories
+ * @param {Array<string|null>} categories - Station categories; nulls are ignored
+ * @returns {string|null} Median category in severity order, or null when none was assessed
+ */
+export function districtCategory(categories) {
+  const ranks = categories
+    .filter((c) => c !== null)
+    .map((c) => STRESS_SEVERITY.indexOf(c))
+    .sort((a, b) => a - b);
+  if (ranks.length === 0) return null;
+  // Even counts take the more severe of the two middle stations
+  return STRESS_SEVERITY[ranks[Math.floor(ranks.length / 2)]];
+}
+
+/**
+ * Summary statistics across every station of a district
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @param {Object} [options] - { thresholds, calendar }
+ * @returns {Object} { stationCount, currentDepth, trends, stress, stations }
+ */
+export function summarizeDistrict(stations, { thresholds, calendar } = {}) {
+  const rows = Array.from(stations.values())
+    .map((station) => summarizeStation(station, { thresholds, calendar }))
+    .sort((a, b) => (b.slope ?? -Infinity) - (a.slope ?? -Infinity));
+
+  const depths = rows.map((r) => r.currentDepth).filter((d) => d !== null).sort((a, b) => a - b);
+  const withTrend = rows.filter((r) => r.slope !== null);
+  const count = (direction) => withTrend.filter((r) => r.direction === direction).length;
+  const assessed = rows.filter((r) => r.category !== null);
+
+  return {
+    stationCount: rows.length,
+    currentDepth: depths.length > 0
+      ? {
+          stations: depths.length,
+          min: depths[0],
+          p25: round(quantile(depths, 0.25), 2),
+          median: round(median(depths), 2),
+          p75: round(quantile(depths, 0.75), 2),
+          max: depths[depths.length - 1],
+          bands: DEPTH_BANDS.map((band, i) => ({
+            band: band.label,
+            stations: depths.filter((d) => d < band.max && (i === 0 || d >= DEPTH_BANDS[i - 1].max)).length,
+          })),
+        }
+      : null,
+    trends: {
+      stationsWithTrend: withTrend.length,
+      declining: count('declining'),
+      rising: count('rising'),
+      stable: count('stable'),
+      decliningShare: withTrend.length > 0 ? round(count('declining') / withTrend.length) : null,
+      medianSlope: withTrend.length > 0 ? round(median(withTrend.map((r) => r.slope))) : null,
+    },
+    stress: {
+      category: districtCategory(rows.map((r) => r.category)),
+      basis: 'Median of the station categories (CGWB trend criterion per station)',
+      stationsAssessed: assessed.length,
+      categoryCounts: STRESS_SEVERITY.map((category) => ({
+        category,
+        stations: assessed.filter((r) => r.category === category).length,
+      })),
+    },
+    stations: rows,
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Stage of Groundwater Extraction (SoGE)
+ * Estimates annual recharge with the water-table-fluctuation method and compares it
+ * with the district's draft, following the GEC-2015 resource assessment:
+ *
+ *   Monsoon recharge     = h × Sy × A + monsoon draft
+ *   Annual recharge      = monsoon recharge + non-monsoon recharge
+ *   Extractable resource = annual recharge × (1 − natural discharge fraction)
+ *   SoGE (%)             = annual draft / extractable resource × 100
+ *
+ * h is the pre- minus post-monsoon depth (m), Sy the specific yield and A the
+ * recharge-worthy area (ha); volumes are in hectare-metres (ham).
+ * District inputs live in data/extraction-inputs.json and must come from a CGWB/state
+ * resource assessment; it ships empty, and extraction-inputs.example.json shows the fields.
+ * Districts without inputs get no stage of extraction.
+ */
+
+import extractionInputs from '../data/extraction-inputs.json' with { type: 'json' };
+import { DEFAULT_SEASON_CALENDAR, classifySeason } from './seasonCalendar.js';
+
+export const EXTRACTION_CONFIG = {
+  RECENT_YEARS: 5, // Recharge is averaged over the latest years with a pre/post pair
+  DEFAULT_NATURAL_DISCHARGE: 0.1
+};
+
+// GEC-2015 category bands on SoGE (%)
+export const EXTRACTION_CATEGORIES = [
+  { category: 'Safe', max: 70 },
+  { category: 'Semi-critical', max: 90 },
+  { category: 'Critical', max: 100 },
+  { category: 'Over-exploited', max: Infinity }
+];
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Districts with extraction inputs
+ * @returns {Array<Object>} Input rows from data/extraction-inputs.json
+ */
+export function listExtractionInputs() {
+  return extractionInputs.districts;
+}
+
+/**
+ * Extraction inputs for a district (case-insensitive)
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @param {Array<Object>} [rows] - Input rows; defaults to data/extraction-inputs.json
+ * @returns {Object|null} Input row, or null when the district has none
+ */
+export function getExtractionInputs(state, district, rows = extractionInputs.districts) {
+  if (!state || !district) return null;
+  return rows.find(
+    (d) => d.state.toLowerCase() === state.toLowerCase() && d.district.toLowerCase() === district.toLowerCase()
+  ) || null;
+}
+
+/**
+ * Pre/post-monsoon depths and the seasonal rise for every monsoon year with both seasons
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {Object} [options] - { calendar } from getSeasonCalendar
+ * @returns {Array<Object>} [{ year, preMonsoonDepth, postMonsoonDepth, rechargeAmount }] (values as strings, m)
+ */
+export function computeRechargePattern(history, { calendar = DEFAULT_SEASON_CALENDAR } = {}) {
+  const groupedByYear = new Map();
+
+  for (const record of history) {
+    const dt = new Date(record.date);
+    const match = classifySeason(dt.getUTCFullYear(), dt.getUTCMonth() + 1, calendar);
+    if (!match) continue;
+    if (!groupedByYear.has(match.year)) groupedByYear.set(match.year, { pre: [], post: [] });
+    const group = groupedByYear.get(match.year);
+    (match.season === 'preMonsoon' ? group.pre : group.post).push(record.waterLevel);
+  }
+
+  const pattern = [];
+  for (const [year, { pre: preLevels, post: postLevels }] of groupedByYear) {
+    if (preLevels.length === 0 || postLevels.length === 0) continue;
+    const avgPre = preLevels.reduce((sum, val) => sum + val, 0) / preLevels.length;
+    const avgPost = postLevels.reduce((sum, val) => sum + val, 0) / postLevels.length;
+    pattern.push({
+      year,
+      preMonsoonDepth: avgPre.toFixed(2),
+      postMonsoonDepth: avgPost.toFixed(2),
+      rechargeAmount: (avgPre - avgPost).toFixed(2),
+    });
+  }
+  return pattern.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * GEC-2015 category for a stage of extraction
+ * @param {number} stage - SoGE in percent
+ * @returns {string} Category
+ */
+export function extractionCategory(stage) {
+  return EXTRACTION_CATEGORIES.find((band) => stage <= band.max).category;
+}
+
+/**
+ * Annual recharge by water-table fluctuation
+ * @param {Array<Object>} rechargePattern - From computeRechargePattern
+ * @param {Object} inputs - District inputs
+ * @returns {Object|null} { years, fluctuationM, monsoonRechargeHam, annualRechargeHam }, or null without a pre/post pair
+ */
+export function estimateAnnualRecharge(rechargePattern, inputs) {
+  const recent = rechargePattern.slice(-EXTRACTION_CONFIG.RECENT_YEARS);
+  if (recent.length === 0) return null;
+
+  const years = recent.map((r) => {
+    // A post-monsoon level deeper than pre-monsoon means no net monsoon rise
+    const fluctuation = Math.max(parseFloat(r.rechargeAmount), 0);
+    const monsoonRecharge = fluctuation * inputs.specificYield * inputs.rechargeAreaHa + (inputs.monsoonDraftHam || 0);
+    return { year: r.year, fluctuationM: round(fluctuation), monsoonRechargeHam: round(monsoonRecharge, 0) };
+  });
+
+  const fluctuationM = years.reduce((sum, y) => sum + y.fluctuationM, 0) / years.length;
+  const monsoonRechargeHam = years.reduce((sum, y) => sum + y.monsoonRechargeHam, 0) / years.length;
+
+  return {
+    years,
+    fluctuationM: round(fluctuationM),
+    monsoonRechargeHam: round(monsoonRechargeHam, 0),
+    annualRechargeHam: round(monsoonRechargeHam + (inputs.nonMonsoonRechargeHam || 0), 0),
+  };
+}
+
+/**
+ * Stage of groundwater extraction for a district
+ * @param {Array<Object>} rechargePattern - From computeRechargePattern
+ * @param {Object} inputs - District inputs from getExtractionInputs
+ * @returns {Object} { stageOfExtraction, category, recharge, extractableResourceHam, annualDraftHam, inputs, method, note }
+ */
+export function computeStageOfExtraction(rechargePattern, inputs) {
+  const recharge = estimateAnnualRecharge(rechargePattern, inputs);
+  const base = {
+    state: inputs.state,
+    district: inputs.district,
+    method: 'Water-table fluctuation (GEC-2015)',
+    inputs: {
+      specificYield: inputs.specificYield,
+      rechargeAreaHa: inputs.rechargeAreaHa,
+      annualDraftHam: inputs.annualDraftHam,
+      monsoonDraftHam: inputs.monsoonDraftHam || 0,
+      nonMonsoonRechargeHam: inputs.nonMonsoonRechargeHam || 0,
+      naturalDischargeFraction: inputs.naturalDischargeFraction ?? EXTRACTION_CONFIG.DEFAULT_NATURAL_DISCHARGE,
+      assessmentYear: inputs.assessmentYear ?? null,
+      source: inputs.source ?? null,
+    },
+    categoryBands: EXTRACTION_CATEGORIES.map(({ category, max }) => ({ category, maxPercent: isFinite(max) ? max : null })),
+  };
+
+  if (!recharge) {
+    return {
+      ...base,
+      stageOfExtraction: null,
+      category: null,
+      recharge: null,
+      extractableResourceHam: null,
+      annualDraftHam: inputs.annualDraftHam,
+      note: 'No year with both pre- and post-monsoon readings; recharge cannot be estimated',
+    };
+  }
+
+  const extractable = recharge.annualRechargeHam * (1 - base.inputs.naturalDischargeFraction);
+  const stage = extractable > 0 ? (inputs.annualDraftHam / extractable) * 100 : null;
+
+  return {
+    ...base,
+    stageOfExtraction: stage !== null ? round(stage, 1) : null,
+    category: stage !== null ? extractionCategory(stage) : null,
+    recharge,
+    extractableResourceHam: round(extractable, 0),
+    annualDraftHam: inputs.annualDraftHam,
+    note: stage === null ? 'Estimated recharge is zero; stage of extraction is undefined' : null,
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Forecasting Model Registry
+ * Time-series models for future water levels. Every model fits a regular monthly
+ * series and returns a forecaster giving the level h months after the last month.
+ * The forecaster also carries its in-sample errors (.residuals, one per month: one-step-
+ * ahead errors for the smoothing models, fitted residuals for the regression-based ones,
+ * null where the model makes no forecast) and the ratio of the h-step to the one-step
+ * forecast standard deviation (.errorGrowth(h)), for prediction intervals.
+ *
+ * Models: linear, holt-winters (additive triple exponential smoothing),
+ * stl (seasonal decomposition + linear trend), damped-trend (Holt with damping).
+ */
+
+import { linearRegression } from './statistics.js';
+
+const FORECAST_CONFIG = {
+  SEASON_LENGTH: 12,
+  MIN_MONTHS_LINEAR: 3,
+  MIN_MONTHS_SEASONAL: 24, // Two full monsoon cycles to initialise seasonal indices
+  MIN_MONTHS_DAMPED: 6,
+  MAX_GAP_MONTHS: 12 // Longer gaps split the record; only the latest segment is modelled
+};
+
+const SMOOTHING_GRID = {
+  ALPHA: [0.1, 0.3, 0.5, 0.7, 0.9],
+  BETA: [0.01, 0.05, 0.1, 0.3],
+  GAMMA: [0.05, 0.1, 0.3, 0.5],
+  PHI: [0.8, 0.9, 0.95, 0.98]
+};
+
+export const DEFAULT_FORECAST_MODEL = 'linear';
+
+function monthIndex(date) {
+  const d = new Date(date);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+function indexToMonth(index) {
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Resample irregular readings onto a regular monthly grid
+ * Months without readings are linearly interpolated between neighbours
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @returns {{start: string, values: Array<number>, observed: Array<boolean>}} Monthly series
+ */
+export function toMonthlySeries(history) {
+  const byMonth = new Map();
+  for (const h of history) {
+    const idx = monthIndex(h.date);
+    if (!byMonth.has(idx)) byMonth.set(idx, []);
+    byMonth.get(idx).push(h.waterLevel);
+  }
+  if (byMonth.size === 0) return { start: null, values: [], observed: [] };
+
+  let indices = Array.from(byMonth.keys()).sort((a, b) => a - b);
+
+  // Keep the most recent run of readings without an over-long gap
+  for (let i = indices.length - 1; i > 0; i--) {
+    if (indices[i] - indices[i - 1] > FORECAST_CONFIG.MAX_GAP_MONTHS) {
+      indices = indices.slice(i);
+      break;
+    }
+  }
+
+  const first = indices[0];
+  const last = indices[indices.length - 1];
+  const values = [];
+  const observed = [];
+  let prev = first;
+
+  for (let idx = first; idx <= last; idx++) {
+    if (byMonth.has(idx)) {
+      values.push(mean(byMonth.get(idx)));
+      observed.push(true);
+      prev = idx;
+    } else {
+      const next = indices.find((i) => i > idx);
+      const from = mean(byMonth.get(prev));
+      const to = mean(byMonth.get(next));
+      values.push(from + ((to - from) * (idx - prev)) / (next - prev));
+      observed.push(false);
+    }
+  }
+
+  return { start: indexToMonth(first), values, observed };
+}
+
+function fitLinear(values) {
+  const n = values.length;
+  const x = values.map((_, i) => i);
+  const { slope, intercept } = linearRegression(x, values);
+  const meanX = mean(x);
+  const sxx = x.reduce((sum, xi) => sum + (xi - meanX) ** 2, 0);
+  const forecast = (h) => intercept + slope * (n - 1 + h);
+  forecast.residuals = values.map((v, t) => v - (intercept + slope * t));
+  // Leverage of the forecast month grows with its distance from the fitted months
+  forecast.errorGrowth = (h) => Math.sqrt(1 + 1 / n + (sxx === 0 ? 0 : (n - 1 + h - meanX) ** 2 / sxx));
+  return forecast;
+}
+
+// Additive Holt-Winters for one parameter set; returns one-step SSE and a forecaster
+function runHoltWinters(values, alpha, beta, gamma) {
+  const m = FORECAST_CONFIG.SEASON_LENGTH;
+  const firstSeason = mean(values.slice(0, m));
+  const secondSeason = mean(values.slice(m, 2 * m));
+
+  let level = firstSeason;
+  let trend = (secondSeason - firstSeason) / m;
+  const seasonal = values.slice(0, m).map((v) => v - firstSeason);
+  const residuals = values.map(() => null);
+  let sse = 0;
+
+  for (let t = m; t < values.length; t++) {
+    const s = seasonal[t % m];
+    const predicted = level + trend + s;
+    residuals[t] = values[t] - predicted;
+    sse += residuals[t] ** 2;
+
+    const prevLevel = level;
+    level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    seasonal[t % m] = gamma * (values[t] - level) + (1 - gamma) * s;
+  }
+
+  const n = values.length;
+  return {
+    sse,
+    residuals,
+    params: { alpha, beta, gamma },
+    forecast: (h) => level + h * trend + seasonal[(n - 1 + h) % m],
+    // Additive Holt-Winters error weights c_j = alpha(1 + j beta) + gamma(1 - alpha) at whole seasons
+    errorGrowth: (h) => {
+      let variance = 1;
+      for (let j = 1; j < h; j++) {
+        variance += (alpha * (1 + j * beta) + (j % m === 0 ? gamma * (1 - alpha) : 0)) ** 2;
+      }
+      return Math.sqrt(variance);
+    },
+  };
+}
+
+function fitHoltWinters(values) {
+  let best = null;
+  for (const alpha of SMOOTHING_GRID.ALPHA) {
+    for (const beta of SMOOTHING_GRID.BETA) {
+      for (const gamma of SMOOTHING_GRID.GAMMA) {
+        const run = runHoltWinters(values, alpha, beta, gamma);
+        if (!best || run.sse < best.sse) best = run;
+      }
+    }
+  }
+  const forecast = best.forecast;
+  forecast.params = best.params;
+  forecast.residuals = best.residuals;
+  forecast.errorGrowth = best.errorGrowth;
+  return forecast;
+}
+
+function fitStl(values) {
+  const m = FORECAST_CONFIG.SEASON_LENGTH;
+  const n = values.length;
+
+  // Centred 2x12 moving average as the trend estimate
+  const trend = values.map((_, t) => {
+    if (t < m / 2 || t >= n - m / 2) return null;
+    let sum = 0.5 * values[t - m / 2] + 0.5 * values[t + m / 2];
+    for (let k = t - m / 2 + 1; k < t + m / 2; k++) sum += values[k];
+    return sum / m;
+  });
+
+  // Seasonal index per calendar position, centred to sum to zero
+  const buckets = Array.from({ length: m }, () => []);
+  trend.forEach((tr, t) => {
+    if (tr !== null) buckets[t % m].push(values[t] - tr);
+  });
+  const raw = buckets.map((b) => (b.length > 0 ? mean(b) : 0));
+  const offset = mean(raw);
+  const seasonal = raw.map((s) => s - offset);
+
+  // Linear trend through the deseasonalised series
+  const trendForecast = fitLinear(values.map((v, t) => v - seasonal[t % m]));
+  const forecast = (h) => trendForecast(h) + seasonal[(n - 1 + h) % m];
+  forecast.params = { seasonal: seasonal.map((s) => Math.round(s * 100) / 100) };
+  // Seasonal indices are treated as known, so the errors are those of the trend line
+  forecast.residuals = trendForecast.residuals;
+  forecast.errorGrowth = trendForecast.errorGrowth;
+  return forecast;
+}
+
+function runDamped(values, alpha, beta, phi) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  const residuals = values.map(() => null);
+  let sse = 0;
+
+  for (let t = 1; t < values.length; t++) {
+    const predicted = level + phi * trend;
+    residuals[t] = values[t] - predicted;
+    sse += residuals[t] ** 2;
+
+    const prevLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (level + phi * trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+  }
+
+  return {
+    sse,
+    residuals,
+    params: { alpha, beta, phi },
+    // Damped-trend error weights c_j = alpha(1 + beta(phi + ... + phi^j))
+    errorGrowth: (h) => {
+      let variance = 1;
+      let damping = 0;
+      for (let j = 1; j < h; j++) {
+        damping += Math.pow(phi, j);
+        variance += (alpha * (1 + beta * damping)) ** 2;
+      }
+      return Math.sqrt(variance);
+    },
+    forecast: (h) => {
+      // Trend contribution phi + phi^2 + ... + phi^h flattens out over long horizons
+      let damping = 0;
+      for (let k = 1; k <= h; k++) damping += Math.pow(phi, k);
+      return level + damping * trend;
+    },
+  };
+}
+
+function fitDamped(values) {
+  let best = null;
+  for (const alpha of SMOOTHING_GRID.ALPHA) {
+    for (const beta of SMOOTHING_GRID.BETA) {
+      for (const phi of SMOOTHING_GRID.PHI) {
+        const run = runDamped(values, alpha, beta, phi);
+        if (!best || run.sse < best.sse) best = run;
+      }
+    }
+  }
+  const forecast = best.forecast;
+  forecast.params = best.params;
+  forecast.residuals = best.residuals;
+  forecast.errorGrowth = best.errorGrowth;
+  return forecast;
+}
+
+export const FORECAST_MODELS = {
+  linear: {
+    label: 'Linear regression',
+    minMonths: FORECAST_CONFIG.MIN_MONTHS_LINEAR,
+    fit: fitLinear,
+  },
+  'holt-winters': {
+    label: 'Holt-Winters additive triple exponential smoothing',
+    minMonths: FORECAST_CONFIG.MIN_MONTHS_SEASONAL,
+    fit: fitHoltWinters,
+  },
+  stl: {
+    label: 'Seasonal decomposition with linear trend',
+    minMonths: FORECAST_CONFIG.MIN_MONTHS_SEASONAL,
+    fit: fitStl,
+  },
+  'damped-trend': {
+    label: 'Damped-trend exponential smoothing',
+    minMonths: FORECAST_CONFIG.MIN_MONTHS_DAMPED,
+    fit: fitDamped,
+  },
+};
+
+export const FORECAST_MODEL_NAMES = [...Object.keys(FORECAST_MODELS), 'auto'];
+
+/**
+ * Models that can be fitted to a series of the given length
+ * @param {number} months - Length of the monthly series
+ * @returns {Array<string>} Model names
+ */
+export function eligibleModels(months) {
+  return Object.keys(FORECAST_MODELS).filter((name) => months >= FORECAST_MODELS[name].minMonths);
+}
+
+/**
+ * Fit a registered model to a monthly series
+ * @param {string} name - Model name
+ * @param {Array<number>} values - Monthly series
+ * @returns {Function} Forecaster (h months ahead => level), with fitted params on .params,
+ *   one-step errors on .residuals and error growth with horizon on .errorGrowth(h)
+ */
+export function fitModel(name, values) {
+  const model = FORECAST_MODELS[name];
+  if (!model) {
+    throw new Error(`Unknown forecast model "${name}". Expected one of: ${FORECAST_MODEL_NAMES.join(', ')}`);
+  }
+  if (values.length < model.minMonths) {
+    throw new Error(`Model "${name}" needs at least ${model.minMonths} months of data, got ${values.length}`);
+  }
+  return model.fit(values);
+}
+
+/**
+ * Months between the end of a monthly series and a target date (at least 1)
+ * @param {Object} series - Monthly series from toMonthlySeries
+ * @param {Date} date - Target date
+ * @returns {number} Forecast step
+ */
+export function stepsAhead(series, date) {
+  const [year, month] = series.start.split('-').map(Number);
+  const last = year * 12 + (month - 1) + series.values.length - 1;
+  return Math.max(1, monthIndex(date) - last);
+}
@@ -45,3 +45,13 @@ export function formatDate(date) {
   if (isNaN(d.getTime())) return null;
   return d.toISOString().split("T")[0];
 }
+
+/**
+ * Place name as it is matched: lower case, punctuation as spaces
+ * "MEDCHAL-MALKAJGIRI" and "Medchal Malkajgiri" both become "medchal malkajgiri"
+ * @param {string} name - District or state name
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
@@ -1,5 +1,9 @@
 import { haversine } from "../geo.js";
 import { getDistrictFromCoords } from "./geo.js";
+import { normalizeRecord } from "../dataSources/index.js";
+import { computeRechargePattern } from "../extraction.js";
+import { buildRainfallContext } from "../rainfall.js";
+import { getSeasonCalendar } from "../seasonCalendar.js";
 
 export function summarizeLocalForChat(
   localData = {},
@@ -155,9 +159,61 @@ export function summarizeContextForChat(context, year, isLowest = false) {
       } water level from context`,
     };
   }
+  if (context.rainfallContext) {
+    summary.rainfall = summarizeRainfallForChat(context.rainfallContext);
+  }
   return summary;
 }
 
+// Short, citable view of a water-levels rainfallContext block
+export function summarizeRainfallForChat(rainfallContext) {
+  if (!rainfallContext) return null;
+  const { correlation, underperformingYears = [], years = [], longPeriodAverageMm } = rainfallContext;
+  if (!correlation) {
+    return { source: rainfallContext.source, note: rainfallContext.note };
+  }
+
+  const latest = years[years.length - 1];
+  return {
+    source: rainfallContext.source,
+    monsoonAverageMm: longPeriodAverageMm,
+    correlation: `r = ${correlation.r} over ${correlation.n} years (${
+      correlation.lagYears === 0 ? "same-year monsoon" : `monsoon ${correlation.lagYears} year earlier`
+    }); ${correlation.slopeMPer100Mm} m rise per 100 mm of rain`,
+    latestYear: latest
+      ? `${latest.year}: ${latest.monsoonRainfallMm} mm (${latest.rainfallClass}, ${latest.departurePct}%), rise ${latest.rechargeM} m vs ${latest.expectedRechargeM} m expected`
+      : null,
+    underperformingYears: underperformingYears.map(
+      (y) => `${y.year}: ${y.rechargeM} m vs ${y.expectedRechargeM} m expected — ${y.likelyCause}`
+    ),
+    note: rainfallContext.note,
+  };
+}
+
+// Rainfall context for raw WRIS rows: district-average recharge pattern against imported rainfall
+export async function summarizeRainfallForRows(rows = [], state, district) {
+  const byDate = new Map();
+  for (const row of rows) {
+    const { valid, record } = normalizeRecord(row);
+    if (!valid || record.waterLevel <= 0) continue;
+    if (!byDate.has(record.date)) byDate.set(record.date, []);
+    byDate.get(record.date).push(record.waterLevel);
+  }
+  const history = Array.from(byDate.entries()).map(([date, levels]) => ({
+    date,
+    waterLevel: levels.reduce((a, b) => a + b, 0) / levels.length,
+  }));
+
+  const calendar = getSeasonCalendar(state, district);
+  const rainfallContext = await buildRainfallContext(
+    state,
+    district,
+    computeRechargePattern(history, { calendar }),
+    { calendar }
+  );
+  return summarizeRainfallForChat(rainfallContext);
+}
+
 export 
 function summarizeWrisForChat(
   wrisData = {},
@@ -176,27 +232,25 @@ function summarizeWrisForChat(
 
   if (wrisData.data) {
     const stations = new Map();
-    for (const s of wrisData.data) {
-      const code = s.stationCode || s.stationcode || s.station_code;
-      const latS = parseFloat(s.latitude ?? s.lat ?? s.Latitude ?? NaN);
-      const lonS = parseFloat(s.longitude ?? s.lon ?? s.Longitude ?? NaN);
-      const level = parseFloat(s.dataValue ?? s.waterLevel ?? NaN);
-      const t = s.dataTime || s.DataTime || s.timestamp || null;
-      if (!code || isNaN(latS) || isNaN(lonS) || isNaN(level) || level <= 0)
-        continue;
+    for (const row of wrisData.data) {
+      const { valid, record } = normalizeRecord(row);
+      // Zero readings in WRIS are placeholders, not a dry well
+      if (!valid || record.waterLevel <= 0) continue;
+      const code = record.stationCode;
       if (!stations.has(code)) {
         stations.set(code, {
           code,
-          name: s.stationName || s.stationname || "Unknown",
-          latitude: latS,
-          longitude: lonS,
+          name: record.stationName,
+          latitude: record.latitude,
+          longitude: record.longitude,
           history: [],
-          distanceKm: lat && lon ? haversine(lat, lon, latS, lonS) : null,
+          distanceKm:
+            lat && lon ? haversine(lat, lon, record.latitude, record.longitude) : null,
         });
       }
       stations
         .get(code)
-        .history.push({ date: t ? t.split("T")[0] : null, value: level });
+        .history.push({ date: record.date, value: record.waterLevel });
     }
 
     const arr = Array.from(stations.values()).filter(
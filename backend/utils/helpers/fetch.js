@@ -1,4 +1,5 @@
 import axios from "axios";
+import { getDataSource } from "../dataSources/index.js";
 
 function formatDate(date) {
   const d = new Date(date);
@@ -6,43 +7,20 @@ function formatDate(date) {
   return d.toISOString().split("T")[0];
 }
 
-export async function fetchGroundwaterData(
-  { district, state = "Rajasthan", start, end }, // Added state parameter with default
-  retries = 3,
-  delay = 1000
-) {
+export async function fetchGroundwaterData({ district, state, start, end }) {
+  // WRIS silently returns nothing for a district queried under the wrong state
+  if (!district || !state) {
+    throw new Error("Both district and state are required for WRIS fetch");
+  }
+
   const formattedStart = formatDate(start);
   const formattedEnd = formatDate(end);
   if (!formattedStart || !formattedEnd) {
     throw new Error("Invalid start or end date for WRIS fetch");
   }
 
-  const url = `https://indiawris.gov.in/Dataset/Ground%20Water%20Level?stateName=${encodeURIComponent(
-    state
-  )}&districtName=${encodeURIComponent(
-    district
-  )}&agencyName=CGWB&startdate=${formattedStart}&enddate=${formattedEnd}&download=false&page=0&size=1000`;
-
-  for (let i = 0; i < retries; i++) {
-    try {
-      const r = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-      });
-      if (r.status === 429) {
-        await new Promise((resolve) =>
-          setTimeout(resolve, delay * Math.pow(2, i))
-        );
-        continue;
-      }
-      if (!r.ok) throw new Error(`WRIS API failed (${r.status})`);
-      const data = await r.json();
-      return data;
-    } catch (err) {
-      if (i === retries - 1) throw err;
-    }
-  }
-  throw new Error("WRIS API rate limit exceeded after retries");
+  // Same source (and page size) as the water-levels route
+  return getDataSource().fetchDistrict({ state, district, start, end });
 }
 
 export async function fetchLocalWaterLevel(
@@ -1,44 +1,135 @@
 import { ALL_DISTRICTS, STATS } from "../../data/districts/index.js";
-import { haversine } from "../geo.js";
+import { haversine, normalizeName } from "../geo.js";
+import { findDistrictByPoint } from "../districtBoundaries.js";
+import { districtIndex } from "../spatialIndex.js";
 
 // Log on startup
 console.log(`🌍 District database loaded: ${STATS.totalDistricts} districts across ${STATS.totalStates} water-stressed states`);
 
+// Districts by normalized name; names repeat across states
+const DISTRICTS_BY_NAME = new Map();
+for (const district of ALL_DISTRICTS) {
+  const key = normalizeName(district.name);
+  if (!DISTRICTS_BY_NAME.has(key)) DISTRICTS_BY_NAME.set(key, []);
+  DISTRICTS_BY_NAME.get(key).push(district);
+}
+const MAX_NAME_WORDS = Math.max(...Array.from(DISTRICTS_BY_NAME.keys(), (name) => name.split(" ").length));
+
 /**
- * Find nearest district from coordinates
+ * District containing coordinates
+ * Uses the district boundary polygons when a boundary file is loaded, and the
+ * nearest district centroid for points outside every polygon
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {Object} District info with name and state
+ * @returns {Object} { name, state, distance (km to the centroid), method: 'polygon'|'centroid' }
  */
-// Find nearest district using brute-force distance calculation (414 districts, fast enough)
 export function getDistrict(lat, lon) {
-  let nearestDistrict = ALL_DISTRICTS[0];
-  let minDistance = Infinity;
-
-  for (const district of ALL_DISTRICTS) {
-    const distance = haversine(lat, lon, district.lat, district.lon);
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearestDistrict = district;
-    }
+  const containing = findDistrictByPoint(lat, lon);
+  if (containing) {
+    return {
+      name: containing.name,
+      state: containing.state,
+      distance: haversine(lat, lon, containing.lat, containing.lon).toFixed(2),
+      method: 'polygon'
+    };
   }
 
+  const [{ item: nearestDistrict, distance }] = districtIndex.nearest(lat, lon, 1);
   return {
     name: nearestDistrict.name,
     state: nearestDistrict.state,
-    distance: minDistance.toFixed(2)
+    distance: distance.toFixed(2),
+    method: 'centroid'
+  };
+}
+
+/**
+ * Districts with the nearest centroids
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} [k] - Number of districts
+ * @returns {Array<Object>} District entries with distance (km), nearest first
+ */
+export function findNearestDistricts(lat, lon, k = 1) {
+  return districtIndex.nearest(lat, lon, k).map(({ item, distance }) => ({ ...item, distance }));
+}
+
+/**
+ * Districts whose centroid lies in a bounding box
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ * @returns {Array<Object>} District entries
+ */
+export function findDistrictsInBbox(bbox) {
+  return districtIndex.withinBbox(bbox);
+}
+
+/**
+ * Find every district with a given name (names repeat across states, e.g. Pratapgarh)
+ * @param {string} districtName - District name (case-insensitive)
+ * @param {string} [state] - Restrict to this state
+ * @returns {Array<Object>} Matching district entries
+ */
+export function findDistrictsByName(districtName, state = null) {
+  if (!districtName) return [];
+  const matches = DISTRICTS_BY_NAME.get(normalizeName(districtName)) ?? [];
+  return matches.filter((d) => !state || d.state.toLowerCase() === state.toLowerCase());
+}
+
+/**
+ * District named in free text, by whole words
+ * The longest name wins, so "North East Delhi" beats "East Delhi"
+ * @param {string} text - Message text
+ * @returns {Object|null} First district entry with the matched name, or null
+ */
+export function findDistrictMention(text) {
+  const words = normalizeName(text).split(" ");
+  let best = null;
+  for (let n = Math.min(MAX_NAME_WORDS, words.length); n >= 1; n--) {
+    for (let i = 0; i + n <= words.length; i++) {
+      const matches = DISTRICTS_BY_NAME.get(words.slice(i, i + n).join(" "));
+      if (matches && (!best || matches[0].name.length > best.name.length)) best = matches[0];
+    }
+  }
+  return best;
+}
+
+/**
+ * Resolve a district name to a single { name, state } identity
+ * Uses the state hint first, then proximity to lat/lon, to pick between namesakes
+ * @param {string} districtName - District name
+ * @param {Object} [hints] - { state, lat, lon }
+ * @returns {{district: Object|null, candidates: Array<Object>}} Resolved district (null if unknown or ambiguous) and all candidates
+ */
+export function resolveDistrict(districtName, { state = null, lat = null, lon = null } = {}) {
+  let candidates = findDistrictsByName(districtName);
+  if (state) {
+    const inState = candidates.filter((d) => d.state.toLowerCase() === state.toLowerCase());
+    if (inState.length > 0) candidates = inState;
+  }
+
+  const toIdentity = (d) => ({ name: d.name, state: d.state });
+
+  if (candidates.length > 1 && lat != null && lon != null && !isNaN(lat) && !isNaN(lon)) {
+    const nearest = candidates.reduce((best, d) =>
+      haversine(lat, lon, d.lat, d.lon) < haversine(lat, lon, best.lat, best.lon) ? d : best
+    );
+    return { district: toIdentity(nearest), candidates: candidates.map(toIdentity) };
+  }
+
+  return {
+    district: candidates.length === 1 ? toIdentity(candidates[0]) : null,
+    candidates: candidates.map(toIdentity),
   };
 }
 
 /**
  * Get coordinates from district name
  * @param {string} districtName - District name
+ * @param {string} [state] - State, to disambiguate districts that share a name
  * @returns {Object|null} Coordinates or null
  */
-export function getCoordsFromDistrict(districtName) {
-  const d = ALL_DISTRICTS.find(
-    (d) => d.name.toLowerCase() === districtName?.toLowerCase()
-  );
+export function getCoordsFromDistrict(districtName, state = null) {
+  const [d] = findDistrictsByName(districtName, state);
   return d ? { lat: d.lat, lon: d.lon, state: d.state } : null;
 }
 
@@ -49,14 +140,5 @@ export function getCoordsFromDistrict(districtName) {
  * @returns {string} District name
  */
 export function getDistrictFromCoords(lat, lon) {
-  let nearest = ALL_DISTRICTS[0];
-  let minD = Infinity;
-  for (const d of ALL_DISTRICTS) {
-    const dist = haversine(lat, lon, d.lat, d.lon);
-    if (dist < minD) {
-      minD = dist;
-      nearest = d;
-    }
-  }
-  return nearest.name;
+  return getDistrict(lat, lon).name;
 }
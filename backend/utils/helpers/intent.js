@@ -1,6 +1,11 @@
-import { ALL_DISTRICTS } from "../../data/districts/index.js";
+import { STATES } from "../../data/districts/index.js";
+import { findDistrictMention, findDistrictsByName } from "./geo.js";
 
-export function analyzeIntent(message, providedDistrict, lat, lon, date) {
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const mentions = (text, name) =>
+  new RegExp(`\\b${escapeRegExp(name.toLowerCase())}\\b`).test(text);
+
+export function analyzeIntent(message, providedDistrict, lat, lon, date, providedState = null) {
   // Ensure message is a string
   const messageStr = String(message || "");
   const lowerMessage = messageStr.toLowerCase();
@@ -13,14 +18,26 @@ export function analyzeIntent(message, providedDistrict, lat, lon, date) {
   const dataType = needsApiCall ? "wris" : "knowledge";
   const missingFields = [];
   let inferredDistrict = null;
+  let inferredState = null;
+  let districtCandidates = [];
   let requestedRange = date ? "custom" : "live";
 
-  // Extract district from message - now searches all India
-  for (const d of ALL_DISTRICTS) {
-    if (lowerMessage.includes(d.name.toLowerCase())) {
-      inferredDistrict = d.name;
-      break;
+  // A state named in the message (or sent by the client) disambiguates namesake districts
+  const mentionedState =
+    STATES.find((state) => mentions(lowerMessage, state)) || providedState || null;
+
+  // Extract district from message - now searches all India, whole words only
+  const matched = findDistrictMention(lowerMessage);
+  if (matched) {
+    districtCandidates = findDistrictsByName(matched.name).map((d) => ({ name: d.name, state: d.state }));
+    if (mentionedState) {
+      const inState = districtCandidates.filter(
+        (d) => d.state.toLowerCase() === mentionedState.toLowerCase()
+      );
+      if (inState.length > 0) districtCandidates = inState;
     }
+    inferredDistrict = matched.name;
+    inferredState = districtCandidates.length === 1 ? districtCandidates[0].state : null;
   }
 
   if (!providedDistrict && !inferredDistrict && !lat && !lon) {
@@ -39,6 +56,9 @@ export function analyzeIntent(message, providedDistrict, lat, lon, date) {
     missingFields,
     requestedRange,
     inferredDistrict,
+    inferredState,
+    mentionedState,
+    districtCandidates,
     isLowest,
     processedMessage: messageStr,
   };
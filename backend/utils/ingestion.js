@@ -0,0 +1,197 @@
+/**
+ * Background WRIS Ingestion
+ * Walks the district database and pre-warms the observation store so dashboard
+ * requests for a district are served from MongoDB instead of waiting on WRIS.
+ */
+
+import { ALL_DISTRICTS, DISTRICTS_BY_STATE } from '../data/districts/index.js';
+import { batchProcess } from './performance.js';
+import { getDataSource } from './dataSources/index.js';
+import { isStoreAvailable, syncDistrictObservations, listDistrictSyncs } from './observationStore.js';
+import { logger } from './logger.js';
+
+const INGESTION_CONFIG = {
+  HISTORY_YEARS: 10,
+  DEFAULT_CONCURRENCY: 3,
+  DEFAULT_INTERVAL_HOURS: 24,
+  // Own circuit breaker key: ingestion failures must not block dashboard requests
+  CIRCUIT: 'wris-ingestion'
+};
+
+// Progress of the current (or last) run; per-district outcomes are persisted in DistrictSync
+const ingestionState = {
+  running: false,
+  run: null,
+  inProgress: new Set(),
+};
+
+let schedulerTimer = null;
+
+function getConcurrency() {
+  const value = parseInt(process.env.INGESTION_CONCURRENCY, 10);
+  return Number.isInteger(value) && value > 0 ? value : INGESTION_CONFIG.DEFAULT_CONCURRENCY;
+}
+
+function getIntervalHours() {
+  const value = parseFloat(process.env.INGESTION_INTERVAL_HOURS);
+  return value > 0 ? value : INGESTION_CONFIG.DEFAULT_INTERVAL_HOURS;
+}
+
+async function ingestDistrict({ name: district, state }, source, start, end) {
+  const label = `${district}, ${state}`;
+  ingestionState.inProgress.add(label);
+
+  try {
+    // syncDistrictObservations records success/failure and last-synced time per district
+    const { error } = await syncDistrictObservations({
+      state,
+      district,
+      start,
+      end,
+      fetchRange: (range, options) =>
+        source.fetchDistrict({ state, district, ...range }, { ...options, circuit: INGESTION_CONFIG.CIRCUIT }),
+    });
+    if (error) throw error;
+    ingestionState.run.succeeded++;
+  } catch (err) {
+    ingestionState.run.failed++;
+    ingestionState.run.failures.push({ state, district, error: err.message });
+    logger.warn(`Ingestion failed for ${label}`, { error: err.message });
+  } finally {
+    ingestionState.inProgress.delete(label);
+    ingestionState.run.completed++;
+  }
+}
+
+/**
+ * Sync every district (or every district of one state) into the observation store
+ * @param {Object} [options] - { state, concurrency }
+ * @returns {Promise<Object>} Summary of the finished run
+ */
+export async function runIngestion({ state = null, concurrency = getConcurrency() } = {}) {
+  if (!isStoreAvailable()) {
+    throw new Error('Ingestion requires a MongoDB connection');
+  }
+  if (ingestionState.running) {
+    throw new Error('Ingestion is already running');
+  }
+  if (state && !DISTRICTS_BY_STATE[state]) {
+    throw new Error(`Unknown state: ${state}`);
+  }
+
+  const source = getDataSource();
+  if (!source.persistable) {
+    throw new Error(`Ingestion is disabled for the "${source.name}" data source`);
+  }
+
+  const districts = state ? DISTRICTS_BY_STATE[state] : ALL_DISTRICTS;
+  const end = new Date();
+  const start = new Date(end);
+  start.setFullYear(start.getFullYear() - INGESTION_CONFIG.HISTORY_YEARS);
+
+  ingestionState.running = true;
+  ingestionState.run = {
+    scope: state || 'all',
+    concurrency,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: districts.length,
+    completed: 0,
+    succeeded: 0,
+    failed: 0,
+    failures: [],
+  };
+
+  logger.info(`Ingestion started for ${districts.length} districts`, { scope: ingestionState.run.scope, concurrency });
+
+  try {
+    await batchProcess(districts, concurrency, (district) => ingestDistrict(district, source, start, end));
+  } finally {
+    ingestionState.running = false;
+    ingestionState.run.finishedAt = new Date().toISOString();
+  }
+
+  logger.info('Ingestion finished', {
+    succeeded: ingestionState.run.succeeded,
+    failed: ingestionState.run.failed,
+  });
+
+  return { ...ingestionState.run };
+}
+
+/**
+ * Whether an ingestion run is in progress
+ * @returns {boolean} True while a run is active
+ */
+export function isIngestionRunning() {
+  return ingestionState.running;
+}
+
+/**
+ * Snapshot of ingestion progress and per-district sync results
+ * @param {Object} [options] - { state } to filter district entries
+ * @returns {Promise<Object>} Ingestion status
+ */
+export async function getIngestionStatus({ state = null } = {}) {
+  const districts = isStoreAvailable()
+    ? (await listDistrictSyncs({ state })).map((d) => ({
+        state: d.state,
+        district: d.district,
+        status: d.lastStatus || null,
+        lastAttemptAt: d.lastAttemptAt || null,
+        lastSyncedAt: d.lastSyncedAt || null,
+        syncedFrom: d.syncedFrom || null,
+        syncedTo: d.syncedTo || null,
+        lastError: d.lastError || null,
+      }))
+    : [];
+
+  const expected = state ? DISTRICTS_BY_STATE[state]?.length || 0 : ALL_DISTRICTS.length;
+
+  return {
+    running: ingestionState.running,
+    inProgress: Array.from(ingestionState.inProgress),
+    scheduler: {
+      enabled: schedulerTimer !== null,
+      intervalHours: getIntervalHours(),
+      concurrency: getConcurrency(),
+    },
+    run: ingestionState.run ? { ...ingestionState.run } : null,
+    summary: {
+      districts: expected,
+      synced: districts.filter((d) => d.lastSyncedAt).length,
+      success: districts.filter((d) => d.status === 'success').length,
+      failed: districts.filter((d) => d.status === 'failed').length,
+    },
+    districts,
+  };
+}
+
+/**
+ * Start the periodic full ingestion (no-op if already started)
+ */
+export function startIngestionScheduler() {
+  if (schedulerTimer) return;
+
+  const intervalMs = getIntervalHours() * 60 * 60 * 1000;
+  const tick = () => {
+    runIngestion().catch((err) => logger.warn(`Scheduled ingestion skipped: ${err.message}`));
+  };
+
+  schedulerTimer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+  tick();
+
+  logger.info(`Ingestion scheduler started (every ${getIntervalHours()}h)`);
+}
+
+/**
+ * Stop the periodic ingestion
+ */
+export function stopIngestionScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * Spatial Interpolation Module
+ * Estimates the water level at an arbitrary point from the k nearest stations
+ * using inverse-distance weighting or ordinary kriging with a fitted exponential variogram.
+ */
+
+import { haversine } from './geo.js';
+import { nearestOfStations } from './spatialIndex.js';
+
+const INTERPOLATION_CONFIG = {
+  DEFAULT_K: 5,
+  MAX_K: 20,
+  DEFAULT_POWER: 2,
+  MIN_STATIONS: 2,
+  MIN_HISTORY_POINTS: 3,
+  COINCIDENT_KM: 0.01, // Closer than this a station is treated as sitting on the point
+  VARIOGRAM_RANGE_STEPS: 20,
+  MIN_WEIGHT_COVERAGE: 0.5, // Share of total weight a month needs before it is interpolated
+  WEIGHT_EPSILON: 1e-9 // Weight sums at or below this are treated as zero
+};
+
+export const INTERPOLATION_METHODS = ['nearest', 'idw', 'kriging'];
+
+/**
+ * Pick the k stations nearest a point with enough history to interpolate from
+ * @param {Array<Object>} stations - Stations with coordinates, distance and sorted history
+ * @param {Object} options - { latitude, longitude, k, minPoints }
+ * @returns {Array<Object>} Nearest usable stations, closest first
+ */
+export function selectNearestStations(stations, {
+  latitude,
+  longitude,
+  k = INTERPOLATION_CONFIG.DEFAULT_K,
+  minPoints = INTERPOLATION_CONFIG.MIN_HISTORY_POINTS,
+}) {
+  return nearestOfStations(stations, latitude, longitude, { k, filter: (s) => s.history.length >= minPoints });
+}
+
+/**
+ * Inverse-distance weights, normalised to sum to 1
+ * A station on top of the point takes all the weight
+ * @param {Array<number>} distances - Distances in km
+ * @param {number} [power] - Distance exponent
+ * @returns {Array<number>} Weights
+ */
+export function idwWeights(distances, power = INTERPOLATION_CONFIG.DEFAULT_POWER) {
+  const coincident = distances.findIndex((d) => d < INTERPOLATION_CONFIG.COINCIDENT_KM);
+  if (coincident !== -1) {
+    return distances.map((_, i) => (i === coincident ? 1 : 0));
+  }
+
+  const raw = distances.map((d) => 1 / Math.pow(d, power));
+  const total = raw.reduce((sum, w) => sum + w, 0);
+  return raw.map((w) => w / total);
+}
+
+/**
+ * Semivariance of an exponential variogram model at lag h
+ * @param {Object} model - { nugget, sill, range }
+ * @param {number} h - Lag distance in km
+ * @returns {number} Semivariance
+ */
+export function variogramValue({ nugget, sill, range }, h) {
+  if (h <= 0) return 0;
+  return nugget + (sill - nugget) * (1 - Math.exp((-3 * h) / range));
+}
+
+/**
+ * Fit an exponential variogram to station values
+ * For each candidate range the nugget and partial sill are solved by least squares;
+ * the range with the smallest error wins
+ * @param {Array<Object>} points - [{ latitude, longitude, value }]
+ * @returns {Object} { model: 'exponential', nugget, sill, range, pairs }
+ */
+export function fitVariogram(points) {
+  const pairs = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      pairs.push({
+        h: haversine(points[i].latitude, points[i].longitude, points[j].latitude, points[j].longitude),
+        gamma: 0.5 * (points[i].value - points[j].value) ** 2,
+      });
+    }
+  }
+
+  const values = points.map((p) => p.value);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(values.length - 1, 1);
+  const maxLag = Math.max(...pairs.map((p) => p.h), INTERPOLATION_CONFIG.COINCIDENT_KM);
+
+  // Too few pairs to fit: sample variance as the sill, no nugget
+  if (pairs.length < 3) {
+    return { model: 'exponential', nugget: 0, sill: Math.max(variance, 1e-6), range: maxLag, pairs: pairs.length };
+  }
+
+  let best = null;
+  for (let step = 1; step <= INTERPOLATION_CONFIG.VARIOGRAM_RANGE_STEPS; step++) {
+    const range = (maxLag * step) / INTERPOLATION_CONFIG.VARIOGRAM_RANGE_STEPS;
+    const f = pairs.map((p) => 1 - Math.exp((-3 * p.h) / range));
+
+    // gamma ≈ nugget + partialSill * f
+    const n = pairs.length;
+    const sumF = f.reduce((a, b) => a + b, 0);
+    const sumFF = f.reduce((a, b) => a + b * b, 0);
+    const sumG = pairs.reduce((a, p) => a + p.gamma, 0);
+    const sumFG = pairs.reduce((a, p, i) => a + f[i] * p.gamma, 0);
+    const det = n * sumFF - sumF * sumF;
+
+    let nugget = det !== 0 ? (sumG * sumFF - sumF * sumFG) / det : 0;
+    let partialSill = det !== 0 ? (n * sumFG - sumF * sumG) / det : 0;
+    if (nugget < 0) {
+      nugget = 0;
+      partialSill = sumFF > 0 ? sumFG / sumFF : 0;
+    }
+    partialSill = Math.max(partialSill, 1e-6);
+
+    const sse = pairs.reduce((a, p, i) => a + (p.gamma - nugget - partialSill * f[i]) ** 2, 0);
+    if (!best || sse < best.sse) {
+      best = { nugget, sill: nugget + partialSill, range, sse };
+    }
+  }
+
+  return { model: 'exponential', nugget: best.nugget, sill: best.sill, range: best.range, pairs: pairs.length };
+}
+
+// Gaussian elimination with partial pivoting; null when the system is singular
+function solveLinearSystem(matrix, rhs) {
+  const n = rhs.length;
+  const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let c = col; c <= n; c++) a[row][c] -= factor * a[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let c = row + 1; c < n; c++) sum -= a[row][c] * x[c];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Ordinary kriging weights for a target point
+ * @param {Array<Object>} points - [{ latitude, longitude }]
+ * @param {Object} target - { latitude, longitude }
+ * @param {Object} model - Variogram model from fitVariogram
+ * @returns {{weights: Array<number>, variance: number}|null} Weights and kriging variance, or null if singular
+ */
+export function krigingWeights(points, target, model) {
+  const n = points.length;
+  const matrix = [];
+  for (let i = 0; i < n; i++) {
+    const row = [];
+    for (let j = 0; j < n; j++) {
+      row.push(
+        i === j ? 0 : variogramValue(model, haversine(points[i].latitude, points[i].longitude, points[j].latitude, points[j].longitude))
+      );
+    }
+    row.push(1);
+    matrix.push(row);
+  }
+  matrix.push([...new Array(n).fill(1), 0]);
+
+  const gammaTarget = points.map((p) => variogramValue(model, haversine(target.latitude, target.longitude, p.latitude, p.longitude)));
+  const solution = solveLinearSystem(matrix, [...gammaTarget, 1]);
+  if (!solution) return null;
+
+  const weights = solution.slice(0, n);
+  const lagrange = solution[n];
+  const variance = weights.reduce((sum, w, i) => sum + w * gammaTarget[i], 0) + lagrange;
+  return { weights, variance: Math.max(variance, 0) };
+}
+
+/**
+ * Ordinary kriging estimation variance for a given set of weights summing to 1
+ * For the kriging weights themselves this equals the variance krigingWeights returns;
+ * for any other weights (e.g. after clamping) it is larger
+ * @param {Array<Object>} points - [{ latitude, longitude }]
+ * @param {Object} target - { latitude, longitude }
+ * @param {Object} model - Variogram model from fitVariogram
+ * @param {Array<number>} weights - Station weights
+ * @returns {number} Estimation variance
+ */
+export function estimationVariance(points, target, model, weights) {
+  let variance = 0;
+  points.forEach((p, i) => {
+    variance += 2 * weights[i] * variogramValue(model, haversine(target.latitude, target.longitude, p.latitude, p.longitude));
+    points.forEach((q, j) => {
+      if (i !== j) {
+        variance -= weights[i] * weights[j] * variogramValue(model, haversine(p.latitude, p.longitude, q.latitude, q.longitude));
+      }
+    });
+  });
+  return Math.max(variance, 0);
+}
+
+/**
+ * Clamp negative weights to zero and renormalise to sum to 1
+ * Kriging can give screened stations negative weights, which can push the estimate
+ * outside the range of the data or leave almost no net weight to divide by
+ * @param {Array<number>} weights - Raw weights
+ * @returns {Array<number>|null} Weights, or null when no positive weight is left
+ */
+export function clampWeights(weights) {
+  const clamped = weights.map((w) => Math.max(w, 0));
+  const total = clamped.reduce((sum, w) => sum + w, 0);
+  if (total <= INTERPOLATION_CONFIG.WEIGHT_EPSILON) return null;
+  return clamped.map((w) => w / total);
+}
+
+// Mean level per 'YYYY-MM' month
+function monthlyMeans(history) {
+  const monthly = new Map();
+  for (const h of history) {
+    const month = h.date.slice(0, 7);
+    if (!monthly.has(month)) monthly.set(month, []);
+    monthly.get(month).push(h.waterLevel);
+  }
+  return new Map(Array.from(monthly, ([month, levels]) => [month, levels.reduce((a, b) => a + b, 0) / levels.length]));
+}
+
+/**
+ * Interpolate a monthly series from station histories
+ * Each month uses the stations that reported in it, with their weights renormalised;
+ * months where the reporting stations carry too little of the weight are skipped.
+ * Negative weights count as zero
+ * @param {Array<Object>} stations - Stations with history
+ * @param {Array<number>} weights - One weight per station
+ * @returns {Array<Object>} [{ date: 'YYYY-MM-15', waterLevel }] sorted by date
+ */
+export function interpolateHistory(stations, weights) {
+  const months = new Map();
+  stations.forEach((station, i) => {
+    const weight = Math.max(weights[i], 0);
+    if (weight === 0) return;
+    for (const [month, value] of monthlyMeans(station.history)) {
+      if (!months.has(month)) months.set(month, []);
+      months.get(month).push({ weight, value });
+    }
+  });
+
+  const totalWeight = weights.reduce((sum, w) => sum + Math.max(w, 0), 0);
+  const series = [];
+  for (const [month, entries] of months) {
+    const weightSum = entries.reduce((sum, e) => sum + e.weight, 0);
+    if (weightSum <= INTERPOLATION_CONFIG.WEIGHT_EPSILON) continue;
+    if (weightSum < INTERPOLATION_CONFIG.MIN_WEIGHT_COVERAGE * totalWeight) continue;
+    series.push({
+      date: `${month}-15`,
+      waterLevel: entries.reduce((sum, e) => sum + e.weight * e.value, 0) / weightSum,
+    });
+  }
+  return series.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Estimate the water level at a point from the k nearest stations
+ * The estimate is for one month, the latest in which stations carrying enough of the
+ * weight reported, so readings from different dates are never mixed; asOf is that month
+ * @param {Array<Object>} stations - Stations from the station aggregator
+ * @param {Object} options - { latitude, longitude, method, k, power }
+ * @returns {Object|null} Interpolation result, or null if fewer than two usable stations
+ *   or no month with enough reporting weight
+ */
+export function interpolateAtPoint(stations, {
+  latitude,
+  longitude,
+  method = 'idw',
+  k = INTERPOLATION_CONFIG.DEFAULT_K,
+  power = INTERPOLATION_CONFIG.DEFAULT_POWER,
+}) {
+  const selected = selectNearestStations(stations, { latitude, longitude, k: Math.min(k, INTERPOLATION_CONFIG.MAX_K) });
+  if (selected.length < INTERPOLATION_CONFIG.MIN_STATIONS) return null;
+
+  // The variogram describes spatial structure, so it is fitted on each station's latest reading
+  const points = selected.map((s) => ({
+    latitude: s.latitude,
+    longitude: s.longitude,
+    value: s.history[s.history.length - 1].waterLevel,
+  }));
+
+  let usedMethod = method;
+  let weights;
+  let krigingVariance = null;
+  let variogram = null;
+  let note = null;
+
+  if (method === 'kriging') {
+    variogram = fitVariogram(points);
+    const kriged = krigingWeights(points, { latitude, longitude }, variogram);
+    const clamped = kriged ? clampWeights(kriged.weights) : null;
+    if (clamped) {
+      weights = clamped;
+      krigingVariance = kriged.variance;
+      if (kriged.weights.some((w) => w < 0)) {
+        // The kriging variance only holds for the unclamped weights
+        krigingVariance = estimationVariance(points, { latitude, longitude }, variogram, clamped);
+        note = 'Negative kriging weights were set to zero and the rest renormalised';
+      }
+    } else {
+      usedMethod = 'idw';
+      variogram = null;
+      note = kriged
+        ? 'Kriging left no positive station weight; fell back to inverse-distance weighting'
+        // Co-located stations make the kriging system singular
+        : 'Kriging system was singular (co-located stations); fell back to inverse-distance weighting';
+    }
+  }
+
+  if (usedMethod === 'idw') {
+    weights = idwWeights(selected.map((s) => s.distance), power);
+  }
+
+  const history = interpolateHistory(selected, weights);
+  if (history.length === 0) return null;
+  const { date: asOf, waterLevel: estimate } = history[history.length - 1];
+
+  // Each station's level in the estimate month; stations that did not report carry no weight
+  const month = asOf.slice(0, 7);
+  const levels = selected.map((s) => monthlyMeans(s.history).get(month) ?? null);
+  const reportingWeight = weights.reduce((sum, w, i) => (levels[i] === null ? sum : sum + w), 0);
+
+  const uncertainty = krigingVariance !== null
+    ? Math.sqrt(krigingVariance)
+    // Weighted spread of the reporting stations around the estimate
+    : Math.sqrt(weights.reduce((sum, w, i) => (
+      levels[i] === null ? sum : sum + (w / reportingWeight) * (levels[i] - estimate) ** 2
+    ), 0));
+
+  return {
+    method: usedMethod,
+    k: selected.length,
+    power: usedMethod === 'idw' ? power : null,
+    estimate,
+    uncertainty,
+    asOf,
+    // Share of the station weight that reported in the asOf month
+    coverage: reportingWeight,
+    variogram,
+    note,
+    stations: selected.map((s, i) => ({
+      stationCode: s.stationCode,
+      stationName: s.name,
+      latitude: s.latitude,
+      longitude: s.longitude,
+      distanceKm: s.distance,
+      weight: weights[i],
+      level: levels[i],
+      latestLevel: points[i].value,
+      latestDate: s.history[s.history.length - 1].date,
+      points: s.history.length,
+    })),
+    history,
+  };
+}
@@ -0,0 +1,430 @@
+/**
+ * Location Analysis
+ * The analysis behind a water-level report for one location, shared by the water-level
+ * route and site comparison so both apply the same steps: station selection (nearest
+ * station, interpolation or district average), outlier screening, recharge pattern,
+ * CGWB stress category and trend, stage of extraction, change points, monthly
+ * resampling, SGI, and future, stress-transition and seasonal predictions.
+ *
+ * Stations come from loadDistrictStations with distances measured from the location;
+ * loading them, and anything else that does I/O, is left to the caller.
+ */
+
+import {
+  computeFutureWaterLevels,
+  calculateConfidence,
+  predictStressCategoryTransition,
+  predictSeasonalLevels
+} from './predictions.js';
+import { calculateRSquared, theilSenSlope, mannKendallTest, linearRegression } from './statistics.js';
+import { detectOutliers } from './outliers.js';
+import { assessStress, waterTableDirection } from './stressAssessment.js';
+import { computeRechargePattern, computeStageOfExtraction, getExtractionInputs } from './extraction.js';
+import { getSeasonCalendar } from './seasonCalendar.js';
+import { analyzeSgi } from './sgi.js';
+import { detectChangePoints } from './changePoints.js';
+import { resampleMonthly, resampledHistory } from './resampling.js';
+import { validatePredictionInputs, validateSeasonalData } from './validation.js';
+import {
+  selectNearestStation,
+  aggregateDistrictHistory,
+  aquiferPeers,
+  MIN_STATION_POINTS
+} from './stationHistory.js';
+import { interpolateAtPoint } from './interpolation.js';
+
+// Least squares line with its fitted values: y = slope * x + intercept
+function computeLinearRegression(x, y) {
+  const { slope, intercept } = linearRegression(x, y);
+  return { slope, intercept, fitted: x.map((xi) => slope * xi + intercept) };
+}
+
+/**
+ * Analyse the groundwater record around one location
+ * @param {Map<string, Object>} stations - District stations, distances from the location
+ * @param {Object} options - Location and analysis options
+ * @param {number} options.latitude - Latitude of the location
+ * @param {number} options.longitude - Longitude of the location
+ * @param {string} options.state - State of the location
+ * @param {string} options.district - District of the location
+ * @param {string} options.date - Forecast origin, YYYY-MM-DD
+ * @param {boolean} [options.districtAverage] - Analyse the district average of the nearest
+ *   station's aquifer instead of a station (default false)
+ * @param {string} [options.interpolation] - nearest, idw or kriging (default nearest)
+ * @param {number} [options.k] - Stations to interpolate from
+ * @param {number} [options.power] - IDW distance exponent
+ * @param {string} [options.model] - Forecast model (default linear)
+ * @param {Array<number>} [options.intervals] - Prediction interval levels in percent
+ * @param {string} [options.outliers] - Outlier mode (default exclude)
+ * @param {Object} [options.stressThresholds] - CGWB threshold overrides
+ * @param {string} [options.regime] - all or recent (forecast from the latest regime)
+ * @param {string} [options.gapFill] - Monthly gap-fill method (default linear)
+ * @param {number} [options.maxGapMonths] - Longest gap to fill
+ * @param {string} [options.forecastSeries] - raw or monthly
+ * @returns {Object} { nearestStation, isFallback, source, history, currentWaterLevel, interpolationResult,
+ *   outlierCheck, seasonCalendar, rechargePattern, rechargeTrend, stressAnalysis, trend, stageOfExtraction,
+ *   stageOfExtractionNote, changePoints, monthlySeries, sgi, predictions }, or { status, error } when nothing can be analysed
+ */
+export function analyzeLocation(stations, {
+  latitude,
+  longitude,
+  state,
+  district,
+  date,
+  districtAverage = false,
+  interpolation = 'nearest',
+  k = 5,
+  power = 2,
+  model = 'linear',
+  intervals,
+  outliers = 'exclude',
+  stressThresholds,
+  regime = 'all',
+  gapFill = 'linear',
+  maxGapMonths,
+  forecastSeries = 'raw',
+}) {
+  // Find nearest station with at least 10 data points, or fallback to nearest
+  const minPoints = MIN_STATION_POINTS;
+  const selection = selectNearestStation(stations, { latitude, longitude, minPoints });
+  if (!selection) {
+    return { status: 404, error: 'No suitable station found' };
+  }
+
+  const { nearestStation } = selection;
+  let { history, isFallback } = selection;
+  let currentWaterLevel =
+    history.length > 0
+      ? history[history.length - 1].waterLevel.toFixed(2)
+      : null;
+
+  // Estimate the level at the user's point from the k nearest stations
+  let interpolationResult = null;
+  if (interpolation !== 'nearest' && !districtAverage) {
+    interpolationResult = interpolateAtPoint(Array.from(aquiferPeers(stations, nearestStation).values()), {
+      latitude,
+      longitude,
+      method: interpolation,
+      k,
+      power,
+    });
+    if (interpolationResult && interpolationResult.history.length > 0) {
+      isFallback = false;
+      history = interpolationResult.history;
+      currentWaterLevel = interpolationResult.estimate.toFixed(2);
+    } else {
+      console.warn(`⚠️ Not enough stations to interpolate for ${district}, using nearest station`);
+      interpolationResult = null;
+    }
+  }
+
+  // District average of the nearest station's aquifer, when asked for or when no station has enough readings
+  if (districtAverage || (!interpolationResult && history.length < minPoints)) {
+    isFallback = true;
+    history = aggregateDistrictHistory(aquiferPeers(stations, nearestStation));
+    currentWaterLevel =
+      history.length > 0
+        ? history[history.length - 1].waterLevel.toFixed(2)
+        : null;
+  }
+
+  if (history.length === 0) {
+    return { status: 404, error: 'No valid historical data available' };
+  }
+
+  // Screen for mistyped readings before any trend is fitted
+  const outlierCheck = detectOutliers(history, { mode: outliers });
+  if (outlierCheck.excluded.length > 0) {
+    history = outlierCheck.clean;
+    if (!interpolationResult) {
+      currentWaterLevel = history[history.length - 1].waterLevel.toFixed(2);
+    }
+  }
+
+  // Pre/post-monsoon months for the district, e.g. north-east monsoon in Tamil Nadu
+  const seasonCalendar = getSeasonCalendar(state, district);
+
+  // Pre/post-monsoon depths and the seasonal rise per year
+  const rechargePattern = computeRechargePattern(history, { calendar: seasonCalendar });
+
+  // Recharge trend
+  let rechargeTrend = null;
+  if (rechargePattern.length > 2) {
+    const x = rechargePattern.map((r) => r.year);
+    const y = rechargePattern.map((r) => parseFloat(r.rechargeAmount));
+    const { slope } = computeLinearRegression(x, y);
+    rechargeTrend = {
+      annualChange: slope.toFixed(2),
+      description: slope > 0 ? 'Increasing recharge' : 'Decreasing recharge',
+    };
+  } else if (rechargePattern.length === 0) {
+    rechargeTrend = {
+      note: 'Insufficient pre/post-monsoon data pairs to compute recharge pattern',
+    };
+  }
+
+  // Stress analysis: CGWB trend criterion on annual pre/post-monsoon levels
+  let stressAnalysis = {};
+  let trend = null;
+  let overallSlope = 0;
+  let regressionIntercept = 0;
+  let fittedWaterLevels = [];
+  if (history.length > 2) {
+    const firstDate = new Date(history[0].date).getTime();
+    const x = history.map(
+      (h) =>
+        (new Date(h.date).getTime() - firstDate) /
+        (365.25 * 24 * 60 * 60 * 1000)
+    );
+    const y = history.map((h) => h.waterLevel);
+    const { slope, intercept: fittedIntercept, fitted } = computeLinearRegression(x, y);
+    overallSlope = slope;
+    regressionIntercept = fittedIntercept;
+
+    fittedWaterLevels = history.map((h, i) => ({
+      date: h.date,
+      fitted: fitted[i].toFixed(2),
+    }));
+
+    const assessment = assessStress(history, { thresholds: stressThresholds, calendar: seasonCalendar });
+    const { preMonsoon, postMonsoon } = assessment.seasons;
+
+    // Robust cross-check on the least-squares trend: Theil-Sen slope and Mann-Kendall significance
+    const theilSen = theilSenSlope(x, y);
+    const mannKendall = mannKendallTest(y, assessment.thresholds.alpha);
+    trend = { slope: overallSlope, theilSenSlope: theilSen.slope, significant: mannKendall.significant };
+
+    // Depth below ground: positive rates are a falling water table
+    stressAnalysis = {
+      trend: waterTableDirection(theilSen.slope, mannKendall.significant),
+      annualDeclineRate: overallSlope.toFixed(2),
+      preMonsoonDeclineRate: preMonsoon.assessable ? preMonsoon.senSlope.toFixed(2) : null,
+      postMonsoonDeclineRate: postMonsoon.assessable ? postMonsoon.senSlope.toFixed(2) : null,
+      category: assessment.category,
+      basis: assessment.basis,
+      seasons: assessment.seasons,
+      thresholds: assessment.thresholds,
+      robustTrend: {
+        theilSenSlope: theilSen.slope.toFixed(3),
+        mannKendall: {
+          s: mannKendall.s,
+          z: mannKendall.z.toFixed(3),
+          pValue: mannKendall.pValue.toFixed(4),
+          tau: mannKendall.tau.toFixed(3),
+          trend: mannKendall.trend,
+          significant: mannKendall.significant,
+        },
+        note: 'Slope in m/year of depth to water; Mann-Kendall trend refers to depth (increasing = water table falling)',
+      },
+      ...(assessment.note ? { categoryNote: assessment.note } : {}),
+    };
+  } else {
+    stressAnalysis = {
+      note: 'Insufficient data for trend analysis (need >2 points)',
+    };
+  }
+
+  const historySource = interpolationResult ? 'interpolated' : isFallback ? 'district average' : 'nearest station';
+
+  // Stage of extraction only where the district has assessed specific yield and draft inputs
+  const extractionInputs = getExtractionInputs(state, district);
+  const stageOfExtraction = extractionInputs
+    ? {
+        ...computeStageOfExtraction(rechargePattern, extractionInputs),
+        rechargeSource: historySource,
+      }
+    : null;
+  const stageOfExtractionNote = extractionInputs
+    ? null
+    : `No CGWB/GEC assessment inputs for ${district}, ${state}; stage of extraction is not estimated`;
+
+  // Note: monthlyAverages and yearlySummary removed to reduce payload size
+  // Chat helper computes its own monthly averages from raw data when needed
+
+  // Regime shifts (new borewell field, canal) and the trend of each regime
+  const changePoints = detectChangePoints(history);
+
+  // Regular monthly series with gap filling, flagged observed / imputed / missing
+  const monthlySeries = resampleMonthly(history, {
+    method: gapFill,
+    ...(maxGapMonths !== undefined ? { maxGapMonths: Number(maxGapMonths) } : {}),
+  });
+
+  // Standardized Groundwater Level Index and drought events, comparable across well depths
+  const sgi = analyzeSgi(history);
+
+  const predictions = { errors: [] };
+  
+  // Trend line level at the forecast origin, so intercept + slope * years extrapolates from the request date
+  const yearsToBase = history.length > 0
+    ? (new Date(date).getTime() - new Date(history[0].date).getTime()) / (365.25 * 24 * 60 * 60 * 1000)
+    : 0;
+  const intercept = fittedWaterLevels.length > 0 ? regressionIntercept + overallSlope * yearsToBase : 0;
+  const validationResult = validatePredictionInputs(history, overallSlope, intercept, { minPoints: 3, minSpanYears: 0 });
+  
+  if (!validationResult.isValid) {
+    console.warn(`⚠️ Prediction validation failed: ${validationResult.errors.join('; ')}`);
+  } else if (validationResult.validData.length < history.length) {
+    console.log(`✅ Validated: ${validationResult.validData.length}/${history.length} records`);
+  }
+  
+  // Forecasts on the regular monthly series and/or the latest regime only, when asked for
+  const latestRegime = regime === 'recent' && changePoints.breakpoints.length > 0
+    ? changePoints.segments[changePoints.segments.length - 1]
+    : null;
+  const useMonthly = forecastSeries === 'monthly' && monthlySeries.summary.months > 0;
+  const seasonalData = useMonthly ? resampledHistory(monthlySeries) : validationResult.validData;
+  let forecastData = seasonalData;
+  let forecastSlope = overallSlope;
+  let forecastIntercept = intercept;
+  let forecastFitted = fittedWaterLevels.map((f) => parseFloat(f.fitted));
+  if (latestRegime) {
+    const regimeStart = new Date(latestRegime.start).getTime();
+    forecastData = forecastData.filter((h) => new Date(h.date).getTime() >= regimeStart);
+    console.log(`✂️ Forecasting ${district} from the regime starting ${latestRegime.start} (${forecastData.length} readings)`);
+  }
+  if ((latestRegime || useMonthly) && validationResult.isValid && forecastData.length > 2) {
+    const fitStart = new Date(forecastData[0].date).getTime();
+    const x = forecastData.map((h) => (new Date(h.date).getTime() - fitStart) / (365.25 * 24 * 60 * 60 * 1000));
+    const fit = computeLinearRegression(x, forecastData.map((h) => h.waterLevel));
+    forecastSlope = fit.slope;
+    forecastIntercept = fit.intercept + fit.slope * ((new Date(date).getTime() - fitStart) / (365.25 * 24 * 60 * 60 * 1000));
+    forecastFitted = fit.fitted;
+  }
+  const forecastRegime = {
+    basis: latestRegime ? 'latest regime' : 'full history',
+    start: latestRegime ? latestRegime.start : history[0]?.date ?? null,
+    points: forecastData.length,
+    slope: parseFloat(forecastSlope.toFixed(3)),
+  };
+
+  try {
+    if (validationResult.isValid && forecastData.length >= 3) {
+      const actualValues = forecastData.map(h => h.waterLevel);
+      const predictedValues = forecastFitted.slice(0, forecastData.length);
+      const rSquared = calculateRSquared(actualValues, predictedValues);
+      const dataSpanYears = latestRegime || useMonthly
+        ? (new Date(forecastData[forecastData.length - 1].date) - new Date(forecastData[0].date)) / (365.25 * 24 * 60 * 60 * 1000)
+        : validationResult.metrics.dataSpanYears;
+      
+      const futureResult = computeFutureWaterLevels(forecastData, forecastSlope, forecastIntercept, new Date(date), {
+        model,
+        ...(intervals ? { intervals: intervals.map(Number) } : {}),
+      });
+      const confidence = calculateConfidence(forecastData, rSquared, dataSpanYears);
+      
+      predictions.futureWaterLevels = {
+        ...futureResult,
+        confidence,
+        regime: forecastRegime,
+        series: useMonthly ? `monthly (${monthlySeries.method} gap fill)` : 'raw readings',
+      };
+    } else {
+      predictions.errors.push({
+        type: 'insufficient_data',
+        message: 'Insufficient historical data for future water level predictions (minimum 3 points required)',
+        affectedPredictions: ['futureWaterLevels']
+      });
+    }
+  } catch (error) {
+    console.error('❌ Future prediction error:', error.message);
+    predictions.errors.push({
+      type: 'computation_error',
+      message: `Failed to compute future water levels: ${error.message}`,
+      affectedPredictions: ['futureWaterLevels']
+    });
+  }
+  
+  try {
+    if (stressAnalysis.category && validationResult.isValid && currentWaterLevel) {
+      const stressResult = predictStressCategoryTransition(
+        stressAnalysis.category,
+        forecastSlope,
+        parseFloat(currentWaterLevel)
+      );
+      
+      if (forecastData.length >= 3 && forecastFitted.length > 0) {
+        const actualValues = forecastData.map(h => h.waterLevel);
+        const predictedValues = forecastFitted.slice(0, forecastData.length);
+        const rSquared = calculateRSquared(actualValues, predictedValues);
+        stressResult.confidence = rSquared < 0.5 ? 'low' : (rSquared > 0.7 ? 'high' : 'medium');
+      } else {
+        stressResult.confidence = 'low';
+      }
+      
+      predictions.stressCategoryTransition = stressResult;
+    } else {
+      const errorMsg = !validationResult.isValid 
+        ? `Data validation failed: ${validationResult.errors.join('; ')}`
+        : 'Unable to predict stress category transition - missing required data';
+      predictions.errors.push({
+        type: 'insufficient_data',
+        message: errorMsg,
+        affectedPredictions: ['stressCategoryTransition']
+      });
+    }
+  } catch (error) {
+    console.error('❌ Stress prediction error:', error.message);
+    predictions.errors.push({
+      type: 'computation_error',
+      message: `Failed to compute stress category transition: ${error.message}`,
+      affectedPredictions: ['stressCategoryTransition']
+    });
+  }
+  
+  try {
+    const seasonalValidation = validateSeasonalData(rechargePattern, 3);
+    
+    if (validationResult.isValid && seasonalValidation.isValid && validationResult.validData.length >= 3) {
+      const seasonalResult = predictSeasonalLevels(seasonalData, new Date(date), forecastSlope, {
+        calendar: seasonCalendar,
+      });
+      const dataSpanYears = validationResult.metrics.dataSpanYears;
+      
+      if (seasonalValidation.cycleCount >= 5 && dataSpanYears >= 5) {
+        seasonalResult.confidence = 'high';
+      } else if (seasonalValidation.cycleCount >= 3 && dataSpanYears >= 3) {
+        seasonalResult.confidence = 'medium';
+      } else {
+        seasonalResult.confidence = 'low';
+      }
+      
+      predictions.seasonalPredictions = seasonalResult;
+    } else {
+      const errors = [...(seasonalValidation.errors || []), ...(validationResult.isValid ? [] : validationResult.errors)];
+      predictions.errors.push({
+        type: 'insufficient_data',
+        message: errors.length > 0 ? errors.join('; ') : 'Insufficient seasonal data for predictions (minimum 3 complete years required)',
+        affectedPredictions: ['seasonalPredictions']
+      });
+    }
+  } catch (error) {
+    console.error('❌ Seasonal prediction error:', error.message);
+    predictions.errors.push({
+      type: 'computation_error',
+      message: `Failed to compute seasonal predictions: ${error.message}`,
+      affectedPredictions: ['seasonalPredictions']
+    });
+  }
+
+  return {
+    nearestStation,
+    isFallback,
+    source: historySource,
+    history,
+    currentWaterLevel,
+    interpolationResult,
+    outlierCheck,
+    seasonCalendar,
+    rechargePattern,
+    rechargeTrend,
+    stressAnalysis,
+    trend,
+    stageOfExtraction,
+    stageOfExtractionNote,
+    changePoints,
+    monthlySeries,
+    sgi,
+    predictions,
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * Map Layers
+ * GeoJSON FeatureCollections of stations and districts inside a bounding box, with the
+ * latest level, trend and stress category of each feature, for the map view.
+ *
+ * Levels come from the same district station loads as the other endpoints, so the
+ * layer summary of each district is cached and at most MAX_DISTRICT_LOADS uncached
+ * districts are loaded per request, nearest to the centre of the view first. The rest
+ * are returned as pending and fill in as the client pans or refreshes. The station
+ * layer also loads the districts of indexed stations in view, wherever their centroid.
+ *
+ * Below a zoom threshold features are merged into grid clusters so a whole-country
+ * view stays a few hundred points.
+ */
+
+import { findDistrictsByName, findDistrictsInBbox } from './helpers/geo.js';
+import { wrisCache, generateCacheKey } from './cache.js';
+import { loadDistrictStations } from './stationHistory.js';
+import { districtCategory, STRESS_SEVERITY, summarizeDistrict } from './districtSummary.js';
+import { getSeasonCalendar } from './seasonCalendar.js';
+import { median } from './statistics.js';
+import { batchProcess } from './performance.js';
+import { inBbox } from './stationAnalytics.js';
+import { stationIndex } from './spatialIndex.js';
+
+export const MAP_CONFIG = {
+  HISTORY_YEARS: 10,
+  // Uncached district loads per request
+  MAX_DISTRICT_LOADS: 12,
+  CONCURRENCY: 3,
+  // Failed district loads are not retried for this long (seconds)
+  FAILURE_TTL_S: 600,
+  // Districts are picked by centroid, and their stations can lie this far outside it
+  DISTRICT_PADDING_DEG: 0.5,
+  // Features are clustered below these zooms
+  STATION_CLUSTER_MAX_ZOOM: 10,
+  DISTRICT_CLUSTER_MAX_ZOOM: 6,
+  // Cluster grid cells per 256 px map tile
+  CLUSTER_CELLS_PER_TILE: 4,
+  MAX_ZOOM: 20
+};
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Web-map zoom level at which a bbox fills roughly one tile
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ * @returns {number} Zoom in [0, MAX_ZOOM]
+ */
+export function zoomForBbox([minLon, , maxLon]) {
+  const span = Math.max(maxLon - minLon, 1e-6);
+  return Math.max(0, Math.min(MAP_CONFIG.MAX_ZOOM, Math.floor(Math.log2(360 / span))));
+}
+
+/**
+ * Districts whose centroid lies in a bbox, nearest to its centre first
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ * @param {number} [padding] - Degrees added on every side
+ * @param {Object} [options] - { withStations: also districts of indexed stations in the bbox }
+ * @returns {Array<Object>} District entries { name, state, lat, lon }
+ */
+export function districtsInBbox([minLon, minLat, maxLon, maxLat], padding = 0, { withStations = false } = {}) {
+  const padded = [minLon - padding, minLat - padding, maxLon + padding, maxLat + padding];
+  const districts = findDistrictsInBbox(padded);
+  if (withStations) {
+    // Stations seen before can lie beyond the padding, in districts with distant centroids
+    const seen = new Set(districts.map((d) => `${d.state}|${d.name}`));
+    for (const station of stationIndex.withinBbox([minLon, minLat, maxLon, maxLat])) {
+      const [district] = station.district ? findDistrictsByName(station.district, station.state) : [];
+      if (district && !seen.has(`${district.state}|${district.name}`)) {
+        seen.add(`${district.state}|${district.name}`);
+        districts.push(district);
+      }
+    }
+  }
+
+  const centerLon = (minLon + maxLon) / 2;
+  const centerLat = (minLat + maxLat) / 2;
+  const distance = (d) => (d.lon - centerLon) ** 2 + (d.lat - centerLat) ** 2;
+  return districts.sort((a, b) => distance(a) - distance(b));
+}
+
+const layerKey = (district) => generateCacheKey('map-district', { state: district.state, district: district.name });
+
+// Most common station direction; ties are stable
+function districtDirection(rows) {
+  const counts = { declining: 0, rising: 0, stable: 0 };
+  for (const row of rows) {
+    if (row.direction) counts[row.direction]++;
+  }
+  if (counts.declining > counts.rising && counts.declining > counts.stable) return 'declining';
+  if (counts.rising > counts.declining && counts.rising > counts.stable) return 'rising';
+  return rows.some((r) => r.direction) ? 'stable' : null;
+}
+
+/**
+ * Per-station and district summary of one district for the map layers
+ * @param {Object} district - District entry { name, state, lat, lon }
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @returns {Object} { district, state, stationCount, latestLevel, latestDate, slope, trend, category, stations }
+ */
+export function summarizeDistrictLayer(district, stations) {
+  const calendar = getSeasonCalendar(district.state, district.name);
+  const summary = summarizeDistrict(stations, { calendar });
+  const rows = summary.stations.map((row) => {
+    const station = stations.get(row.stationCode);
+    return { ...row, latitude: station.latitude, longitude: station.longitude };
+  });
+  const dates = rows.map((r) => r.latestDate).filter(Boolean).sort();
+
+  return {
+    district: district.name,
+    state: district.state,
+    stationCount: summary.stationCount,
+    // Median current depth across stations, m below ground
+    latestLevel: summary.currentDepth ? summary.currentDepth.median : null,
+    latestDate: dates.length > 0 ? dates[dates.length - 1] : null,
+    slope: summary.trends.medianSlope,
+    trend: districtDirection(rows),
+    category: summary.stress.category,
+    stations: rows,
+  };
+}
+
+async function loadDistrictLayer(district) {
+  const end = new Date();
+  const start = new Date(end);
+  start.setFullYear(start.getFullYear() - MAP_CONFIG.HISTORY_YEARS);
+  const { stations } = await loadDistrictStations({
+    state: district.state,
+    district: district.name,
+    latitude: district.lat,
+    longitude: district.lon,
+    start,
+    end,
+  });
+  const layer = summarizeDistrictLayer(district, stations);
+  wrisCache.set(layerKey(district), layer);
+  return layer;
+}
+
+/**
+ * Cached layer summaries of the districts in a bbox, loading up to maxLoads more
+ * @param {Array<Object>} districts - From districtsInBbox, nearest first
+ * @param {Object} [options] - { maxLoads, concurrency }
+ * @returns {Promise<Object>} { layers: Map<key, layer>, loaded, pending, failed }
+ */
+export async function loadDistrictLayers(districts, {
+  maxLoads = MAP_CONFIG.MAX_DISTRICT_LOADS,
+  concurrency = MAP_CONFIG.CONCURRENCY,
+} = {}) {
+  const layers = new Map();
+  const uncached = [];
+  const failed = [];
+  for (const district of districts) {
+    const cached = wrisCache.get(layerKey(district));
+    if (!cached) uncached.push(district);
+    else if (cached.error) failed.push({ district: district.name, state: district.state, error: cached.error });
+    else layers.set(layerKey(district), cached);
+  }
+
+  const toLoad = uncached.slice(0, maxLoads);
+  const results = await batchProcess(toLoad, concurrency, async (district) => {
+    try {
+      return await loadDistrictLayer(district);
+    } catch (error) {
+      wrisCache.set(layerKey(district), { error: error.message }, MAP_CONFIG.FAILURE_TTL_S);
+      failed.push({ district: district.name, state: district.state, error: error.message });
+      return null;
+    }
+  });
+  toLoad.forEach((district, i) => {
+    if (results[i]) layers.set(layerKey(district), results[i]);
+  });
+
+  return {
+    layers,
+    loaded: results.filter(Boolean).length,
+    pending: uncached.slice(maxLoads).map((d) => ({ district: d.name, state: d.state })),
+    failed,
+  };
+}
+
+function pointFeature(id, longitude, latitude, properties) {
+  return {
+    type: 'Feature',
+    id,
+    geometry: { type: 'Point', coordinates: [round(longitude, 5), round(latitude, 5)] },
+    properties,
+  };
+}
+
+/**
+ * Merge point features into grid clusters
+ * Cells are 1/CLUSTER_CELLS_PER_TILE of a map tile at the zoom; cells holding one
+ * feature keep it as is
+ * @param {Array<Object>} features - Point features with latestLevel, trend and category
+ * @param {number} zoom - Map zoom
+ * @returns {Array<Object>} Features and cluster features
+ */
+export function clusterFeatures(features, zoom) {
+  const cell = 360 / (2 ** zoom * MAP_CONFIG.CLUSTER_CELLS_PER_TILE);
+  const cells = new Map();
+  for (const feature of features) {
+    const [lon, lat] = feature.geometry.coordinates;
+    const key = `${Math.floor(lon / cell)}:${Math.floor(lat / cell)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(feature);
+  }
+
+  return Array.from(cells, ([key, members]) => {
+    if (members.length === 1) return members[0];
+    const props = members.map((f) => f.properties);
+    const levels = props.map((p) => p.latestLevel).filter((l) => l !== null);
+    const categories = props.map((p) => p.category);
+    return pointFeature(
+      `cluster:${zoom}:${key}`,
+      members.reduce((sum, f) => sum + f.geometry.coordinates[0], 0) / members.length,
+      members.reduce((sum, f) => sum + f.geometry.coordinates[1], 0) / members.length,
+      {
+        cluster: true,
+        pointCount: members.length,
+        assessed: categories.filter((c) => c !== null).length,
+        // Median member category, as for the district category
+        category: districtCategory(categories),
+        categoryCounts: Object.fromEntries(STRESS_SEVERITY.map((c) => [c, categories.filter((x) => x === c).length])),
+        latestLevel: levels.length > 0 ? round(median(levels), 2) : null,
+        declining: props.filter((p) => p.trend === 'declining').length,
+      }
+    );
+  });
+}
+
+function collection(features, bbox, zoom, clustered, { layers, loaded, pending, failed }) {
+  return {
+    type: 'FeatureCollection',
+    bbox,
+    features,
+    meta: {
+      zoom,
+      clustered,
+      featureCount: features.length,
+      // Districts with data, from the cache or loaded by this request
+      districtsAssessed: layers.size,
+      districtsLoaded: loaded,
+      // Districts in view not loaded yet; request the view again to fill them in
+      districtsPending: pending,
+      districtsFailed: failed,
+    },
+  };
+}
+
+/**
+ * Stations in a bbox as GeoJSON points
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ * @param {Object} [options] - { zoom, maxLoads, concurrency }
+ * @returns {Promise<Object>} FeatureCollection with a meta member
+ */
+export async function buildStationLayer(bbox, { zoom = zoomForBbox(bbox), ...loadOptions } = {}) {
+  const districts = districtsInBbox(bbox, MAP_CONFIG.DISTRICT_PADDING_DEG, { withStations: true });
+  const result = await loadDistrictLayers(districts, loadOptions);
+
+  const features = [];
+  for (const layer of result.layers.values()) {
+    for (const row of layer.stations) {
+      if (!inBbox(row, bbox)) continue;
+      features.push(pointFeature(row.stationCode, row.longitude, row.latitude, {
+        stationCode: row.stationCode,
+        name: row.name,
+        district: layer.district,
+        state: layer.state,
+        wellType: row.wellType,
+        wellAquiferType: row.wellAquiferType,
+        latestLevel: row.currentDepth,
+        latestDate: row.latestDate,
+        slope: row.slope,
+        trend: row.direction,
+        category: row.category,
+      }));
+    }
+  }
+
+  const clustered = zoom < MAP_CONFIG.STATION_CLUSTER_MAX_ZOOM;
+  return collection(clustered ? clusterFeatures(features, zoom) : features, bbox, zoom, clustered, result);
+}
+
+/**
+ * Districts in a bbox as GeoJSON points at their centroids
+ * Pending districts are included with null levels so the map can show every district
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ * @param {Object} [options] - { zoom, maxLoads, concurrency }
+ * @returns {Promise<Object>} FeatureCollection with a meta member
+ */
+export async function buildDistrictLayer(bbox, { zoom = zoomForBbox(bbox), ...loadOptions } = {}) {
+  const districts = districtsInBbox(bbox);
+  const result = await loadDistrictLayers(districts, loadOptions);
+
+  const features = districts.map((district) => {
+    const layer = result.layers.get(layerKey(district));
+    return pointFeature(`${district.state}/${district.name}`, district.lon, district.lat, {
+      district: district.name,
+      state: district.state,
+      assessed: Boolean(layer),
+      stationCount: layer ? layer.stationCount : null,
+      latestLevel: layer ? layer.latestLevel : null,
+      latestDate: layer ? layer.latestDate : null,
+      slope: layer ? layer.slope : null,
+      trend: layer ? layer.trend : null,
+      category: layer ? layer.category : null,
+    });
+  });
+
+  const clustered = zoom < MAP_CONFIG.DISTRICT_CLUSTER_MAX_ZOOM;
+  return collection(clustered ? clusterFeatures(features, zoom) : features, bbox, zoom, clustered, result);
+}
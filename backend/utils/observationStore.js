@@ -0,0 +1,409 @@
+/**
+ * Observation Store
+ * Persists parsed WRIS rows in MongoDB so district history survives restarts
+ * and is shared across replicas. Only date ranges not yet synced are fetched from WRIS.
+ */
+
+import mongoose from 'mongoose';
+import Station from '../models/Station.js';
+import Observation from '../models/Observation.js';
+import DistrictSync from '../models/DistrictSync.js';
+import { normalizeRecord } from './dataSources/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STORE_CONFIG = {
+  // WRIS publishes readings with a lag, so the tail of a synced range is re-fetched
+  TAIL_REFRESH_DAYS: 90,
+  REFRESH_INTERVAL_HOURS: 24,
+  BULK_WRITE_BATCH: 1000
+};
+
+/**
+ * Check whether MongoDB is connected and the store can be used
+ * @returns {boolean} True when the mongoose connection is open
+ */
+export function isStoreAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function toDay(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * Parse a raw WRIS row into station metadata and a single observation
+ * @param {Object} row - Raw WRIS record
+ * @returns {Object|null} Parsed record, or null if the row is unusable
+ */
+export function parseWrisRecord(row) {
+  const { valid, record } = normalizeRecord(row);
+  if (!valid) return null;
+
+  return {
+    station: {
+      stationCode: record.stationCode,
+      name: record.stationName,
+      latitude: record.latitude,
+      longitude: record.longitude,
+      wellType: record.wellType,
+      wellDepth: record.wellDepth,
+      wellAquiferType: record.wellAquiferType,
+    },
+    observation: {
+      stationCode: record.stationCode,
+      date: toDay(record.date),
+      waterLevel: record.waterLevel,
+    },
+  };
+}
+
+/**
+ * Work out which parts of [start, end] still need to be fetched from WRIS
+ * @param {Object|null} coverage - DistrictSync document ({ syncedFrom, syncedTo, lastSyncedAt }); without
+ *   syncedFrom and syncedTo nothing is covered yet
+ * @param {Date} start - Start of requested window
+ * @param {Date} end - End of requested window
+ * @param {Date} [now] - Current time (injectable for tests)
+ * @returns {Array<{start: Date, end: Date}>} Ranges to fetch, oldest first
+ */
+export function computeMissingRanges(coverage, start, end, now = new Date()) {
+  const from = toDay(start);
+  const to = toDay(Math.min(new Date(end).getTime(), now.getTime()));
+  if (from > to) return [];
+
+  // A failed first sync leaves attempt status but no coverage
+  if (!coverage?.syncedFrom || !coverage?.syncedTo) return [{ start: from, end: to }];
+
+  const syncedFrom = toDay(coverage.syncedFrom);
+  const syncedTo = toDay(coverage.syncedTo);
+  const ranges = [];
+
+  // Ranges always run up to the existing coverage (filling any gap) so it stays contiguous
+  if (from < syncedFrom) {
+    ranges.push({ start: from, end: new Date(syncedFrom.getTime() - DAY_MS) });
+  }
+
+  // Refresh the recent tail once it is older than the refresh interval
+  let tailStart = new Date(syncedTo.getTime() + DAY_MS);
+  const lastSyncedAt = coverage.lastSyncedAt ? new Date(coverage.lastSyncedAt) : new Date(0);
+  if (now.getTime() - lastSyncedAt.getTime() > STORE_CONFIG.REFRESH_INTERVAL_HOURS * 60 * 60 * 1000) {
+    tailStart = new Date(Math.max(syncedFrom.getTime(), syncedTo.getTime() - STORE_CONFIG.TAIL_REFRESH_DAYS * DAY_MS));
+  }
+  if (tailStart <= to) {
+    ranges.push({ start: tailStart, end: to });
+  }
+
+  return ranges;
+}
+
+/**
+ * Get the ranges of [start, end] not yet stored for a district
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @param {Date} start - Start of requested window
+ * @param {Date} end - End of requested window
+ * @returns {Promise<Array<{start: Date, end: Date}>>} Ranges to fetch
+ */
+export async function getMissingRanges(state, district, start, end) {
+  const coverage = await DistrictSync.findOne({ state, district }).lean();
+  return computeMissingRanges(coverage, start, end);
+}
+
+/**
+ * Upsert raw WRIS rows into the Station and Observation collections
+ * @param {Array<Object>} rows - Raw WRIS records
+ * @param {{state: string, district: string}} location - District the rows were fetched for
+ * @returns {Promise<{stations: number, observations: number, skipped: number}>} Write counts
+ */
+export async function upsertWrisRecords(rows, { state, district }) {
+  const stations = new Map();
+  const observations = [];
+  let skipped = 0;
+
+  for (const row of rows || []) {
+    const parsed = parseWrisRecord(row);
+    if (!parsed) {
+      skipped++;
+      continue;
+    }
+    stations.set(parsed.station.stationCode, parsed.station);
+    observations.push(parsed.observation);
+  }
+
+  if (stations.size > 0) {
+    await Station.bulkWrite(
+      Array.from(stations.values()).map((station) => ({
+        updateOne: {
+          filter: { stationCode: station.stationCode },
+          update: { $set: { ...station, state, district } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  for (let i = 0; i < observations.length; i += STORE_CONFIG.BULK_WRITE_BATCH) {
+    const batch = observations.slice(i, i + STORE_CONFIG.BULK_WRITE_BATCH);
+    await Observation.bulkWrite(
+      batch.map((obs) => ({
+        updateOne: {
+          filter: { stationCode: obs.stationCode, date: obs.date },
+          update: { $set: { waterLevel: obs.waterLevel, state, district } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  return { stations: stations.size, observations: observations.length, skipped };
+}
+
+/**
+ * Extend a district's synced coverage to include [start, end]
+ * Callers only sync ranges adjacent to existing coverage, so the union stays contiguous
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @param {Date} start - Start of synced range
+ * @param {Date} end - End of synced range
+ */
+export async function markRangeSynced(state, district, start, end) {
+  // One atomic upsert, so concurrent syncs of the same district cannot overwrite each other
+  await DistrictSync.updateOne(
+    { state, district },
+    {
+      $min: { syncedFrom: toDay(start) },
+      $max: { syncedTo: toDay(end) },
+      $set: { lastSyncedAt: new Date() },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Record the outcome of a sync attempt for a district
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @param {Error|null} error - Failure, or null on success
+ */
+export async function recordSyncAttempt(state, district, error = null) {
+  await DistrictSync.updateOne(
+    { state, district },
+    {
+      $set: {
+        lastAttemptAt: new Date(),
+        lastStatus: error ? 'failed' : 'success',
+        lastError: error ? error.message : null,
+      },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * List stored sync state for all districts, optionally for one state
+ * @param {Object} [filter] - { state }
+ * @returns {Promise<Array<Object>>} DistrictSync documents
+ */
+export async function listDistrictSyncs({ state = null } = {}) {
+  return DistrictSync.find(state ? { state } : {}).sort({ state: 1, district: 1 }).lean();
+}
+
+/**
+ * Fetch and store every range of [start, end] missing for a district
+ * A failed range is left unsynced so the next caller retries it
+ * Pages are written as they arrive so large districts never sit in memory at once
+ * @param {Object} params - { state, district, start, end, fetchRange }
+ * @param {Function} params.fetchRange - async ({ start, end }, { onPage }) => data-source result
+ * @returns {Promise<{fetchedRanges: Array<Object>, error: Error|null}>} Sync outcome
+ */
+export async function syncDistrictObservations({ state, district, start, end, fetchRange }) {
+  const fetchedRanges = [];
+  let error = null;
+
+  const missingRanges = await getMissingRanges(state, district, start, end);
+  for (const range of missingRanges) {
+    try {
+      let records = 0;
+      const onPage = async (rows) => {
+        const written = await upsertWrisRecords(rows, { state, district });
+        records += written.observations;
+      };
+      const fetched = await fetchRange(range, { onPage });
+      // Sources that ignore onPage hand everything back at once
+      if (fetched?.data?.length) await onPage(fetched.data);
+      if (fetched?.truncated) {
+        throw new Error(`WRIS pagination limit reached after ${fetched.pages} pages`);
+      }
+
+      await markRangeSynced(state, district, range.start, range.end);
+      fetchedRanges.push({
+        start: range.start.toISOString().split('T')[0],
+        end: range.end.toISOString().split('T')[0],
+        records,
+        pages: fetched?.pages ?? 1,
+        rows: fetched?.rows ?? records,
+      });
+    } catch (err) {
+      console.warn(`⚠️ WRIS sync failed for ${district}, ${state}: ${err.message}`);
+      error = err;
+    }
+  }
+
+  if (missingRanges.length > 0) {
+    await recordSyncAttempt(state, district, error);
+  }
+
+  return { fetchedRanges, error };
+}
+
+/**
+ * Load stored observations for a district in the raw WRIS row shape
+ * so the existing station grouping code can consume them unchanged
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @param {Date} start - Start of window
+ * @param {Date} end - End of window
+ * @returns {Promise<Array<Object>>} WRIS-shaped rows sorted by date
+ */
+export async function loadDistrictRecords(state, district, start, end) {
+  const [stations, observations] = await Promise.all([
+    Station.find({ state, district }).lean(),
+    Observation.find({
+      state,
+      district,
+      date: { $gte: toDay(start), $lte: toDay(end) },
+    })
+      .sort({ date: 1 })
+      .lean(),
+  ]);
+
+  const stationsByCode = new Map(stations.map((s) => [s.stationCode, s]));
+
+  return observations
+    .filter((obs) => stationsByCode.has(obs.stationCode))
+    .map((obs) => {
+      const station = stationsByCode.get(obs.stationCode);
+      return {
+        stationCode: station.stationCode,
+        stationName: station.name,
+        latitude: station.latitude,
+        longitude: station.longitude,
+        wellType: station.wellType,
+        wellDepth: station.wellDepth,
+        wellAquiferType: station.wellAquiferType,
+        dataValue: obs.waterLevel,
+        dataTime: obs.date.toISOString(),
+      };
+    });
+}
+
+// Whole-name, case-insensitive match; names are user input, so escape them
+const exactName = (name) => new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+/**
+ * Station query for a state, district and/or bounding box
+ * @param {Object} filter - { state, district, bbox: [minLon, minLat, maxLon, maxLat] }
+ * @returns {Object} MongoDB query
+ */
+export function buildStationQuery({ state, district, bbox }) {
+  const query = {};
+  if (state) query.state = exactName(state);
+  if (district) query.district = exactName(district);
+  if (bbox) {
+    const [minLon, minLat, maxLon, maxLat] = bbox;
+    query.longitude = { $gte: minLon, $lte: maxLon };
+    query.latitude = { $gte: minLat, $lte: maxLat };
+  }
+  return query;
+}
+
+/**
+ * Stored stations in a state, district and/or bounding box, with their observation
+ * count and first and last reading
+ * @param {Object} filter - { state, district, bbox: [minLon, minLat, maxLon, maxLat], limit, offset }
+ * @returns {Promise<{total: number, stations: Array<Object>}>} Stations sorted by code
+ */
+export async function listStoredStations({ state, district, bbox, limit = 500, offset = 0 }) {
+  const query = buildStationQuery({ state, district, bbox });
+
+  const [total, stations] = await Promise.all([
+    Station.countDocuments(query),
+    Station.find(query).sort({ stationCode: 1 }).skip(offset).limit(limit).lean(),
+  ]);
+
+  const stats = await Observation.aggregate([
+    { $match: { stationCode: { $in: stations.map((s) => s.stationCode) } } },
+    {
+      $group: {
+        _id: '$stationCode',
+        records: { $sum: 1 },
+        firstObservation: { $min: '$date' },
+        lastObservation: { $max: '$date' },
+      },
+    },
+  ]);
+  const statsByCode = new Map(stats.map((s) => [s._id, s]));
+
+  return {
+    total,
+    stations: stations.map((s) => {
+      const st = statsByCode.get(s.stationCode);
+      return {
+        stationCode: s.stationCode,
+        name: s.name,
+        state: s.state,
+        district: s.district,
+        latitude: s.latitude,
+        longitude: s.longitude,
+        wellType: s.wellType,
+        wellDepth: s.wellDepth,
+        wellAquiferType: s.wellAquiferType,
+        records: st?.records ?? 0,
+        firstObservation: st ? st.firstObservation.toISOString().split('T')[0] : null,
+        lastObservation: st ? st.lastObservation.toISOString().split('T')[0] : null,
+      };
+    }),
+  };
+}
+
+/**
+ * One stored station with its full observation history
+ * @param {string} stationCode - WRIS station code
+ * @returns {Promise<Object|null>} Station metadata with history [{ date, waterLevel }], or null
+ */
+export async function loadStoredStation(stationCode) {
+  const station = await Station.findOne({ stationCode }).lean();
+  if (!station) return null;
+
+  const observations = await Observation.find({ stationCode }).sort({ date: 1 }).lean();
+  return {
+    stationCode: station.stationCode,
+    name: station.name,
+    state: station.state,
+    district: station.district,
+    latitude: station.latitude,
+    longitude: station.longitude,
+    wellType: station.wellType,
+    wellDepth: station.wellDepth,
+    wellAquiferType: station.wellAquiferType,
+    history: observations.map((obs) => ({
+      date: obs.date.toISOString().split('T')[0],
+      waterLevel: obs.waterLevel,
+    })),
+  };
+}
+
+/**
+ * Metadata of every stored station, without observations
+ * @returns {Promise<Array<Object>>} [{ stationCode, name, state, district, latitude, longitude, wellType, wellDepth, wellAquiferType }]
+ */
+export async function loadStationMetadata() {
+  return Station.find(
+    {},
+    { _id: 0, stationCode: 1, name: 1, state: 1, district: 1, latitude: 1, longitude: 1, wellType: 1, wellDepth: 1, wellAquiferType: 1 }
+  ).lean();
+}
@@ -0,0 +1,169 @@
+/**
+ * Outlier Detection Module
+ * Flags suspicious readings in a station history before trends are fitted.
+ * A single mistyped WRIS value (350 m in a 12 m well) otherwise dominates least squares.
+ *
+ * Detectors:
+ *   hampel - reading far from the median of its neighbours (rolling MAD)
+ *   mad    - modified z-score against the whole record (Iglewicz-Hoaglin)
+ *   jump   - isolated spike: large jump away and straight back
+ * A reading is excluded when at least MIN_VOTES detectors agree; the rest are only flagged.
+ */
+
+import { median, medianAbsoluteDeviation } from './statistics.js';
+
+export const OUTLIER_CONFIG = {
+  HAMPEL_HALF_WINDOW: 3,
+  HAMPEL_THRESHOLD: 3,
+  MAD_Z_THRESHOLD: 3.5,
+  JUMP_MIN_METERS: 5,
+  JUMP_MAD_MULTIPLIER: 6,
+  MIN_MAD_METERS: 0.05, // Floor so perfectly flat stretches don't flag centimetre changes
+  MIN_VOTES: 2,
+  MIN_POINTS: 5
+};
+
+export const OUTLIER_MODES = ['exclude', 'flag', 'off'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Hampel filter: compare each reading with the median of its neighbours
+ * @param {Array<number>} values - Series in time order
+ * @param {Object} [options] - { halfWindow, threshold }
+ * @returns {Array<number|null>} Score (deviation in rolling MADs) per flagged index, null otherwise
+ */
+export function hampelFilter(values, {
+  halfWindow = OUTLIER_CONFIG.HAMPEL_HALF_WINDOW,
+  threshold = OUTLIER_CONFIG.HAMPEL_THRESHOLD,
+} = {}) {
+  return values.map((value, i) => {
+    const window = values.slice(Math.max(0, i - halfWindow), i + halfWindow + 1);
+    const center = median(window);
+    const mad = Math.max(medianAbsoluteDeviation(window), OUTLIER_CONFIG.MIN_MAD_METERS);
+    const score = Math.abs(value - center) / mad;
+    return score > threshold ? score : null;
+  });
+}
+
+/**
+ * Modified z-scores against the whole record
+ * @param {Array<number>} values - Series
+ * @param {number} [threshold] - |z| above which a value is flagged
+ * @returns {Array<number|null>} |z| per flagged index, null otherwise
+ */
+export function madZScores(values, threshold = OUTLIER_CONFIG.MAD_Z_THRESHOLD) {
+  const center = median(values);
+  // medianAbsoluteDeviation is already scaled by 1.4826 = 1 / 0.6745
+  const mad = Math.max(medianAbsoluteDeviation(values), OUTLIER_CONFIG.MIN_MAD_METERS);
+  return values.map((value) => {
+    const z = Math.abs(value - center) / mad;
+    return z > threshold ? z : null;
+  });
+}
+
+/**
+ * Isolated spike detector
+ * A reading is a spike when it jumps away from both neighbours by more than the
+ * threshold in the same direction; a lasting level shift is not flagged
+ * @param {Array<number>} values - Series in time order
+ * @returns {Array<number|null>} Jump size in metres per flagged index, null otherwise
+ */
+export function detectJumps(values) {
+  const diffs = values.slice(1).map((v, i) => v - values[i]);
+  const threshold = diffs.length > 0
+    ? Math.max(OUTLIER_CONFIG.JUMP_MIN_METERS, OUTLIER_CONFIG.JUMP_MAD_MULTIPLIER * medianAbsoluteDeviation(diffs))
+    : OUTLIER_CONFIG.JUMP_MIN_METERS;
+
+  return values.map((value, i) => {
+    const before = i > 0 ? value - values[i - 1] : null;
+    const after = i < values.length - 1 ? value - values[i + 1] : null;
+
+    // End points only have one neighbour to compare with
+    if (before === null || after === null) {
+      const only = before ?? after;
+      return only !== null && Math.abs(only) > 2 * threshold ? Math.abs(only) : null;
+    }
+    if (Math.sign(before) === Math.sign(after) && Math.abs(before) > threshold && Math.abs(after) > threshold) {
+      return Math.min(Math.abs(before), Math.abs(after));
+    }
+    return null;
+  });
+}
+
+/**
+ * Run all detectors over a history
+ * @param {Array<Object>} history - [{ date, waterLevel }] sorted by date
+ * @param {Object} [options] - { mode } 'exclude' (default), 'flag' or 'off'
+ * @returns {Object} { clean, flagged, excluded, summary } where clean is the history to analyse
+ */
+export function detectOutliers(history, { mode = 'exclude' } = {}) {
+  const thresholds = {
+    hampel: { halfWindow: OUTLIER_CONFIG.HAMPEL_HALF_WINDOW, threshold: OUTLIER_CONFIG.HAMPEL_THRESHOLD },
+    mad: { threshold: OUTLIER_CONFIG.MAD_Z_THRESHOLD },
+    jump: { minMeters: OUTLIER_CONFIG.JUMP_MIN_METERS, madMultiplier: OUTLIER_CONFIG.JUMP_MAD_MULTIPLIER },
+    minVotes: OUTLIER_CONFIG.MIN_VOTES,
+  };
+
+  if (mode === 'off' || history.length < OUTLIER_CONFIG.MIN_POINTS) {
+    return {
+      clean: history,
+      flagged: [],
+      excluded: [],
+      summary: {
+        mode,
+        checked: mode === 'off' ? 0 : history.length,
+        flagged: 0,
+        excluded: 0,
+        note: mode === 'off' ? null : `Fewer than ${OUTLIER_CONFIG.MIN_POINTS} readings; outlier detection skipped`,
+      },
+      thresholds,
+    };
+  }
+
+  const values = history.map((h) => h.waterLevel);
+  const detectors = {
+    hampel: hampelFilter(values),
+    mad: madZScores(values),
+    jump: detectJumps(values),
+  };
+
+  const flagged = [];
+  const excludedIndices = new Set();
+
+  history.forEach((h, i) => {
+    const reasons = Object.keys(detectors).filter((name) => detectors[name][i] !== null);
+    if (reasons.length === 0) return;
+
+    const exclude = mode === 'exclude' && reasons.length >= OUTLIER_CONFIG.MIN_VOTES;
+    if (exclude) excludedIndices.add(i);
+
+    flagged.push({
+      date: h.date,
+      waterLevel: round(h.waterLevel),
+      reasons,
+      scores: Object.fromEntries(reasons.map((name) => [name, round(detectors[name][i])])),
+      excluded: exclude,
+    });
+  });
+
+  if (excludedIndices.size > 0) {
+    console.warn(`⚠️ Excluded ${excludedIndices.size} outlier reading(s) of ${history.length}`);
+  }
+
+  return {
+    clean: history.filter((_, i) => !excludedIndices.has(i)),
+    flagged,
+    excluded: flagged.filter((f) => f.excluded),
+    summary: {
+      mode,
+      checked: history.length,
+      flagged: flagged.length,
+      excluded: excludedIndices.size,
+      note: null,
+    },
+    thresholds,
+  };
+}
@@ -65,16 +65,22 @@ class PerformanceMonitor {
 
 export const perfMonitor = new PerformanceMonitor();
 
-// Batch processing utility
-export const batchProcess = async (items, batchSize, processor) => {
-  const results = [];
+// Run processor over items with at most `concurrency` calls in flight; results keep item order.
+// A worker takes the next item as soon as its last one settles, so one slow item
+// never holds back the rest the way fixed batches do
+export const batchProcess = async (items, concurrency, processor) => {
+  const results = new Array(items.length);
+  let next = 0;
   
-  for (let i = 0; i < items.length; i += batchSize) {
-    const batch = items.slice(i, i + batchSize);
-    const batchResults = await Promise.all(batch.map(processor));
-    results.push(...batchResults);
-  }
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await processor(items[index], index);
+    }
+  };
   
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
   return results;
 };
 
@@ -6,6 +6,17 @@ import {
   validateNumericParameter,
   isNullOrNaN
 } from './validation.js';
+import {
+  FORECAST_MODELS,
+  FORECAST_MODEL_NAMES,
+  DEFAULT_FORECAST_MODEL,
+  toMonthlySeries,
+  fitModel,
+  stepsAhead
+} from './forecasting.js';
+import { selectModelByBacktest } from './backtest.js';
+import { calculateStandardError, calculatePredictionInterval, calculateForecastInterval } from './statistics.js';
+import { DEFAULT_SEASON_CALENDAR, classifySeason } from './seasonCalendar.js';
 
 const PRECISION = {
   WATER_LEVEL_DECIMALS: 2,
@@ -19,6 +30,13 @@ const PREDICTION_HORIZONS = {
   MAX_YEARS: 5
 };
 
+const PREDICTION_INTERVALS = {
+  DEFAULT_LEVELS: [80, 95],
+  YEAR_MS: 365.25 * 24 * 60 * 60 * 1000,
+  // Fewer errors at observed months than this and interpolated months are used too
+  MIN_OBSERVED_RESIDUALS: 6
+};
+
 const DATA_QUALITY = {
   MIN_DATA_POINTS: 3,
   MIN_POINTS_HIGH_CONFIDENCE: 20,
@@ -49,24 +67,21 @@ const STRESS_TRANSITION = {
   HIGH_PRIORITY_YEARS: 5
 };
 
-const SEASONS = {
-  PRE_MONSOON: {
-    months: [1, 2, 3, 4, 5],
-    name: 'pre-monsoon',
-    displayPeriod: 'January-May'
-  },
-  POST_MONSOON: {
-    months: [10, 11, 12],
-    name: 'post-monsoon',
-    displayPeriod: 'October-December'
-  }
-};
-
-// Using Sets for O(1) month lookup instead of Array.includes() O(n)
-const SEASON_MONTH_SETS = {
-  PRE_MONSOON: new Set(SEASONS.PRE_MONSOON.months),
-  POST_MONSOON: new Set(SEASONS.POST_MONSOON.months)
-};
+// Pre/post-monsoon months come from the district's season calendar (utils/seasonCalendar.js)
+function seasonsFor(calendar) {
+  return {
+    PRE_MONSOON: {
+      months: calendar.preMonsoon.months,
+      name: 'pre-monsoon',
+      displayPeriod: calendar.preMonsoon.displayPeriod
+    },
+    POST_MONSOON: {
+      months: calendar.postMonsoon.months,
+      name: 'post-monsoon',
+      displayPeriod: calendar.postMonsoon.displayPeriod
+    }
+  };
+}
 
 const SEASONAL_PREDICTION = {
   WINDOW_YEARS: 5,
@@ -82,7 +97,33 @@ function roundDeclineRate(value) {
   return Math.round(value * PRECISION.DECLINE_RATE_MULTIPLIER) / PRECISION.DECLINE_RATE_MULTIPLIER;
 }
 
-export function computeFutureWaterLevels(history, slope, intercept, baseDate) {
+/**
+ * Forecast water levels 1, 2, 3 and 5 years after baseDate
+ * The linear model extrapolates intercept + slope * years; other models are fitted
+ * to the monthly series of history. "auto" picks the model with the lowest backtest error.
+ * Every horizon carries prediction intervals from the errors of the model that made the
+ * forecast: the trend line's standard error and leverage for linear, otherwise the
+ * model's in-sample errors widened by its error growth with horizon.
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {number} slope - Linear trend (m/year)
+ * @param {number} intercept - Linear trend level at baseDate
+ * @param {Date} baseDate - Forecast origin
+ * @param {Object} [options] - { model, intervals, slopeOffset }
+ * @param {string} [options.model] - One of FORECAST_MODEL_NAMES (default linear)
+ * @param {Array<number>} [options.intervals] - Confidence levels in percent (default [80, 95])
+ * @param {number} [options.slopeOffset] - m/year added to the fitted trend for what-if scenarios;
+ *   intervals still come from the errors of the fitted (unmodified) model
+ * @returns {Object} { model, methodology, dataRange, predictions, ... }
+ */
+export function computeFutureWaterLevels(history, slope, intercept, baseDate, {
+  model = DEFAULT_FORECAST_MODEL,
+  intervals = PREDICTION_INTERVALS.DEFAULT_LEVELS,
+  slopeOffset = 0
+} = {}) {
+  if (!FORECAST_MODEL_NAMES.includes(model)) {
+    throw new Error(`Invalid model: ${model}. Expected one of: ${FORECAST_MODEL_NAMES.join(', ')}`);
+  }
+
   const filterResult = filterInvalidHistoricalData(history);
   const validHistory = filterResult.validData;
   
@@ -106,29 +147,113 @@ export function computeFutureWaterLevels(history, slope, intercept, baseDate) {
   
   const startDate = new Date(qualityCheck.metrics.startDate);
   const endDate = new Date(qualityCheck.metrics.endDate);
-  
-  // Linear regression formula: predictedLevel = intercept + (slope * years)
-  const predictions = PREDICTION_HORIZONS.YEARS.map(years => {
-    const predictedLevel = intercept + (slope * years);
+
+  let usedModel = model;
+  let modelSelection = null;
+  let modelNote = null;
+  let series = null;
+
+  if (model !== 'linear') {
+    series = toMonthlySeries(validHistory);
+    if (model === 'auto') {
+      modelSelection = selectModelByBacktest(series);
+      usedModel = modelSelection.model;
+    }
+    if (series.values.length < FORECAST_MODELS[usedModel].minMonths) {
+      modelNote = `${FORECAST_MODELS[usedModel].label} needs ${FORECAST_MODELS[usedModel].minMonths} months of data (have ${series.values.length}); using linear regression`;
+      usedModel = 'linear';
+    }
+  }
+
+  const horizonDate = (years) => {
     const predictionDate = new Date(baseDate);
     predictionDate.setFullYear(predictionDate.getFullYear() + years);
-    
-    return {
-      year: years,
-      date: predictionDate.toISOString().split('T')[0],
-      predictedLevel: roundWaterLevel(predictedLevel),
-      unit: 'meters below ground level'
-    };
-  });
-  
-  return {
-    methodology: `Linear regression based on ${validHistory.length}-point historical trend`,
+    return predictionDate;
+  };
+
+  let predictedLevels;
+  let modelParams = null;
+  // (level, horizon index) => { lower, upper } for the model that made the forecast
+  let intervalAt;
+  let intervalMethod;
+  if (usedModel === 'linear') {
+    // Linear regression formula: predictedLevel = intercept + (slope * years)
+    predictedLevels = PREDICTION_HORIZONS.YEARS.map(years => intercept + (slope * years));
+
+    // Residuals around the trend line, with x measured in years from baseDate so the horizon is x0
+    const x = validHistory.map(h => (new Date(h.date).getTime() - baseDate.getTime()) / PREDICTION_INTERVALS.YEAR_MS);
+    const standardError = calculateStandardError(
+      validHistory.map(h => h.waterLevel),
+      x.map(xi => intercept + slope * xi)
+    );
+    intervalAt = (level, i) => calculatePredictionInterval({
+      predicted: predictedLevels[i],
+      standardError,
+      x,
+      x0: PREDICTION_HORIZONS.YEARS[i],
+      level
+    });
+    intervalMethod = `Regression standard error (${roundWaterLevel(standardError)} m) with leverage, Student t on ${validHistory.length - 2} df`;
+  } else {
+    const forecast = fitModel(usedModel, series.values);
+    modelParams = forecast.params || null;
+    const steps = PREDICTION_HORIZONS.YEARS.map(years => stepsAhead(series, horizonDate(years)));
+    predictedLevels = steps.map(h => forecast(h));
+    if (predictedLevels.some(level => !isFinite(level))) {
+      throw new Error(`Model ${usedModel} produced a non-finite forecast`);
+    }
+
+    // Errors at gap-filled months are interpolation, not forecast error, so prefer observed months
+    const fitted = forecast.residuals.filter(e => e !== null);
+    const observed = forecast.residuals.filter((e, t) => e !== null && series.observed[t]);
+    const residuals = observed.length >= PREDICTION_INTERVALS.MIN_OBSERVED_RESIDUALS ? observed : fitted;
+    intervalAt = (level, i) => calculateForecastInterval({
+      predicted: predictedLevels[i],
+      residuals,
+      growth: forecast.errorGrowth(steps[i]),
+      level
+    });
+    const rmse = Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / residuals.length);
+    intervalMethod = `${FORECAST_MODELS[usedModel].label} in-sample error (RMS ${roundWaterLevel(rmse)} m over ${residuals.length} months), widened with horizon, Student t on ${residuals.length - 1} df`;
+  }
+  if (slopeOffset !== 0) {
+    validateNumericParameter(slopeOffset, 'slopeOffset');
+    predictedLevels = predictedLevels.map((level, i) => level + slopeOffset * PREDICTION_HORIZONS.YEARS[i]);
+  }
+
+  const predictions = PREDICTION_HORIZONS.YEARS.map((years, i) => ({
+    year: years,
+    date: horizonDate(years).toISOString().split('T')[0],
+    predictedLevel: roundWaterLevel(predictedLevels[i]),
+    intervals: intervals.map(level => {
+      const interval = intervalAt(level, i);
+      return { level, lower: roundWaterLevel(interval.lower), upper: roundWaterLevel(interval.upper) };
+    }),
+    unit: 'meters below ground level'
+  }));
+
+  const methodology = usedModel === 'linear'
+    ? `Linear regression based on ${validHistory.length}-point historical trend`
+    : `${FORECAST_MODELS[usedModel].label} fitted to ${series.values.length} months of history`;
+
+  const result = {
+    model: usedModel,
+    methodology,
     dataRange: {
       start: startDate.toISOString().split('T')[0],
       end: endDate.toISOString().split('T')[0]
     },
-    predictions
+    predictions,
+    intervalMethod
   };
+
+  if (model !== usedModel) result.requestedModel = model;
+  if (modelParams) result.modelParams = modelParams;
+  if (modelSelection) result.modelSelection = { criterion: 'rolling-origin MAE (m)', scores: modelSelection.scores };
+  if (modelNote) result.note = modelNote;
+  if (slopeOffset !== 0) result.slopeOffset = roundDeclineRate(slopeOffset);
+
+  return result;
 }
 
 export function calculateConfidence(history, rSquared, dataSpanYears) {
@@ -305,23 +430,23 @@ export function predictStressCategoryTransition(currentCategory, annualDeclineRa
 
 
 
-function getCurrentSeason(date) {
+function getCurrentSeason(date, seasons) {
   const month = date.getMonth() + 1;
   
-  if (SEASONS.PRE_MONSOON.months.includes(month)) {
-    return SEASONS.PRE_MONSOON;
-  } else if (SEASONS.POST_MONSOON.months.includes(month)) {
-    return SEASONS.POST_MONSOON;
-  } else {
-    return SEASONS.PRE_MONSOON;
+  // During the monsoon, the season that ended most recently is current
+  for (let back = 0; back < 12; back++) {
+    const m = ((month - 1 - back + 12) % 12) + 1;
+    if (seasons.PRE_MONSOON.months.includes(m)) return seasons.PRE_MONSOON;
+    if (seasons.POST_MONSOON.months.includes(m)) return seasons.POST_MONSOON;
   }
+  return seasons.PRE_MONSOON;
 }
 
-function getNextSeason(currentSeason) {
-  return currentSeason.name === 'pre-monsoon' ? SEASONS.POST_MONSOON : SEASONS.PRE_MONSOON;
+function getNextSeason(currentSeason, seasons) {
+  return currentSeason.name === 'pre-monsoon' ? seasons.POST_MONSOON : seasons.PRE_MONSOON;
 }
 
-function extractSeasonalData(history) {
+function extractSeasonalData(history, calendar) {
   const seasonalData = { preMonsoon: [], postMonsoon: [] };
   
   for (let i = 0; i < history.length; i++) {
@@ -333,14 +458,10 @@ function extractSeasonalData(history) {
     const date = new Date(record.date);
     if (!validateDate(date)) continue;
     
-    const month = date.getMonth() + 1;
-    const year = date.getFullYear();
-    
-    // Pre-monsoon: Jan-May, Post-monsoon: Oct-Dec (monsoon Jun-Sep excluded)
-    if (SEASON_MONTH_SETS.PRE_MONSOON.has(month)) {
-      seasonalData.preMonsoon.push({ year, waterLevel, date: record.date });
-    } else if (SEASON_MONTH_SETS.POST_MONSOON.has(month)) {
-      seasonalData.postMonsoon.push({ year, waterLevel, date: record.date });
+    // Months outside both seasons (the monsoon itself) are excluded; year is the monsoon year
+    const match = classifySeason(date.getFullYear(), date.getMonth() + 1, calendar);
+    if (match) {
+      seasonalData[match.season].push({ year: match.year, waterLevel, date: record.date });
     }
   }
   
@@ -377,19 +498,15 @@ function countCompleteCycles(seasonalData) {
   return completeCycles;
 }
 
+// Year in which a season next starts after the given year and month
+function nextSeasonStartYear(season, year, month) {
+  return season.months[0] > month ? year : year + 1;
+}
+
 function calculatePredictionDates(currentDate, currentSeason, nextSeason, followingSeason) {
-  const currentYear = currentDate.getFullYear();
-  
-  // Handle year rollover: post-monsoon (Oct-Dec) → pre-monsoon (Jan-May) crosses year boundary
-  let nextSeasonYear = currentYear;
-  if (currentSeason.name === 'post-monsoon' && nextSeason.name === 'pre-monsoon') {
-    nextSeasonYear = currentYear + 1;
-  }
-  
-  let followingSeasonYear = nextSeasonYear;
-  if (nextSeason.name === 'post-monsoon' && followingSeason.name === 'pre-monsoon') {
-    followingSeasonYear = nextSeasonYear + 1;
-  }
+  // Handle year rollover, e.g. post-monsoon (Oct-Dec) → pre-monsoon (Jan-May) crosses the year boundary
+  const nextSeasonYear = nextSeasonStartYear(nextSeason, currentDate.getFullYear(), currentDate.getMonth() + 1);
+  const followingSeasonYear = nextSeasonStartYear(followingSeason, nextSeasonYear, nextSeason.months[0]);
   
   return { nextSeasonYear, followingSeasonYear };
 }
@@ -487,9 +604,18 @@ function buildSeasonalResponse(params) {
   };
 }
 
-export function predictSeasonalLevels(history, currentDate, slope = 0) {
+/**
+ * Water level for the next two seasons from recent seasonal averages and the trend
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {Date} currentDate - Date predictions start from
+ * @param {number} [slope] - Trend in m/year
+ * @param {Object} [options] - { calendar } from getSeasonCalendar
+ * @returns {Object} Seasonal predictions
+ */
+export function predictSeasonalLevels(history, currentDate, slope = 0, { calendar = DEFAULT_SEASON_CALENDAR } = {}) {
   const { validHistory } = validateSeasonalInputs(history, currentDate, slope);
-  const seasonalData = extractSeasonalData(validHistory);
+  const seasons = seasonsFor(calendar);
+  const seasonalData = extractSeasonalData(validHistory, calendar);
   
   const completeCycles = countCompleteCycles(seasonalData);
   if (completeCycles < SEASONAL_PREDICTION.MIN_COMPLETE_CYCLES) {
@@ -503,9 +629,9 @@ export function predictSeasonalLevels(history, currentDate, slope = 0) {
     throw new Error(`Unable to calculate seasonal averages. Pre: ${preMonsoonAverage}, Post: ${postMonsoonAverage}`);
   }
   
-  const currentSeason = getCurrentSeason(currentDate);
-  const nextSeason = getNextSeason(currentSeason);
-  const followingSeason = getNextSeason(nextSeason);
+  const currentSeason = getCurrentSeason(currentDate, seasons);
+  const nextSeason = getNextSeason(currentSeason, seasons);
+  const followingSeason = getNextSeason(nextSeason, seasons);
   
   const { nextSeasonYear, followingSeasonYear } = calculatePredictionDates(
     currentDate, currentSeason, nextSeason, followingSeason
@@ -516,7 +642,10 @@ export function predictSeasonalLevels(history, currentDate, slope = 0) {
     nextSeasonYear, followingSeasonYear, currentDate, slope, validHistory
   });
   
-  return buildSeasonalResponse({
-    currentSeason, nextSeason, followingSeason, nextSeasonYear, followingSeasonYear, ...predictions
-  });
+  return {
+    ...buildSeasonalResponse({
+      currentSeason, nextSeason, followingSeason, nextSeasonYear, followingSeasonYear, ...predictions
+    }),
+    calendar: calendar.id
+  };
 }
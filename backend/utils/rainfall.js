@@ -0,0 +1,309 @@
+/**
+ * Rainfall Module
+ * Imports district monthly rainfall from IMD-style CSV files and relates monsoon
+ * rainfall to the seasonal water-level rise (rechargeAmount), so a poor recharge
+ * year can be told apart as a weak monsoon or as recharge lost to pumping.
+ *
+ * CSV layout (one row per district and year, header names case-insensitive):
+ *   STATE,DISTRICT,YEAR,JAN,FEB,MAR,APR,MAY,JUN,JUL,AUG,SEP,OCT,NOV,DEC[,ANNUAL,...]
+ * STATE_UT_NAME is accepted for STATE; blank or NA month cells are skipped.
+ */
+
+import Rainfall from '../models/Rainfall.js';
+import { ALL_DISTRICTS } from '../data/districts/index.js';
+import { isStoreAvailable } from './observationStore.js';
+import { pearsonCorrelation, linearRegression } from './statistics.js';
+import { DEFAULT_SEASON_CALENDAR } from './seasonCalendar.js';
+
+export const RAINFALL_CONFIG = {
+  MONSOON_MONTHS: DEFAULT_SEASON_CALENDAR.monsoonMonths, // South-west monsoon unless the district calendar says otherwise
+  MAX_LAG_YEARS: 1, // Deep or slow aquifers can respond to the previous monsoon
+  MIN_YEARS: 4, // Paired years needed before a correlation is reported
+  UNDERPERFORMANCE_SD: 1, // Residual below -1 SD of residuals flags a year
+  BULK_WRITE_BATCH: 500
+};
+
+// IMD seasonal rainfall categories by departure from the long-period average (%)
+const RAINFALL_CLASSES = [
+  { label: 'large deficient', max: -60 },
+  { label: 'deficient', max: -20 },
+  { label: 'normal', max: 19 },
+  { label: 'excess', max: Infinity }
+];
+
+const MONTH_COLUMNS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (ch === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+// Map IMD's upper-case names onto the district table's spelling
+function resolveDistrictName(state, district) {
+  const match = ALL_DISTRICTS.find(
+    (d) => d.state.toLowerCase() === state.toLowerCase() && d.name.toLowerCase() === district.toLowerCase()
+  );
+  return match ? { state: match.state, district: match.name } : null;
+}
+
+/**
+ * Parse an IMD-style district rainfall CSV
+ * @param {string} text - CSV content
+ * @returns {{records: Array<Object>, skipped: Array<{line: number, reason: string}>}} Monthly records and rejected lines
+ */
+export function parseRainfallCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== '');
+  if (lines.length === 0) throw new Error('CSV is empty');
+
+  const header = splitCsvLine(lines[0]).map((h) => h.toUpperCase());
+  const stateCol = header.findIndex((h) => h === 'STATE' || h === 'STATE_UT_NAME' || h === 'STATE/UT');
+  const districtCol = header.indexOf('DISTRICT');
+  const yearCol = header.indexOf('YEAR');
+  const monthCols = MONTH_COLUMNS.map((m) => header.indexOf(m));
+
+  const missing = [
+    stateCol === -1 && 'STATE',
+    districtCol === -1 && 'DISTRICT',
+    yearCol === -1 && 'YEAR',
+    ...MONTH_COLUMNS.filter((_, i) => monthCols[i] === -1),
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing column(s): ${missing.join(', ')}`);
+  }
+
+  const records = [];
+  const skipped = [];
+
+  lines.slice(1).forEach((line, i) => {
+    const lineNo = i + 2;
+    const fields = splitCsvLine(line);
+    const location = resolveDistrictName(fields[stateCol] || '', fields[districtCol] || '');
+    if (!location) {
+      skipped.push({ line: lineNo, reason: `Unknown district "${fields[districtCol]}, ${fields[stateCol]}"` });
+      return;
+    }
+    const year = parseInt(fields[yearCol], 10);
+    if (!Number.isInteger(year) || year < 1800 || year > 2100) {
+      skipped.push({ line: lineNo, reason: `Invalid year "${fields[yearCol]}"` });
+      return;
+    }
+
+    monthCols.forEach((col, m) => {
+      const raw = fields[col];
+      if (raw === undefined || raw === '' || raw.toUpperCase() === 'NA') return;
+      const rainfallMm = parseFloat(raw);
+      if (isNaN(rainfallMm) || rainfallMm < 0) {
+        skipped.push({ line: lineNo, reason: `Invalid ${MONTH_COLUMNS[m]} value "${raw}"` });
+        return;
+      }
+      records.push({ ...location, year, month: m + 1, rainfallMm });
+    });
+  });
+
+  return { records, skipped };
+}
+
+/**
+ * Parse a CSV and upsert its monthly records
+ * @param {string} text - CSV content
+ * @param {Object} [options] - { source }
+ * @returns {Promise<Object>} { records, districts, skipped }
+ */
+export async function importRainfallCsv(text, { source = 'IMD' } = {}) {
+  const { records, skipped } = parseRainfallCsv(text);
+
+  for (let i = 0; i < records.length; i += RAINFALL_CONFIG.BULK_WRITE_BATCH) {
+    const batch = records.slice(i, i + RAINFALL_CONFIG.BULK_WRITE_BATCH);
+    await Rainfall.bulkWrite(
+      batch.map((r) => ({
+        updateOne: {
+          filter: { state: r.state, district: r.district, year: r.year, month: r.month },
+          update: { $set: { rainfallMm: r.rainfallMm, source } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const districts = new Set(records.map((r) => `${r.district}, ${r.state}`));
+  console.log(`🌧️ Imported ${records.length} monthly rainfall records for ${districts.size} districts`);
+  return { records: records.length, districts: Array.from(districts).sort(), skipped };
+}
+
+/**
+ * Monsoon rainfall per year, only for years with every monsoon month reported
+ * @param {Array<Object>} records - [{ year, month, rainfallMm }]
+ * @param {Array<number>} [months] - Monsoon months
+ * @returns {Array<{year: number, rainfallMm: number}>} Sorted by year
+ */
+export function monsoonRainfallByYear(records, months = RAINFALL_CONFIG.MONSOON_MONTHS) {
+  const wanted = new Set(months);
+  const byYear = new Map();
+  for (const r of records) {
+    if (!wanted.has(r.month)) continue;
+    if (!byYear.has(r.year)) byYear.set(r.year, new Map());
+    byYear.get(r.year).set(r.month, r.rainfallMm);
+  }
+  return Array.from(byYear.entries())
+    .filter(([, byMonth]) => byMonth.size === wanted.size)
+    .map(([year, byMonth]) => ({
+      year,
+      rainfallMm: round(Array.from(byMonth.values()).reduce((a, b) => a + b, 0), 1),
+    }))
+    .sort((a, b) => a.year - b.year);
+}
+
+/**
+ * IMD rainfall class for a departure from the long-period average
+ * @param {number} departurePct - Departure in percent
+ * @returns {string} 'large deficient' | 'deficient' | 'normal' | 'excess'
+ */
+export function rainfallClass(departurePct) {
+  return RAINFALL_CLASSES.find((c) => departurePct <= c.max).label;
+}
+
+/**
+ * Relate monsoon rainfall to the seasonal water-level rise
+ * Recharge in year Y is paired with the monsoon of year Y - lag for each lag up to maxLag;
+ * the lag with the strongest positive correlation is used to flag years whose recharge
+ * fell well short of what their rainfall predicts
+ * @param {Array<Object>} rechargePattern - [{ year, rechargeAmount }] from computeRechargePattern
+ * @param {Array<Object>} rainfall - [{ year, rainfallMm }] from monsoonRainfallByYear
+ * @param {Object} [options] - { maxLag, monsoonMonths }
+ * @returns {Object} Rainfall context
+ */
+export function analyzeRainfallRecharge(rechargePattern, rainfall, {
+  maxLag = RAINFALL_CONFIG.MAX_LAG_YEARS,
+  monsoonMonths = RAINFALL_CONFIG.MONSOON_MONTHS,
+} = {}) {
+  const rainByYear = new Map(rainfall.map((r) => [r.year, r.rainfallMm]));
+  const longPeriodAverage = rainfall.length > 0
+    ? rainfall.reduce((sum, r) => sum + r.rainfallMm, 0) / rainfall.length
+    : null;
+
+  const lags = [];
+  for (let lag = 0; lag <= maxLag; lag++) {
+    const pairs = rechargePattern
+      .filter((r) => rainByYear.has(r.year - lag))
+      .map((r) => ({ year: r.year, rain: rainByYear.get(r.year - lag), recharge: parseFloat(r.rechargeAmount) }));
+    const r = pairs.length >= RAINFALL_CONFIG.MIN_YEARS
+      ? pearsonCorrelation(pairs.map((p) => p.rain), pairs.map((p) => p.recharge))
+      : null;
+    lags.push({ lagYears: lag, n: pairs.length, r: r !== null ? round(r, 3) : null, pairs });
+  }
+
+  const usable = lags.filter((l) => l.r !== null);
+  const best = usable.length > 0 ? usable.reduce((a, b) => (b.r > a.r ? b : a)) : null;
+
+  const base = {
+    monsoonMonths,
+    longPeriodAverageMm: longPeriodAverage !== null ? round(longPeriodAverage, 1) : null,
+    lags: lags.map(({ lagYears, n, r }) => ({ lagYears, n, r })),
+  };
+
+  if (!best) {
+    return {
+      ...base,
+      correlation: null,
+      years: [],
+      underperformingYears: [],
+      note: `Fewer than ${RAINFALL_CONFIG.MIN_YEARS} years with both monsoon rainfall and a pre/post-monsoon pair`,
+    };
+  }
+
+  const { slope, intercept } = linearRegression(best.pairs.map((p) => p.rain), best.pairs.map((p) => p.recharge));
+  const residuals = best.pairs.map((p) => p.recharge - (intercept + slope * p.rain));
+  const residualSd = Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / Math.max(residuals.length - 2, 1));
+
+  const years = best.pairs.map((p, i) => {
+    const departurePct = ((p.rain - longPeriodAverage) / longPeriodAverage) * 100;
+    const underperformed = residualSd > 0 && residuals[i] < -RAINFALL_CONFIG.UNDERPERFORMANCE_SD * residualSd;
+    return {
+      year: p.year,
+      monsoonYear: p.year - best.lagYears,
+      monsoonRainfallMm: p.rain,
+      departurePct: round(departurePct, 1),
+      rainfallClass: rainfallClass(departurePct),
+      rechargeM: round(p.recharge),
+      expectedRechargeM: round(intercept + slope * p.rain),
+      residualM: round(residuals[i]),
+      underperformed,
+    };
+  });
+
+  const underperformingYears = years
+    .filter((y) => y.underperformed)
+    .map((y) => ({
+      year: y.year,
+      rechargeM: y.rechargeM,
+      expectedRechargeM: y.expectedRechargeM,
+      rainfallClass: y.rainfallClass,
+      // Rainfall was not the limiting factor, so the shortfall points to abstraction
+      likelyCause: y.rainfallClass === 'normal' || y.rainfallClass === 'excess'
+        ? 'Recharge short of what normal rainfall should give; possible over-pumping'
+        : 'Weak monsoon, and recharge fell short even for that rainfall',
+    }));
+
+  return {
+    ...base,
+    correlation: {
+      lagYears: best.lagYears,
+      n: best.n,
+      r: best.r,
+      rSquared: round(best.r * best.r, 3),
+      // Metres of seasonal rise per 100 mm of monsoon rain
+      slopeMPer100Mm: round(slope * 100, 3),
+      intercept: round(intercept, 3),
+    },
+    years,
+    underperformingYears,
+    note: best.r < 0.3 ? 'Weak rainfall-recharge relationship; pumping or irrigation return flow may dominate the seasonal rise' : null,
+  };
+}
+
+/**
+ * Load a district's rainfall and relate it to a recharge pattern
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @param {Array<Object>} rechargePattern - From computeRechargePattern
+ * @param {Object} [options] - { calendar } from getSeasonCalendar; its monsoon months are totalled
+ * @returns {Promise<Object|null>} Rainfall context, or null without a store or imported rainfall
+ */
+export async function buildRainfallContext(state, district, rechargePattern, { calendar = DEFAULT_SEASON_CALENDAR } = {}) {
+  if (!isStoreAvailable()) return null;
+
+  const records = await Rainfall.find({ state, district }).select('year month rainfallMm source -_id').lean();
+  if (records.length === 0) return null;
+
+  const rainfall = monsoonRainfallByYear(records, calendar.monsoonMonths);
+  return {
+    source: records[0].source,
+    ...analyzeRainfallRecharge(rechargePattern, rainfall, { monsoonMonths: calendar.monsoonMonths }),
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Monthly Resampling
+ * Puts irregular WRIS readings (quarterly, sometimes monthly, with multi-year gaps)
+ * on a regular monthly grid. Readings in the same month are averaged; months without
+ * a reading are filled by the selected method:
+ *
+ *   linear      - straight line between the neighbouring observed months
+ *   climatology - the mean level of that calendar month, shifted by the anomaly
+ *                 interpolated between the neighbours, so a filled August keeps the
+ *                 monsoon rise that a straight line would cut through
+ *   none        - left empty
+ *
+ * Gaps longer than maxGapMonths are never filled. Every point says whether it was
+ * observed, imputed or is missing.
+ */
+
+export const GAP_FILL_METHODS = ['linear', 'climatology', 'none'];
+
+export const RESAMPLING_CONFIG = {
+  DEFAULT_METHOD: 'linear',
+  MAX_GAP_MONTHS: 6, // Longest run of empty months that is filled
+  MIN_CLIMATOLOGY_YEARS: 2 // Years a calendar month needs before its mean is trusted
+};
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function monthIndex(date) {
+  const d = new Date(date);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+function monthKey(index) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Mean level of each calendar month over the observed months
+ * @param {Map<number, number>} observed - Month index -> monthly mean level
+ * @param {number} minYears - Years a calendar month needs
+ * @returns {Map<number, number>} Calendar month (0-11) -> anomaly from the overall mean
+ */
+function monthlyClimatology(observed, minYears) {
+  const overall = mean(Array.from(observed.values()));
+  const byCalendarMonth = new Map();
+  for (const [idx, level] of observed) {
+    const m = idx % 12;
+    if (!byCalendarMonth.has(m)) byCalendarMonth.set(m, []);
+    byCalendarMonth.get(m).push(level);
+  }
+  const climatology = new Map();
+  for (const [m, levels] of byCalendarMonth) {
+    if (levels.length >= minYears) climatology.set(m, mean(levels) - overall);
+  }
+  return climatology;
+}
+
+/**
+ * Resample a history onto a regular monthly grid
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {Object} [options] - { method, maxGapMonths, minClimatologyYears }
+ * @returns {Object} { method, maxGapMonths, start, end, series: [{ month, date, waterLevel, status }], summary, note }
+ */
+export function resampleMonthly(history, {
+  method = RESAMPLING_CONFIG.DEFAULT_METHOD,
+  maxGapMonths = RESAMPLING_CONFIG.MAX_GAP_MONTHS,
+  minClimatologyYears = RESAMPLING_CONFIG.MIN_CLIMATOLOGY_YEARS,
+} = {}) {
+  if (!GAP_FILL_METHODS.includes(method)) {
+    throw new Error(`Unknown gap-fill method "${method}"; expected one of ${GAP_FILL_METHODS.join(', ')}`);
+  }
+
+  const readings = new Map();
+  for (const h of history) {
+    if (h.waterLevel === null || h.waterLevel === undefined || !isFinite(h.waterLevel)) continue;
+    const idx = monthIndex(h.date);
+    if (!readings.has(idx)) readings.set(idx, []);
+    readings.get(idx).push(h.waterLevel);
+  }
+
+  const empty = { observed: 0, imputed: 0, missing: 0, months: 0 };
+  if (readings.size === 0) {
+    return { method, maxGapMonths, start: null, end: null, series: [], summary: empty, note: 'No readings to resample' };
+  }
+
+  const observed = new Map(Array.from(readings, ([idx, levels]) => [idx, mean(levels)]));
+  const indices = Array.from(observed.keys()).sort((a, b) => a - b);
+  const first = indices[0];
+  const last = indices[indices.length - 1];
+
+  const climatology = method === 'climatology' ? monthlyClimatology(observed, minClimatologyYears) : null;
+  // Without a climatology for the month, fall back to a straight line (zero anomaly)
+  const seasonal = (idx) => (climatology?.get(idx % 12) ?? 0);
+
+  const series = [];
+  let prev = first;
+  let next = 0; // Position in indices of the next observed month
+  let climatologyFallbacks = 0;
+
+  for (let idx = first; idx <= last; idx++) {
+    const month = monthKey(idx);
+    const date = `${month}-15`;
+    if (observed.has(idx)) {
+      series.push({ month, date, waterLevel: round(observed.get(idx)), status: 'observed' });
+      prev = idx;
+      next++;
+      continue;
+    }
+
+    const nextIdx = indices[next];
+    const gap = nextIdx - prev - 1;
+    if (method === 'none' || gap > maxGapMonths) {
+      series.push({ month, date, waterLevel: null, status: 'missing' });
+      continue;
+    }
+
+    const fraction = (idx - prev) / (nextIdx - prev);
+    let level;
+    if (method === 'climatology') {
+      if (!climatology.has(idx % 12)) climatologyFallbacks++;
+      const fromAnomaly = observed.get(prev) - seasonal(prev);
+      const toAnomaly = observed.get(nextIdx) - seasonal(nextIdx);
+      level = seasonal(idx) + fromAnomaly + (toAnomaly - fromAnomaly) * fraction;
+    } else {
+      level = observed.get(prev) + (observed.get(nextIdx) - observed.get(prev)) * fraction;
+    }
+    series.push({ month, date, waterLevel: round(level), status: 'imputed' });
+  }
+
+  const count = (status) => series.filter((p) => p.status === status).length;
+  const notes = [];
+  if (count('missing') > 0 && method !== 'none') {
+    notes.push(`Gaps longer than ${maxGapMonths} months are left empty`);
+  }
+  if (climatologyFallbacks > 0) {
+    notes.push(`${climatologyFallbacks} month(s) had no climatology (fewer than ${minClimatologyYears} years) and were filled linearly`);
+  }
+
+  return {
+    method,
+    maxGapMonths,
+    start: monthKey(first),
+    end: monthKey(last),
+    series,
+    summary: {
+      observed: count('observed'),
+      imputed: count('imputed'),
+      missing: count('missing'),
+      months: series.length,
+    },
+    note: notes.length > 0 ? notes.join('; ') : null,
+  };
+}
+
+/**
+ * Observed and imputed points of a resampled series as a history for the forecasters
+ * @param {Object} resampled - From resampleMonthly
+ * @returns {Array<Object>} [{ date, waterLevel, imputed }]
+ */
+export function resampledHistory(resampled) {
+  return resampled.series
+    .filter((p) => p.status !== 'missing')
+    .map((p) => ({ date: p.date, waterLevel: p.waterLevel, imputed: p.status === 'imputed' }));
+}
@@ -0,0 +1,205 @@
+/**
+ * Scenario Simulation
+ * What-if runs of the trend and seasonal models for pumping and recharge interventions.
+ * An intervention is translated into a change of the water-level trend (m/year of depth):
+ *
+ *   extractionChangePct  - draft converted to head (draft / (Sy × A)) when the district has
+ *                          extraction inputs, otherwise the mean dry-season fall, scaled by the change
+ *   rechargeChangePct    - mean monsoon rise scaled by the change
+ *   additionalRechargeM  - extra rise per year (e.g. a check dam), taken off the trend directly
+ *
+ * Positive slopes are a deepening water table, so interventions that help reduce the slope.
+ */
+
+import {
+  computeFutureWaterLevels,
+  predictSeasonalLevels,
+  predictStressCategoryTransition
+} from './predictions.js';
+import { linearRegression } from './statistics.js';
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+export const SCENARIO_INTERVENTIONS = ['extractionChangePct', 'rechargeChangePct', 'additionalRechargeM'];
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Mean fall from one post-monsoon season to the next pre-monsoon season
+ * With little natural discharge this is the drawdown from pumping between monsoons
+ * @param {Array<Object>} rechargePattern - From computeRechargePattern
+ * @returns {number|null} Metres, or null without consecutive years
+ */
+export function meanDrySeasonFall(rechargePattern) {
+  const byYear = new Map(rechargePattern.map((r) => [r.year, r]));
+  const falls = rechargePattern
+    .filter((r) => byYear.has(r.year + 1))
+    .map((r) => parseFloat(byYear.get(r.year + 1).preMonsoonDepth) - parseFloat(r.postMonsoonDepth))
+    .filter((fall) => fall > 0);
+  return falls.length > 0 ? falls.reduce((a, b) => a + b, 0) / falls.length : null;
+}
+
+/**
+ * Change in trend (m/year) implied by a set of interventions
+ * @param {Object} interventions - { extractionChangePct, rechargeChangePct, additionalRechargeM }
+ * @param {Object} context - { rechargePattern, extractionInputs }
+ * @returns {{slopeChange: number, components: Array<Object>, notes: Array<string>}} Total change and its parts
+ */
+export function interventionSlopeChange(interventions, { rechargePattern = [], extractionInputs = null } = {}) {
+  const components = [];
+  const notes = [];
+
+  const extractionPct = Number(interventions.extractionChangePct || 0);
+  if (extractionPct !== 0) {
+    if (extractionInputs) {
+      const draftHead = extractionInputs.annualDraftHam / (extractionInputs.specificYield * extractionInputs.rechargeAreaHa);
+      components.push({
+        intervention: 'extractionChangePct',
+        value: extractionPct,
+        slopeChange: round((extractionPct / 100) * draftHead),
+        basis: `District draft of ${extractionInputs.annualDraftHam} ham is ${round(draftHead, 2)} m/year of head`,
+      });
+    } else {
+      const fall = meanDrySeasonFall(rechargePattern);
+      if (fall !== null) {
+        components.push({
+          intervention: 'extractionChangePct',
+          value: extractionPct,
+          slopeChange: round((extractionPct / 100) * fall),
+          basis: `Mean dry-season fall of ${round(fall, 2)} m taken as pumping drawdown`,
+        });
+      } else {
+        notes.push('No extraction inputs or consecutive pre/post-monsoon years; extraction change not applied');
+      }
+    }
+  }
+
+  const rechargePct = Number(interventions.rechargeChangePct || 0);
+  if (rechargePct !== 0) {
+    const rises = rechargePattern.map((r) => Math.max(parseFloat(r.rechargeAmount), 0));
+    const meanRise = rises.length > 0 ? rises.reduce((a, b) => a + b, 0) / rises.length : 0;
+    if (meanRise > 0) {
+      components.push({
+        intervention: 'rechargeChangePct',
+        value: rechargePct,
+        slopeChange: round(-(rechargePct / 100) * meanRise),
+        basis: `Mean monsoon rise of ${round(meanRise, 2)} m`,
+      });
+    } else {
+      notes.push('No monsoon rise in the pre/post-monsoon pairs; recharge change not applied');
+    }
+  }
+
+  const additional = Number(interventions.additionalRechargeM || 0);
+  if (additional !== 0) {
+    components.push({
+      intervention: 'additionalRechargeM',
+      value: additional,
+      slopeChange: round(-additional),
+      basis: 'Added directly to the annual rise',
+    });
+  }
+
+  return {
+    slopeChange: round(components.reduce((sum, c) => sum + c.slopeChange, 0)),
+    components,
+    notes,
+  };
+}
+
+// Seasonal predictor and stress transition can each fail on short records without sinking the run
+function attempt(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Run baseline and scenario forecasts for a history
+ * @param {Array<Object>} history - [{ date, waterLevel }] sorted by date
+ * @param {Object} options - { date, interventions, category, currentWaterLevel, rechargePattern, extractionInputs, calendar, model, intervals }
+ * @returns {Object} { baseline, scenario, effect, interventions: { components, notes } }
+ */
+export function runScenario(history, {
+  date,
+  interventions,
+  category = null,
+  currentWaterLevel = null,
+  rechargePattern = [],
+  extractionInputs = null,
+  calendar,
+  model = 'linear',
+  intervals,
+}) {
+  if (history.length < 3) {
+    throw new Error('Need at least 3 readings to run a scenario');
+  }
+
+  const baseDate = new Date(date);
+  const firstDate = new Date(history[0].date).getTime();
+  const x = history.map((h) => (new Date(h.date).getTime() - firstDate) / YEAR_MS);
+  const { slope, intercept } = linearRegression(x, history.map((h) => h.waterLevel));
+  // Trend level at the scenario start date
+  const levelAtDate = intercept + slope * ((baseDate.getTime() - firstDate) / YEAR_MS);
+  const startLevel = currentWaterLevel ?? levelAtDate;
+
+  const change = interventionSlopeChange(interventions, { rechargePattern, extractionInputs });
+  const scenarioSlope = slope + change.slopeChange;
+
+  const run = (trendSlope, slopeOffset) => ({
+    slope: round(trendSlope),
+    futureWaterLevels: computeFutureWaterLevels(history, slope, levelAtDate, baseDate, {
+      model,
+      slopeOffset,
+      ...(intervals ? { intervals } : {}),
+    }),
+    seasonalLevels: attempt(() => predictSeasonalLevels(history, baseDate, trendSlope, calendar ? { calendar } : {})),
+    stressCategoryTransition: category
+      ? attempt(() => predictStressCategoryTransition(category, trendSlope, startLevel))
+      : { error: 'No stress category for this record' },
+  });
+
+  const baseline = run(slope, 0);
+  const scenario = run(scenarioSlope, change.slopeChange);
+
+  const levelDifference = baseline.futureWaterLevels.predictions.map((b, i) => {
+    const s = scenario.futureWaterLevels.predictions[i];
+    return {
+      year: b.year,
+      date: b.date,
+      baseline: b.predictedLevel,
+      scenario: s.predictedLevel,
+      // Negative: the water table ends up shallower than without the intervention
+      difference: round(s.predictedLevel - b.predictedLevel, 2),
+    };
+  });
+
+  const yearsUntil = (result) => result.predictions?.yearsUntilTransition ?? null;
+  const message = (result) => {
+    const p = result.predictions;
+    if (!p) return result.error ?? null;
+    return p.message ?? `${p.nextCategory} in about ${p.yearsUntilTransition} years`;
+  };
+
+  return {
+    baseline,
+    scenario,
+    effect: {
+      slopeChange: change.slopeChange,
+      trendReversed: slope > 0 && scenarioSlope <= 0,
+      levelDifference,
+      stressTransition: {
+        baselineYears: yearsUntil(baseline.stressCategoryTransition),
+        scenarioYears: yearsUntil(scenario.stressCategoryTransition),
+        baselineMessage: message(baseline.stressCategoryTransition),
+        scenarioMessage: message(scenario.stressCategoryTransition),
+      },
+    },
+    interventions: { requested: interventions, components: change.components, notes: change.notes },
+  };
+}
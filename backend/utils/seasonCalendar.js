@@ -0,0 +1,74 @@
+/**
+ * Season Calendars
+ * Pre- and post-monsoon months per region. Most of India is recharged by the
+ * south-west monsoon (June-September); Tamil Nadu and south coastal Andhra get
+ * most of their rain from the north-east monsoon (October-December), so their
+ * seasons sit later and the post-monsoon reading falls in the next calendar year.
+ *
+ * Calendars and their assignment to states and districts live in
+ * data/season-calendars.json; a district entry overrides its state.
+ * Readings are grouped by monsoon year: the year of the pre-monsoon season.
+ */
+
+import seasonCalendars from '../data/season-calendars.json' with { type: 'json' };
+
+function buildCalendar(id, appliedBy) {
+  const calendar = seasonCalendars.calendars[id];
+  return {
+    id,
+    label: calendar.label,
+    appliedBy,
+    monsoonMonths: calendar.monsoonMonths,
+    preMonsoon: { months: calendar.preMonsoon.months, displayPeriod: calendar.preMonsoon.displayPeriod },
+    postMonsoon: {
+      months: calendar.postMonsoon.months,
+      displayPeriod: calendar.postMonsoon.displayPeriod,
+      followingYear: Boolean(calendar.postMonsoon.followingYear),
+    },
+  };
+}
+
+export const DEFAULT_SEASON_CALENDAR = buildCalendar(seasonCalendars.default, 'default');
+
+/**
+ * Season calendar for a district
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @returns {Object} { id, label, appliedBy: 'district'|'state'|'default', monsoonMonths, preMonsoon, postMonsoon }
+ */
+export function getSeasonCalendar(state, district) {
+  const s = (state || '').toLowerCase();
+  const d = (district || '').toLowerCase();
+
+  const districtEntry = seasonCalendars.districts.find(
+    (e) => e.state.toLowerCase() === s && e.district.toLowerCase() === d
+  );
+  if (districtEntry && seasonCalendars.calendars[districtEntry.calendar]) {
+    return buildCalendar(districtEntry.calendar, 'district');
+  }
+
+  const stateKey = Object.keys(seasonCalendars.states).find((name) => name.toLowerCase() === s);
+  const stateCalendar = stateKey && seasonCalendars.states[stateKey];
+  if (stateCalendar && seasonCalendars.calendars[stateCalendar]) {
+    return buildCalendar(stateCalendar, 'state');
+  }
+
+  return DEFAULT_SEASON_CALENDAR;
+}
+
+/**
+ * Season and monsoon year of a reading
+ * @param {number} year - Calendar year of the reading
+ * @param {number} month - Calendar month (1-12)
+ * @param {Object} [calendar] - From getSeasonCalendar
+ * @returns {{season: 'preMonsoon'|'postMonsoon', year: number}|null} Null for monsoon months
+ */
+export function classifySeason(year, month, calendar = DEFAULT_SEASON_CALENDAR) {
+  if (calendar.preMonsoon.months.includes(month)) {
+    return { season: 'preMonsoon', year };
+  }
+  if (calendar.postMonsoon.months.includes(month)) {
+    return { season: 'postMonsoon', year: calendar.postMonsoon.followingYear ? year - 1 : year };
+  }
+  return null;
+}
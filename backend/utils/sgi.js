@@ -0,0 +1,246 @@
+/**
+ * Standardized Groundwater Level Index (SGI)
+ * Bloomfield & Marchant (2013): each calendar month's levels are normal-scores
+ * transformed across years, so a well's month is compared only with the same month
+ * in other years and wells of very different depths share one scale.
+ *
+ * Levels here are depth below ground, so depth is negated before ranking:
+ * positive SGI is a higher water table than usual, negative SGI a drought.
+ *
+ * Droughts follow run theory on the SGI series: an event starts when SGI falls below
+ * the threshold and lasts while it stays there; severity is the summed SGI deficit.
+ */
+
+import { normalQuantile } from './statistics.js';
+
+export const SGI_CONFIG = {
+  MIN_YEARS_PER_MONTH: 5, // Years a calendar month needs before it can be standardized
+  DROUGHT_THRESHOLD: -1, // SGI below this is a drought month
+  MAX_GAP_MONTHS: 4 // Readings further apart break a drought run (quarterly monitoring is ~3 months)
+};
+
+// McKee et al. (1993) classes, as used for SPI and SGI; each class runs up to (not including) max
+export const SGI_CLASSES = [
+  { label: 'extreme drought', max: -2 },
+  { label: 'severe drought', max: -1.5 },
+  { label: 'moderate drought', max: -1 },
+  { label: 'near normal', max: 1 },
+  { label: 'moderately wet', max: 1.5 },
+  { label: 'very wet', max: 2 },
+  { label: 'extremely wet', max: Infinity }
+];
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function monthIndex(year, month) {
+  return year * 12 + (month - 1);
+}
+
+function monthKey(index) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Severity class of an SGI value
+ * @param {number} sgi - Index value
+ * @returns {string} Class label
+ */
+export function sgiClass(sgi) {
+  return SGI_CLASSES.find((c) => sgi < c.max).label;
+}
+
+/**
+ * Monthly SGI for a history
+ * Readings are averaged per month; months are not gap-filled, so only observed months get an index
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {Object} [options] - { minYears }
+ * @returns {{series: Array<Object>, unstandardizedMonths: Array<number>}} Series sorted by month
+ */
+export function computeSgi(history, { minYears = SGI_CONFIG.MIN_YEARS_PER_MONTH } = {}) {
+  const byMonth = new Map();
+  for (const h of history) {
+    const d = new Date(h.date);
+    const idx = monthIndex(d.getUTCFullYear(), d.getUTCMonth() + 1);
+    if (!byMonth.has(idx)) byMonth.set(idx, []);
+    byMonth.get(idx).push(h.waterLevel);
+  }
+
+  // Group monthly means by calendar month
+  const byCalendarMonth = new Map();
+  for (const [idx, levels] of byMonth) {
+    const depth = levels.reduce((a, b) => a + b, 0) / levels.length;
+    const calendarMonth = (idx % 12) + 1;
+    if (!byCalendarMonth.has(calendarMonth)) byCalendarMonth.set(calendarMonth, []);
+    byCalendarMonth.get(calendarMonth).push({ idx, depth });
+  }
+
+  const series = [];
+  const unstandardizedMonths = [];
+  for (const [calendarMonth, values] of byCalendarMonth) {
+    const n = values.length;
+    if (n < minYears) {
+      unstandardizedMonths.push(calendarMonth);
+      continue;
+    }
+
+    // Rank by water-table height (shallowest depth ranks highest); ties share their mean rank
+    const sorted = [...values].sort((a, b) => b.depth - a.depth);
+    let i = 0;
+    while (i < n) {
+      let j = i;
+      while (j + 1 < n && sorted[j + 1].depth === sorted[i].depth) j++;
+      const rank = (i + j) / 2 + 1;
+      // Gringorten plotting position keeps p inside (0, 1)
+      const p = (rank - 0.44) / (n + 0.12);
+      const sgi = normalQuantile(p);
+      for (let k = i; k <= j; k++) {
+        series.push({
+          month: monthKey(sorted[k].idx),
+          depth: round(sorted[k].depth, 2),
+          sgi: round(sgi, 3),
+          class: sgiClass(sgi),
+        });
+      }
+      i = j + 1;
+    }
+  }
+
+  series.sort((a, b) => a.month.localeCompare(b.month));
+  return { series, unstandardizedMonths: unstandardizedMonths.sort((a, b) => a - b) };
+}
+
+/**
+ * Drought events in an SGI series
+ * @param {Array<Object>} series - From computeSgi
+ * @param {Object} [options] - { threshold, maxGapMonths }
+ * @returns {Array<Object>} [{ onset, end, durationMonths, readings, severity, intensity, peakSgi, peakClass, ongoing }]
+ */
+export function detectDroughtEvents(series, {
+  threshold = SGI_CONFIG.DROUGHT_THRESHOLD,
+  maxGapMonths = SGI_CONFIG.MAX_GAP_MONTHS,
+} = {}) {
+  const toIndex = (key) => {
+    const [y, m] = key.split('-').map(Number);
+    return monthIndex(y, m);
+  };
+
+  const events = [];
+  let run = null;
+  let prevIdx = null;
+
+  const close = () => {
+    if (!run) return;
+    const severity = run.points.reduce((sum, p) => sum + (threshold - p.sgi), 0);
+    const peak = run.points.reduce((a, b) => (b.sgi < a.sgi ? b : a));
+    events.push({
+      onset: run.points[0].month,
+      end: run.points[run.points.length - 1].month,
+      durationMonths: toIndex(run.points[run.points.length - 1].month) - toIndex(run.points[0].month) + 1,
+      readings: run.points.length,
+      severity: round(severity),
+      intensity: round(severity / run.points.length),
+      peakSgi: peak.sgi,
+      peakClass: peak.class,
+      ongoing: false,
+    });
+    run = null;
+  };
+
+  for (const point of series) {
+    const idx = toIndex(point.month);
+    if (run && prevIdx !== null && idx - prevIdx > maxGapMonths) close();
+    if (point.sgi < threshold) {
+      if (!run) run = { points: [] };
+      run.points.push(point);
+    } else {
+      close();
+    }
+    prevIdx = idx;
+  }
+
+  const openAtEnd = run !== null;
+  close();
+  if (openAtEnd) events[events.length - 1].ongoing = true;
+  return events;
+}
+
+// Latest point, drought share and longest and worst events of an SGI series
+function summarize(series, events, threshold) {
+  const latest = series.length > 0 ? series[series.length - 1] : null;
+  const droughtReadings = series.filter((p) => p.sgi < threshold).length;
+  const longest = events.length > 0 ? events.reduce((a, b) => (b.durationMonths > a.durationMonths ? b : a)) : null;
+  const worst = events.length > 0 ? events.reduce((a, b) => (b.severity > a.severity ? b : a)) : null;
+
+  return {
+    latest,
+    inDrought: latest ? latest.sgi < threshold : null,
+    readings: series.length,
+    droughtShare: series.length > 0 ? round(droughtReadings / series.length, 3) : null,
+    eventCount: events.length,
+    longestEvent: longest,
+    worstEvent: worst,
+  };
+}
+
+/**
+ * SGI series, drought events and a summary for one history
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {Object} [options] - { minYears, threshold, maxGapMonths }
+ * @returns {Object} { method, threshold, series, events, summary, note }
+ */
+export function analyzeSgi(history, options = {}) {
+  const threshold = options.threshold ?? SGI_CONFIG.DROUGHT_THRESHOLD;
+  const { series, unstandardizedMonths } = computeSgi(history, options);
+  const events = detectDroughtEvents(series, { ...options, threshold });
+
+  return {
+    method: 'Normal-scores transform of monthly levels per calendar month (Bloomfield & Marchant 2013)',
+    threshold,
+    series,
+    events,
+    summary: summarize(series, events, threshold),
+    note: series.length === 0
+      ? `No calendar month has ${options.minYears ?? SGI_CONFIG.MIN_YEARS_PER_MONTH} years of readings; SGI cannot be computed`
+      : unstandardizedMonths.length > 0
+        ? `Months ${unstandardizedMonths.join(', ')} have too few years to standardize and are left out`
+        : null,
+  };
+}
+
+/**
+ * Area SGI from the SGI series of its stations
+ * Each station is standardized against its own record, so wells of different depths
+ * and aquifers share one scale before they are combined; the index for a month is the
+ * mean SGI of the stations standardized in that month
+ * @param {Array<Array<Object>>} stationSeries - SGI series (from computeSgi), one per station
+ * @param {Object} [options] - { threshold, maxGapMonths }
+ * @returns {Object} { method, threshold, series, events, summary, note }
+ */
+export function averageSgi(stationSeries, options = {}) {
+  const threshold = options.threshold ?? SGI_CONFIG.DROUGHT_THRESHOLD;
+  const byMonth = new Map();
+  for (const series of stationSeries) {
+    for (const point of series) {
+      if (!byMonth.has(point.month)) byMonth.set(point.month, []);
+      byMonth.get(point.month).push(point.sgi);
+    }
+  }
+
+  const series = Array.from(byMonth, ([month, values]) => {
+    const sgi = values.reduce((a, b) => a + b, 0) / values.length;
+    return { month, sgi: round(sgi, 3), class: sgiClass(sgi), stations: values.length };
+  }).sort((a, b) => a.month.localeCompare(b.month));
+  const events = detectDroughtEvents(series, { ...options, threshold });
+
+  return {
+    method: 'Mean of station SGI per month; each station normal-scores transformed per calendar month (Bloomfield & Marchant 2013)',
+    threshold,
+    series,
+    events,
+    summary: summarize(series, events, threshold),
+    note: series.length === 0 ? 'No station has enough years of readings to standardize; SGI cannot be computed' : null,
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * Spatial Index
+ * Grid index of points for nearest-neighbour, radius and bounding-box queries, and
+ * the shared indexes of district centroids and monitoring stations built from it.
+ *
+ * Points are bucketed into CELL_DEG x CELL_DEG cells. A k-nearest query searches
+ * rings of cells outward from the query cell and stops once the k-th hit is closer
+ * than anything in the unsearched cells could be; radius and bbox queries visit only
+ * the cells the shape covers. Distances are great-circle (haversine) km throughout.
+ *
+ * The district index is built from the district JSON files at startup. The station
+ * index fills from the observation store at startup and from every district load;
+ * station selection and the station map layer query it.
+ */
+
+import { ALL_DISTRICTS } from '../data/districts/index.js';
+import { haversine } from './geo.js';
+import { isStoreAvailable, loadStationMetadata } from './observationStore.js';
+
+export const SPATIAL_INDEX_CONFIG = {
+  CELL_DEG: 0.25
+};
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEG = (EARTH_RADIUS_KM * Math.PI) / 180;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Create an empty spatial index
+ * @param {Object} [options] - { cellDeg, id: item => unique key }
+ * @returns {Object} { size, insert, remove, get, nearest, withinRadius, withinBbox, clear }
+ */
+export function createSpatialIndex({ cellDeg = SPATIAL_INDEX_CONFIG.CELL_DEG, id = (item) => item.id } = {}) {
+  const cells = new Map();
+  const entries = new Map();
+  // Occupied cell range, so searches never walk empty ocean
+  let bounds = null;
+
+  const cellOf = (value) => Math.floor(value / cellDeg);
+  const cellKey = (x, y) => `${x}:${y}`;
+
+  function visit(x, y, callback) {
+    const cell = cells.get(cellKey(x, y));
+    if (cell) cell.forEach(callback);
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    const cell = cells.get(entry.cell);
+    cell.delete(key);
+    if (cell.size === 0) cells.delete(entry.cell);
+    entries.delete(key);
+    return true;
+  }
+
+  function insert(item, lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+    const key = id(item);
+    remove(key);
+    const x = cellOf(lon);
+    const y = cellOf(lat);
+    const entry = { item, lat, lon, cell: cellKey(x, y) };
+    if (!cells.has(entry.cell)) cells.set(entry.cell, new Map());
+    cells.get(entry.cell).set(key, entry);
+    entries.set(key, entry);
+    bounds = bounds
+      ? { minX: Math.min(bounds.minX, x), maxX: Math.max(bounds.maxX, x), minY: Math.min(bounds.minY, y), maxY: Math.max(bounds.maxY, y) }
+      : { minX: x, maxX: x, minY: y, maxY: y };
+    return true;
+  }
+
+  // Lower bound on the distance from the point to any cell outside the searched square
+  function clearanceKm(lat, lon, cx, cy, r) {
+    const south = (cy - r) * cellDeg;
+    const north = (cy + r + 1) * cellDeg;
+    const west = (cx - r) * cellDeg;
+    const east = (cx + r + 1) * cellDeg;
+    const latKm = Math.min(lat - south, north - lat) * KM_PER_DEG;
+    const dLon = Math.min(lon - west, east - lon);
+    if (dLon >= 90) return latKm;
+    // Distance to a meridian dLon away, at the latitude in the square farthest from the equator
+    const maxLat = Math.min(90, Math.max(Math.abs(south), Math.abs(north)));
+    const lonKm = EARTH_RADIUS_KM * Math.asin(Math.cos(toRad(maxLat)) * Math.sin(toRad(dLon)));
+    return Math.min(latKm, lonKm);
+  }
+
+  /**
+   * k nearest items
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} [k] - Number of items
+   * @param {Object} [options] - { filter: item => boolean, maxDistanceKm }
+   * @returns {Array<{item: Object, distance: number}>} Nearest first
+   */
+  function nearest(lat, lon, k = 1, { filter = null, maxDistanceKm = Infinity } = {}) {
+    if (!bounds || k <= 0) return [];
+    const cx = cellOf(lon);
+    const cy = cellOf(lat);
+    const maxRing = Math.max(cx - bounds.minX, bounds.maxX - cx, cy - bounds.minY, bounds.maxY - cy);
+    const found = [];
+    const consider = (entry) => {
+      if (filter && !filter(entry.item)) return;
+      const distance = haversine(lat, lon, entry.lat, entry.lon);
+      if (distance <= maxDistanceKm) found.push({ item: entry.item, distance });
+    };
+
+    for (let r = 0; r <= maxRing; r++) {
+      if (r === 0) {
+        visit(cx, cy, consider);
+      } else {
+        for (let x = Math.max(cx - r, bounds.minX); x <= Math.min(cx + r, bounds.maxX); x++) {
+          visit(x, cy - r, consider);
+          visit(x, cy + r, consider);
+        }
+        for (let y = Math.max(cy - r + 1, bounds.minY); y <= Math.min(cy + r - 1, bounds.maxY); y++) {
+          visit(cx - r, y, consider);
+          visit(cx + r, y, consider);
+        }
+      }
+      found.sort((a, b) => a.distance - b.distance);
+      const reach = clearanceKm(lat, lon, cx, cy, r);
+      if ((found.length >= k && found[k - 1].distance <= reach) || reach > maxDistanceKm) break;
+    }
+    return found.slice(0, k);
+  }
+
+  /**
+   * Items within a great-circle radius
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} radiusKm - Radius in km
+   * @param {Object} [options] - { filter: item => boolean }
+   * @returns {Array<{item: Object, distance: number}>} Nearest first
+   */
+  function withinRadius(lat, lon, radiusKm, { filter = null } = {}) {
+    if (!bounds) return [];
+    const dLat = radiusKm / KM_PER_DEG;
+    // Widest longitude span of the circle; near the poles it covers every longitude
+    const sinRatio = Math.sin(radiusKm / EARTH_RADIUS_KM) / Math.cos(toRad(lat));
+    const dLon = Math.abs(lat) + dLat >= 90 || sinRatio >= 1 ? 180 : Math.asin(sinRatio) * (180 / Math.PI);
+
+    const found = [];
+    for (let x = Math.max(cellOf(lon - dLon), bounds.minX); x <= Math.min(cellOf(lon + dLon), bounds.maxX); x++) {
+      for (let y = Math.max(cellOf(lat - dLat), bounds.minY); y <= Math.min(cellOf(lat + dLat), bounds.maxY); y++) {
+        visit(x, y, (entry) => {
+          if (filter && !filter(entry.item)) return;
+          const distance = haversine(lat, lon, entry.lat, entry.lon);
+          if (distance <= radiusKm) found.push({ item: entry.item, distance });
+        });
+      }
+    }
+    return found.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Items inside a bounding box (edges included)
+   * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+   * @returns {Array<Object>} Items
+   */
+  function withinBbox([minLon, minLat, maxLon, maxLat]) {
+    if (!bounds) return [];
+    const found = [];
+    for (let x = Math.max(cellOf(minLon), bounds.minX); x <= Math.min(cellOf(maxLon), bounds.maxX); x++) {
+      for (let y = Math.max(cellOf(minLat), bounds.minY); y <= Math.min(cellOf(maxLat), bounds.maxY); y++) {
+        visit(x, y, (entry) => {
+          if (entry.lon >= minLon && entry.lon <= maxLon && entry.lat >= minLat && entry.lat <= maxLat) {
+            found.push(entry.item);
+          }
+        });
+      }
+    }
+    return found;
+  }
+
+  return {
+    get size() {
+      return entries.size;
+    },
+    insert,
+    remove,
+    get: (key) => entries.get(key)?.item ?? null,
+    nearest,
+    withinRadius,
+    withinBbox,
+    clear() {
+      cells.clear();
+      entries.clear();
+      bounds = null;
+    },
+  };
+}
+
+// District centroids from data/districts
+export const districtIndex = createSpatialIndex({ id: (d) => `${d.state}|${d.name}` });
+for (const district of ALL_DISTRICTS) {
+  districtIndex.insert(district, district.lat, district.lon);
+}
+
+// Station metadata, without history
+export const stationIndex = createSpatialIndex({ id: (s) => s.stationCode });
+
+/**
+ * Add stations to the shared station index
+ * @param {Iterable<Object>} stations - Stations with stationCode, latitude and longitude
+ * @param {Object} [location] - { state, district } for stations that do not carry them
+ * @returns {number} Stations indexed
+ */
+export function indexStations(stations, { state = null, district = null } = {}) {
+  let indexed = 0;
+  for (const station of stations) {
+    const metadata = {
+      stationCode: station.stationCode,
+      name: station.name,
+      state: station.state ?? state,
+      district: station.district ?? district,
+      latitude: station.latitude,
+      longitude: station.longitude,
+      wellType: station.wellType,
+      wellDepth: station.wellDepth,
+      wellAquiferType: station.wellAquiferType,
+    };
+    if (stationIndex.insert(metadata, station.latitude, station.longitude)) indexed++;
+  }
+  return indexed;
+}
+
+/**
+ * Stations of a set nearest to a point, through the shared station index
+ * Stations missing from the index, or indexed at other coordinates, are indexed first
+ * @param {Iterable<Object>} stations - Stations with stationCode, latitude and longitude
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} [options] - { k, filter: station => boolean }
+ * @returns {Array<Object>} Stations from the set, nearest first
+ */
+export function nearestOfStations(stations, lat, lon, { k = 1, filter = null } = {}) {
+  const byCode = new Map();
+  for (const station of stations) {
+    const indexed = stationIndex.get(station.stationCode);
+    if (!indexed || indexed.latitude !== station.latitude || indexed.longitude !== station.longitude) {
+      indexStations([station], { state: indexed?.state ?? null, district: indexed?.district ?? null });
+    }
+    byCode.set(station.stationCode, station);
+  }
+
+  const inSet = (item) => {
+    const station = byCode.get(item.stationCode);
+    return station !== undefined && (!filter || filter(station));
+  };
+  return stationIndex.nearest(lat, lon, k, { filter: inSet }).map(({ item }) => byCode.get(item.stationCode));
+}
+
+/**
+ * Index every station in the observation store
+ * @returns {Promise<number>} Stations indexed (0 without the store)
+ */
+export async function indexStoredStations() {
+  if (!isStoreAvailable()) return 0;
+  const indexed = indexStations(await loadStationMetadata());
+  console.log(`📌 Station index: ${indexed} stored stations`);
+  return indexed;
+}
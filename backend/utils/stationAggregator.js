@@ -0,0 +1,78 @@
+/**
+ * Station Aggregator
+ * Builds the per-station history map from raw groundwater rows incrementally,
+ * so rows can be consumed page by page as they arrive from the data source.
+ */
+
+import { haversine } from './geo.js';
+import { normalizeRecord } from './dataSources/index.js';
+
+/**
+ * Create an empty station map for a query point
+ * @param {Object} params - { latitude, longitude } used for station distances
+ * @returns {Object} Aggregator with addRows(rows), finish() and running counters
+ */
+export function createStationAggregator({ latitude, longitude }) {
+  const stations = new Map();
+  const skippedRecords = { invalidRow: 0, invalidWaterLevel: 0, invalidCoords: 0, invalidDate: 0 };
+  let rawRecords = 0;
+  let validRecords = 0;
+
+  return {
+    stations,
+    skippedRecords,
+    get rawRecords() {
+      return rawRecords;
+    },
+    get validRecords() {
+      return validRecords;
+    },
+
+    /**
+     * Fold a batch of raw rows into the station map
+     * @param {Array<Object>} rows - Raw WRIS-shaped rows
+     */
+    addRows(rows) {
+      for (const row of rows) {
+        rawRecords++;
+        const { valid, record, reason } = normalizeRecord(row);
+        if (!valid) {
+          skippedRecords[reason]++;
+          continue;
+        }
+
+        validRecords++;
+
+        const stationCode = record.stationCode;
+        if (!stations.has(stationCode)) {
+          stations.set(stationCode, {
+            stationCode,
+            name: record.stationName,
+            latitude: record.latitude,
+            longitude: record.longitude,
+            wellType: record.wellType,
+            wellDepth: record.wellDepth,
+            wellAquiferType: record.wellAquiferType,
+            history: [],
+            distance: haversine(latitude, longitude, record.latitude, record.longitude),
+          });
+        }
+        stations.get(stationCode).history.push({
+          date: record.date,
+          waterLevel: record.waterLevel,
+        });
+      }
+    },
+
+    /**
+     * Sort each station's history by date once all rows are in
+     * @returns {Map<string, Object>} Stations keyed by station code
+     */
+    finish() {
+      for (const station of stations.values()) {
+        station.history.sort((a, b) => new Date(a.date) - new Date(b.date));
+      }
+      return stations;
+    },
+  };
+}
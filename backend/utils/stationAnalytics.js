@@ -0,0 +1,89 @@
+/**
+ * Station Analytics
+ * Metadata and analyses of a single CGWB well addressed by its station code:
+ * the same outlier screening, trend, stress, recharge, SGI and change-point steps
+ * the location endpoints run, applied to one station's full record.
+ */
+
+import { detectOutliers } from './outliers.js';
+import { computeRechargePattern } from './extraction.js';
+import { analyzeSgi } from './sgi.js';
+import { detectChangePoints } from './changePoints.js';
+import { summarizeStation } from './districtSummary.js';
+
+/**
+ * Parse a bbox query value
+ * @param {string} value - "minLon,minLat,maxLon,maxLat"
+ * @returns {Array<number>|null} [minLon, minLat, maxLon, maxLat], or null when malformed
+ */
+export function parseBbox(value) {
+  const parts = String(value).split(',').map((p) => parseFloat(p.trim()));
+  if (parts.length !== 4 || parts.some((p) => isNaN(p))) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLon > maxLon || minLat > maxLat) return null;
+  if (minLat < -90 || maxLat > 90 || minLon < -180 || maxLon > 180) return null;
+  return parts;
+}
+
+/**
+ * Whether a station lies inside a bbox (edges included)
+ * @param {Object} station - { latitude, longitude }
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ * @returns {boolean} Inside
+ */
+export function inBbox(station, [minLon, minLat, maxLon, maxLat]) {
+  return station.longitude >= minLon && station.longitude <= maxLon &&
+    station.latitude >= minLat && station.latitude <= maxLat;
+}
+
+/**
+ * Listing entry of a station loaded from a data source
+ * @param {Object} station - Station with history
+ * @param {Object} location - { state, district }
+ * @returns {Object} Metadata with records, firstObservation and lastObservation
+ */
+export function describeStation(station, { state, district }) {
+  const { history } = station;
+  return {
+    stationCode: station.stationCode,
+    name: station.name,
+    state,
+    district,
+    latitude: station.latitude,
+    longitude: station.longitude,
+    wellType: station.wellType,
+    wellDepth: station.wellDepth,
+    wellAquiferType: station.wellAquiferType,
+    records: history.length,
+    firstObservation: history.length > 0 ? history[0].date : null,
+    lastObservation: history.length > 0 ? history[history.length - 1].date : null,
+  };
+}
+
+/**
+ * Trend, stress, recharge, SGI and regime shifts of one station
+ * @param {Object} station - Station with history sorted by date
+ * @param {Object} options - { calendar }
+ * @returns {Object} { outliers, trend, stress, rechargePattern, droughtIndex, changePoints }
+ */
+export function analyzeStation(station, { calendar } = {}) {
+  const outlierCheck = detectOutliers(station.history);
+  const history = outlierCheck.clean;
+  // summarizeStation screens the same readings itself
+  const summary = summarizeStation(station, { calendar });
+  const sgi = analyzeSgi(history);
+
+  return {
+    outliers: { ...outlierCheck.summary, flagged: outlierCheck.flagged },
+    trend: {
+      // Sen slope of depth below ground: positive is a falling water table
+      slope: summary.slope,
+      direction: summary.direction,
+      significant: summary.significant,
+    },
+    stress: { category: summary.category },
+    rechargePattern: computeRechargePattern(history, { calendar }),
+    droughtIndex: { method: sgi.method, summary: sgi.summary, events: sgi.events, note: sgi.note },
+    changePoints: detectChangePoints(history),
+  };
+}
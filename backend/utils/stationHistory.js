@@ -0,0 +1,204 @@
+/**
+ * Station History
+ * Loads a district's stations (observation store or data source) and picks the
+ * history used for analysis. Shared by the water-level, backtest and other
+ * analysis routes so they all see the same data for a location.
+ */
+
+import { getDataSource } from './dataSources/index.js';
+import { isStoreAvailable, syncDistrictObservations, loadDistrictRecords } from './observationStore.js';
+import { createStationAggregator } from './stationAggregator.js';
+import { indexStations, nearestOfStations } from './spatialIndex.js';
+
+export const MIN_STATION_POINTS = 10;
+
+export const STATION_GROUP_BY = ['aquifer', 'wellType', 'both'];
+
+const UNKNOWN = 'unknown';
+
+/**
+ * Comparable form of a WRIS well or aquifer type ("Semi-Confined" and "semi confined" match)
+ * @param {string} value - Type as recorded
+ * @returns {string} Lower-case type, or "unknown"
+ */
+export function normalizeStationType(value) {
+  const normalized = String(value ?? '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  return normalized === '' ? UNKNOWN : normalized;
+}
+
+/**
+ * Group key of a station
+ * @param {Object} station - Station with wellType and wellAquiferType
+ * @param {string} groupBy - aquifer, wellType or both
+ * @returns {string} Key such as "unconfined" or "confined|piezometer"
+ */
+export function stationGroupKey(station, groupBy) {
+  const aquifer = normalizeStationType(station.wellAquiferType);
+  const wellType = normalizeStationType(station.wellType);
+  if (groupBy === 'aquifer') return aquifer;
+  if (groupBy === 'wellType') return wellType;
+  return `${aquifer}|${wellType}`;
+}
+
+/**
+ * Stations matching an aquifer and/or well type
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @param {Object} [filter] - { aquifer, wellType }; omitted fields match everything
+ * @returns {Map<string, Object>} Matching stations
+ */
+export function filterStations(stations, { aquifer, wellType } = {}) {
+  if (!aquifer && !wellType) return stations;
+  return new Map(Array.from(stations).filter(([, station]) =>
+    (!aquifer || normalizeStationType(station.wellAquiferType) === normalizeStationType(aquifer)) &&
+    (!wellType || normalizeStationType(station.wellType) === normalizeStationType(wellType))
+  ));
+}
+
+/**
+ * Split stations into aquifer and/or well-type groups
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @param {string} groupBy - aquifer, wellType or both
+ * @returns {Array<Object>} [{ key, aquiferType, wellType, stations }] largest group first
+ */
+export function groupStations(stations, groupBy) {
+  const groups = new Map();
+  for (const [code, station] of stations) {
+    const key = stationGroupKey(station, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        aquiferType: groupBy === 'wellType' ? null : station.wellAquiferType || 'Unknown',
+        wellType: groupBy === 'aquifer' ? null : station.wellType || 'Unknown',
+        stations: new Map(),
+      });
+    }
+    groups.get(key).stations.set(code, station);
+  }
+  return Array.from(groups.values()).sort((a, b) => b.stations.size - a.stations.size || a.key.localeCompare(b.key));
+}
+
+/**
+ * Stations tapping the same aquifer as a station, so a dug well in the water table is
+ * never averaged with a piezometer in a confined aquifer. Unknown aquifers match all.
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @param {Object} station - Reference station
+ * @returns {Map<string, Object>} Stations in the same aquifer, including the reference
+ */
+export function aquiferPeers(stations, station) {
+  const aquifer = normalizeStationType(station.wellAquiferType);
+  if (aquifer === UNKNOWN) return stations;
+  return new Map(Array.from(stations).filter(([, s]) => {
+    const other = normalizeStationType(s.wellAquiferType);
+    return other === aquifer || other === UNKNOWN;
+  }));
+}
+
+/**
+ * Load every station of a district with its sorted history
+ * @param {Object} params - { state, district, latitude, longitude, start, end, fallback }
+ * @param {Function} [params.fallback] - Data-source fallback when live fetching fails
+ * @returns {Promise<Object>} { stations, rawRecords, validRecords, skippedRecords, storage }
+ */
+export async function loadDistrictStations({ state, district, latitude, longitude, start, end, fallback = null }) {
+  const dataSource = getDataSource();
+  // Station map is built as rows arrive so large districts never sit in memory as raw rows
+  const aggregator = createStationAggregator({ latitude, longitude });
+  const storage = { source: dataSource.name, fetchedRanges: [], pages: 0, rows: 0 };
+
+  if (dataSource.persistable && isStoreAvailable()) {
+    // Serve history from MongoDB and only pull the ranges not yet stored
+    const sync = await syncDistrictObservations({
+      state,
+      district,
+      start,
+      end,
+      fetchRange: (range, options) => dataSource.fetchDistrict({ state, district, ...range }, options),
+    });
+    storage.source = 'database';
+    storage.fetchedRanges = sync.fetchedRanges;
+    storage.pages = sync.fetchedRanges.reduce((sum, r) => sum + r.pages, 0);
+    storage.rows = sync.fetchedRanges.reduce((sum, r) => sum + r.rows, 0);
+    if (sync.error) storage.stale = true;
+
+    aggregator.addRows(await loadDistrictRecords(state, district, start, end));
+    if (aggregator.rawRecords === 0 && sync.error) throw sync.error;
+  } else {
+    const result = await dataSource.fetchDistrict(
+      { state, district, start, end },
+      { onPage: (rows) => aggregator.addRows(rows), fallback }
+    );
+    if (result.data?.length) aggregator.addRows(result.data);
+    storage.pages = result.pages ?? 0;
+    storage.rows = result.rows ?? aggregator.rawRecords;
+    if (result.truncated) storage.truncated = true;
+  }
+
+  const stations = aggregator.finish();
+  indexStations(stations.values(), { state, district });
+
+  return {
+    stations,
+    rawRecords: aggregator.rawRecords,
+    validRecords: aggregator.validRecords,
+    skippedRecords: aggregator.skippedRecords,
+    storage,
+  };
+}
+
+/**
+ * Pick the station nearest a point with enough readings, or the nearest station at all
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @param {Object} options - { latitude, longitude, minPoints }
+ * @returns {{nearestStation: Object, history: Array<Object>, isFallback: boolean}|null} Selection, or null without stations
+ */
+export function selectNearestStation(stations, { latitude, longitude, minPoints = MIN_STATION_POINTS }) {
+  const [withData] = nearestOfStations(stations.values(), latitude, longitude, {
+    filter: (s) => s.history.length >= minPoints,
+  });
+  const nearestStation = withData ?? nearestOfStations(stations.values(), latitude, longitude)[0];
+  if (!nearestStation) return null;
+
+  return {
+    nearestStation,
+    history: nearestStation.history,
+    isFallback: !withData,
+  };
+}
+
+/**
+ * Average all stations of a district per reading date
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @returns {Array<Object>} [{ date, waterLevel }] sorted by date
+ */
+export function aggregateDistrictHistory(stations) {
+  const groupedByDate = new Map();
+  for (const station of stations.values()) {
+    for (const h of station.history) {
+      if (!groupedByDate.has(h.date)) groupedByDate.set(h.date, []);
+      groupedByDate.get(h.date).push(h.waterLevel);
+    }
+  }
+  return Array.from(groupedByDate.entries())
+    .map(([date, levels]) => ({
+      date,
+      waterLevel: levels.reduce((sum, val) => sum + val, 0) / levels.length,
+    }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * History for analysis at a point: nearest station with enough readings,
+ * otherwise the district average of stations in the same aquifer
+ * @param {Map<string, Object>} stations - Stations from loadDistrictStations
+ * @param {Object} options - { latitude, longitude, minPoints }
+ * @returns {{nearestStation: Object, history: Array<Object>, isFallback: boolean}|null} Selection, or null without stations
+ */
+export function selectStationHistory(stations, { latitude, longitude, minPoints = MIN_STATION_POINTS }) {
+  const selection = selectNearestStation(stations, { latitude, longitude, minPoints });
+  if (!selection) return null;
+
+  if (selection.history.length < minPoints) {
+    return { ...selection, history: aggregateDistrictHistory(aquiferPeers(stations, selection.nearestStation)), isFallback: true };
+  }
+  return selection;
+}
@@ -133,3 +133,317 @@ export function calculateStandardError(actual, predicted) {
   
   return standardError;
 }
+
+/**
+ * Inverse of the standard normal CDF
+ * Acklam's rational approximation (relative error < 1.2e-9)
+ * 
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new Error(`Invalid probability: ${p}. Must be between 0 and 1 (exclusive)`);
+  }
+  
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+  
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+  
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Inverse of Student's t CDF
+ * Closed forms for df = 1 and 2; otherwise a Cornish-Fisher expansion around the
+ * normal quantile, within 1% of tabulated values at the 80-99% levels used for intervals
+ * 
+ * @param {number} p - Probability in (0, 1)
+ * @param {number} df - Degrees of freedom (> 0)
+ * @returns {number} t such that P(T <= t) = p
+ */
+export function tQuantile(p, df) {
+  validateTQuantileInputs(p, df);
+  
+  if (df === 1) {
+    return Math.tan(Math.PI * (p - 0.5));
+  }
+  if (df === 2) {
+    return (2 * p - 1) / Math.sqrt(2 * p * (1 - p));
+  }
+  
+  const z = normalQuantile(p);
+  const z3 = z ** 3;
+  const z5 = z ** 5;
+  const z7 = z ** 7;
+  const z9 = z ** 9;
+  
+  return z +
+    (z3 + z) / (4 * df) +
+    (5 * z5 + 16 * z3 + 3 * z) / (96 * df ** 2) +
+    (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df ** 3) +
+    (79 * z9 + 776 * z7 + 1482 * z5 - 1920 * z3 - 945 * z) / (92160 * df ** 4);
+}
+
+function validateTQuantileInputs(p, df) {
+  if (!(p > 0 && p < 1)) {
+    throw new Error(`Invalid probability: ${p}. Must be between 0 and 1 (exclusive)`);
+  }
+  if (!(df > 0) || !isFinite(df)) {
+    throw new Error(`Invalid degrees of freedom: ${df}. Must be a positive number`);
+  }
+}
+
+/**
+ * Calculate a regression prediction interval for a new observation
+ * 
+ * Formula: ŷ ± t(1-α/2, n-2) * SE * sqrt(1 + 1/n + (x0 - x̄)² / Sxx)
+ * where the term under the square root grows with the leverage of x0,
+ * so intervals widen the further a forecast lies from the observed data
+ * 
+ * @param {Object} params - Interval inputs
+ * @param {number} params.predicted - Point forecast ŷ
+ * @param {number} params.standardError - Regression standard error (see calculateStandardError)
+ * @param {Array<number>} params.x - Observed predictor values
+ * @param {number} params.x0 - Predictor value of the forecast
+ * @param {number} params.level - Confidence level in percent (e.g. 80, 95)
+ * @returns {{level: number, lower: number, upper: number}} Interval bounds
+ */
+export function calculatePredictionInterval({ predicted, standardError, x, x0, level }) {
+  if (!Array.isArray(x) || x.length < 3) {
+    throw new Error('Need at least 3 data points to calculate a prediction interval');
+  }
+  if (!(level > 0 && level < 100)) {
+    throw new Error(`Invalid level: ${level}. Must be between 0 and 100 (exclusive)`);
+  }
+  
+  const n = x.length;
+  const meanX = x.reduce((sum, xi) => sum + xi, 0) / n;
+  const sxx = x.reduce((sum, xi) => sum + (xi - meanX) ** 2, 0);
+  const leverage = 1 / n + (sxx > 0 ? (x0 - meanX) ** 2 / sxx : 0);
+  
+  const t = tQuantile(1 - (1 - level / 100) / 2, n - 2);
+  const halfWidth = t * standardError * Math.sqrt(1 + leverage);
+  
+  return { level, lower: predicted - halfWidth, upper: predicted + halfWidth };
+}
+
+/**
+ * Calculate a prediction interval for a time-series forecast from its residual spread
+ * 
+ * Formula: ŷ ± t(1-α/2, df) * σ * g(h)
+ * where σ is the RMS of the model's in-sample errors and g(h) is the model's ratio of
+ * the h-step to the one-step forecast standard deviation
+ * 
+ * @param {Object} params - Interval inputs
+ * @param {number} params.predicted - Point forecast ŷ
+ * @param {Array<number>} params.residuals - In-sample errors of the model
+ * @param {number} params.growth - Error growth g(h) at the forecast horizon (>= 1)
+ * @param {number} params.level - Confidence level in percent (e.g. 80, 95)
+ * @returns {{level: number, lower: number, upper: number}} Interval bounds
+ */
+export function calculateForecastInterval({ predicted, residuals, growth, level }) {
+  if (!Array.isArray(residuals) || residuals.length < 2) {
+    throw new Error('Need at least 2 residuals to calculate a forecast interval');
+  }
+  if (!(level > 0 && level < 100)) {
+    throw new Error(`Invalid level: ${level}. Must be between 0 and 100 (exclusive)`);
+  }
+  
+  const sigma = Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / residuals.length);
+  const t = tQuantile(1 - (1 - level / 100) / 2, residuals.length - 1);
+  const halfWidth = t * sigma * growth;
+  
+  return { level, lower: predicted - halfWidth, upper: predicted + halfWidth };
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz-Stegun 7.1.26 erf approximation (absolute error < 1.5e-7)
+ * 
+ * @param {number} z - Standard score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Median of a numeric array
+ * 
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number} Median, or NaN for an empty array
+ */
+export function median(values) {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Median absolute deviation, scaled to estimate the standard deviation of normal data
+ * 
+ * @param {Array<number>} values - Values
+ * @returns {number} 1.4826 * median(|x - median(x)|)
+ */
+export function medianAbsoluteDeviation(values) {
+  const center = median(values);
+  return 1.4826 * median(values.map(v => Math.abs(v - center)));
+}
+
+/**
+ * Theil-Sen slope estimator
+ * The median of all pairwise slopes; a single wild reading barely moves it,
+ * unlike least squares
+ * 
+ * @param {Array<number>} x - Predictor values (e.g. years)
+ * @param {Array<number>} y - Observed values
+ * @returns {{slope: number, intercept: number}} Robust line y = intercept + slope * x
+ */
+export function theilSenSlope(x, y) {
+  if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length) {
+    throw new Error('x and y must be arrays of the same length');
+  }
+  if (x.length < 2) {
+    throw new Error('Need at least 2 data points for Theil-Sen slope');
+  }
+  
+  const slopes = [];
+  for (let i = 0; i < x.length; i++) {
+    for (let j = i + 1; j < x.length; j++) {
+      if (x[j] !== x[i]) slopes.push((y[j] - y[i]) / (x[j] - x[i]));
+    }
+  }
+  
+  const slope = slopes.length > 0 ? median(slopes) : 0;
+  const intercept = median(y.map((yi, i) => yi - slope * x[i]));
+  return { slope, intercept };
+}
+
+/**
+ * Mann-Kendall trend test (two-sided, with tie correction)
+ * 
+ * Formula: S = Σ sign(x_j - x_i) for i < j
+ *          Var(S) = [n(n-1)(2n+5) - Σ t(t-1)(2t+5)] / 18  (t = size of each tie group)
+ *          Z = (S ∓ 1) / sqrt(Var(S)), continuity-corrected
+ * 
+ * @param {Array<number>} values - Series in time order
+ * @param {number} [alpha] - Significance level (default 0.05)
+ * @returns {Object} { n, s, z, pValue, tau, trend: 'increasing'|'decreasing'|'no trend', significant }
+ */
+export function mannKendallTest(values, alpha = 0.05) {
+  if (!Array.isArray(values) || values.length < 3) {
+    throw new Error('Need at least 3 data points for Mann-Kendall test');
+  }
+  
+  const n = values.length;
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(values[j] - values[i]);
+    }
+  }
+  
+  const ties = new Map();
+  values.forEach(v => ties.set(v, (ties.get(v) || 0) + 1));
+  let tieCorrection = 0;
+  for (const t of ties.values()) {
+    if (t > 1) tieCorrection += t * (t - 1) * (2 * t + 5);
+  }
+  const variance = (n * (n - 1) * (2 * n + 5) - tieCorrection) / 18;
+  
+  let z = 0;
+  if (variance > 0) {
+    if (s > 0) z = (s - 1) / Math.sqrt(variance);
+    else if (s < 0) z = (s + 1) / Math.sqrt(variance);
+  }
+  
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  const significant = pValue < alpha;
+  
+  return {
+    n,
+    s,
+    z,
+    pValue,
+    tau: s / (n * (n - 1) / 2),
+    trend: significant ? (s > 0 ? 'increasing' : 'decreasing') : 'no trend',
+    significant
+  };
+}
+
+/**
+ * Pearson correlation coefficient
+ * 
+ * Formula: r = Σ(x - x̄)(y - ȳ) / sqrt(Σ(x - x̄)² · Σ(y - ȳ)²)
+ * 
+ * @param {Array<number>} x - First variable
+ * @param {Array<number>} y - Second variable
+ * @returns {number} r in [-1, 1], or 0 when either variable is constant
+ */
+export function pearsonCorrelation(x, y) {
+  if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length) {
+    throw new Error('x and y must be arrays of the same length');
+  }
+  if (x.length < 2) {
+    throw new Error('Need at least 2 data points for correlation');
+  }
+  
+  const n = x.length;
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+    sxx += (x[i] - meanX) ** 2;
+    syy += (y[i] - meanY) ** 2;
+  }
+  
+  if (sxx === 0 || syy === 0) return 0;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * Ordinary least squares line
+ * 
+ * Formula: slope = Σ(x - x̄)(y - ȳ) / Σ(x - x̄)²,  intercept = ȳ - slope · x̄
+ * 
+ * @param {Array<number>} x - Predictor values
+ * @param {Array<number>} y - Observed values
+ * @returns {{slope: number, intercept: number}} Fitted line (slope 0 when x is constant)
+ */
+export function linearRegression(x, y) {
+  if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length) {
+    throw new Error('x and y must be arrays of the same length');
+  }
+  if (x.length === 0) {
+    throw new Error('Arrays cannot be empty');
+  }
+  
+  const n = x.length;
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  const sxx = x.reduce((sum, xi) => sum + (xi - meanX) ** 2, 0);
+  const slope = sxx === 0 ? 0 : x.reduce((sum, xi, i) => sum + (xi - meanX) * (y[i] - meanY), 0) / sxx;
+  return { slope, intercept: meanY - slope * meanX };
+}
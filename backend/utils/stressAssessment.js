@@ -0,0 +1,172 @@
+/**
+ * Stress Assessment Module
+ * Groundwater stress category from long-term water-level trends, following the
+ * CGWB (GEC) approach: each season is reduced to one reading per year, tested
+ * for a monotonic trend with Mann-Kendall and sized with Sen's slope.
+ *
+ * Water levels are depth below ground, so a positive slope is a falling water table.
+ *
+ * Categories (trend criterion):
+ *   Safe           - no significant decline in either season
+ *   Semi-critical  - significant decline in one season
+ *   Critical       - significant decline in both seasons
+ *   Over-exploited - significant decline in both seasons at or above the severe rate
+ */
+
+import { theilSenSlope, mannKendallTest } from './statistics.js';
+import { DEFAULT_SEASON_CALENDAR, classifySeason } from './seasonCalendar.js';
+
+export const STRESS_ASSESSMENT_DEFAULTS = {
+  alpha: 0.05, // Mann-Kendall significance level
+  significantDecline: 0.1, // m/year; slower declines are not treated as significant
+  severeDecline: 1.0, // m/year in both seasons for Over-exploited
+  minYears: 5 // Annual values a season needs before it is tested
+};
+
+export const STRESS_CATEGORIES = ['Safe', 'Semi-critical', 'Critical', 'Over-exploited'];
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Merge request overrides into the default thresholds
+ * @param {Object} [overrides] - { alpha, significantDecline, severeDecline, minYears }
+ * @returns {Object} Complete threshold set
+ */
+export function resolveStressThresholds(overrides = {}) {
+  const thresholds = { ...STRESS_ASSESSMENT_DEFAULTS };
+  for (const key of Object.keys(STRESS_ASSESSMENT_DEFAULTS)) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      thresholds[key] = Number(overrides[key]);
+    }
+  }
+  if (thresholds.severeDecline < thresholds.significantDecline) {
+    throw new Error('severeDecline must not be smaller than significantDecline');
+  }
+  return thresholds;
+}
+
+/**
+ * One value per monsoon year for a season: the mean of that year's readings in the season months
+ * @param {Array<Object>} history - [{ date, waterLevel }]
+ * @param {'preMonsoon'|'postMonsoon'} season - Season key
+ * @param {Object} [calendar] - From getSeasonCalendar
+ * @returns {Array<{year: number, waterLevel: number, readings: number}>} Sorted by year
+ */
+export function annualSeasonSeries(history, season, calendar = DEFAULT_SEASON_CALENDAR) {
+  const byYear = new Map();
+  for (const h of history) {
+    const d = new Date(h.date);
+    const match = classifySeason(d.getUTCFullYear(), d.getUTCMonth() + 1, calendar);
+    if (!match || match.season !== season) continue;
+    if (!byYear.has(match.year)) byYear.set(match.year, []);
+    byYear.get(match.year).push(h.waterLevel);
+  }
+  return Array.from(byYear.entries())
+    .map(([year, levels]) => ({
+      year,
+      waterLevel: levels.reduce((a, b) => a + b, 0) / levels.length,
+      readings: levels.length,
+    }))
+    .sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Trend test for one annual series
+ * @param {Array<{year: number, waterLevel: number}>} series - Annual values
+ * @param {Object} thresholds - Resolved thresholds
+ * @returns {Object} { years, assessable, senSlope, mannKendall, significantDecline, note }
+ */
+export function seasonTrend(series, thresholds) {
+  const years = series.length;
+  if (years < Math.max(thresholds.minYears, 3)) {
+    return {
+      years,
+      assessable: false,
+      senSlope: null,
+      mannKendall: null,
+      significantDecline: false,
+      note: `Only ${years} year(s) of readings; ${thresholds.minYears} needed for a trend test`,
+    };
+  }
+
+  const { slope } = theilSenSlope(series.map((s) => s.year), series.map((s) => s.waterLevel));
+  const mk = mannKendallTest(series.map((s) => s.waterLevel), thresholds.alpha);
+
+  return {
+    years,
+    assessable: true,
+    senSlope: round(slope),
+    mannKendall: {
+      s: mk.s,
+      z: round(mk.z),
+      pValue: round(mk.pValue, 4),
+      tau: round(mk.tau),
+      significant: mk.significant,
+    },
+    // Depth increasing significantly and fast enough to matter
+    significantDecline: mk.significant && mk.s > 0 && slope >= thresholds.significantDecline,
+    note: null,
+  };
+}
+
+/**
+ * Stress category for a station history
+ * @param {Array<Object>} history - [{ date, waterLevel }] sorted by date
+ * @param {Object} [options] - { thresholds, calendar }
+ * @returns {Object} { category, basis, seasons, thresholds, note }; category is null when no season can be tested
+ */
+export function assessStress(history, { thresholds: overrides, calendar = DEFAULT_SEASON_CALENDAR } = {}) {
+  const thresholds = resolveStressThresholds(overrides);
+  const seasons = {
+    preMonsoon: { label: 'pre-monsoon', months: calendar.preMonsoon.months },
+    postMonsoon: { label: 'post-monsoon', months: calendar.postMonsoon.months },
+  };
+
+  const results = {};
+  for (const [key, season] of Object.entries(seasons)) {
+    const series = annualSeasonSeries(history, key, calendar);
+    results[key] = { label: season.label, months: season.months, ...seasonTrend(series, thresholds) };
+  }
+
+  const assessed = Object.values(results).filter((r) => r.assessable);
+  const declining = assessed.filter((r) => r.significantDecline);
+
+  let category = null;
+  let note = null;
+  if (assessed.length === 0) {
+    note = 'Not enough years of pre- or post-monsoon readings to assess stress';
+  } else {
+    if (declining.length === 0) {
+      category = 'Safe';
+    } else if (declining.length < Object.keys(seasons).length) {
+      category = 'Semi-critical';
+    } else {
+      category = declining.every((r) => r.senSlope >= thresholds.severeDecline) ? 'Over-exploited' : 'Critical';
+    }
+    if (assessed.length < Object.keys(seasons).length) {
+      note = `Only the ${assessed.map((r) => r.label).join(' and ')} season could be tested; category is provisional`;
+    }
+  }
+
+  return {
+    category,
+    basis: 'Mann-Kendall test and Sen slope on annual pre- and post-monsoon levels (CGWB trend criterion)',
+    seasons: results,
+    thresholds,
+    note,
+  };
+}
+
+/**
+ * Direction of the water table from a depth trend
+ * @param {number} senSlope - Sen slope of depth below ground (m/year)
+ * @param {boolean} significant - Whether the Mann-Kendall test was significant
+ * @returns {'declining'|'rising'|'stable'} Water-table direction
+ */
+export function waterTableDirection(senSlope, significant) {
+  if (!significant || senSlope === 0) return 'stable';
+  return senSlope > 0 ? 'declining' : 'rising';
+}
@@ -13,6 +13,10 @@ const optionalEnvVars = {
   LOG_LEVEL: 'INFO',
   ALLOWED_ORIGINS: 'http://localhost:8081',
   BASE_URL: 'http://localhost:3000',
+  INGESTION_ENABLED: 'false',
+  INGESTION_CONCURRENCY: '3',
+  INGESTION_INTERVAL_HOURS: '24',
+  GROUNDWATER_DATA_SOURCE: 'wris',
 };
 
 export const validateEnv = () => {
@@ -1,7 +1,7 @@
 // @ts-nocheck
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import {
   ActivityIndicator,
   Alert,
@@ -21,6 +21,29 @@ import apiClient from '@/services/apiClient';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
+// India extent for the all-district insights and list
+const INDIA_BBOX = '68,6,98,38';
+// Station markers replace district markers from this zoom in
+const STATION_LAYER_MIN_ZOOM = 8;
+
+// GeoJSON feature from /map/stations or /map/districts to the marker and list shape
+function featureToStation(feature) {
+  const props = feature.properties;
+  const [lon, lat] = feature.geometry.coordinates;
+  return {
+    id: feature.id,
+    name: props.cluster ? `${props.pointCount} sites` : props.name ?? props.district,
+    state: props.state ?? '',
+    lat,
+    lon,
+    level: props.latestLevel,
+    status: props.category ?? 'Not assessed',
+    trend: props.trend,
+    cluster: Boolean(props.cluster),
+    pointCount: props.pointCount,
+  };
+}
+
 export default function ExploreScreen() {
   // Center on India (All India view)
   const [region, setRegion] = useState({
@@ -38,6 +61,7 @@ export default function ExploreScreen() {
   const [selectedState, setSelectedState] = useState('All');
   const [selectedStatus, setSelectedStatus] = useState('All');
   const [insights, setInsights] = useState(null);
+  const [mapMarkers, setMapMarkers] = useState([]);
 
   // 12 water-stressed states covered by JalMitra
   const COVERED_STATES = [
@@ -46,31 +70,35 @@ export default function ExploreScreen() {
     'Andhra Pradesh', 'Punjab', 'Haryana', 'Delhi'
   ];
 
-  // ERROR FIX: Added missing states (Karnataka, Delhi) to match the 12 water-stressed states claim
-  // Sample stations across 12 water-stressed states (demo data - production would fetch from backend)
-  const SAMPLE_STATIONS = [
-    { id: 1, name: 'Jaipur Station', state: 'Rajasthan', lat: 26.9124, lon: 75.7873, level: 34.1, status: 'Safe', trend: 'declining' },
-    { id: 2, name: 'Jodhpur Station', state: 'Rajasthan', lat: 26.2389, lon: 73.0243, level: 32.5, status: 'Critical', trend: 'declining' },
-    { id: 3, name: 'Ahmedabad Station', state: 'Gujarat', lat: 23.03, lon: 72.58, level: 70.5, status: 'Over-exploited', trend: 'declining' },
-    { id: 4, name: 'Surat Station', state: 'Gujarat', lat: 21.17, lon: 72.83, level: 45.2, status: 'Semi-critical', trend: 'stable' },
-    { id: 5, name: 'Mumbai Station', state: 'Maharashtra', lat: 19.07, lon: 72.87, level: 2.95, status: 'Safe', trend: 'rising' },
-    { id: 6, name: 'Pune Station', state: 'Maharashtra', lat: 18.52, lon: 73.85, level: 4.60, status: 'Safe', trend: 'stable' },
-    { id: 7, name: 'Lucknow Station', state: 'Uttar Pradesh', lat: 26.85, lon: 80.95, level: 39.3, status: 'Semi-critical', trend: 'declining' },
-    { id: 8, name: 'Bhopal Station', state: 'Madhya Pradesh', lat: 23.26, lon: 77.41, level: 1.80, status: 'Safe', trend: 'stable' },
-    { id: 9, name: 'Chennai Station', state: 'Tamil Nadu', lat: 13.08, lon: 80.27, level: 1.87, status: 'Critical', trend: 'declining' },
-    { id: 10, name: 'Hyderabad Station', state: 'Telangana', lat: 17.39, lon: 78.49, level: 11.0, status: 'Semi-critical', trend: 'declining' },
-    { id: 11, name: 'Visakhapatnam Station', state: 'Andhra Pradesh', lat: 17.69, lon: 83.21, level: 10.7, status: 'Safe', trend: 'stable' },
-    { id: 12, name: 'Ludhiana Station', state: 'Punjab', lat: 30.90, lon: 75.85, level: 33.6, status: 'Over-exploited', trend: 'declining' },
-    { id: 13, name: 'Gurugram Station', state: 'Haryana', lat: 28.46, lon: 77.03, level: 21.3, status: 'Critical', trend: 'declining' },
-    { id: 14, name: 'Bengaluru Station', state: 'Karnataka', lat: 12.97, lon: 77.59, level: 8.5, status: 'Semi-critical', trend: 'declining' },
-    { id: 15, name: 'New Delhi Station', state: 'Delhi', lat: 28.61, lon: 77.21, level: 15.2, status: 'Critical', trend: 'declining' },
-  ];
-
   useEffect(() => {
     getCurrentLocation();
     loadStationsData(); // Loads real 414 districts from backend
   }, []);
 
+  // Markers for the visible region: clustered districts when zoomed out, stations when zoomed in
+  const loadMapLayer = useCallback(async (mapRegion) => {
+    const zoom = Math.max(0, Math.min(20, Math.round(Math.log2(360 / mapRegion.longitudeDelta))));
+    const bbox = [
+      Math.max(-180, mapRegion.longitude - mapRegion.longitudeDelta / 2),
+      Math.max(-90, mapRegion.latitude - mapRegion.latitudeDelta / 2),
+      Math.min(180, mapRegion.longitude + mapRegion.longitudeDelta / 2),
+      Math.min(90, mapRegion.latitude + mapRegion.latitudeDelta / 2),
+    ].map((v) => v.toFixed(4)).join(',');
+    try {
+      const layer = zoom >= STATION_LAYER_MIN_ZOOM ? 'stations' : 'districts';
+      const response = await apiClient.get(`/map/${layer}`, { params: { bbox, zoom } });
+      setMapMarkers(response.data.features.map(featureToStation));
+    } catch (error) {
+      console.error('Failed to load map layer:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (viewMode === 'map') {
+      loadMapLayer(region);
+    }
+  }, [viewMode, region, loadMapLayer]);
+
   // Compute insights from station data
   useEffect(() => {
     if (stations.length > 0) {
@@ -78,46 +106,16 @@ export default function ExploreScreen() {
     }
   }, [stations]);
 
-  // ERROR FIX: Now fetches REAL district data from backend (496 districts across 15 states)
-  // Fixed: apiClient baseURL already includes /api, so we use /districts not /api/districts
+  // Every district with its latest level, trend and stress category from the map layer.
+  // Districts not loaded on the backend yet come back unassessed and fill in on later requests
+  // Fixed: apiClient baseURL already includes /api, so we use /map/districts not /api/map/districts
   const loadStationsData = async () => {
     try {
       setLoading(true);
-      const response = await apiClient.get('/districts');
-      
-      // ERROR FIX: Transform district data with realistic placeholder values
-      // Note: Real water level and status data would come from WRIS API in production
-      const districts = response.data.districts.map((district, index) => {
-        // Simulate realistic status distribution based on state water stress levels
-        const stressStates = ['Rajasthan', 'Gujarat', 'Punjab', 'Haryana'];
-        const criticalStates = ['Delhi', 'Tamil Nadu'];
-        
-        let status = 'Safe';
-        if (stressStates.includes(district.state)) {
-          status = index % 3 === 0 ? 'Over-exploited' : index % 3 === 1 ? 'Critical' : 'Semi-critical';
-        } else if (criticalStates.includes(district.state)) {
-          status = index % 2 === 0 ? 'Critical' : 'Semi-critical';
-        } else {
-          status = index % 4 === 0 ? 'Semi-critical' : 'Safe';
-        }
-        
-        return {
-          id: index + 1,
-          name: district.name,
-          state: district.state,
-          lat: district.lat,
-          lon: district.lon,
-          level: null, // Real-time data not available without WRIS API call per district
-          status: status,
-          trend: status === 'Over-exploited' || status === 'Critical' ? 'declining' : 'stable'
-        };
-      });
-      
-      setStations(districts);
+      const response = await apiClient.get('/map/districts', { params: { bbox: INDIA_BBOX, zoom: 20 } });
+      setStations(response.data.features.map(featureToStation));
     } catch (error) {
       console.error('Failed to load districts:', error);
-      // Fallback to sample data if API fails
-      setStations(SAMPLE_STATIONS);
     } finally {
       setLoading(false);
     }
@@ -313,7 +311,7 @@ export default function ExploreScreen() {
               <Ionicons name="analytics" size={20} color="#007AFF" />
               <Text style={styles.metricText}>
                 {insights.avgLevel === 'N/A' 
-                  ? 'Real-time water level data requires individual district API calls'
+                  ? 'Water levels appear as districts are loaded on the map'
                   : `Average water level: ${insights.avgLevel}m`}
               </Text>
             </View>
@@ -401,7 +399,7 @@ export default function ExploreScreen() {
           {item.level === null && (
             <View style={styles.levelContainer}>
               <Ionicons name="information-circle" size={20} color="#6B7280" />
-              <Text style={styles.levelLabel}>Click district for real-time data</Text>
+              <Text style={styles.levelLabel}>Not assessed yet - open it on the map</Text>
             </View>
           )}
         </Card.Content>
@@ -513,19 +511,21 @@ export default function ExploreScreen() {
             showsUserLocation
             showsMyLocationButton={false}
           >
-            {stations.map((station) => (
+            {mapMarkers.map((station) => (
               <Marker
                 key={station.id}
                 coordinate={{ latitude: station.lat, longitude: station.lon }}
                 onPress={() => handleMarkerPress(station)}
               >
                 <View style={[styles.markerContainer, { backgroundColor: getMarkerColor(station.status) }]}>
-                  <Ionicons name="water" size={20} color="#FFF" />
+                  {station.cluster
+                    ? <Text style={styles.clusterCount}>{station.pointCount}</Text>
+                    : <Ionicons name="water" size={20} color="#FFF" />}
                 </View>
                 <Callout>
                   <View style={styles.calloutContainer}>
                     <Text style={styles.calloutTitle}>{station.name}</Text>
-                    <Text style={styles.calloutText}>Level: {station.level}m</Text>
+                    <Text style={styles.calloutText}>Level: {station.level ?? 'n/a'}m</Text>
                     <Text style={styles.calloutText}>Status: {station.status}</Text>
                   </View>
                 </Callout>
@@ -545,7 +545,7 @@ export default function ExploreScreen() {
               <View style={styles.selectedStationInfo}>
                 <View style={styles.infoItem}>
                   <Ionicons name="water" size={16} color="#007AFF" />
-                  <Text style={styles.infoText}>{selectedStation.level}m</Text>
+                  <Text style={styles.infoText}>{selectedStation.level ?? 'n/a'}m</Text>
                 </View>
                 <View style={[styles.statusBadgeSmall, { backgroundColor: getMarkerColor(selectedStation.status) }]}>
                   <Text style={styles.statusTextSmall}>{selectedStation.status.toUpperCase()}</Text>
@@ -883,6 +883,11 @@ const styles = StyleSheet.create({
     color: '#1F2937',
     marginBottom: 4,
   },
+  clusterCount: {
+    color: '#FFF',
+    fontWeight: '700',
+    fontSize: 13,
+  },
   calloutText: {
     fontSize: 12,
     color: '#6B7280',
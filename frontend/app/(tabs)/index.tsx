@@ -18,10 +18,12 @@ import { BarChart, LineChart } from "react-native-chart-kit";
 import { Card, Chip, Searchbar } from "react-native-paper";
 import { Ionicons } from '@expo/vector-icons';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter } from 'expo-router';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get("window");
 
 export default function DashboardScreen() {
+  const router = useRouter();
   const [searchQuery, setSearchQuery] = useState("");
   const [locationName, setLocationName] = useState("");
   const [currentLocation, setCurrentLocation] = useState(null);
@@ -450,6 +452,25 @@ export default function DashboardScreen() {
     };
   };
 
+  // SGI per month: below -1 is drought, compared only with the same month in other years
+  const getSgiData = () => {
+    const series = groundwaterData?.plotData?.sgi || [];
+    // Last 12 standardized readings keep the labels readable
+    const recent = series.slice(-12);
+    if (recent.length === 0) {
+      return { labels: [], datasets: [] };
+    }
+
+    return {
+      labels: recent.map((item) => item.month.slice(2)),
+      datasets: [
+        { data: recent.map((item) => item.sgi), color: () => '#DC2626' },
+        { data: recent.map(() => -1), color: () => '#9CA3AF', withDots: false }, // Drought threshold
+      ],
+      legend: ['SGI', 'Drought threshold'],
+    };
+  };
+
   // Minimal chart configuration
   const chartConfig = {
     backgroundGradientFrom: "#ffffff",
@@ -596,6 +617,19 @@ export default function DashboardScreen() {
           >
             <Text style={styles.locationButtonText}>📍 Use Current Location</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            onPress={() =>
+              router.push(
+                currentLocation
+                  ? { pathname: '/compare', params: { lat: currentLocation.lat, lon: currentLocation.lon } }
+                  : '/compare'
+              )
+            }
+            style={styles.compareButton}
+          >
+            <Text style={styles.compareButtonText}>⚖️ Compare Sites</Text>
+          </TouchableOpacity>
         </Card.Content>
       </Card>
 
@@ -768,6 +802,9 @@ export default function DashboardScreen() {
                 <Text style={styles.cardTitle}>📊 Historical Water Levels (Yearly Average)</Text>
                 <Text style={styles.chartSubtitle}>
                   Aggregated from {groundwaterData.historicalLevels.length} data points
+                  {groundwaterData.resampling?.summary?.imputed > 0
+                    ? ` (${groundwaterData.resampling.summary.imputed} of ${groundwaterData.resampling.summary.months} months imputed on the monthly grid)`
+                    : ""}
                 </Text>
                 <View style={styles.chartContainer}>
                   {loading ? (
@@ -855,17 +892,58 @@ export default function DashboardScreen() {
                 <View style={styles.legendContainer}>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#F59E0B' }]} />
-                    <Text style={styles.legendText}>Pre-Monsoon (Jan-May)</Text>
+                    <Text style={styles.legendText}>Pre-Monsoon ({groundwaterData.seasonCalendar?.preMonsoon.displayPeriod ?? "January-May"})</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#3B82F6' }]} />
-                    <Text style={styles.legendText}>Post-Monsoon (Oct-Dec)</Text>
+                    <Text style={styles.legendText}>Post-Monsoon ({groundwaterData.seasonCalendar?.postMonsoon.displayPeriod ?? "October-December"})</Text>
                   </View>
                 </View>
               </Card.Content>
             </Card>
           )}
 
+          {/* Drought Index (SGI) */}
+          {groundwaterData.plotData?.sgi && groundwaterData.plotData.sgi.length > 0 && (
+            <Card style={styles.card}>
+              <Card.Content>
+                <Text style={styles.cardTitle}>🏜️ Drought Index (SGI)</Text>
+                <Text style={styles.chartSubtitle}>
+                  {groundwaterData.droughtIndex?.summary?.latest
+                    ? `Latest: ${groundwaterData.droughtIndex.summary.latest.class} (${groundwaterData.droughtIndex.summary.latest.sgi})`
+                    : "Standardized groundwater level index"}
+                </Text>
+                <View style={styles.chartContainer}>
+                  {loading ? (
+                    <ActivityIndicator size="large" color="#3B82F6" />
+                  ) : (
+                    <LineChart
+                      data={getSgiData()}
+                      width={chartWidth}
+                      height={chartHeight}
+                      chartConfig={chartConfig}
+                      style={styles.chart}
+                      withInnerLines={true}
+                      withOuterLines={false}
+                      withHorizontalLines={true}
+                      withVerticalLines={false}
+                      withDots={true}
+                      withShadow={false}
+                    />
+                  )}
+                </View>
+                {groundwaterData.plotData.droughtEvents?.length > 0 && (
+                  <Text style={styles.chartSubtitle}>
+                    {groundwaterData.plotData.droughtEvents.length} drought event(s); longest{" "}
+                    {groundwaterData.droughtIndex?.summary?.longestEvent?.durationMonths} months from{" "}
+                    {groundwaterData.droughtIndex?.summary?.longestEvent?.onset}
+                    {groundwaterData.droughtIndex?.summary?.longestEvent?.ongoing ? " (ongoing)" : ""}
+                  </Text>
+                )}
+              </Card.Content>
+            </Card>
+          )}
+
           {/* Future Predictions */}
           {groundwaterData.predictions?.futureWaterLevels && (
             <Card style={styles.card}>
@@ -894,6 +972,11 @@ export default function DashboardScreen() {
                     </View>
                     <View style={styles.predictionDetails}>
                       <Text style={styles.predictionLevel}>{pred.predictedLevel}m</Text>
+                      {pred.intervals?.map((interval) => (
+                        <Text key={interval.level} style={styles.predictionInterval}>
+                          {interval.level}% range: {interval.lower}m – {interval.upper}m
+                        </Text>
+                      ))}
                       <Text style={styles.predictionDate}>{pred.date}</Text>
                     </View>
                   </View>
@@ -1258,6 +1341,19 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     fontSize: 16,
   },
+  compareButton: {
+    borderColor: "#007AFF",
+    borderWidth: 1,
+    padding: 12,
+    borderRadius: 12,
+    alignItems: "center",
+    marginTop: 8,
+  },
+  compareButtonText: {
+    color: "#007AFF",
+    fontWeight: "600",
+    fontSize: 15,
+  },
   serviceInfo: {
     fontSize: 10,
     color: "#9ca3af",
@@ -1412,6 +1508,11 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     marginTop: 2,
   },
+  predictionInterval: {
+    fontSize: 12,
+    color: '#4B5563',
+    marginTop: 2,
+  },
   // Stress transition styles
   stressCurrentContainer: {
     flexDirection: 'row',
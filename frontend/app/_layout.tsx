@@ -62,6 +62,14 @@ export default function RootLayout() {
               animation: 'slide_from_right'
             }} 
           />
+          <Stack.Screen 
+            name="compare" 
+            options={{ 
+              presentation: 'modal',
+              headerShown: false,
+              animation: 'slide_from_right'
+            }} 
+          />
           <Stack.Screen name="+not-found" />
         </Stack>
         {/* Show chatbot only on home/dashboard screen */}
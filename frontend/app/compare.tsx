@@ -0,0 +1,343 @@
+// @ts-nocheck
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import React, { useState } from 'react';
+import {
+  ActivityIndicator,
+  Dimensions,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import { Card, Chip } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import apiClient from '@/services/apiClient';
+
+const { width: screenWidth } = Dimensions.get('window');
+
+// One colour per compared site, in request order
+const SITE_COLORS = ['#3B82F6', '#DC2626', '#16A34A', '#F59E0B', '#8B5CF6', '#0EA5E9', '#EC4899', '#14B8A6', '#F97316', '#6B7280'];
+
+const RANK_OPTIONS = [
+  { key: 'stress', label: 'Stress' },
+  { key: 'trend', label: 'Trend' },
+  { key: 'depth', label: 'Depth' },
+  { key: 'forecast', label: 'Forecast' },
+];
+
+// "26.9, 75.8" is a point; "Jaipur, Rajasthan" is a district
+function parseSite(line) {
+  const [first, second] = line.split(',').map((part) => part.trim());
+  if (!first || !second) return null;
+  const lat = parseFloat(first);
+  const lon = parseFloat(second);
+  if (!isNaN(lat) && !isNaN(lon)) return { lat, lon };
+  return { district: first, state: second };
+}
+
+export default function CompareScreen() {
+  const router = useRouter();
+  const { lat, lon } = useLocalSearchParams();
+  const [sitesText, setSitesText] = useState(lat && lon ? `${lat}, ${lon}\n` : '');
+  const [rankBy, setRankBy] = useState('stress');
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const compare = async () => {
+    const sites = sitesText.split('\n').map(parseSite).filter(Boolean);
+    if (sites.length < 2 || sites.length > 10) {
+      setError('Enter 2-10 sites, one per line');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiClient.post('/water-levels/compare', {
+        sites,
+        date: new Date().toISOString().split('T')[0],
+        rankBy,
+      });
+      setComparison(response.data);
+    } catch (err) {
+      console.error('Compare error:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Years where every site has a level, so the lines share one axis; null when there are none
+  const getAlignedChartData = () => {
+    const { years, series } = comparison.alignedSeries;
+    const common = years.map((_, i) => i).filter((i) => series.every((s) => s.values[i] !== null));
+    if (common.length === 0) return null;
+    return {
+      labels: common.map((i) => String(years[i]).slice(-2)),
+      datasets: series.map((s, n) => ({
+        data: common.map((i) => s.values[i]),
+        color: () => SITE_COLORS[n % SITE_COLORS.length],
+        strokeWidth: 2,
+      })),
+      legend: series.map((s) => s.label),
+    };
+  };
+
+  const alignedChartData = comparison && comparison.sites.length > 1 ? getAlignedChartData() : null;
+
+  const chartConfig = {
+    backgroundGradientFrom: '#ffffff',
+    backgroundGradientTo: '#ffffff',
+    color: (opacity = 1) => `rgba(59, 130, 246, ${opacity})`,
+    labelColor: (opacity = 1) => `rgba(55, 65, 81, ${opacity})`,
+    strokeWidth: 2,
+    propsForDots: { r: '2' },
+    decimalPlaces: 1,
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#007AFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Compare Sites</Text>
+        <View style={{ width: 40 }} />
+      </View>
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.cardTitle}>Sites</Text>
+            <Text style={styles.hint}>{'One per line: "lat, lon" or "District, State"'}</Text>
+            <TextInput
+              style={styles.input}
+              multiline
+              value={sitesText}
+              onChangeText={setSitesText}
+              placeholder={'26.91, 75.79\nAjmer, Rajasthan'}
+              autoCapitalize="words"
+            />
+            <Text style={styles.hint}>Rank by</Text>
+            <View style={styles.chipRow}>
+              {RANK_OPTIONS.map((option) => (
+                <Chip
+                  key={option.key}
+                  selected={rankBy === option.key}
+                  onPress={() => setRankBy(option.key)}
+                  style={styles.chip}
+                >
+                  {option.label}
+                </Chip>
+              ))}
+            </View>
+            <TouchableOpacity style={styles.compareButton} onPress={compare} disabled={loading}>
+              {loading ? <ActivityIndicator color="white" /> : <Text style={styles.compareButtonText}>Compare</Text>}
+            </TouchableOpacity>
+            {error && <Text style={styles.errorText}>{error}</Text>}
+          </Card.Content>
+        </Card>
+
+        {comparison && (
+          <>
+            <Card style={styles.card}>
+              <Card.Content>
+                <Text style={styles.cardTitle}>🏆 Ranking</Text>
+                {comparison.ranking.map((r) => (
+                  <View key={r.label} style={styles.rankRow}>
+                    <Text style={styles.rankNumber}>{r.rank}</Text>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.rankLabel}>{r.label}</Text>
+                      <Text style={styles.rankDetail}>
+                        {r.category ?? 'Not assessed'} • {r.currentLevel} m • {r.trend > 0 ? '↓' : '↑'} {Math.abs(r.trend)} m/yr
+                        {r.forecastLevel !== null ? ` • ${r.forecastLevel} m forecast` : ''}
+                      </Text>
+                    </View>
+                  </View>
+                ))}
+                {comparison.failed.length > 0 && (
+                  <Text style={styles.hint}>
+                    Not compared: {comparison.failed.map((f) => `${f.label} (${f.error})`).join(', ')}
+                  </Text>
+                )}
+              </Card.Content>
+            </Card>
+
+            {comparison.sites.length > 1 && (
+              <Card style={styles.card}>
+                <Card.Content>
+                  <Text style={styles.cardTitle}>📈 Annual Mean Depth</Text>
+                  {alignedChartData ? (
+                    <LineChart
+                      data={alignedChartData}
+                      width={screenWidth - 48}
+                      height={220}
+                      yAxisSuffix="m"
+                      chartConfig={chartConfig}
+                      withShadow={false}
+                      withVerticalLines={false}
+                      style={styles.chart}
+                    />
+                  ) : (
+                    <Text style={styles.hint}>No overlapping years: no year has a reading at every site</Text>
+                  )}
+                </Card.Content>
+              </Card>
+            )}
+
+            <Card style={styles.card}>
+              <Card.Content>
+                <Text style={styles.cardTitle}>📋 Side by Side</Text>
+                {comparison.sites.map((site, n) => (
+                  <View key={site.label} style={styles.siteRow}>
+                    <View style={[styles.siteDot, { backgroundColor: SITE_COLORS[n % SITE_COLORS.length] }]} />
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.rankLabel}>{site.label}</Text>
+                      <Text style={styles.rankDetail}>
+                        {site.source}{site.station ? ` ${site.station.name} (${site.station.distanceKm} km)` : ''} • {site.aquifer}
+                      </Text>
+                      <Text style={styles.rankDetail}>
+                        Trend: {site.trend.direction} ({site.trend.theilSenSlope} m/yr) • Stress: {site.stress.category ?? 'n/a'}
+                      </Text>
+                      {site.forecast.predictions && (
+                        <Text style={styles.rankDetail}>
+                          Forecast: {site.forecast.predictions.map((p) => `${p.year}y ${p.predictedLevel} m`).join(' • ')}
+                        </Text>
+                      )}
+                    </View>
+                  </View>
+                ))}
+              </Card.Content>
+            </Card>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  card: {
+    marginBottom: 16,
+    borderRadius: 12,
+    backgroundColor: '#fff',
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginVertical: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 100,
+    textAlignVertical: 'top',
+    fontSize: 14,
+    color: '#111827',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  compareButton: {
+    backgroundColor: '#007AFF',
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  compareButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  errorText: {
+    color: '#DC2626',
+    marginTop: 8,
+    fontSize: 13,
+  },
+  rankRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  rankNumber: {
+    width: 28,
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#007AFF',
+  },
+  rankLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  rankDetail: {
+    fontSize: 12,
+    color: '#4B5563',
+    marginTop: 2,
+  },
+  siteRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 8,
+  },
+  siteDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 5,
+    marginRight: 10,
+  },
+  chart: {
+    marginVertical: 8,
+    borderRadius: 12,
+  },
+});
@@ -9,8 +9,36 @@ export interface WaterLevelRequest {
   lat: number;
   lon: number;
   date: string; // ISO 8601 format: YYYY-MM-DD
+  /** Estimate at the exact point from several stations instead of the nearest one */
+  interpolation?: 'nearest' | 'idw' | 'kriging';
+  k?: number; // stations used for interpolation (2-20, default 5)
+  power?: number; // IDW distance exponent (default 2)
+  /** Forecasting model for futureWaterLevels (default linear) */
+  model?: ForecastModel | 'auto';
+  /** Prediction interval confidence levels in percent (default [80, 95]) */
+  intervals?: number[];
+  /** Outlier handling: drop suspicious readings, only report them, or skip the check (default exclude) */
+  outliers?: 'exclude' | 'flag' | 'off';
+  /** Fit forecasts on the whole record or only on the latest regime after a detected shift (default all) */
+  regime?: 'all' | 'recent';
+  /** Gap filling for the regular monthly series (default linear) */
+  gapFill?: 'linear' | 'climatology' | 'none';
+  /** Longest run of empty months that is filled (1-24, default 6) */
+  maxGapMonths?: number;
+  /** Fit forecasts on the raw readings or the regular monthly series (default raw) */
+  forecastSeries?: 'raw' | 'monthly';
+  /** Only use stations in this aquifer (e.g. Unconfined, Confined); case-insensitive */
+  aquifer?: string;
+  /** Only use stations of this well type (e.g. Dug Well, Piezometer); case-insensitive */
+  wellType?: string;
+  /** Separate trend and stress results per aquifer and/or well-type group */
+  groupBy?: 'aquifer' | 'wellType' | 'both';
+  /** Overrides for the stress categorisation thresholds */
+  stressThresholds?: Partial<StressThresholds>;
 }
 
+export type ForecastModel = 'linear' | 'holt-winters' | 'stl' | 'damped-trend';
+
 export interface ChatRequest {
   message: string;
   lat?: number;
@@ -19,6 +47,8 @@ export interface ChatRequest {
   context?: any | false;
   language?: 'english' | 'hindi';
   district?: string;
+  /** Disambiguates district names shared by several states */
+  state?: string;
 }
 
 export interface AuthRegisterRequest {
@@ -75,30 +105,115 @@ export interface RechargeTrend {
   note?: string;
 }
 
+// Rates are m/year of depth below ground: positive = water table falling
 export interface StressAnalysis {
-  trend: string;
+  trend: 'declining' | 'rising' | 'stable';
   annualDeclineRate: string;
   preMonsoonDeclineRate: string | null;
   postMonsoonDeclineRate: string | null;
-  category: string;
+  category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null;
+  basis: string;
+  seasons: {
+    preMonsoon: SeasonTrend;
+    postMonsoon: SeasonTrend;
+  };
+  thresholds: StressThresholds;
+  robustTrend?: RobustTrend;
+  categoryNote?: string;
   note?: string;
 }
 
+export interface StressThresholds {
+  alpha: number; // Mann-Kendall significance level (default 0.05)
+  significantDecline: number; // m/year (default 0.1)
+  severeDecline: number; // m/year in both seasons for Over-exploited (default 1.0)
+  minYears: number; // annual values per season before testing (default 5)
+}
+
+export interface SeasonTrend {
+  label: string;
+  months: number[];
+  years: number;
+  assessable: boolean;
+  senSlope: number | null;
+  mannKendall: { s: number; z: number; pValue: number; tau: number; significant: boolean } | null;
+  significantDecline: boolean;
+  note: string | null;
+}
+
+export interface RobustTrend {
+  theilSenSlope: string; // m/year of depth to water
+  mannKendall: {
+    s: number;
+    z: string;
+    pValue: string;
+    tau: string;
+    trend: 'increasing' | 'decreasing' | 'no trend';
+    significant: boolean;
+  };
+  note: string;
+}
+
+export interface OutlierReading {
+  date: string;
+  waterLevel: number;
+  reasons: Array<'hampel' | 'mad' | 'jump'>;
+  scores: Record<string, number>;
+  excluded: boolean;
+}
+
+export interface OutlierReport {
+  mode: 'exclude' | 'flag' | 'off';
+  checked: number;
+  flagged: OutlierReading[];
+  excluded: number;
+  note: string | null;
+  thresholds: {
+    hampel: { halfWindow: number; threshold: number };
+    mad: { threshold: number };
+    jump: { minMeters: number; madMultiplier: number };
+    minVotes: number;
+  };
+}
+
+export interface PredictionInterval {
+  level: number; // percent
+  lower: number;
+  upper: number;
+}
+
 export interface FuturePrediction {
   year: number;
   date: string;
   predictedLevel: number;
+  intervals: PredictionInterval[];
   unit: string;
 }
 
 export interface FutureWaterLevels {
+  /** Model actually used */
+  model: ForecastModel;
+  /** Present when it differs from model (auto, or fallback for short records) */
+  requestedModel?: ForecastModel | 'auto';
   methodology: string;
   dataRange: {
     start: string;
     end: string;
   };
   predictions: FuturePrediction[];
+  /** How the interval bounds were derived */
+  intervalMethod: string;
+  modelParams?: Record<string, unknown>;
+  /** Backtest scores behind an auto selection */
+  modelSelection?: { criterion: string; scores: Partial<Record<ForecastModel, number>> };
+  note?: string;
   confidence?: 'high' | 'medium' | 'low';
+  /** m/year added to the fitted trend by a what-if scenario */
+  slopeOffset?: number;
+  /** Records the trend was fitted on (regime: "recent" fits only the latest regime) */
+  regime?: { basis: 'full history' | 'latest regime'; start: string | null; points: number; slope: number };
+  /** Whether the fit used the raw readings or the gap-filled monthly series */
+  series?: string;
 }
 
 export interface StressCategoryTransition {
@@ -129,6 +244,8 @@ export interface SeasonalPredictions {
   currentSeason: string;
   nextSeason: SeasonalPrediction;
   followingSeason: SeasonalPrediction;
+  /** Season calendar id the months came from */
+  calendar: string;
   confidence?: 'high' | 'medium' | 'low';
 }
 
@@ -145,23 +262,662 @@ export interface Predictions {
   errors?: PredictionError[];
 }
 
+export interface StorageInfo {
+  source: 'database' | 'wris' | 'fixture';
+  fetchedRanges: Array<{ start: string; end: string; records: number; pages: number; rows: number }>;
+  /** WRIS pages and raw rows read while serving this request */
+  pages: number;
+  rows: number;
+  stale?: boolean;
+  /** Set when pagination hit its safety cap and the newest rows may be missing */
+  truncated?: boolean;
+}
+
+export interface InterpolationStation {
+  stationCode: string;
+  stationName: string;
+  latitude: number;
+  longitude: number;
+  distanceKm: string;
+  weight: number;
+  latestLevel: number;
+  latestDate: string;
+  points: number;
+}
+
+export interface InterpolationResult {
+  method: 'idw' | 'kriging';
+  k: number;
+  power: number | null;
+  estimate: string;
+  /** IDW: weighted spread of station levels; kriging: kriging standard deviation (m) */
+  uncertainty: string;
+  asOf: string;
+  variogram: { model: 'exponential'; nugget: number; sill: number; range: number; pairs: number } | null;
+  note: string | null;
+  stations: InterpolationStation[];
+}
+
+export type SgiClass =
+  | 'extreme drought' | 'severe drought' | 'moderate drought' | 'near normal'
+  | 'moderately wet' | 'very wet' | 'extremely wet';
+
+export interface SgiPoint {
+  month: string; // YYYY-MM
+  sgi: number; // positive = higher water table than usual for the month
+  class: SgiClass;
+}
+
+export interface DroughtEvent {
+  onset: string; // YYYY-MM
+  end: string;
+  durationMonths: number;
+  readings: number;
+  /** Summed SGI deficit below the threshold */
+  severity: number;
+  intensity: number;
+  peakSgi: number;
+  peakClass: SgiClass;
+  ongoing: boolean;
+}
+
+export interface SgiSummary {
+  latest: (SgiPoint & { depth: number }) | null;
+  inDrought: boolean | null;
+  readings: number;
+  droughtShare: number | null;
+  eventCount: number;
+  longestEvent: DroughtEvent | null;
+  worstEvent: DroughtEvent | null;
+}
+
+export interface DroughtIndex {
+  method: string;
+  threshold: number;
+  summary: SgiSummary;
+  note: string | null;
+}
+
+export interface GroupStation {
+  stationCode: string;
+  name: string;
+  wellType: string;
+  wellDepth: number | null;
+  wellAquiferType: string;
+  distance: number;
+  readings: number;
+}
+
+export interface AquiferGroup {
+  key: string;
+  aquiferType: string | null; // null when grouped by well type only
+  wellType: string | null; // null when grouped by aquifer only
+  stations: GroupStation[];
+  readings: number;
+  latestLevel: number | null;
+  trend: {
+    direction: 'declining' | 'rising' | 'stable';
+    annualDeclineRate: number;
+    theilSenSlope: number;
+    mannKendall: { trend: string; pValue: number; significant: boolean };
+  } | null;
+  stress: { category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null; basis: string; note: string | null } | null;
+  note: string | null;
+}
+
+export interface StationSelection {
+  filter: { aquifer: string | null; wellType: string | null } | null;
+  considered: number;
+  excluded: number;
+  /** Stations in the nearest station's aquifer, used for interpolation and the district fallback */
+  aquiferPeers: number;
+}
+
+export interface MonthlyPoint {
+  month: string; // YYYY-MM
+  date: string; // mid-month, YYYY-MM-15
+  waterLevel: number | null;
+  status: 'observed' | 'imputed' | 'missing';
+}
+
+export interface ResamplingSummary {
+  method: 'linear' | 'climatology' | 'none';
+  maxGapMonths: number;
+  start: string | null;
+  end: string | null;
+  summary: { observed: number; imputed: number; missing: number; months: number };
+  note: string | null;
+}
+
+export interface ChangePoint {
+  date: string;
+  index: number;
+  /** m of depth; positive is a sudden fall of the water table */
+  levelShift: number;
+  /** m/year */
+  slopeChange: number;
+}
+
+export interface RegimeSegment {
+  start: string;
+  end: string;
+  startIndex: number;
+  points: number;
+  /** m/year of depth, seasonal cycle removed */
+  slope: number;
+  meanLevel: number;
+}
+
+export interface ChangePointResult {
+  method: string;
+  penalty: number | null;
+  breakpoints: ChangePoint[];
+  segments: RegimeSegment[];
+  note: string | null;
+}
+
+// POST /api/water-levels/compare
+export type CompareSite =
+  | { lat: number; lon: number; label?: string }
+  | { state: string; district: string; label?: string };
+
+export type CompareRankBy = 'stress' | 'trend' | 'depth' | 'forecast';
+
+export interface CompareRequest {
+  /** 2-10 points or districts */
+  sites: CompareSite[];
+  date?: string;
+  model?: ForecastModel | 'auto';
+  intervals?: number[];
+  /** Ranking criterion, most favourable site first (default stress) */
+  rankBy?: CompareRankBy;
+}
+
+export interface ComparedSite {
+  label: string;
+  location: { lat: number; lon: number; district: string; state: string };
+  source: 'nearest station' | 'district average';
+  station: { stationCode: string; name: string; distanceKm: number; wellType: string; wellAquiferType: string } | null;
+  aquifer: string;
+  readings: number;
+  currentLevel: number;
+  latestDate: string;
+  trend: { annualDeclineRate: number; theilSenSlope: number; direction: 'declining' | 'rising' | 'stable'; significant: boolean };
+  stress: { category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null; note: string | null };
+  seasonCalendar: string;
+  forecast: FutureWaterLevels | { error: string };
+}
+
+export interface CompareResponse {
+  date: string;
+  model: ForecastModel | 'auto';
+  rankBy: CompareRankBy;
+  sites: ComparedSite[];
+  /** Sites that could not be analysed, with the reason */
+  failed: Array<{ label: string; error: string }>;
+  /** Annual mean levels on a shared year axis; null where a site has no readings */
+  alignedSeries: { years: number[]; series: Array<{ label: string; values: Array<number | null> }> };
+  ranking: Array<{
+    rank: number;
+    label: string;
+    category: string | null;
+    trend: number;
+    currentLevel: number;
+    forecastLevel: number | null;
+  }>;
+  cached?: boolean;
+}
+
+// GET /api/districts/:state/:district/summary
+export interface DistrictSummaryStation {
+  stationCode: string;
+  name: string;
+  wellType: string;
+  wellAquiferType: string;
+  readings: number;
+  currentDepth: number | null;
+  latestDate: string | null;
+  /** Sen slope in m/year of depth; positive is a falling water table. null below 3 readings */
+  slope: number | null;
+  direction: 'declining' | 'rising' | 'stable' | null;
+  significant: boolean | null;
+  category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null;
+}
+
+export interface DistrictSummaryResponse {
+  state: string;
+  district: string;
+  date: string;
+  seasonCalendar: string;
+  stationCount: number;
+  currentDepth: {
+    stations: number;
+    min: number;
+    p25: number;
+    median: number;
+    p75: number;
+    max: number;
+    bands: Array<{ band: string; stations: number }>;
+  } | null;
+  trends: {
+    stationsWithTrend: number;
+    declining: number;
+    rising: number;
+    stable: number;
+    decliningShare: number | null;
+    medianSlope: number | null;
+  };
+  stress: {
+    category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null;
+    basis: string;
+    stationsAssessed: number;
+    categoryCounts: Array<{ category: string; stations: number }>;
+  };
+  /** Steepest decline first */
+  stations: DistrictSummaryStation[];
+  storage?: StorageInfo;
+  cached?: boolean;
+}
+
+// GET /api/districts/:state/:district/sgi
+export interface DistrictSgiResponse {
+  state: string;
+  district: string;
+  date: string;
+  threshold: number;
+  method: string;
+  districtAverage: {
+    series: Array<SgiPoint & { depth: number }>;
+    events: DroughtEvent[];
+    summary: SgiSummary;
+    note: string | null;
+  };
+  stationsAssessed: number;
+  stationsInDrought: number;
+  latestClasses: Array<{ class: SgiClass; stations: number }>;
+  stations: Array<{
+    stationCode: string;
+    stationName: string;
+    latest: SgiPoint & { depth: number };
+    inDrought: boolean;
+    droughtShare: number;
+    eventCount: number;
+    worstEvent: DroughtEvent | null;
+  }>;
+  storage?: StorageInfo;
+  cached?: boolean;
+}
+
+// Entry of GET /api/stations
+export interface StationListing {
+  stationCode: string;
+  name: string;
+  state: string;
+  district: string;
+  latitude: number;
+  longitude: number;
+  wellType: string;
+  wellDepth: number | null;
+  wellAquiferType: string;
+  records: number;
+  firstObservation: string | null;
+  lastObservation: string | null;
+}
+
+// GET /api/stations?state=&district=&bbox=&limit=&offset=
+export interface StationListResponse {
+  total: number;
+  stations: StationListing[];
+  limit: number;
+  offset: number;
+  source: 'database' | 'wris' | 'fixture';
+  /** Set when the list was read from the data source instead of the observation store */
+  window?: string;
+}
+
+// GET /api/stations/:code
+export interface StationDetailResponse {
+  station: StationListing;
+  /** Stable URL of this station */
+  url: string;
+  source: 'database' | 'wris' | 'fixture';
+  seasonCalendar: string;
+  history: Array<{ date: string; waterLevel: number }>;
+  analytics: {
+    outliers: Omit<OutlierReport, 'thresholds'>;
+    trend: { slope: number | null; direction: 'declining' | 'rising' | 'stable' | null; significant: boolean | null };
+    stress: { category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null };
+    rechargePattern: RechargePattern[];
+    droughtIndex: { method: string; summary: SgiSummary; events: DroughtEvent[]; note: string | null };
+    changePoints: ChangePointResult;
+  };
+  cached?: boolean;
+}
+
+type MapCategory = 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null;
+
+export interface MapStationProperties {
+  stationCode: string;
+  name: string;
+  district: string;
+  state: string;
+  wellType: string;
+  wellAquiferType: string;
+  latestLevel: number | null;
+  latestDate: string | null;
+  slope: number | null;
+  trend: 'declining' | 'rising' | 'stable' | null;
+  category: MapCategory;
+}
+
+export interface MapDistrictProperties {
+  district: string;
+  state: string;
+  /** False while the district is still pending; every other value is then null */
+  assessed: boolean;
+  stationCount: number | null;
+  /** Median current depth of the stations */
+  latestLevel: number | null;
+  latestDate: string | null;
+  slope: number | null;
+  trend: 'declining' | 'rising' | 'stable' | null;
+  category: MapCategory;
+}
+
+// Grid cluster of features below the clustering zoom
+export interface MapClusterProperties {
+  cluster: true;
+  pointCount: number;
+  assessed: number;
+  category: MapCategory;
+  categoryCounts: Record<'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited', number>;
+  latestLevel: number | null;
+  declining: number;
+}
+
+export interface MapFeature<P> {
+  type: 'Feature';
+  id: string;
+  geometry: { type: 'Point'; coordinates: [number, number] };
+  properties: P | MapClusterProperties;
+}
+
+// GET /api/map/stations and /api/map/districts ?bbox=minLon,minLat,maxLon,maxLat&zoom=
+export interface MapLayerResponse<P> {
+  type: 'FeatureCollection';
+  bbox: [number, number, number, number];
+  features: Array<MapFeature<P>>;
+  meta: {
+    zoom: number;
+    clustered: boolean;
+    featureCount: number;
+    districtsAssessed: number;
+    districtsLoaded: number;
+    /** Districts in view not loaded yet; request the view again to fill them in */
+    districtsPending: Array<{ district: string; state: string }>;
+    districtsFailed: Array<{ district: string; state: string; error: string }>;
+  };
+}
+
+export type MapStationLayer = MapLayerResponse<MapStationProperties>;
+export type MapDistrictLayer = MapLayerResponse<MapDistrictProperties>;
+
+// GET /api/districts/:state/:district/boundary
+export interface DistrictBoundary {
+  type: 'Feature';
+  id: string; // "<state>/<district>"
+  bbox: [number, number, number, number];
+  geometry:
+    | { type: 'Polygon'; coordinates: number[][][] }
+    | { type: 'MultiPolygon'; coordinates: number[][][][] };
+  properties: { district: string; state: string; centroid: { lat: number; lon: number } };
+}
+
+// Pre/post-monsoon months for a district (backend/data/season-calendars.json)
+export interface SeasonCalendar {
+  id: string; // e.g. 'southwest', 'northeast'
+  label: string;
+  appliedBy: 'district' | 'state' | 'default';
+  monsoonMonths: number[];
+  preMonsoon: { months: number[]; displayPeriod: string };
+  /** followingYear: the season falls in the calendar year after its monsoon */
+  postMonsoon: { months: number[]; displayPeriod: string; followingYear: boolean };
+}
+
 export interface WaterLevelResponse {
   userLocation: UserLocation;
   nearestStation: NearestStation;
   currentWaterLevel: string | null;
   historicalLevels: HistoricalLevel[];
+  seasonCalendar: SeasonCalendar;
   rechargePattern: RechargePattern[];
   rechargeTrend: RechargeTrend | null;
   stressAnalysis: StressAnalysis;
+  stageOfExtraction: StageOfExtraction | null; // null when the district has no extraction inputs
+  rainfallContext: RainfallContext | null; // null until rainfall is imported for the district
+  droughtIndex: DroughtIndex;
+  changePoints: ChangePointResult;
+  stationSelection: StationSelection;
+  aquiferGroups: { groupBy: 'aquifer' | 'wellType' | 'both'; groups: AquiferGroup[] } | null;
+  resampling: ResamplingSummary;
   plotData: {
     historicalWaterLevels: Array<{ date: string; waterLevel: string }>;
     rechargePattern: Array<{ year: number; recharge: number }>;
     prePostMonsoon: Array<{ year: number; pre: number; post: number }>;
+    sgi: SgiPoint[];
+    droughtEvents: DroughtEvent[];
+    monthlySeries: MonthlyPoint[];
   };
   predictions: Predictions;
+  outliers: OutlierReport;
+  interpolation?: InterpolationResult | null;
+  storage?: StorageInfo;
+  cached?: boolean;
+}
+
+export interface RainfallYear {
+  year: number; // recharge year
+  monsoonYear: number; // monsoon paired with it (year - lag)
+  monsoonRainfallMm: number;
+  departurePct: number; // from the long-period average of imported years
+  rainfallClass: 'large deficient' | 'deficient' | 'normal' | 'excess';
+  rechargeM: number;
+  expectedRechargeM: number;
+  residualM: number;
+  underperformed: boolean;
+}
+
+export interface RainfallContext {
+  source: string;
+  monsoonMonths: number[];
+  longPeriodAverageMm: number | null;
+  lags: Array<{ lagYears: number; n: number; r: number | null }>;
+  correlation: {
+    lagYears: number;
+    n: number;
+    r: number;
+    rSquared: number;
+    slopeMPer100Mm: number;
+    intercept: number;
+  } | null;
+  years: RainfallYear[];
+  underperformingYears: Array<{
+    year: number;
+    rechargeM: number;
+    expectedRechargeM: number;
+    rainfallClass: string;
+    likelyCause: string;
+  }>;
+  note: string | null;
+}
+
+// POST /api/system/rainfall/import (admin)
+export interface RainfallImportRequest {
+  csv: string; // STATE,DISTRICT,YEAR,JAN..DEC (IMD layout)
+  source?: string;
+}
+
+export interface RainfallImportResponse {
+  message: string;
+  source: string;
+  records: number;
+  districts: string[];
+  skipped: Array<{ line: number; reason: string }>;
+}
+
+export interface StageOfExtraction {
+  state: string;
+  district: string;
+  method: string;
+  inputs: {
+    specificYield: number;
+    rechargeAreaHa: number;
+    annualDraftHam: number;
+    monsoonDraftHam: number;
+    nonMonsoonRechargeHam: number;
+    naturalDischargeFraction: number;
+    assessmentYear: number | null;
+    source: string | null;
+  };
+  categoryBands: Array<{ category: string; maxPercent: number | null }>;
+  stageOfExtraction: number | null; // percent
+  category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null;
+  recharge: {
+    years: Array<{ year: number; fluctuationM: number; monsoonRechargeHam: number }>;
+    fluctuationM: number;
+    monsoonRechargeHam: number;
+    annualRechargeHam: number;
+  } | null;
+  extractableResourceHam: number | null;
+  annualDraftHam: number;
+  rechargeSource: 'nearest station' | 'district average' | 'interpolated';
+  note: string | null;
+}
+
+// GET /api/extraction/:state/:district
+export interface ExtractionResponse extends StageOfExtraction {
+  seasonCalendar: SeasonCalendar;
+  stations: number;
+  rechargePattern: RechargePattern[];
+  storage?: StorageInfo;
+  cached?: boolean;
+}
+
+export interface BacktestRequest {
+  lat: number;
+  lon: number;
+  date?: string; // end of the history window, default today
+  models?: ForecastModel[];
+  horizons?: number[]; // years ahead, 1-5 (default [1, 2, 3])
+  minTrainYears?: number; // default 3
+}
+
+export interface BacktestMetrics {
+  n: number;
+  mae: number;
+  rmse: number;
+  mape: number | null;
+  /** Mean forecast minus actual; positive means forecasts were too deep */
+  bias: number;
+}
+
+export interface BacktestResponse {
+  location: { lat: number; lon: number; district: string; state: string; date: string };
+  station: { stationCode: string; stationName: string; distanceKm: string; readings: number; note: string | null };
+  metricsUnit: string;
+  months: number;
+  dataRange: { start: string; end: string } | null;
+  origins: number;
+  horizonsYears: number[];
+  models: Partial<Record<ForecastModel, {
+    overall: BacktestMetrics | null;
+    byHorizon: Record<number, BacktestMetrics | null>;
+  }>>;
+  /** Models ordered by overall MAE, best first */
+  ranking: ForecastModel[];
+  bestModel: ForecastModel | null;
+  recommendedModel: ForecastModel | null;
+  /** Plain-language summary lines */
+  report: string[];
+  storage?: StorageInfo;
   cached?: boolean;
 }
 
+export interface ScenarioInterventions {
+  extractionChangePct?: number; // -100..100, change in annual draft
+  rechargeChangePct?: number; // -100..300, change in monsoon recharge
+  additionalRechargeM?: number; // extra metres of rise per year, e.g. from check dams
+}
+
+// POST /api/scenarios
+export interface ScenarioRequest {
+  lat: number;
+  lon: number;
+  date?: string;
+  interventions: ScenarioInterventions;
+  model?: ForecastModel | 'auto';
+  intervals?: number[];
+  name?: string;
+  save?: boolean; // requires a token
+}
+
+export interface ScenarioRun {
+  slope: number; // m/year, positive = deepening
+  futureWaterLevels: FutureWaterLevels;
+  seasonalLevels: SeasonalPredictions | PredictionError;
+  stressCategoryTransition: StressCategoryTransition | PredictionError;
+}
+
+export interface ScenarioResult {
+  baseline: ScenarioRun;
+  scenario: ScenarioRun;
+  effect: {
+    slopeChange: number;
+    trendReversed: boolean;
+    levelDifference: Array<{ year: number; date: string; baseline: number; scenario: number; difference: number }>;
+    stressTransition: {
+      baselineYears: number | null;
+      scenarioYears: number | null;
+      baselineMessage: string | null;
+      scenarioMessage: string | null;
+    };
+  };
+  interventions: {
+    requested: Required<ScenarioInterventions>;
+    components: Array<{ intervention: keyof ScenarioInterventions; value: number; slopeChange: number; basis: string }>;
+    notes: string[];
+  };
+}
+
+export interface ScenarioResponse extends ScenarioResult {
+  location: { lat: number; lon: number; district: string; state: string };
+  date: string;
+  model: ForecastModel | 'auto';
+  station: string;
+  category: 'Safe' | 'Semi-critical' | 'Critical' | 'Over-exploited' | null;
+  seasonCalendar: SeasonCalendar;
+  extractionInputs: 'district' | 'dry-season fall';
+  /** Present when saved */
+  id?: string;
+  name?: string;
+}
+
+// GET /api/scenarios/compare?ids=a,b
+export interface ScenarioComparison {
+  scenarios: Array<{
+    id: string;
+    name: string;
+    location: ScenarioResponse['location'];
+    date: string;
+    interventions: Required<ScenarioInterventions>;
+    slopeChange: number;
+    trendReversed: boolean;
+    scenarioSlope: number;
+    yearsUntilTransition: number | null;
+    trajectory: Array<{ year: number; predictedLevel: number }>;
+  }>;
+}
+
 export interface User {
   id: string;
   name: string;
@@ -184,6 +940,9 @@ export interface ChatResponse {
     usedApi: boolean;
     apiSummary: any;
     finalDistrict: string | null;
+    finalState: string | null;
+    /** Populated when the district name matched several states and none could be chosen */
+    districtCandidates: Array<{ name: string; state: string }>;
     effectiveLat: number | null;
     effectiveLon: number | null;
     analysisRaw: any;